@@ -0,0 +1,218 @@
+const crypto = require('crypto')
+const { Request } = require('express/index')
+const { normalize_address } = require('./forwarding')
+
+/**
+ * @typedef {'http'|'redirect'|'websocket'|'tunnel'|'forward'} GatewayAccessType
+ * @typedef {'common'|'combined'|'json'} GatewayAccessLogFormat
+ */
+
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+]
+
+class GatewayAccessRecord {
+  /**
+   * The structured record of a single gateway request, passed with the
+   * lifecycle events and updated as the request progresses.
+   * @param {Request} req
+   * @param {string} client_address
+   */
+  constructor(req, client_address = null) {
+    /** @type {string} The request id (from the x-request-id header, or generated) */
+    this.request_id = get_request_id(req)
+
+    /** @type {Date} */
+    this.started_at = new Date()
+    this._started = process.hrtime.bigint()
+
+    /** @type {GatewayAccessType} */
+    this.type = 'http'
+
+    this.client_address =
+      client_address || normalize_address(req.socket.remoteAddress)
+    this.method = req.method
+    this.url = req.originalUrl
+    this.http_version = req.httpVersion
+    this.host = req.headers.host || null
+    this.referer = req.headers.referer || null
+    this.user_agent = req.headers['user-agent'] || null
+
+    /** @type {string} */
+    this.target_id = null
+    /** @type {string} */
+    this.backend_url = null
+    /** @type {string} The selected upstream (host) */
+    this.upstream = null
+
+    /** @type {number} The response status (499 if the client closed first) */
+    this.status = null
+
+    /** @type {number} Time until the upstream connected (ms) */
+    this.connect_ms = null
+    /** @type {number} Time until the upstream response headers (ms) */
+    this.upstream_response_ms = null
+    /** @type {number} Total duration (ms) */
+    this.duration_ms = null
+
+    /** @type {number} Bytes received from the client (body or tunnel data) */
+    this.bytes_received = 0
+    /** @type {number} Bytes sent to the client (body or tunnel data) */
+    this.bytes_sent = 0
+
+    /** @type {number} The number of backend attempts (retries + 1) */
+    this.attempts = 0
+
+    /** @type {string} The last upstream error code */
+    this.error_code = null
+    /** @type {string} The error response reason (see errors.js), if the gateway responded with an error */
+    this.error_reason = null
+
+    /** @type {import('./cache').GatewayCacheStatus} The response cache status (if enabled) */
+    this.cache_status = null
+  }
+
+  /**
+   * Update the record from the request info.
+   * @param {import('./gateway').GatewayRequestInfo} info
+   */
+  update(info) {
+    if (info.is_websocket_request && this.type == 'http')
+      this.type = 'websocket'
+    this.target_id = info.target_id
+    this.backend_url =
+      info.backend_url != null ? info.backend_url.toString() : null
+    this.upstream = info.upstream != null ? info.upstream.key : this.upstream
+    return this
+  }
+
+  /**
+   * @returns {number} The milliseconds since the request started.
+   */
+  elapsed_ms() {
+    return Number(process.hrtime.bigint() - this._started) / 1e6
+  }
+
+  to_json() {
+    const json = {}
+    for (const key of Object.keys(this)) {
+      if (key.startsWith('_')) continue
+      json[key] = this[key]
+    }
+    json.started_at = this.started_at.toISOString()
+    return json
+  }
+
+  toJSON() {
+    return this.to_json()
+  }
+}
+
+/**
+ * @param {Request} req
+ * @returns {string}
+ */
+function get_request_id(req) {
+  const header = req.headers['x-request-id']
+  if (typeof header == 'string' && /^[\x21-\x7e]{1,128}$/.test(header))
+    return header
+  return crypto.randomUUID()
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date in the common log format, e.g. 10/Oct/2000:13:55:36 +0000
+ */
+function format_clf_date(date) {
+  const pad = (v) => String(v).padStart(2, '0')
+  return (
+    `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/` +
+    `${date.getUTCFullYear()}:${pad(date.getUTCHours())}:` +
+    `${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`
+  )
+}
+
+/**
+ * @param {string} value
+ */
+function quote_clf_value(value) {
+  if (value == null) return '"-"'
+  return '"' + String(value).replace(/["\\]/g, '\\$&') + '"'
+}
+
+/**
+ * Format the record in the common log format.
+ * @param {GatewayAccessRecord} record
+ * @returns {string}
+ */
+function format_common(record) {
+  return [
+    record.client_address || '-',
+    '-',
+    '-',
+    `[${format_clf_date(record.started_at)}]`,
+    quote_clf_value(
+      `${record.method} ${record.url} HTTP/${record.http_version}`
+    ),
+    record.status == null ? '-' : record.status,
+    record.bytes_sent || '-',
+  ].join(' ')
+}
+
+/**
+ * Format the record in the combined log format.
+ * @param {GatewayAccessRecord} record
+ * @returns {string}
+ */
+function format_combined(record) {
+  return [
+    format_common(record),
+    quote_clf_value(record.referer),
+    quote_clf_value(record.user_agent),
+  ].join(' ')
+}
+
+/**
+ * Format the record as a JSON line.
+ * @param {GatewayAccessRecord} record
+ * @returns {string}
+ */
+function format_json(record) {
+  return JSON.stringify(record.to_json())
+}
+
+const ACCESS_LOG_FORMATTERS = {
+  common: format_common,
+  combined: format_combined,
+  json: format_json,
+}
+
+/**
+ * @param {GatewayAccessLogFormat | (record:GatewayAccessRecord)=>string} format
+ * @returns {(record:GatewayAccessRecord)=>string}
+ */
+function get_access_log_formatter(format) {
+  if (typeof format == 'function') return format
+  const formatter = ACCESS_LOG_FORMATTERS[format]
+  if (formatter == null) throw new Error('Unknown access log format: ' + format)
+  return formatter
+}
+
+module.exports = {
+  format_combined,
+  format_common,
+  format_json,
+  get_access_log_formatter,
+  GatewayAccessRecord,
+}
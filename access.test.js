@@ -0,0 +1,118 @@
+const assert = require('assert')
+const stream = require('stream')
+const {
+  format_combined,
+  format_common,
+  format_json,
+  get_access_log_formatter,
+  GatewayAccessRecord,
+} = require('./access')
+const {
+  create_gateway_server,
+  request,
+  run,
+  sleep,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {Object} headers
+ */
+function create_record(headers = {}) {
+  const record = new GatewayAccessRecord({
+    method: 'GET',
+    originalUrl: '/a?b="c"',
+    httpVersion: '1.1',
+    headers: { host: 'svc.example.com', ...headers },
+    socket: { remoteAddress: '::ffff:10.0.0.1' },
+  })
+  record.started_at = new Date(Date.UTC(2000, 9, 10, 13, 55, 36))
+  return record
+}
+
+test('common log format', () => {
+  const record = create_record()
+  assert.strictEqual(
+    format_common(record),
+    '10.0.0.1 - - [10/Oct/2000:13:55:36 +0000] "GET /a?b=\\"c\\" HTTP/1.1" - -'
+  )
+  record.status = 200
+  record.bytes_sent = 2326
+  assert.strictEqual(
+    format_common(record),
+    '10.0.0.1 - - [10/Oct/2000:13:55:36 +0000] "GET /a?b=\\"c\\" HTTP/1.1" 200 2326'
+  )
+})
+
+test('combined log format adds the referer and user agent', () => {
+  const record = create_record({ 'user-agent': 'curl/8.0' })
+  record.status = 404
+  assert.strictEqual(
+    format_combined(record),
+    format_common(record) + ' "-" "curl/8.0"'
+  )
+})
+
+test('json log format', () => {
+  const record = create_record({ 'x-request-id': 'req-1' })
+  record.status = 200
+  record._private = 'hidden'
+  const json = JSON.parse(format_json(record))
+  assert.strictEqual(json.request_id, 'req-1')
+  assert.strictEqual(json.started_at, '2000-10-10T13:55:36.000Z')
+  assert.strictEqual(json.client_address, '10.0.0.1')
+  assert.strictEqual(json.host, 'svc.example.com')
+  assert.strictEqual(json.status, 200)
+  assert.strictEqual(json.type, 'http')
+  assert.ok(!Object.keys(json).some((key) => key.startsWith('_')))
+})
+
+test('invalid request ids are replaced', () => {
+  for (const request_id of ['', 'a b', 'x'.repeat(129), 'é'])
+    assert.match(
+      create_record({ 'x-request-id': request_id }).request_id,
+      /^[0-9a-f-]{36}$/,
+      request_id
+    )
+})
+
+test('formatter lookup', () => {
+  assert.strictEqual(get_access_log_formatter('common'), format_common)
+  const custom = (record) => record.method
+  assert.strictEqual(get_access_log_formatter(custom), custom)
+  assert.throws(() => get_access_log_formatter('apache'), /Unknown/)
+})
+
+test('gateway writes an access log line per response', async () => {
+  const lines = []
+  const log_stream = new stream.Writable({
+    write: (chunk, encoding, callback) => {
+      lines.push(chunk.toString())
+      callback()
+    },
+  })
+  const server = await create_gateway_server({
+    handler: (req, res) => res.end('hello'),
+    gateway: { access_log: { format: 'json', stream: log_stream } },
+  })
+  try {
+    await request(server.port, {
+      path: '/x',
+      headers: { 'x-request-id': 'req-2' },
+    })
+    // the record is written when the response finished.
+    await sleep(20)
+    assert.strictEqual(lines.length, 1)
+    assert.ok(lines[0].endsWith('\n'))
+    const record = JSON.parse(lines[0])
+    assert.strictEqual(record.request_id, 'req-2')
+    assert.strictEqual(record.target_id, 'svc')
+    assert.strictEqual(record.status, 200)
+    assert.strictEqual(record.bytes_sent, 5)
+    assert.strictEqual(record.url, '/x')
+  } finally {
+    server.close()
+  }
+})
+
+run()
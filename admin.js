@@ -0,0 +1,139 @@
+const express = require('express')
+const { Request, Response, NextFunction } = require('express/index')
+const { safe_equals } = require('./forward_proxy')
+
+/**
+ * Create the gateway admin api router. Mount it separately from the gateway
+ * middleware (e.g. on an internal port), all the requests require the token
+ * (Authorization: Bearer <token>).
+ *
+ *  GET    /targets                 The known targets, their backends and live counts.
+ *  GET    /targets/:id
+ *  POST   /targets/:id/drain       Respond with 503 to new requests.
+ *  POST   /targets/:id/disable     Do not serve new requests (next is called).
+ *  POST   /targets/:id/enable
+ *  GET    /sessions                The open tunnel sessions (?target_id=&type=).
+ *  DELETE /sessions/:id            Kill a tunnel session.
+ *  GET    /stats                   The live request and tunnel counts.
+ *  GET    /routes                  (if router) The routes.
+ *  GET    /routes/:name
+ *  PUT    /routes/:name            Create or replace a route.
+ *  DELETE /routes/:name
+ *
+ * @example
+ * const router = new GatewayConfigRouter({ routes })
+ * app.use(gateway.middleware(router.create_parser()))
+ * admin_app.use('/admin', create_gateway_admin_router(gateway, { token, router }))
+ * @param {import('./gateway').Gateway} gateway
+ * @param {{
+ * token: string,
+ * router: import('./config').GatewayConfigRouter,
+ * }} param1 The router is the (config) routes the gateway parser uses, if null
+ * the routes api is disabled.
+ * @returns {express.Router}
+ */
+function create_gateway_admin_router(gateway, { token, router = null } = {}) {
+  if (!token) throw new Error('The gateway admin api requires a token')
+
+  const admin = express.Router()
+
+  /**
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  const authorize = (req, res, next) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')
+    if (match != null && safe_equals(match[1].trim(), token)) return next()
+    res.set('WWW-Authenticate', 'Bearer realm="gateway-admin"')
+    res.status(401).json({ error: 'Unauthorized' })
+  }
+
+  /**
+   * @param {string} target_id
+   */
+  const get_target = (target_id) =>
+    gateway.get_targets().find((target) => target.target_id == target_id) || {
+      target_id,
+      state: gateway.get_target_state(target_id),
+      is_drained: true,
+      in_flight: 0,
+      tunnels: 0,
+      upstreams: [],
+    }
+
+  admin.use(authorize)
+  admin.use(express.json())
+
+  admin.get('/targets', (req, res) => res.json(gateway.get_targets()))
+  admin.get('/targets/:id', (req, res) => res.json(get_target(req.params.id)))
+
+  for (const [action, state] of [
+    ['drain', 'draining'],
+    ['disable', 'disabled'],
+    ['enable', 'enabled'],
+  ])
+    admin.post(`/targets/:id/${action}`, (req, res) => {
+      gateway.set_target_state(req.params.id, state)
+      res.json(get_target(req.params.id))
+    })
+
+  admin.get('/sessions', (req, res) =>
+    res.json(
+      gateway.get_sessions({
+        target_id: req.query.target_id,
+        type: req.query.type,
+      })
+    )
+  )
+  admin.delete('/sessions/:id', (req, res) => {
+    if (!gateway.kill_session(req.params.id)) return res.sendStatus(404)
+    res.sendStatus(204)
+  })
+
+  admin.get('/stats', (req, res) => {
+    const targets = gateway.get_targets()
+    res.json({
+      in_flight: targets.reduce((sum, target) => sum + target.in_flight, 0),
+      websockets: gateway.sessions.count({ type: 'websocket' }),
+      tunnels: gateway.sessions.count({ type: 'tunnel' }),
+      targets: targets.length,
+      draining: targets.filter((t) => t.state == 'draining').length,
+      disabled: targets.filter((t) => t.state == 'disabled').length,
+    })
+  })
+
+  admin.use('/routes', (req, res, next) => {
+    if (router == null)
+      return res.status(501).json({ error: 'No routes router configured' })
+    next()
+  })
+  admin.get('/routes', (req, res) => res.json(router.get_routes()))
+  admin.get('/routes/:name', (req, res) => {
+    const route = router.get_route(req.params.name)
+    if (route == null) return res.sendStatus(404)
+    res.json(route)
+  })
+  admin.put('/routes/:name', (req, res) => {
+    try {
+      const is_new = router.get_route(req.params.name) == null
+      const route = router.set_route({ ...req.body, name: req.params.name })
+      gateway.emit('log', 'INFO', `Admin api set route ${route.name}`)
+      res.status(is_new ? 201 : 200).json(route)
+    } catch (err) {
+      if (err.code != 'ECONFIG') throw err
+      res.status(400).json({ error: err.message, key: err.key })
+    }
+  })
+  admin.delete('/routes/:name', (req, res) => {
+    if (!router.delete_route(req.params.name)) return res.sendStatus(404)
+    gateway.emit('log', 'INFO', `Admin api deleted route ${req.params.name}`)
+    res.sendStatus(204)
+  })
+
+  return admin
+}
+
+module.exports = {
+  create_gateway_admin_router,
+}
@@ -0,0 +1,205 @@
+const assert = require('assert')
+const http = require('http')
+const express = require('express')
+const { Gateway } = require('./gateway')
+const { create_gateway_admin_router } = require('./admin')
+const { GatewayConfigRouter } = require('./config')
+const { listen, request, run, test } = require('./test_helpers')
+
+const TOKEN = 'admin-secret'
+
+/**
+ * @param {{router: GatewayConfigRouter}} options The admin router options.
+ * @returns {Promise<{request:(method:string, path:string, options?:{token?:string,
+ * authorization?:string, body?:Object})=>Promise<{status:number, headers:Object, body:any}>,
+ * gateway:Gateway, close:()=>void}>}
+ */
+async function create_admin_server(options = {}) {
+  const gateway = new Gateway({ access_policy: false })
+  const app = express()
+  app.use(
+    '/admin',
+    create_gateway_admin_router(gateway, { token: TOKEN, ...options })
+  )
+  const server = http.createServer(app)
+  const port = await listen(server)
+
+  const admin_request = async (
+    method,
+    path,
+    { token = TOKEN, authorization = null, body = null } = {}
+  ) => {
+    const headers = {}
+    if (authorization != null) headers.authorization = authorization
+    else if (token != null) headers.authorization = 'Bearer ' + token
+    if (body != null) headers['content-type'] = 'application/json'
+    const res = await request(port, {
+      method,
+      path: '/admin' + path,
+      headers,
+      body: body != null ? JSON.stringify(body) : undefined,
+    })
+    return {
+      status: res.statusCode,
+      headers: res.headers,
+      body: /json/.test(res.headers['content-type'])
+        ? JSON.parse(res.body)
+        : res.body,
+    }
+  }
+
+  return { request: admin_request, gateway, close: () => server.close() }
+}
+
+test('the admin api requires a token', () => {
+  const gateway = new Gateway({ access_policy: false })
+  assert.throws(() => create_gateway_admin_router(gateway), /requires a token/)
+  assert.throws(
+    () => create_gateway_admin_router(gateway, { token: '' }),
+    /requires a token/
+  )
+})
+
+test('requests without a valid token get 401', async () => {
+  const admin = await create_admin_server()
+  try {
+    for (const options of [
+      { token: null },
+      { token: 'wrong' },
+      { token: TOKEN + 'x' },
+      { token: TOKEN.slice(0, -1) },
+      { authorization: 'Basic ' + Buffer.from(TOKEN).toString('base64') },
+      { authorization: TOKEN },
+      { authorization: 'Bearer' },
+    ]) {
+      const res = await admin.request('GET', '/stats', options)
+      assert.strictEqual(res.status, 401, JSON.stringify(options))
+      assert.strictEqual(
+        res.headers['www-authenticate'],
+        'Bearer realm="gateway-admin"'
+      )
+      assert.deepStrictEqual(res.body, { error: 'Unauthorized' })
+    }
+
+    // unknown paths do not reveal the api.
+    assert.strictEqual(
+      (await admin.request('GET', '/x', { token: 'a' })).status,
+      401
+    )
+  } finally {
+    admin.close()
+  }
+})
+
+test('requests with the token are served', async () => {
+  const admin = await create_admin_server()
+  try {
+    const stats = await admin.request('GET', '/stats')
+    assert.strictEqual(stats.status, 200)
+    assert.deepStrictEqual(stats.body, {
+      in_flight: 0,
+      websockets: 0,
+      tunnels: 0,
+      targets: 0,
+      draining: 0,
+      disabled: 0,
+    })
+    // the scheme is case insensitive.
+    assert.strictEqual(
+      (
+        await admin.request('GET', '/stats', {
+          authorization: `bearer  ${TOKEN}`,
+        })
+      ).status,
+      200
+    )
+    assert.strictEqual((await admin.request('GET', '/routes')).status, 501)
+  } finally {
+    admin.close()
+  }
+})
+
+test('unauthorized requests do not change the gateway', async () => {
+  const router = new GatewayConfigRouter()
+  const admin = await create_admin_server({ router })
+  const route = { target: 'api', backend: 'http://api' }
+  try {
+    let res = await admin.request('PUT', '/routes/api', {
+      token: 'wrong',
+      body: route,
+    })
+    assert.strictEqual(res.status, 401)
+    assert.strictEqual(router.get_routes().length, 0)
+
+    res = await admin.request('POST', '/targets/api/disable', { token: null })
+    assert.strictEqual(res.status, 401)
+    assert.strictEqual(admin.gateway.get_target_state('api'), 'enabled')
+
+    res = await admin.request('PUT', '/routes/api', { body: route })
+    assert.strictEqual(res.status, 201)
+    assert.strictEqual(router.get_route('api').backend, 'http://api')
+
+    res = await admin.request('DELETE', '/routes/api', { token: 'wrong' })
+    assert.strictEqual(res.status, 401)
+    assert.strictEqual(router.get_routes().length, 1)
+  } finally {
+    admin.close()
+  }
+})
+
+test('routes api', async () => {
+  const router = new GatewayConfigRouter()
+  const admin = await create_admin_server({ router })
+  try {
+    const route = { target: 'api', backend: 'http://api' }
+    assert.strictEqual(
+      (await admin.request('PUT', '/routes/api', { body: route })).status,
+      201
+    )
+    const updated = await admin.request('PUT', '/routes/api', {
+      body: { ...route, backend: 'http://api-v2' },
+    })
+    assert.strictEqual(updated.status, 200)
+    assert.strictEqual(updated.body.backend, 'http://api-v2')
+
+    const invalid = await admin.request('PUT', '/routes/web', {
+      body: { backend: 'http://web' },
+    })
+    assert.strictEqual(invalid.status, 400)
+    assert.strictEqual(invalid.body.key, 'route')
+
+    assert.strictEqual((await admin.request('GET', '/routes')).body.length, 1)
+    assert.strictEqual((await admin.request('GET', '/routes/web')).status, 404)
+    assert.strictEqual(
+      (await admin.request('DELETE', '/routes/api')).status,
+      204
+    )
+    assert.strictEqual(
+      (await admin.request('DELETE', '/routes/api')).status,
+      404
+    )
+  } finally {
+    admin.close()
+  }
+})
+
+test('target states', async () => {
+  const admin = await create_admin_server()
+  try {
+    const res = await admin.request('POST', '/targets/api/drain')
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.body.target_id, 'api')
+    assert.strictEqual(admin.gateway.get_target_state('api'), 'draining')
+
+    await admin.request('POST', '/targets/api/enable')
+    assert.strictEqual(admin.gateway.get_target_state('api'), 'enabled')
+    assert.strictEqual(
+      (await admin.request('DELETE', '/sessions/unknown')).status,
+      404
+    )
+  } finally {
+    admin.close()
+  }
+})
+
+run()
@@ -0,0 +1,232 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const http = require('http')
+const https = require('https')
+
+/**
+ * @typedef {{
+ * ca: string|Buffer|(string|Buffer)[],
+ * ca_file: string|string[],
+ * cert: string|Buffer,
+ * cert_file: string,
+ * key: string|Buffer,
+ * key_file: string,
+ * passphrase: string,
+ * reject_unauthorized: boolean,
+ * servername: string,
+ * socket_path: string,
+ * keep_alive: boolean,
+ * keep_alive_msecs: number,
+ * max_sockets: number,
+ * max_free_sockets: number,
+ * }} GatewayUpstreamOptions The upstream connection options. ca, cert and key (PEM)
+ * or the files to load them from (client certificate for mTLS), servername overrides
+ * the TLS SNI hostname, and if socket_path is defined the backend is connected via
+ * the unix domain socket (the backend url host is used for the Host header).
+ * The keep_alive, keep_alive_msecs, max_sockets and max_free_sockets are the
+ * connection pool (agent) options.
+ */
+
+/** The options of the files that are loaded (see load_files) */
+const UPSTREAM_FILE_OPTIONS = ['ca_file', 'cert_file', 'key_file']
+
+/** @type {GatewayUpstreamOptions} */
+const DEFAULT_UPSTREAM_OPTIONS = {
+  reject_unauthorized: true,
+  keep_alive: true,
+  keep_alive_msecs: 1000,
+  max_sockets: Infinity,
+  max_free_sockets: 256,
+}
+
+/**
+ * Read and validate an upstream ca, cert or key (PEM) file.
+ * @param {string} file
+ * @param {string} option The file option, e.g. ca_file.
+ * @param {string} passphrase The key passphrase.
+ * @returns {Buffer}
+ */
+function read_upstream_file(file, option, passphrase = null) {
+  try {
+    const content = fs.readFileSync(file)
+    if (option == 'key_file')
+      crypto.createPrivateKey({
+        key: content,
+        ...(passphrase != null ? { passphrase } : {}),
+      })
+    else new crypto.X509Certificate(content)
+    return content
+  } catch (err) {
+    throw new Error(`Invalid upstream ${option} ${file}: ${err.message}`)
+  }
+}
+
+class GatewayUpstreamAgents {
+  /**
+   * The upstream (backend) connection options and the keep alive agents (connection
+   * pools), per target.
+   * @example
+   * new GatewayUpstreamAgents({
+   *   defaults: { max_sockets: 100 },
+   *   targets: {
+   *     'internal-api': { ca_file: 'ca.pem', cert_file: 'client.crt', key_file: 'client.key' },
+   *     'docker': { socket_path: '/var/run/docker.sock' },
+   *   },
+   * })
+   * @param {{
+   * defaults: GatewayUpstreamOptions,
+   * targets: Object<string, GatewayUpstreamOptions> | (target_id:string)=>GatewayUpstreamOptions,
+   * }} param0 The target options override the defaults, and the route options
+   * (info.upstream_options) override both. The defaults and targets files are
+   * loaded here, the files of a targets function or of the route options must be
+   * loaded with load_files before they are used.
+   */
+  constructor({ defaults = {}, targets = {} } = {}) {
+    /** @type {GatewayUpstreamOptions} */
+    this.defaults = { ...DEFAULT_UPSTREAM_OPTIONS, ...(defaults || {}) }
+    this.targets = targets || {}
+
+    /** @type {Map<string, http.Agent>} The agents by pool options */
+    this._agents = new Map()
+    /** @type {Map<string, {option:string, passphrase:string, content:Buffer}>} The loaded files (see reload) */
+    this._files = new Map()
+
+    this.load_files(this.defaults)
+    if (typeof this.targets != 'function')
+      for (const options of Object.values(this.targets))
+        this.load_files(options)
+  }
+
+  /**
+   * @param {string} target_id
+   * @param {GatewayUpstreamOptions} route_options
+   * @returns {GatewayUpstreamOptions} The upstream options for the target route.
+   */
+  get_options(target_id, route_options = null) {
+    const target_options =
+      typeof this.targets == 'function'
+        ? this.targets(target_id)
+        : Object.prototype.hasOwnProperty.call(this.targets, target_id)
+        ? this.targets[target_id]
+        : null
+    return {
+      ...this.defaults,
+      ...(target_options || {}),
+      ...(route_options || {}),
+    }
+  }
+
+  /**
+   * @param {GatewayUpstreamOptions} options
+   * @param {boolean} is_secure
+   * @returns {http.Agent} The (shared) agent for the pool options.
+   */
+  get_agent(options, is_secure) {
+    const pool_options = {
+      keepAlive: options.keep_alive,
+      keepAliveMsecs: options.keep_alive_msecs,
+      maxSockets: options.max_sockets,
+      maxFreeSockets: options.max_free_sockets,
+    }
+    // the agents pool the sockets by host, port and the tls options.
+    const key = (is_secure ? 'https ' : 'http ') + JSON.stringify(pool_options)
+    if (!this._agents.has(key))
+      this._agents.set(
+        key,
+        is_secure ? new https.Agent(pool_options) : new http.Agent(pool_options)
+      )
+    return this._agents.get(key)
+  }
+
+  /**
+   * Apply the upstream options to http(s).request options.
+   * @param {http.RequestOptions & https.RequestOptions} request_options
+   * @param {GatewayUpstreamOptions} options
+   * @param {boolean} is_secure
+   * @returns {http.RequestOptions & https.RequestOptions}
+   */
+  apply(request_options, options, is_secure) {
+    if (options.socket_path) request_options.socketPath = options.socket_path
+
+    if (is_secure) {
+      const ca = this._read_files(options.ca_file) || options.ca
+      const cert = this._read_files(options.cert_file) || options.cert
+      const key = this._read_files(options.key_file) || options.key
+      if (ca != null) request_options.ca = ca
+      if (cert != null) request_options.cert = cert
+      if (key != null) request_options.key = key
+      if (options.passphrase != null)
+        request_options.passphrase = options.passphrase
+      if (options.servername) request_options.servername = options.servername
+      request_options.rejectUnauthorized = options.reject_unauthorized !== false
+    }
+
+    // a custom connection (or agent) replaces the agent.
+    if (
+      request_options.agent === undefined &&
+      request_options.createConnection == null
+    )
+      request_options.agent = this.get_agent(options, is_secure)
+
+    return request_options
+  }
+
+  /**
+   * Load (and validate) the ca, cert and key files of the options, the files
+   * that were already loaded are kept.
+   * @param {GatewayUpstreamOptions} options
+   */
+  load_files(options) {
+    if (options == null) return
+    for (const option of UPSTREAM_FILE_OPTIONS) {
+      if (options[option] == null) continue
+      for (const file of [].concat(options[option]))
+        if (!this._files.has(file))
+          this._files.set(file, {
+            option,
+            passphrase: options.passphrase,
+            content: read_upstream_file(file, option, options.passphrase),
+          })
+    }
+  }
+
+  /**
+   * @param {string|string[]} files
+   * @returns {Buffer|Buffer[]} The loaded files content, or null if no files.
+   */
+  _read_files(files) {
+    if (files == null) return null
+    if (Array.isArray(files)) return files.map((file) => this._read_files(file))
+    if (!this._files.has(files))
+      throw new Error(`Upstream file ${files} was not loaded (see load_files)`)
+    return this._files.get(files).content
+  }
+
+  /**
+   * Reload the ca, cert and key files (e.g. after a certificate rotation). If a
+   * file is invalid, the previously loaded files are kept.
+   */
+  reload() {
+    const files = new Map()
+    for (const [file, loaded] of this._files)
+      files.set(file, {
+        ...loaded,
+        content: read_upstream_file(file, loaded.option, loaded.passphrase),
+      })
+    this._files = files
+  }
+
+  /**
+   * Destroy the agents and their pooled connections.
+   */
+  destroy() {
+    for (const agent of this._agents.values()) agent.destroy()
+    this._agents.clear()
+  }
+}
+
+module.exports = {
+  DEFAULT_UPSTREAM_OPTIONS,
+  GatewayUpstreamAgents,
+  read_upstream_file,
+}
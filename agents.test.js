@@ -0,0 +1,214 @@
+const assert = require('assert')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const {
+  DEFAULT_UPSTREAM_OPTIONS,
+  GatewayUpstreamAgents,
+  read_upstream_file,
+} = require('./agents')
+const { GatewayConfigRouter } = require('./config')
+const { GatewayLocalCA } = require('./local_ca')
+const { run, test } = require('./test_helpers')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-'))
+const ca = new GatewayLocalCA()
+const client = ca.issue(['client'])
+const files = {
+  ca: path.join(dir, 'ca.pem'),
+  cert: path.join(dir, 'client.crt'),
+  key: path.join(dir, 'client.key'),
+  invalid: path.join(dir, 'invalid.pem'),
+  missing: path.join(dir, 'missing.pem'),
+}
+fs.writeFileSync(files.ca, ca.ca_cert)
+fs.writeFileSync(files.cert, client.cert)
+fs.writeFileSync(files.key, client.key)
+fs.writeFileSync(files.invalid, 'not a pem')
+
+test('upstream files are validated', () => {
+  assert.strictEqual(
+    read_upstream_file(files.key, 'key_file').toString(),
+    client.key
+  )
+  assert.throws(
+    () => read_upstream_file(files.invalid, 'ca_file'),
+    new RegExp(`Invalid upstream ca_file ${files.invalid}`)
+  )
+  assert.throws(() => read_upstream_file(files.cert, 'key_file'), /key_file/)
+  assert.throws(() => read_upstream_file(files.missing, 'cert_file'), /ENOENT/)
+})
+
+test('the defaults and targets files are loaded on construction', () => {
+  assert.throws(
+    () =>
+      new GatewayUpstreamAgents({
+        targets: { api: { ca_file: files.missing } },
+      }),
+    /Invalid upstream ca_file/
+  )
+
+  const copy = path.join(dir, 'copy.pem')
+  fs.copyFileSync(files.ca, copy)
+  const agents = new GatewayUpstreamAgents({
+    defaults: { ca_file: [copy] },
+    targets: { api: { cert_file: files.cert, key_file: files.key } },
+  })
+  // the files are not read when the requests are sent.
+  fs.unlinkSync(copy)
+  const options = agents.apply({ headers: {} }, agents.get_options('api'), true)
+  assert.deepStrictEqual(
+    options.ca.map((ca) => ca.toString()),
+    [ca.ca_cert]
+  )
+  assert.strictEqual(options.cert.toString(), client.cert)
+  assert.strictEqual(options.key.toString(), client.key)
+  assert.strictEqual(options.rejectUnauthorized, true)
+  agents.destroy()
+})
+
+test('route files are loaded before they are used', () => {
+  const agents = new GatewayUpstreamAgents()
+  const route_options = { ca_file: files.ca, servername: 'backend' }
+  assert.throws(
+    () => agents.apply({}, agents.get_options('api', route_options), true),
+    /was not loaded/
+  )
+  agents.load_files(route_options)
+  const options = agents.apply(
+    {},
+    agents.get_options('api', route_options),
+    true
+  )
+  assert.strictEqual(options.ca.toString(), ca.ca_cert)
+  assert.strictEqual(options.servername, 'backend')
+
+  // the tls options are only applied to secure requests.
+  assert.strictEqual(
+    agents.apply({}, agents.get_options('api', route_options), false).ca,
+    undefined
+  )
+  agents.destroy()
+})
+
+test('reload keeps the loaded files if a file is invalid', () => {
+  const rotated = path.join(dir, 'rotated.pem')
+  fs.writeFileSync(rotated, ca.ca_cert)
+  const agents = new GatewayUpstreamAgents({ defaults: { ca_file: rotated } })
+
+  const other_ca = new GatewayLocalCA().ca_cert
+  fs.writeFileSync(rotated, other_ca)
+  agents.reload()
+  const get_ca = () =>
+    agents.apply({}, agents.get_options('api'), true).ca.toString()
+  assert.strictEqual(get_ca(), other_ca)
+
+  fs.writeFileSync(rotated, 'truncated')
+  assert.throws(() => agents.reload(), /Invalid upstream ca_file/)
+  assert.strictEqual(get_ca(), other_ca)
+  agents.destroy()
+})
+
+test('tls files are applied to secure requests and reloaded', () => {
+  const rotated = path.join(dir, 'tls.pem')
+  fs.writeFileSync(rotated, ca.ca_cert)
+  const agents = new GatewayUpstreamAgents({
+    defaults: { ca_file: rotated, servername: 'backend' },
+  })
+  const get_options = (is_secure) =>
+    agents.apply({}, agents.get_options('api'), is_secure)
+  assert.strictEqual(get_options(true).ca.toString(), ca.ca_cert)
+  assert.strictEqual(get_options(true).servername, 'backend')
+  assert.strictEqual(get_options(false).ca, undefined)
+
+  const other_ca = new GatewayLocalCA().ca_cert
+  fs.writeFileSync(rotated, other_ca)
+  agents.reload()
+  assert.strictEqual(get_options(true).ca.toString(), other_ca)
+  agents.destroy()
+})
+
+test('target options', () => {
+  const agents = new GatewayUpstreamAgents({
+    defaults: { max_sockets: 10 },
+    targets: { api: { max_sockets: 20, reject_unauthorized: false } },
+  })
+  assert.deepStrictEqual(agents.get_options('other'), {
+    ...DEFAULT_UPSTREAM_OPTIONS,
+    max_sockets: 10,
+  })
+  assert.strictEqual(agents.get_options('api').max_sockets, 20)
+  assert.strictEqual(
+    agents.get_options('api', { max_sockets: 30 }).max_sockets,
+    30
+  )
+  // target ids are not looked up in the object prototype.
+  for (const target_id of ['__proto__', 'constructor', 'toString'])
+    assert.strictEqual(agents.get_options(target_id).max_sockets, 10)
+
+  const by_function = new GatewayUpstreamAgents({
+    targets: (target_id) =>
+      target_id == 'docker' ? { socket_path: '/d' } : null,
+  })
+  assert.strictEqual(
+    by_function.apply({}, by_function.get_options('docker'), false).socketPath,
+    '/d'
+  )
+})
+
+test('agents are shared by pool options', () => {
+  const agents = new GatewayUpstreamAgents({
+    targets: { api: { max_sockets: 5 } },
+  })
+  const agent = (target_id, is_secure) =>
+    agents.apply({}, agents.get_options(target_id), is_secure).agent
+  assert.strictEqual(agent('a', false), agent('b', false))
+  assert.notStrictEqual(agent('a', false), agent('a', true))
+  assert.strictEqual(agent('api', false).maxSockets, 5)
+  assert.ok(agent('a', false) instanceof http.Agent)
+
+  // a custom agent or connection is kept.
+  assert.strictEqual(
+    agents.apply({ agent: false }, agents.get_options('a'), false).agent,
+    false
+  )
+  agents.destroy()
+  assert.strictEqual(agents._agents.size, 0)
+})
+
+test('config routes files are loaded by the router', () => {
+  const agents = new GatewayUpstreamAgents()
+  const route = (ca_file) => ({
+    name: 'api',
+    target: 'api',
+    backend: 'https://backend',
+    upstream_options: { ca_file },
+  })
+  const router = new GatewayConfigRouter({
+    routes: [route(files.ca)],
+    upstream_agents: agents,
+  })
+  assert.strictEqual(
+    agents
+      .apply(
+        {},
+        agents.get_options('api', route(files.ca).upstream_options),
+        true
+      )
+      .ca.toString(),
+    ca.ca_cert
+  )
+
+  assert.throws(
+    () => router.set_route(route(files.invalid)),
+    (err) => {
+      assert.strictEqual(err.code, 'ECONFIG')
+      assert.strictEqual(err.key, 'routes[0].upstream_options')
+      return true
+    }
+  )
+  assert.strictEqual(router.get_routes().length, 1)
+})
+
+run().finally(() => fs.rmSync(dir, { recursive: true, force: true }))
@@ -0,0 +1,285 @@
+const assert = require('assert')
+const http = require('http')
+const net = require('net')
+const express = require('express')
+const { Gateway, GatewayRequestParser } = require('./gateway')
+const { GatewayHostSigner } = require('./signing')
+const {
+  create_upgrade_response_header,
+  validate_websocket_subprotocol,
+} = require('./tunnel')
+const {
+  create_gateway_server,
+  GATEWAY_TEST_HOST,
+  listen,
+  run,
+  test,
+} = require('./test_helpers')
+
+/**
+ * A websocket backend, the upgrade response sets multi-valued headers, selects
+ * the last requested subprotocol (or the 'select' query value) and is sent with
+ * the first data. The received data is echoed until the gateway ends the
+ * connection. Requests without an upgrade (and /refuse upgrades) are refused
+ * with 403.
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @param {Buffer} head
+ */
+function handle_backend_upgrade(req, socket, head) {
+  const url = new URL(req.url, 'http://backend')
+  if (url.pathname == '/refuse') {
+    socket.end(
+      'HTTP/1.1 403 Forbidden\r\nContent-Type: text/plain\r\n' +
+        'Content-Length: 7\r\nConnection: close\r\n\r\ndenied!'
+    )
+    return
+  }
+
+  const requested = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map((protocol) => protocol.trim())
+    .filter((protocol) => protocol.length > 0)
+  const selected = url.searchParams.get('select') || requested.pop()
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Set-Cookie: a=1',
+      'Set-Cookie: b=2',
+      'X-Backend-Case: Kept',
+      'X-Backend-Url: ' + req.url,
+    ]
+      .concat(selected ? ['Sec-WebSocket-Protocol: ' + selected] : [])
+      .join('\r\n') + '\r\n\r\nwelcome;'
+  )
+  if (head.length > 0) socket.write('echo:' + head)
+  socket.on('data', (data) => socket.write('echo:' + data))
+  socket.on('end', () => socket.end())
+}
+
+/**
+ * @param {Object} options The gateway options.
+ * @returns {Promise<{port:number, gateway:Gateway, close:()=>void}>} A gateway server,
+ * attached to the server upgrades, in front of the websocket backend.
+ */
+async function create_upgrade_gateway(options = {}) {
+  const backend = http.createServer((req, res) =>
+    res.writeHead(403).end('denied!')
+  )
+  backend.on('upgrade', handle_backend_upgrade)
+  const backend_url = `http://127.0.0.1:${await listen(backend)}/`
+
+  const server = await create_gateway_server({
+    gateway: options,
+    // the target "refused" has no listening backend.
+    parser: () =>
+      new GatewayRequestParser({
+        parse_url_from_id: (gateway, req, target_id) =>
+          new URL(
+            req.originalUrl,
+            target_id == 'refused' ? 'http://127.0.0.1:1/' : backend_url
+          ).href,
+      }),
+  })
+  // upgrades use the parser of the gateway middleware.
+  server.gateway.attach(server.server)
+  return {
+    port: server.port,
+    gateway: server.gateway,
+    close: () => {
+      server.close()
+      backend.close()
+    },
+  }
+}
+
+/**
+ * Send a raw request on a new connection and read until the text is received
+ * or the connection closed.
+ * @param {number} port
+ * @param {string} data The raw request (and any early data).
+ * @param {string} text
+ * @returns {Promise<string>} The received data.
+ */
+function send_raw(port, data, text = null) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1')
+    let received = ''
+    socket.on('data', (chunk) => {
+      received += chunk
+      if (text != null && received.includes(text)) {
+        socket.destroy()
+        resolve(received)
+      }
+    })
+    socket.on('close', () => resolve(received))
+    socket.on('error', reject)
+    socket.write(data)
+  })
+}
+
+/**
+ * @param {string} path
+ * @param {Object<string, string>} headers Extra request headers.
+ * @param {string} host
+ * @returns {string} A raw websocket upgrade request.
+ */
+function create_upgrade_request(path, headers = {}, host = GATEWAY_TEST_HOST) {
+  return (
+    [
+      `GET ${path} HTTP/1.1`,
+      `Host: ${host}`,
+      'Connection: Upgrade',
+      'Upgrade: websocket',
+      'Sec-WebSocket-Version: 13',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+    ]
+      .concat(Object.entries(headers).map(([k, v]) => `${k}: ${v}`))
+      .join('\r\n') + '\r\n\r\n'
+  )
+}
+
+test('upgrade response headers keep multiple values and casing', () => {
+  const header = create_upgrade_response_header({
+    statusCode: 101,
+    statusMessage: 'Switching Protocols',
+    rawHeaders: [
+      'Upgrade',
+      'websocket',
+      'Set-Cookie',
+      'a=1',
+      'Set-Cookie',
+      'b=2',
+    ],
+  })
+  assert.strictEqual(
+    header,
+    'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\n' +
+      'Set-Cookie: a=1\r\nSet-Cookie: b=2\r\n\r\n'
+  )
+})
+
+test('websocket subprotocol must be requested by the client', () => {
+  const req = { headers: { 'sec-websocket-protocol': 'a, b' } }
+  const rsp = (protocol) => ({
+    headers: protocol == null ? {} : { 'sec-websocket-protocol': protocol },
+  })
+  assert.strictEqual(validate_websocket_subprotocol(req, rsp(null)), null)
+  assert.strictEqual(validate_websocket_subprotocol(req, rsp('b')), null)
+  assert.match(validate_websocket_subprotocol(req, rsp('c')), /not requested/)
+  assert.match(validate_websocket_subprotocol(req, rsp('a, b')), /multiple/)
+})
+
+test('attach requires a parser or a gateway middleware', () => {
+  const gateway = new Gateway({ access_policy: false })
+  const server = http.createServer()
+  assert.throws(() => gateway.attach(server), /parser is required/)
+
+  express().use(gateway.middleware(new GatewayRequestParser()))
+  const detach = gateway.attach(server)
+  assert.strictEqual(server.listenerCount('upgrade'), 1)
+  assert.strictEqual(server.listenerCount('connect'), 1)
+  detach()
+  assert.strictEqual(server.listenerCount('upgrade'), 0)
+  assert.strictEqual(server.listenerCount('connect'), 0)
+})
+
+test('attached upgrades are relayed with the head buffers', async () => {
+  const gateway = await create_upgrade_gateway()
+  try {
+    // the early data is sent with the upgrade request (the head buffer).
+    const received = await send_raw(
+      gateway.port,
+      create_upgrade_request('/ws', { 'Sec-WebSocket-Protocol': 'chat, v2' }) +
+        'early',
+      'echo:early'
+    )
+    const [header, body] = received.split('\r\n\r\n')
+    const lines = header.split('\r\n')
+    assert.strictEqual(lines[0], 'HTTP/1.1 101 Switching Protocols')
+    assert.deepStrictEqual(
+      lines.filter((line) => line.startsWith('Set-Cookie')),
+      ['Set-Cookie: a=1', 'Set-Cookie: b=2']
+    )
+    assert.ok(lines.includes('X-Backend-Case: Kept'))
+    assert.ok(lines.includes('Sec-WebSocket-Protocol: v2'))
+    // the backend data sent with the upgrade response (the backend head).
+    assert.strictEqual(body, 'welcome;echo:early')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('subprotocols the client did not request are refused', async () => {
+  const gateway = await create_upgrade_gateway()
+  try {
+    const received = await send_raw(
+      gateway.port,
+      create_upgrade_request('/ws?select=other', {
+        'Sec-WebSocket-Protocol': 'chat',
+      })
+    )
+    assert.match(received, /^HTTP\/1\.1 502 Bad Gateway\r\n/)
+    assert.doesNotMatch(received, /welcome/)
+  } finally {
+    gateway.close()
+  }
+})
+
+test('refused upgrades get the backend response on the raw socket', async () => {
+  const gateway = await create_upgrade_gateway()
+  try {
+    const refused = await send_raw(
+      gateway.port,
+      create_upgrade_request('/refuse')
+    )
+    assert.match(refused, /^HTTP\/1\.1 403 Forbidden\r\n/)
+    assert.ok(refused.endsWith('\r\n\r\ndenied!'), refused)
+
+    // a backend that cannot be reached gets a gateway error response.
+    const unreachable = await send_raw(
+      gateway.port,
+      create_upgrade_request(
+        '/ws',
+        { Accept: 'text/plain' },
+        'refused.gateway-proxy.localhost'
+      )
+    )
+    assert.match(unreachable, /^HTTP\/1\.1 502 Bad Gateway\r\n/)
+    assert.match(unreachable, /connection: close/i)
+  } finally {
+    gateway.close()
+  }
+})
+
+test('signed upgrades accept the query token without a redirect', async () => {
+  const host_signing = new GatewayHostSigner({
+    secrets: ['s1'],
+    mode: 'cookie',
+  })
+  const gateway = await create_upgrade_gateway({ host_signing })
+  try {
+    const token = host_signing.create_token({}, 'svc')
+    const received = await send_raw(
+      gateway.port,
+      create_upgrade_request(`/ws?a=1&gateway_token=${token}`),
+      'welcome;'
+    )
+    assert.match(received, /^HTTP\/1\.1 101 Switching Protocols\r\n/)
+    // the token is not sent to the backend.
+    assert.match(received, /\r\nX-Backend-Url: \/ws\?a=1\r\n/)
+
+    const denied = await send_raw(
+      gateway.port,
+      create_upgrade_request('/ws?gateway_token=gs-invalid')
+    )
+    assert.match(denied, /^HTTP\/1\.1 403 Forbidden\r\n/)
+    assert.doesNotMatch(denied, /welcome/)
+  } finally {
+    gateway.close()
+  }
+})
+
+run()
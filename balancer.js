@@ -0,0 +1,426 @@
+const crypto = require('crypto')
+const { Request } = require('express/index')
+
+/**
+ * @typedef {'round-robin'|'weighted'|'least-outstanding'|'consistent-hash'} GatewayBalancerStrategyName
+ */
+
+/**
+ * A custom balancing strategy. Should return one of the available upstreams.
+ * @typedef {(pool:GatewayUpstreamPool, upstreams:GatewayUpstream[], req:Request)=>GatewayUpstream} GatewayBalancerStrategyMethod
+ */
+
+/**
+ * A single backend entry, as returned (normalized) from the parser.
+ * @typedef {{url:URL, weight:number}} GatewayBackendEntry
+ */
+
+/**
+ * @param {string} value
+ * @returns {number} A 32 bit hash of the value
+ */
+function hash_value(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0)
+}
+
+class GatewayUpstream {
+  /**
+   * @param {string} key The upstream identifier (host:port)
+   * @param {number} weight The relative weight of the upstream
+   */
+  constructor(key, weight = 1) {
+    /** @type {string} The upstream identifier (host:port) */
+    this.key = key
+
+    /** @type {number} The relative weight, used by the weighted/hash strategies */
+    this.weight = weight
+
+    /** @type {number} The number of requests/sessions currently open */
+    this.in_flight = 0
+
+    /** @type {number} The total number of requests sent to this upstream */
+    this.total_requests = 0
+
+    /** @type {number} Smooth weighted round robin state */
+    this.current_weight = 0
+
+    /** @type {string} The last protocol used to call the upstream */
+    this.protocol = null
+
+    /** @type {boolean} False if the active health probe marked the upstream down */
+    this.healthy = true
+
+    /** @type {number} The time (ms) until which the upstream is ejected from the pool */
+    this.ejected_until = 0
+
+    /** @type {number} The number of times the upstream was ejected in a row */
+    this.ejections = 0
+
+    /** @type {number} Consecutive connection errors (passive detection) */
+    this.consecutive_errors = 0
+
+    /** @type {number} Consecutive probe results, positive for success, negative for failure */
+    this.probe_streak = 0
+  }
+
+  /**
+   * @param {number} now The current time (ms)
+   * @returns {'healthy'|'unhealthy'|'ejected'} The upstream state.
+   */
+  get_state(now = Date.now()) {
+    if (this.ejected_until > now) return 'ejected'
+    if (!this.healthy) return 'unhealthy'
+    return 'healthy'
+  }
+
+  /**
+   * @param {number} now The current time (ms)
+   * @returns {boolean} True if the upstream can accept requests.
+   */
+  is_available(now = Date.now()) {
+    return this.get_state(now) == 'healthy'
+  }
+
+  to_json() {
+    return {
+      key: this.key,
+      weight: this.weight,
+      state: this.get_state(),
+      in_flight: this.in_flight,
+      total_requests: this.total_requests,
+      consecutive_errors: this.consecutive_errors,
+    }
+  }
+}
+
+class GatewayUpstreamPool {
+  /**
+   * @param {string} target_id The target id this pool serves.
+   */
+  constructor(target_id) {
+    /** @type {string} */
+    this.target_id = target_id
+
+    /** @type {Map<string, GatewayUpstream>} The members and the upstreams with requests in flight, by key */
+    this.upstreams = new Map()
+
+    /** @type {GatewayUpstream[]} The current pool members */
+    this.members = []
+
+    this.round_robin_index = 0
+
+    /** @type {'closed'|'open'|'half-open'} The target circuit breaker state */
+    this.circuit_state = 'closed'
+
+    /** @type {number} The time (ms) after which an open circuit allows a trial request */
+    this.circuit_retry_at = 0
+
+    /** @type {number} Consecutive failed requests to the target (any upstream) */
+    this.consecutive_failures = 0
+
+    /** @type {number} The last time (ms) the pool was used, idle pools are evicted */
+    this.last_used = Date.now()
+
+    /** @type {boolean} True if the pool serves forward proxy targets (not actively probed) */
+    this.is_forward_proxy = false
+
+    /** @type {{hash:number, upstream:GatewayUpstream}[]} */
+    this._hash_ring = null
+    this._members_signature = null
+  }
+
+  /**
+   * Update the pool members from the parsed backend entries. Upstream
+   * counters are kept between updates.
+   * @param {GatewayBackendEntry[]} entries
+   */
+  update(entries) {
+    const members = entries.map((entry) => {
+      const key = entry.url.host
+      let upstream = this.upstreams.get(key)
+      if (upstream == null) {
+        upstream = new GatewayUpstream(key, entry.weight)
+        this.upstreams.set(key, upstream)
+      }
+      upstream.weight = entry.weight
+      upstream.protocol = entry.url.protocol
+      return upstream
+    })
+
+    const signature = members.map((u) => u.key + '*' + u.weight).join(',')
+    if (signature != this._members_signature) {
+      this._members_signature = signature
+      this._hash_ring = null
+    }
+
+    // clean up upstreams that are no longer members and are not active.
+    for (const [key, upstream] of this.upstreams) {
+      if (members.indexOf(upstream) == -1 && upstream.in_flight == 0)
+        this.upstreams.delete(key)
+    }
+
+    this.members = members
+  }
+
+  /**
+   * @param {number} replicas The number of virtual nodes per unit of weight.
+   */
+  get_hash_ring(replicas) {
+    if (this._hash_ring != null) return this._hash_ring
+    const ring = []
+    for (const upstream of this.members) {
+      const count = Math.max(1, Math.round(replicas * upstream.weight))
+      for (let i = 0; i < count; i++)
+        ring.push({ hash: hash_value(upstream.key + '#' + i), upstream })
+    }
+    ring.sort((a, b) => a.hash - b.hash)
+    this._hash_ring = ring
+    return ring
+  }
+
+  /**
+   * @param {number} now The current time (ms)
+   * @returns {boolean} True if the pool has no requests in flight and no
+   * failure state (circuit, ejections, unhealthy upstreams) that would be lost
+   * by evicting it.
+   */
+  is_idle(now = Date.now()) {
+    return (
+      this.circuit_state == 'closed' &&
+      this.consecutive_failures == 0 &&
+      [...this.upstreams.values()].every(
+        (upstream) => upstream.in_flight == 0 && upstream.is_available(now)
+      )
+    )
+  }
+
+  to_json() {
+    return {
+      circuit_state: this.circuit_state,
+      upstreams: this.members.map((upstream) => upstream.to_json()),
+    }
+  }
+}
+
+class GatewayBalancer {
+  /**
+   * Selects an upstream from a pool of backends for a target.
+   * @param {{
+   * strategy: GatewayBalancerStrategyName | GatewayBalancerStrategyMethod,
+   * hash_header: string,
+   * hash_replicas: number,
+   * pool_idle_timeout: number,
+   * max_pools: number,
+   * }} param0 Pools are created per target id (which may be client controlled),
+   * pools that were idle for pool_idle_timeout (ms) are evicted, and idle pools
+   * are evicted early when there are more than max_pools.
+   */
+  constructor({
+    strategy = 'round-robin',
+    hash_header = null,
+    hash_replicas = 100,
+    pool_idle_timeout = 5 * 60 * 1000,
+    max_pools = 10000,
+  } = {}) {
+    /** @type {GatewayBalancerStrategyName | GatewayBalancerStrategyMethod} */
+    this.strategy = strategy
+    /** @type {string} If defined, consistent hashing uses this header rather then the client ip */
+    this.hash_header = hash_header
+    this.hash_replicas = hash_replicas
+
+    this.pool_idle_timeout = pool_idle_timeout
+    this.max_pools = max_pools
+
+    /** @type {Map<string, GatewayUpstreamPool>} The upstream pools by target id */
+    this.pools = new Map()
+
+    /** @type {number} The time (ms) after which idle pools are checked again */
+    this._next_eviction = Date.now() + pool_idle_timeout
+  }
+
+  /**
+   * @param {string} target_id
+   * @returns {GatewayUpstreamPool} The target pool, created if missing.
+   */
+  get_pool(target_id) {
+    let pool = this.pools.get(target_id)
+    if (pool == null) {
+      this.evict_idle_pools()
+      pool = new GatewayUpstreamPool(target_id)
+      this.pools.set(target_id, pool)
+    }
+    pool.last_used = Date.now()
+    return pool
+  }
+
+  /**
+   * @param {string} target_id
+   * @returns {GatewayUpstreamPool} The target pool, or null if missing.
+   */
+  find_pool(target_id) {
+    return this.pools.get(target_id) || null
+  }
+
+  /**
+   * Remove the pools that were idle for pool_idle_timeout. If there are still
+   * more than max_pools, the least recently created idle pools are removed.
+   * @param {number} now The current time (ms)
+   */
+  evict_idle_pools(now = Date.now()) {
+    const is_full = this.pools.size >= this.max_pools
+    if (!is_full && now < this._next_eviction) return
+    this._next_eviction = now + this.pool_idle_timeout
+
+    for (const [target_id, pool] of this.pools) {
+      if (now - pool.last_used >= this.pool_idle_timeout && pool.is_idle(now))
+        this.pools.delete(target_id)
+    }
+
+    for (const [target_id, pool] of this.pools) {
+      if (this.pools.size < this.max_pools) break
+      if (pool.is_idle(now)) this.pools.delete(target_id)
+    }
+  }
+
+  /**
+   * @param {Request} req
+   * @returns {string} The consistent hashing key for the request.
+   */
+  get_hash_key(req) {
+    if (this.hash_header != null) {
+      const value = req.headers[this.hash_header.toLowerCase()]
+      if (value != null) return Array.isArray(value) ? value.join(',') : value
+    }
+    return req.ip || (req.socket || {}).remoteAddress || ''
+  }
+
+  /**
+   * Returns the upstreams which can currently accept requests.
+   * @param {GatewayUpstreamPool} pool
+   * @returns {GatewayUpstream[]}
+   */
+  get_available_upstreams(pool) {
+    const now = Date.now()
+    return pool.members.filter((upstream) => upstream.is_available(now))
+  }
+
+  /**
+   * @param {GatewayUpstreamPool} pool
+   * @param {GatewayUpstream[]} upstreams
+   * @param {Request} req
+   * @returns {GatewayUpstream}
+   */
+  _apply_strategy(pool, upstreams, req) {
+    if (typeof this.strategy == 'function')
+      return this.strategy(pool, upstreams, req)
+
+    switch (this.strategy) {
+      case 'round-robin': {
+        const upstream = upstreams[pool.round_robin_index % upstreams.length]
+        pool.round_robin_index = (pool.round_robin_index + 1) % upstreams.length
+        return upstream
+      }
+      case 'weighted': {
+        // smooth weighted round robin (as in nginx)
+        let total = 0
+        let best = null
+        for (const upstream of upstreams) {
+          upstream.current_weight += upstream.weight
+          total += upstream.weight
+          if (best == null || upstream.current_weight > best.current_weight)
+            best = upstream
+        }
+        best.current_weight -= total
+        return best
+      }
+      case 'least-outstanding': {
+        let best = null
+        for (const upstream of upstreams) {
+          if (
+            best == null ||
+            upstream.in_flight / upstream.weight < best.in_flight / best.weight
+          )
+            best = upstream
+        }
+        return best
+      }
+      case 'consistent-hash': {
+        const ring = pool.get_hash_ring(this.hash_replicas)
+        const hash = hash_value(this.get_hash_key(req))
+        // binary search for the first node at or after the hash.
+        let low = 0
+        let high = ring.length
+        while (low < high) {
+          const mid = (low + high) >>> 1
+          if (ring[mid].hash < hash) low = mid + 1
+          else high = mid
+        }
+        // walk the ring until an available upstream is found.
+        for (let i = 0; i < ring.length; i++) {
+          const node = ring[(low + i) % ring.length]
+          if (upstreams.indexOf(node.upstream) != -1) return node.upstream
+        }
+        return null
+      }
+      default:
+        throw new Error('Unknown load balancing strategy: ' + this.strategy)
+    }
+  }
+
+  /**
+   * Select an upstream for the request.
+   * @param {string} target_id
+   * @param {GatewayBackendEntry[]} entries
+   * @param {Request} req
+   * @returns {{upstream: GatewayUpstream, url: URL}} The selected upstream
+   * and its backend url, or null if no upstream is available.
+   */
+  select(target_id, entries, req) {
+    const pool = this.get_pool(target_id)
+    pool.update(entries)
+
+    const upstreams = this.get_available_upstreams(pool)
+    if (upstreams.length == 0) return null
+
+    const upstream =
+      upstreams.length == 1
+        ? upstreams[0]
+        : this._apply_strategy(pool, upstreams, req)
+    if (upstream == null) return null
+
+    const entry = entries.find((e) => e.url.host == upstream.key)
+    return { upstream, url: entry.url }
+  }
+
+  /**
+   * Mark a request as started against the upstream.
+   * @param {GatewayUpstream} upstream
+   * @returns {()=>void} Call to mark the request as done. Can be called multiple times.
+   */
+  acquire(upstream) {
+    let released = false
+    upstream.in_flight += 1
+    upstream.total_requests += 1
+    return () => {
+      if (released) return
+      released = true
+      upstream.in_flight -= 1
+    }
+  }
+
+  /**
+   * @returns {Object<string, Object>} The state of all pools, by target id.
+   */
+  get_state() {
+    // fromEntries defines own properties (safe for any target id).
+    return Object.fromEntries(
+      [...this.pools].map(([target_id, pool]) => [target_id, pool.to_json()])
+    )
+  }
+}
+
+module.exports = {
+  GatewayBalancer,
+  GatewayUpstream,
+  GatewayUpstreamPool,
+}
@@ -0,0 +1,163 @@
+const assert = require('assert')
+const { GatewayBalancer } = require('./balancer')
+const { run, test } = require('./test_helpers')
+
+/**
+ * @param {string[]} hosts e.g. a:8080 or a:8080*3 (weight 3)
+ */
+function create_entries(hosts) {
+  return hosts.map((host) => {
+    const [key, weight] = host.split('*')
+    return { url: new URL('http://' + key), weight: parseInt(weight || '1') }
+  })
+}
+
+/**
+ * @param {GatewayBalancer} balancer
+ * @param {Object} entries
+ * @param {number} count
+ * @param {Object} req
+ * @returns {string[]} The selected upstream keys.
+ */
+function select_many(balancer, entries, count, req = {}) {
+  const keys = []
+  for (let i = 0; i < count; i++)
+    keys.push(balancer.select('svc', entries, req).upstream.key)
+  return keys
+}
+
+test('round-robin cycles through the members', () => {
+  const balancer = new GatewayBalancer({ strategy: 'round-robin' })
+  const entries = create_entries(['a:8080', 'b:8080', 'c:8080'])
+  assert.deepStrictEqual(select_many(balancer, entries, 6), [
+    'a:8080',
+    'b:8080',
+    'c:8080',
+    'a:8080',
+    'b:8080',
+    'c:8080',
+  ])
+})
+
+test('weighted distributes by weight (smooth)', () => {
+  const balancer = new GatewayBalancer({ strategy: 'weighted' })
+  const entries = create_entries(['a:8080*5', 'b:8080*1', 'c:8080*1'])
+  const keys = select_many(balancer, entries, 7)
+  assert.strictEqual(keys.filter((k) => k == 'a:8080').length, 5)
+  assert.strictEqual(keys.filter((k) => k == 'b:8080').length, 1)
+  assert.strictEqual(keys.filter((k) => k == 'c:8080').length, 1)
+  // smooth: the heavy upstream is not selected 5 times in a row.
+  assert.notDeepStrictEqual(keys.slice(0, 5), Array(5).fill('a:8080'))
+})
+
+test('least-outstanding prefers the upstream with the fewest requests', () => {
+  const balancer = new GatewayBalancer({ strategy: 'least-outstanding' })
+  const entries = create_entries(['a:8080', 'b:8080'])
+  const first = balancer.select('svc', entries, {})
+  const release = balancer.acquire(first.upstream)
+  const second = balancer.select('svc', entries, {})
+  assert.notStrictEqual(second.upstream, first.upstream)
+  release()
+  release()
+  assert.strictEqual(first.upstream.in_flight, 0)
+})
+
+test('consistent-hash maps a key to the same upstream', () => {
+  const balancer = new GatewayBalancer({
+    strategy: 'consistent-hash',
+    hash_header: 'X-User',
+  })
+  const entries = create_entries(['a:8080', 'b:8080', 'c:8080'])
+  const users = ['u1', 'u2', 'u3', 'u4', 'u5', 'u6', 'u7', 'u8']
+  const select_user = (user) =>
+    balancer.select('svc', entries, { headers: { 'x-user': user } }).upstream
+      .key
+
+  const selected = users.map(select_user)
+  assert.deepStrictEqual(users.map(select_user), selected)
+  assert.ok(new Set(selected).size > 1)
+
+  // removing an upstream only moves the keys that were mapped to it.
+  const removed = selected[0]
+  const remaining = create_entries(
+    ['a:8080', 'b:8080', 'c:8080'].filter((k) => k != removed)
+  )
+  users.forEach((user, i) => {
+    const key = balancer.select('svc', remaining, {
+      headers: { 'x-user': user },
+    }).upstream.key
+    if (selected[i] != removed) assert.strictEqual(key, selected[i])
+  })
+})
+
+test('consistent-hash falls back to the client ip', () => {
+  const balancer = new GatewayBalancer({ strategy: 'consistent-hash' })
+  const entries = create_entries(['a:8080', 'b:8080', 'c:8080'])
+  const key = balancer.select('svc', entries, { ip: '10.0.0.1' }).upstream.key
+  for (let i = 0; i < 5; i++)
+    assert.strictEqual(
+      balancer.select('svc', entries, { ip: '10.0.0.1' }).upstream.key,
+      key
+    )
+})
+
+test('ejected upstreams are skipped, none available returns null', () => {
+  const balancer = new GatewayBalancer()
+  const entries = create_entries(['a:8080', 'b:8080'])
+  balancer.select('svc', entries, {})
+  const pool = balancer.get_pool('svc')
+  pool.upstreams.get('a:8080').ejected_until = Date.now() + 60000
+  assert.deepStrictEqual(select_many(balancer, entries, 3), [
+    'b:8080',
+    'b:8080',
+    'b:8080',
+  ])
+  pool.upstreams.get('b:8080').healthy = false
+  assert.strictEqual(balancer.select('svc', entries, {}), null)
+})
+
+test('custom strategy function', () => {
+  const balancer = new GatewayBalancer({
+    strategy: (pool, upstreams) => upstreams[upstreams.length - 1],
+  })
+  const entries = create_entries(['a:8080', 'b:8080'])
+  assert.deepStrictEqual(select_many(balancer, entries, 2), [
+    'b:8080',
+    'b:8080',
+  ])
+})
+
+test('pools are keyed safely by any target id', () => {
+  const balancer = new GatewayBalancer()
+  for (const target_id of ['__proto__', 'constructor', 'hasOwnProperty']) {
+    const entries = create_entries(['__proto__:8080'])
+    const selected = balancer.select(target_id, entries, {})
+    assert.strictEqual(selected.upstream.key, '__proto__:8080')
+    assert.strictEqual(balancer.get_pool(target_id).target_id, target_id)
+  }
+  assert.strictEqual(balancer.find_pool('toString'), null)
+  assert.deepStrictEqual(Object.keys(balancer.get_state()).length, 3)
+})
+
+test('idle pools are evicted', () => {
+  const balancer = new GatewayBalancer({ pool_idle_timeout: 1000 })
+  const entries = create_entries(['a:8080'])
+  balancer.select('idle', entries, {})
+  balancer.select('busy', entries, {})
+  balancer.acquire(balancer.get_pool('busy').members[0])
+  balancer.select('failing', entries, {})
+  balancer.get_pool('failing').circuit_state = 'open'
+
+  balancer.evict_idle_pools(Date.now() + 2000)
+  assert.deepStrictEqual([...balancer.pools.keys()], ['busy', 'failing'])
+})
+
+test('max_pools evicts idle pools early', () => {
+  const balancer = new GatewayBalancer({ max_pools: 10 })
+  const entries = create_entries(['a:8080'])
+  for (let i = 0; i < 100; i++) balancer.select('target-' + i, entries, {})
+  assert.ok(balancer.pools.size <= 10)
+  assert.ok(balancer.find_pool('target-99') != null)
+})
+
+run()
@@ -0,0 +1,496 @@
+const http = require('http')
+const { Request } = require('express/index')
+
+/**
+ * @typedef {'HIT'|'MISS'|'REVALIDATED'|'BYPASS'} GatewayCacheStatus
+ *
+ * @typedef {{
+ * vary: Object<string, string>,
+ * status: number,
+ * headers: http.IncomingHttpHeaders,
+ * body: Buffer,
+ * stored_at: number,
+ * initial_age: number,
+ * expires_at: number,
+ * }} GatewayCacheVariant A stored response, for the request vary header values.
+ *
+ * @typedef {{
+ * target_id: string,
+ * url: string,
+ * variants: GatewayCacheVariant[],
+ * }} GatewayCacheEntry The stored responses for a url.
+ *
+ * @typedef {{
+ * get: (key:string)=>GatewayCacheEntry|Promise<GatewayCacheEntry>,
+ * set: (key:string, entry:GatewayCacheEntry, size:number)=>void|Promise<void>,
+ * delete: (key:string)=>void|Promise<void>,
+ * keys: ()=>Iterable<string>|Promise<Iterable<string>>,
+ * }} GatewayCacheStore A cache store, the methods can be async.
+ *
+ * @typedef {{
+ * key: string,
+ * entry: GatewayCacheEntry,
+ * variant: GatewayCacheVariant,
+ * is_fresh: boolean,
+ * }} GatewayCacheLookup
+ */
+
+/** Status codes that can be cached (RFC 9110 heuristically cacheable) */
+const CACHEABLE_STATUS_CODES = [
+  200, 203, 204, 300, 301, 404, 405, 410, 414, 501,
+]
+
+/** Headers that are not updated from a 304 (not modified) response */
+const NOT_UPDATED_HEADERS = [
+  'content-length',
+  'content-encoding',
+  'transfer-encoding',
+  'content-range',
+  'connection',
+  'keep-alive',
+]
+
+/**
+ * @param {string|string[]} value The cache-control header value
+ * @returns {Object<string, string|true>} The directives (lower case).
+ */
+function parse_cache_control(value) {
+  const directives = {}
+  const parts = []
+    .concat(value || [])
+    .join(',')
+    .split(',')
+  for (const part of parts) {
+    const index = part.indexOf('=')
+    const name = (index == -1 ? part : part.substr(0, index))
+      .trim()
+      .toLowerCase()
+    if (name.length == 0) continue
+    directives[name] =
+      index == -1
+        ? true
+        : part
+            .substr(index + 1)
+            .trim()
+            .replace(/^"(.*)"$/, '$1')
+  }
+  return directives
+}
+
+/**
+ * @param {http.IncomingHttpHeaders} headers
+ * @param {number} default_ttl The (heuristic) ttl (ms) if the response has no explicit freshness.
+ * @returns {number} The freshness lifetime (ms) of the response.
+ */
+function get_freshness_lifetime(headers, default_ttl = 0) {
+  const cache_control = parse_cache_control(headers['cache-control'])
+  if (cache_control['no-cache'] === true) return 0
+  for (const name of ['s-maxage', 'max-age']) {
+    const seconds = parseInt(cache_control[name])
+    if (!isNaN(seconds)) return Math.max(0, seconds) * 1000
+  }
+  if (headers.expires != null) {
+    const expires = Date.parse(headers.expires)
+    const date = Date.parse(headers.date) || Date.now()
+    return isNaN(expires) ? 0 : Math.max(0, expires - date)
+  }
+  return default_ttl
+}
+
+/**
+ * @param {string} value An ETag header value (or list of)
+ * @returns {string[]} The etags without the weak prefix
+ */
+function parse_etags(value) {
+  return String(value || '')
+    .split(',')
+    .map((etag) => etag.trim().replace(/^W\//, ''))
+    .filter((etag) => etag.length > 0)
+}
+
+class GatewayMemoryCacheStore {
+  /**
+   * An in memory LRU cache store, bounded by the stored bytes.
+   * @param {{
+   * max_size: number,
+   * }} param0
+   */
+  constructor({ max_size = 64 * 1024 * 1024 } = {}) {
+    /** @type {number} The max total size (bytes) of the stored entries */
+    this.max_size = max_size
+    /** @type {number} The current total size (bytes) */
+    this.size = 0
+
+    /** @type {Map<string, {entry:GatewayCacheEntry, size:number}>} */
+    this._items = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @returns {GatewayCacheEntry}
+   */
+  get(key) {
+    const item = this._items.get(key)
+    if (item == null) return null
+    // most recently used last.
+    this._items.delete(key)
+    this._items.set(key, item)
+    return item.entry
+  }
+
+  /**
+   * @param {string} key
+   * @param {GatewayCacheEntry} entry
+   * @param {number} size
+   */
+  set(key, entry, size) {
+    this.delete(key)
+    if (size > this.max_size) return
+    this._items.set(key, { entry, size })
+    this.size += size
+    while (this.size > this.max_size)
+      this.delete(this._items.keys().next().value)
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    const item = this._items.get(key)
+    if (item == null) return
+    this._items.delete(key)
+    this.size -= item.size
+  }
+
+  keys() {
+    return Array.from(this._items.keys())
+  }
+}
+
+class GatewayResponseCache {
+  /**
+   * An HTTP (shared) cache for the backend responses of GET requests.
+   * @param {{
+   * store: GatewayCacheStore | {max_size:number},
+   * targets: string[] | (info:import('./gateway').GatewayRequestInfo)=>boolean,
+   * max_entry_size: number,
+   * max_variants: number,
+   * default_ttl: number,
+   * status_header: string,
+   * }} param0 targets limits the cache to these targets (all if null). The route
+   * can also enable/disable the cache with info.cache. default_ttl (ms) applies to
+   * responses with validators (ETag/Last-Modified) and no explicit freshness.
+   */
+  constructor({
+    store = {},
+    targets = null,
+    max_entry_size = 1024 * 1024,
+    max_variants = 8,
+    default_ttl = 0,
+    status_header = 'x-cache',
+  } = {}) {
+    /** @type {GatewayCacheStore} */
+    this.store =
+      store != null && typeof store.get == 'function'
+        ? store
+        : new GatewayMemoryCacheStore(store || {})
+    this.targets = targets
+    /** @type {number} Larger responses are not cached (bytes) */
+    this.max_entry_size = max_entry_size
+    this.max_variants = max_variants
+    this.default_ttl = default_ttl
+    /** @type {string} The response header with the cache status, null to disable */
+    this.status_header = status_header
+  }
+
+  /**
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @returns {boolean} True if the cache is enabled for the request target.
+   */
+  is_enabled(info) {
+    if (info.cache != null) return info.cache !== false
+    if (this.targets == null) return true
+    if (typeof this.targets == 'function') return this.targets(info) === true
+    return this.targets.indexOf(info.target_id) != -1
+  }
+
+  /**
+   * @param {Request} req
+   * @returns {boolean} True if the request can be served from the cache.
+   */
+  is_cacheable_request(req) {
+    if (req.method != 'GET') return false
+    if (req.headers.range != null) return false
+    if (parse_cache_control(req.headers['cache-control'])['no-store'])
+      return false
+    return true
+  }
+
+  /**
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @returns {string}
+   */
+  get_key(req, info) {
+    const url = new URL(info.backend_url.toString())
+    url.hash = ''
+    // the url host is the selected upstream (load balanced).
+    return `${info.target_id} ${url.pathname}${url.search}`
+  }
+
+  /**
+   * Find the stored response for the request.
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @returns {Promise<GatewayCacheLookup>}
+   */
+  async lookup(req, info) {
+    const key = this.get_key(req, info)
+    const entry = await this.store.get(key)
+    const variant =
+      entry == null
+        ? null
+        : entry.variants.find((variant) => this._matches_vary(req, variant))
+
+    const request_cache_control = parse_cache_control(
+      req.headers['cache-control']
+    )
+    const max_age = parseInt(request_cache_control['max-age'])
+    const is_fresh =
+      variant != null &&
+      variant.expires_at > Date.now() &&
+      request_cache_control['no-cache'] !== true &&
+      req.headers.pragma != 'no-cache' &&
+      (isNaN(max_age) || this.get_age(variant) <= max_age * 1000)
+
+    return { key, entry, variant, is_fresh }
+  }
+
+  /**
+   * @param {GatewayCacheVariant} variant
+   * @returns {number} The age (ms) of the stored response.
+   */
+  get_age(variant) {
+    return variant.initial_age + (Date.now() - variant.stored_at)
+  }
+
+  /**
+   * @param {GatewayCacheLookup} lookup
+   * @returns {Object<string,string>} The conditional request headers to revalidate
+   * the stored response, or null if it cannot be revalidated.
+   */
+  get_revalidation_headers(lookup) {
+    if (lookup.variant == null) return null
+    const headers = {}
+    if (lookup.variant.headers.etag != null)
+      headers['if-none-match'] = lookup.variant.headers.etag
+    if (lookup.variant.headers['last-modified'] != null)
+      headers['if-modified-since'] = lookup.variant.headers['last-modified']
+    return Object.keys(headers).length == 0 ? null : headers
+  }
+
+  /**
+   * @param {Request} req
+   * @param {GatewayCacheVariant} variant
+   * @returns {boolean} True if the client (conditional request) has the stored response.
+   */
+  is_not_modified(req, variant) {
+    const if_none_match = req.headers['if-none-match']
+    if (if_none_match != null) {
+      if (variant.headers.etag == null) return false
+      if (if_none_match.trim() == '*') return true
+      const etag = parse_etags(variant.headers.etag)[0]
+      return parse_etags(if_none_match).indexOf(etag) != -1
+    }
+
+    const if_modified_since = Date.parse(req.headers['if-modified-since'])
+    const last_modified = Date.parse(variant.headers['last-modified'])
+    return (
+      !isNaN(if_modified_since) &&
+      !isNaN(last_modified) &&
+      last_modified <= if_modified_since
+    )
+  }
+
+  /**
+   * @param {Request} req
+   * @param {http.IncomingMessage} proxy_rsp
+   * @returns {boolean} True if the response can be stored.
+   */
+  is_storable(req, proxy_rsp) {
+    const headers = proxy_rsp.headers
+    if (CACHEABLE_STATUS_CODES.indexOf(proxy_rsp.statusCode) == -1) return false
+    const cache_control = parse_cache_control(headers['cache-control'])
+    if (cache_control['no-store'] || cache_control['private']) return false
+    if (parse_cache_control(req.headers['cache-control'])['no-store'])
+      return false
+    // user specific responses.
+    if (headers['set-cookie'] != null) return false
+    const is_shared = cache_control['public'] || cache_control['s-maxage']
+    if (
+      req.headers.authorization != null &&
+      !is_shared &&
+      !cache_control['must-revalidate']
+    )
+      return false
+    // the cookie is not part of the key, only explicitly shared responses are stored.
+    if (req.headers.cookie != null && !is_shared) return false
+    if ((headers.vary || '').trim() == '*') return false
+    if (parseInt(headers['content-length']) > this.max_entry_size) return false
+
+    const has_validator =
+      headers.etag != null || headers['last-modified'] != null
+    return get_freshness_lifetime(headers, 0) > 0 || has_validator
+  }
+
+  /**
+   * Store a backend response.
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @param {GatewayCacheLookup} lookup
+   * @param {http.IncomingMessage} proxy_rsp
+   * @param {Buffer} body
+   */
+  async store_response(req, info, lookup, proxy_rsp, body) {
+    const headers = { ...proxy_rsp.headers }
+    for (const name of ['connection', 'keep-alive', 'transfer-encoding'])
+      delete headers[name]
+    headers['content-length'] = String(body.length)
+
+    const vary = {}
+    for (const name of (headers.vary || '').split(',')) {
+      const header = name.trim().toLowerCase()
+      if (header) vary[header] = this._get_vary_value(req, header)
+    }
+
+    /** @type {GatewayCacheVariant} */
+    const variant = {
+      vary,
+      status: proxy_rsp.statusCode,
+      headers,
+      body,
+      stored_at: Date.now(),
+      initial_age: (parseInt(headers.age) || 0) * 1000,
+      expires_at: 0,
+    }
+    this._update_expiry(variant)
+
+    const entry = (await this.store.get(lookup.key)) || {
+      target_id: info.target_id,
+      url: info.backend_url.toString(),
+      variants: [],
+    }
+    entry.variants = entry.variants
+      .filter((stored) => !this._is_same_vary(stored.vary, vary))
+      .concat([variant])
+      .slice(-this.max_variants)
+    await this._save(lookup.key, entry)
+  }
+
+  /**
+   * Update the stored response from a 304 (not modified) backend response.
+   * @param {GatewayCacheLookup} lookup
+   * @param {http.IncomingMessage} proxy_rsp
+   */
+  async revalidate(lookup, proxy_rsp) {
+    const variant = lookup.variant
+    for (const [name, value] of Object.entries(proxy_rsp.headers))
+      if (NOT_UPDATED_HEADERS.indexOf(name) == -1) variant.headers[name] = value
+    variant.stored_at = Date.now()
+    variant.initial_age = (parseInt(proxy_rsp.headers.age) || 0) * 1000
+    this._update_expiry(variant)
+    await this._save(lookup.key, lookup.entry)
+  }
+
+  /**
+   * Remove the stored responses for the request url (e.g. after an unsafe method).
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   */
+  async invalidate(req, info) {
+    await this.store.delete(this.get_key(req, info))
+  }
+
+  /**
+   * Remove stored responses.
+   * @param {{target_id:string, url_prefix:string}} param0 The target id and/or
+   * the url prefix (full backend url or path) to purge, all if empty.
+   * @returns {Promise<number>} The number of purged urls.
+   */
+  async purge({ target_id = null, url_prefix = null } = {}) {
+    let count = 0
+    for (const key of Array.from(await this.store.keys())) {
+      const index = key.lastIndexOf(' ')
+      const key_target_id = key.substr(0, index)
+      const path = key.substr(index + 1)
+      if (target_id != null && key_target_id != target_id) continue
+      if (url_prefix != null && !path.startsWith(url_prefix)) {
+        const entry = await this.store.get(key)
+        if (entry == null || !entry.url.startsWith(url_prefix)) continue
+      }
+      await this.store.delete(key)
+      count++
+    }
+    return count
+  }
+
+  /**
+   * @param {GatewayCacheVariant} variant
+   */
+  _update_expiry(variant) {
+    variant.expires_at =
+      variant.stored_at +
+      get_freshness_lifetime(variant.headers, this.default_ttl) -
+      variant.initial_age
+  }
+
+  /**
+   * @param {string} key
+   * @param {GatewayCacheEntry} entry
+   */
+  async _save(key, entry) {
+    let size = 0
+    for (const variant of entry.variants)
+      size += variant.body.length + JSON.stringify(variant.headers).length
+    await this.store.set(key, entry, size)
+  }
+
+  /**
+   * @param {Request} req
+   * @param {string} header
+   */
+  _get_vary_value(req, header) {
+    return []
+      .concat(req.headers[header] || [])
+      .join(',')
+      .trim()
+  }
+
+  /**
+   * @param {Request} req
+   * @param {GatewayCacheVariant} variant
+   */
+  _matches_vary(req, variant) {
+    return Object.keys(variant.vary).every(
+      (header) => variant.vary[header] == this._get_vary_value(req, header)
+    )
+  }
+
+  /**
+   * @param {Object<string,string>} a
+   * @param {Object<string,string>} b
+   */
+  _is_same_vary(a, b) {
+    const keys = Object.keys(a)
+    return (
+      keys.length == Object.keys(b).length && keys.every((k) => a[k] === b[k])
+    )
+  }
+}
+
+module.exports = {
+  GatewayMemoryCacheStore,
+  GatewayResponseCache,
+  get_freshness_lifetime,
+  parse_cache_control,
+}
@@ -0,0 +1,273 @@
+const assert = require('assert')
+const http = require('http')
+const { Gateway, GatewayRequestParser } = require('./gateway')
+const {
+  GatewayMemoryCacheStore,
+  GatewayResponseCache,
+  get_freshness_lifetime,
+  parse_cache_control,
+} = require('./cache')
+const {
+  create_gateway_server,
+  request,
+  run,
+  sleep,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {http.RequestListener} handler The backend handler.
+ * @returns {Promise<{request:(path:string, options?:Object)=>Promise<http.IncomingMessage & {body:string}>,
+ * gateway:Gateway, close:()=>void}>} A gateway server with the cache enabled.
+ */
+async function create_cache_gateway(handler) {
+  const server = await create_gateway_server({
+    handler,
+    gateway: { cache: {} },
+    parser: (backend_url) =>
+      new GatewayRequestParser({
+        parse_url_from_id: (gateway, req) =>
+          new URL(req.originalUrl, backend_url),
+      }),
+  })
+  return {
+    request: (path, { method = 'GET', headers = {} } = {}) =>
+      request(server.port, { method, path, headers }),
+    gateway: server.gateway,
+    close: server.close,
+  }
+}
+
+/**
+ * Wait for the (async) cache store writes.
+ */
+function flush() {
+  return sleep(20)
+}
+
+/**
+ * @param {Object} req_headers
+ * @param {Object} rsp_headers
+ * @param {number} status
+ */
+function is_storable(req_headers, rsp_headers, status = 200) {
+  return new GatewayResponseCache().is_storable(
+    { headers: req_headers },
+    { statusCode: status, headers: rsp_headers }
+  )
+}
+
+test('cache control and freshness lifetime', () => {
+  assert.deepStrictEqual(
+    parse_cache_control(['Public, max-age=60', 'community="x"']),
+    { public: true, 'max-age': '60', community: 'x' }
+  )
+  assert.strictEqual(
+    get_freshness_lifetime({ 'cache-control': 'max-age=60, s-maxage=10' }),
+    10000
+  )
+  assert.strictEqual(
+    get_freshness_lifetime({ 'cache-control': 'no-cache, max-age=60' }),
+    0
+  )
+  assert.strictEqual(
+    get_freshness_lifetime({
+      date: 'Tue, 10 Oct 2000 13:55:36 GMT',
+      expires: 'Tue, 10 Oct 2000 13:56:36 GMT',
+    }),
+    60000
+  )
+  assert.strictEqual(get_freshness_lifetime({ expires: '0' }), 0)
+  assert.strictEqual(get_freshness_lifetime({}, 5000), 5000)
+})
+
+test('responses to requests with cookies are only stored if shared', () => {
+  const fresh = { 'cache-control': 'max-age=60' }
+  assert.strictEqual(is_storable({}, fresh), true)
+  assert.strictEqual(is_storable({ cookie: 'session=a' }, fresh), false)
+  assert.strictEqual(
+    is_storable(
+      { cookie: 'session=a' },
+      { 'cache-control': 'public, max-age=60' }
+    ),
+    true
+  )
+  assert.strictEqual(
+    is_storable({ cookie: 'session=a' }, { 'cache-control': 's-maxage=60' }),
+    true
+  )
+  assert.strictEqual(
+    is_storable({ cookie: 'session=a' }, { etag: '"v1"' }),
+    false
+  )
+})
+
+test('user specific and uncacheable responses are not stored', () => {
+  const fresh = { 'cache-control': 'max-age=60' }
+  assert.strictEqual(is_storable({ authorization: 'Bearer a' }, fresh), false)
+  assert.strictEqual(
+    is_storable(
+      { authorization: 'Bearer a' },
+      { 'cache-control': 'max-age=60, must-revalidate' }
+    ),
+    true
+  )
+  assert.strictEqual(is_storable({}, { ...fresh, 'set-cookie': 'a=1' }), false)
+  assert.strictEqual(
+    is_storable({}, { 'cache-control': 'private, max-age=60' }),
+    false
+  )
+  assert.strictEqual(is_storable({}, { ...fresh, vary: '*' }), false)
+  assert.strictEqual(is_storable({}, fresh, 500), false)
+  assert.strictEqual(is_storable({ 'cache-control': 'no-store' }, fresh), false)
+  // no freshness or validator.
+  assert.strictEqual(is_storable({}, {}), false)
+})
+
+test('memory store evicts the least recently used entries', () => {
+  const store = new GatewayMemoryCacheStore({ max_size: 10 })
+  store.set('a', 'A', 4)
+  store.set('b', 'B', 4)
+  store.get('a')
+  store.set('c', 'C', 4)
+  assert.deepStrictEqual(store.keys(), ['a', 'c'])
+  assert.strictEqual(store.size, 8)
+  store.set('d', 'D', 11)
+  assert.strictEqual(store.get('d'), null)
+})
+
+test('fresh responses are served from the cache until they expire', async () => {
+  let hits = 0
+  const gateway = await create_cache_gateway((req, res) => {
+    hits += 1
+    res.setHeader('cache-control', 'max-age=60')
+    res.end('body ' + hits)
+  })
+  try {
+    const miss = await gateway.request('/a')
+    assert.strictEqual(miss.headers['x-cache'], 'MISS')
+    await flush()
+    const hit = await gateway.request('/a')
+    assert.strictEqual(hit.headers['x-cache'], 'HIT')
+    assert.strictEqual(hit.body, 'body 1')
+    assert.ok(hit.headers.age != null)
+
+    // the client can ask for a newer response.
+    const no_cache = await gateway.request('/a', {
+      headers: { 'cache-control': 'no-cache' },
+    })
+    assert.strictEqual(no_cache.body, 'body 2')
+    await flush()
+
+    for (const key of gateway.gateway.cache.store.keys())
+      for (const variant of gateway.gateway.cache.store.get(key).variants)
+        variant.expires_at = Date.now() - 1
+    const expired = await gateway.request('/a')
+    assert.strictEqual(expired.headers['x-cache'], 'MISS')
+    assert.strictEqual(expired.body, 'body 3')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('requests with cookies do not store private responses', async () => {
+  let hits = 0
+  const gateway = await create_cache_gateway((req, res) => {
+    hits += 1
+    res.setHeader('cache-control', 'max-age=60')
+    res.end(`${req.headers.cookie} ${hits}`)
+  })
+  try {
+    await gateway.request('/me', { headers: { cookie: 'user=alice' } })
+    await flush()
+    const other = await gateway.request('/me', {
+      headers: { cookie: 'user=bob' },
+    })
+    assert.strictEqual(other.body, 'user=bob 2')
+    assert.strictEqual(other.headers['x-cache'], 'MISS')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('vary stores a response per header value', async () => {
+  let hits = 0
+  const gateway = await create_cache_gateway((req, res) => {
+    hits += 1
+    res.setHeader('cache-control', 'max-age=60')
+    res.setHeader('vary', 'Accept-Language')
+    res.end(`${req.headers['accept-language']} ${hits}`)
+  })
+  const get = (language) =>
+    gateway.request('/v', { headers: { 'accept-language': language } })
+  try {
+    await get('en')
+    await flush()
+    await get('fr')
+    await flush()
+    assert.strictEqual((await get('en')).body, 'en 1')
+    assert.strictEqual((await get('fr')).body, 'fr 2')
+    assert.strictEqual((await get('de')).headers['x-cache'], 'MISS')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('stale responses are revalidated and merged with the 304', async () => {
+  let hits = 0
+  const gateway = await create_cache_gateway((req, res) => {
+    hits += 1
+    res.setHeader('etag', '"v1"')
+    res.setHeader('cache-control', 'no-cache')
+    res.setHeader('x-hits', String(hits))
+    if (req.headers['if-none-match'] == '"v1"') {
+      res.statusCode = 304
+      return res.end()
+    }
+    res.end('body')
+  })
+  try {
+    await gateway.request('/e')
+    await flush()
+    const revalidated = await gateway.request('/e')
+    assert.strictEqual(revalidated.headers['x-cache'], 'REVALIDATED')
+    assert.strictEqual(revalidated.statusCode, 200)
+    assert.strictEqual(revalidated.body, 'body')
+    assert.strictEqual(revalidated.headers['x-hits'], '2')
+    assert.strictEqual(revalidated.headers['content-length'], '4')
+
+    // the client conditional request is answered from the stored response.
+    const not_modified = await gateway.request('/e', {
+      headers: { 'if-none-match': 'W/"v1"' },
+    })
+    assert.strictEqual(not_modified.statusCode, 304)
+    assert.strictEqual(not_modified.body, '')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('unsafe methods invalidate the stored responses', async () => {
+  let hits = 0
+  const gateway = await create_cache_gateway((req, res) => {
+    hits += 1
+    res.setHeader('cache-control', 'max-age=60')
+    res.end(`${req.method} ${hits}`)
+  })
+  try {
+    await gateway.request('/i')
+    await flush()
+    assert.strictEqual((await gateway.request('/i')).body, 'GET 1')
+
+    const post = await gateway.request('/i', { method: 'POST' })
+    assert.strictEqual(post.headers['x-cache'], 'BYPASS')
+    await flush()
+    const after = await gateway.request('/i')
+    assert.strictEqual(after.headers['x-cache'], 'MISS')
+    assert.strictEqual(after.body, 'GET 3')
+  } finally {
+    gateway.close()
+  }
+})
+
+run()
@@ -0,0 +1,270 @@
+const fs = require('fs')
+const tls = require('tls')
+const https = require('https')
+const crypto = require('crypto')
+const { GatewayLocalCA } = require('./local_ca')
+
+/**
+ * @typedef {{
+ * cert: string|Buffer,
+ * key: string|Buffer,
+ * cert_file: string,
+ * key_file: string,
+ * passphrase: string,
+ * hostnames: string[],
+ * }} GatewayCertificateOptions The certificate (PEM) and key, or the files to load them
+ * from. The hostnames (exact or wildcard) default to the certificate subject alt names.
+ */
+
+/**
+ * @param {string} hostname
+ * @param {string} pattern An exact or wildcard (*.example.com) hostname.
+ * @returns {boolean}
+ */
+function match_hostname(hostname, pattern) {
+  hostname = hostname.toLowerCase()
+  pattern = pattern.toLowerCase()
+  if (!pattern.startsWith('*.')) return hostname == pattern
+  const index = hostname.indexOf('.')
+  return index > 0 && hostname.substr(index + 1) == pattern.substr(2)
+}
+
+/**
+ * @param {string|Buffer} cert The certificate (PEM)
+ * @returns {string[]} The certificate dns names (subject alt names, or the common name)
+ */
+function get_certificate_hostnames(cert) {
+  const x509 = new crypto.X509Certificate(cert)
+  const hostnames = (x509.subjectAltName || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => name.startsWith('DNS:') || name.startsWith('IP Address:'))
+    .map((name) => name.substr(name.indexOf(':') + 1))
+  if (hostnames.length > 0) return hostnames
+  const common_name = /(?:^|\n)CN=([^\n]+)/.exec(x509.subject)
+  return common_name ? [common_name[1]] : []
+}
+
+class GatewayCertificateStore {
+  /**
+   * Selects the TLS certificate by the client requested hostname (SNI).
+   * @param {{
+   * certificates: GatewayCertificateOptions[],
+   * local_ca: GatewayLocalCA | {dir:string} | boolean,
+   * local_ca_hostnames: string[],
+   * watch_interval: number,
+   * emit: (event:string, ...args)=>any,
+   * }} param0 If local_ca is defined, certificates are issued on demand for the
+   * local_ca_hostnames (exact or wildcard, a wildcard certificate is issued
+   * for wildcards) that have no certificate.
+   */
+  constructor({
+    certificates = [],
+    local_ca = null,
+    local_ca_hostnames = [],
+    watch_interval = 5000,
+    emit = null,
+  } = {}) {
+    /** @type {GatewayCertificateOptions[]} */
+    this.certificates = certificates
+    /** @type {GatewayLocalCA} */
+    this.local_ca =
+      local_ca == null || local_ca === false
+        ? null
+        : local_ca instanceof GatewayLocalCA
+        ? local_ca
+        : new GatewayLocalCA(local_ca === true ? {} : local_ca)
+    this.local_ca_hostnames = local_ca_hostnames
+    /** @type {number} The certificate files poll interval (ms) */
+    this.watch_interval = watch_interval
+    this.emit = emit || (() => {})
+
+    /** @type {()=>void} Called when the certificates were reloaded */
+    this.on_reload = null
+
+    /** @type {{hostnames:string[], options:tls.SecureContextOptions, context:tls.SecureContext}[]} */
+    this._loaded = []
+    /** @type {Map<string, tls.SecureContext>} */
+    this._issued_contexts = new Map()
+    /** @type {string[]} */
+    this._watched_files = []
+    this._reload_timer = null
+
+    this.load()
+  }
+
+  /**
+   * (Re)load the certificates. If loading fails, the previous certificates are kept.
+   */
+  load() {
+    this._loaded = this.certificates.map((certificate) => {
+      const options = {
+        cert: certificate.cert_file
+          ? fs.readFileSync(certificate.cert_file)
+          : certificate.cert,
+        key: certificate.key_file
+          ? fs.readFileSync(certificate.key_file)
+          : certificate.key,
+        passphrase: certificate.passphrase,
+      }
+      return {
+        hostnames:
+          certificate.hostnames || get_certificate_hostnames(options.cert),
+        options,
+        context: tls.createSecureContext(options),
+      }
+    })
+  }
+
+  /**
+   * @param {string} servername
+   * @returns {tls.SecureContext} The context for the hostname, or null if none.
+   */
+  get_secure_context(servername) {
+    if (!servername) return null
+    const loaded =
+      this._loaded.find((l) => l.hostnames.indexOf(servername) != -1) ||
+      this._loaded.find((l) =>
+        l.hostnames.some((pattern) => match_hostname(servername, pattern))
+      )
+    if (loaded != null) return loaded.context
+
+    if (this.local_ca == null) return null
+    const pattern = this.local_ca_hostnames.find((pattern) =>
+      match_hostname(servername, pattern)
+    )
+    if (pattern == null) return null
+    if (!this._issued_contexts.has(pattern)) {
+      this.emit('log', 'INFO', `Local CA issuing a certificate for ${pattern}`)
+      this._issued_contexts.set(
+        pattern,
+        tls.createSecureContext(this.local_ca.issue([pattern]))
+      )
+    }
+    return this._issued_contexts.get(pattern)
+  }
+
+  /**
+   * @returns {tls.SecureContextOptions} The certificate used if the client did not
+   * send a (known) hostname.
+   */
+  get_default_options() {
+    if (this._loaded.length > 0) return this._loaded[0].options
+    if (this.local_ca != null && this.local_ca_hostnames.length > 0)
+      return this.local_ca.issue([this.local_ca_hostnames[0]])
+    return {}
+  }
+
+  /**
+   * The tls server SNICallback.
+   * @param {string} servername
+   * @param {(err:Error, ctx:tls.SecureContext)=>void} callback
+   */
+  sni_callback(servername, callback) {
+    try {
+      callback(null, this.get_secure_context(servername) || undefined)
+    } catch (err) {
+      this.emit('log', 'ERROR', `Certificate for ${servername}: ${err.message}`)
+      callback(err)
+    }
+  }
+
+  /**
+   * Reload the certificates when the certificate files change.
+   */
+  watch() {
+    this.unwatch()
+    for (const certificate of this.certificates)
+      for (const file of [certificate.cert_file, certificate.key_file]) {
+        if (file == null || this._watched_files.indexOf(file) != -1) continue
+        fs.watchFile(file, { interval: this.watch_interval }, () =>
+          this._schedule_reload()
+        )
+        this._watched_files.push(file)
+      }
+  }
+
+  unwatch() {
+    for (const file of this._watched_files) fs.unwatchFile(file)
+    this._watched_files = []
+    clearTimeout(this._reload_timer)
+  }
+
+  _schedule_reload() {
+    // the certificate and key files are usually replaced together.
+    clearTimeout(this._reload_timer)
+    this._reload_timer = setTimeout(() => {
+      try {
+        this.load()
+        this.emit('log', 'INFO', 'Reloaded the tls certificates')
+        if (this.on_reload) this.on_reload()
+      } catch (err) {
+        this.emit(
+          'log',
+          'ERROR',
+          `Failed to reload the tls certificates, keeping the current: ${err.message}`
+        )
+      }
+    }, 500)
+  }
+}
+
+/**
+ * Create an https server that selects the certificate by hostname (SNI).
+ * @param {{
+ * certificates: GatewayCertificateOptions[],
+ * local_ca: GatewayLocalCA | {dir:string} | boolean,
+ * local_ca_hostnames: string[],
+ * watch: boolean,
+ * watch_interval: number,
+ * emit: (event:string, ...args)=>any,
+ * } & https.ServerOptions} options If watch, the certificate files are reloaded when changed.
+ * The other options are passed to https.createServer.
+ * @param {import('http').RequestListener} request_listener
+ * @returns {https.Server & {certificates: GatewayCertificateStore}}
+ */
+function create_gateway_https_server(
+  {
+    certificates = [],
+    local_ca = null,
+    local_ca_hostnames = [],
+    watch = true,
+    watch_interval = 5000,
+    emit = null,
+    ...server_options
+  } = {},
+  request_listener = null
+) {
+  const store = new GatewayCertificateStore({
+    certificates,
+    local_ca,
+    local_ca_hostnames,
+    watch_interval,
+    emit,
+  })
+
+  const server = https.createServer(
+    {
+      ...server_options,
+      ...store.get_default_options(),
+      SNICallback: (servername, callback) =>
+        store.sni_callback(servername, callback),
+    },
+    request_listener
+  )
+  server.certificates = store
+
+  store.on_reload = () => server.setSecureContext(store.get_default_options())
+  if (watch) {
+    store.watch()
+    server.once('close', () => store.unwatch())
+  }
+  return server
+}
+
+module.exports = {
+  create_gateway_https_server,
+  get_certificate_hostnames,
+  GatewayCertificateStore,
+  match_hostname,
+}
@@ -0,0 +1,274 @@
+const crypto = require('crypto')
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567'
+
+/** The max length of a single dns label */
+const MAX_LABEL_LENGTH = 63
+
+/** The max length of a dns hostname */
+const MAX_HOSTNAME_LENGTH = 253
+
+/**
+ * Lower case RFC 4648 base32, without padding (dns safe).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32_encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return output
+}
+
+/**
+ * Decodes lower/upper case RFC 4648 base32 (without padding).
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function base32_decode(value) {
+  let bits = 0
+  let current = 0
+  const bytes = []
+  for (const char of value.toLowerCase()) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index == -1) throw new Error('Invalid base32 character: ' + char)
+    current = ((current << 5) | index) & 0xffff
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((current >>> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Escapes the target path so it can be used as a host. Every character that
+ * is not a lower case letter, digit, '-' or '.' is replaced by .eNNN. (its char
+ * code), and so are dots that would otherwise be read as the start of an escape.
+ * Upper case letters are escaped since hostnames are not case sensitive.
+ * The result may contain empty or long labels.
+ * @param {string} target_path
+ * @returns {string}
+ */
+function encode_hostname(target_path) {
+  return target_path.replace(/[^a-z0-9.-]|[.](?=e[0-9]{3}[.])/g, (str) => {
+    const char_num = str.charCodeAt(0)
+    return `.e${char_num.toString().padStart(3, '0')}.`
+  })
+}
+
+/**
+ * @param {string} hostname
+ * @returns {string}
+ */
+function decode_hostname(hostname) {
+  return hostname.replace(/[.]e[0-9]{3}[.]/gi, (str) => {
+    const char_num = parseInt(str.substr(2, 3))
+    return String.fromCharCode(char_num)
+  })
+}
+
+/**
+ * Validates the hostname is a valid dns name (label and total length, no empty labels).
+ * @param {string} hostname The hostname (without port)
+ * @returns {string} The reason the host is invalid, or null if valid.
+ */
+function validate_dns_hostname(hostname) {
+  if (hostname.length > MAX_HOSTNAME_LENGTH)
+    return `hostname is longer than ${MAX_HOSTNAME_LENGTH} characters`
+  for (const label of hostname.split('.')) {
+    if (label.length == 0) return 'hostname has an empty label'
+    if (label.length > MAX_LABEL_LENGTH)
+      return `hostname label is longer than ${MAX_LABEL_LENGTH} characters`
+  }
+  return null
+}
+
+/**
+ * Converts target ids to the host prefix of the gateway host, and back.
+ */
+class GatewayTargetCodec {
+  /**
+   * @param {string} target_id
+   * @returns {string} The host prefix (one or more dns labels)
+   */
+  encode(target_id) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * @param {string} host_prefix The lower case host prefix.
+   * @returns {string} The target id, or null if it cannot be decoded.
+   */
+  decode(host_prefix) {
+    throw new Error('Not implemented')
+  }
+}
+
+/**
+ * The character escape codec (default). Readable, but long targets may not
+ * be valid dns names.
+ */
+class GatewayEscapeCodec extends GatewayTargetCodec {
+  encode(target_id) {
+    return encode_hostname(target_id)
+  }
+
+  decode(host_prefix) {
+    return decode_hostname(host_prefix)
+  }
+}
+
+/**
+ * Encodes the target id as base32, split into fixed length labels. Case
+ * insensitive and always dns safe (as long as the hostname length allows).
+ */
+class GatewayBase32Codec extends GatewayTargetCodec {
+  /**
+   * @param {{label_length: number}} param0
+   */
+  constructor({ label_length = 60 } = {}) {
+    super()
+    if (label_length < 1 || label_length > MAX_LABEL_LENGTH)
+      throw new Error(`label_length must be between 1 and ${MAX_LABEL_LENGTH}`)
+    this.label_length = label_length
+  }
+
+  encode(target_id) {
+    const encoded = base32_encode(Buffer.from(target_id, 'utf8'))
+    const labels = []
+    for (let i = 0; i < encoded.length; i += this.label_length)
+      labels.push(encoded.substr(i, this.label_length))
+    return labels.join('.')
+  }
+
+  decode(host_prefix) {
+    try {
+      return base32_decode(host_prefix.replace(/[.]/g, '')).toString('utf8')
+    } catch (err) {
+      return null
+    }
+  }
+}
+
+/**
+ * Maps short opaque ids to registered target ids. Ids are either given when
+ * registering or generated from a hash of the target id. The registry is in
+ * memory, targets that were auto registered (encoded) by one gateway replica
+ * cannot be decoded by the others, with multiple replicas register all the
+ * targets up front (the targets option) and disable auto_register.
+ */
+class GatewayLookupCodec extends GatewayTargetCodec {
+  /**
+   * @param {{
+   * targets: Object<string,string>,
+   * auto_register: boolean,
+   * id_length: number,
+   * }} param0
+   */
+  constructor({ targets = {}, auto_register = true, id_length = 16 } = {}) {
+    super()
+    /** @type {boolean} If true, unknown targets are registered when encoded */
+    this.auto_register = auto_register
+    this.id_length = id_length
+
+    /** @type {Map<string,string>} target id by id */
+    this.targets = new Map()
+    /** @type {Map<string,string>} id by target id */
+    this.ids = new Map()
+
+    for (const id of Object.keys(targets)) this.register(targets[id], id)
+  }
+
+  /**
+   * @param {string} target_id
+   * @returns {string} The generated id.
+   */
+  generate_id(target_id) {
+    const hash = crypto.createHash('sha256').update(target_id).digest()
+    return base32_encode(hash).substr(0, this.id_length)
+  }
+
+  /**
+   * Register a target.
+   * @param {string} target_id
+   * @param {string} id The id to use, if null, generated from the target.
+   * @returns {string} The target's id.
+   */
+  register(target_id, id = null) {
+    id = (id || this.generate_id(target_id)).toLowerCase()
+    const reason = validate_dns_hostname(id)
+    if (reason != null || id.indexOf('.') != -1)
+      throw new Error(`Invalid lookup id ${id}: ${reason || 'contains a dot'}`)
+    if (this.targets.has(id) && this.targets.get(id) != target_id)
+      throw new Error(`Lookup id ${id} is already registered`)
+
+    this.targets.set(id, target_id)
+    this.ids.set(target_id, id)
+    return id
+  }
+
+  /**
+   * Remove a registered target.
+   * @param {string} target_id
+   */
+  unregister(target_id) {
+    const id = this.ids.get(target_id)
+    if (id == null) return
+    this.ids.delete(target_id)
+    this.targets.delete(id)
+  }
+
+  encode(target_id) {
+    if (this.ids.has(target_id)) return this.ids.get(target_id)
+    if (!this.auto_register)
+      throw new Error(`Target ${target_id} is not registered`)
+    return this.register(target_id)
+  }
+
+  decode(host_prefix) {
+    const target_id = this.targets.get(host_prefix)
+    return target_id == null ? null : target_id
+  }
+}
+
+/**
+ * @param {'escape'|'base32'|'lookup'|GatewayTargetCodec} codec
+ * @returns {GatewayTargetCodec}
+ */
+function create_target_codec(codec) {
+  if (codec instanceof GatewayTargetCodec) return codec
+  switch (codec) {
+    case 'escape':
+      return new GatewayEscapeCodec()
+    case 'base32':
+      return new GatewayBase32Codec()
+    case 'lookup':
+      return new GatewayLookupCodec()
+    default:
+      throw new Error('Unknown target codec: ' + codec)
+  }
+}
+
+module.exports = {
+  base32_decode,
+  base32_encode,
+  create_target_codec,
+  decode_hostname,
+  encode_hostname,
+  GatewayBase32Codec,
+  GatewayEscapeCodec,
+  GatewayLookupCodec,
+  GatewayTargetCodec,
+  validate_dns_hostname,
+}
@@ -0,0 +1,104 @@
+const assert = require('assert')
+const {
+  decode_hostname,
+  encode_hostname,
+  validate_dns_hostname,
+  GatewayBase32Codec,
+  GatewayEscapeCodec,
+  GatewayLookupCodec,
+} = require('./codecs')
+const { run, test } = require('./test_helpers')
+
+const targets = [
+  'localhost',
+  'localhost:8080',
+  'my-service.default.svc.cluster.local:3000',
+  '127.0.0.1:22',
+  '[::1]:8080',
+  '[fe80::1ff:fe23:4567:890a]:443',
+  'MyService.Example.COM:8443',
+  'host/with/a/path?and=query&x=1',
+  'x.e123.y',
+  'a::b..c',
+  'under_score.local',
+  'ünïcödé.example',
+]
+
+test('decode_hostname(encode_hostname(x)) === x', () => {
+  for (const target of targets)
+    assert.strictEqual(decode_hostname(encode_hostname(target)), target)
+})
+
+test('escape encoding survives lower casing (dns is case insensitive)', () => {
+  for (const target of targets)
+    assert.strictEqual(
+      decode_hostname(encode_hostname(target).toLowerCase()),
+      target
+    )
+})
+
+test('decodes links generated by the previous escape encoding', () => {
+  assert.strictEqual(decode_hostname('localhost.e058.3000'), 'localhost:3000')
+})
+
+const codecs = {
+  escape: new GatewayEscapeCodec(),
+  base32: new GatewayBase32Codec(),
+  lookup: new GatewayLookupCodec(),
+}
+
+for (const name of Object.keys(codecs)) {
+  const codec = codecs[name]
+  test(`${name} codec round trip (lower cased host)`, () => {
+    for (const target of targets)
+      assert.strictEqual(
+        codec.decode(codec.encode(target).toLowerCase()),
+        target
+      )
+  })
+}
+
+for (const name of ['base32', 'lookup']) {
+  const codec = codecs[name]
+  test(`${name} codec generates valid dns hosts`, () => {
+    for (const target of targets.concat(['a'.repeat(120) + ':80']))
+      assert.strictEqual(
+        validate_dns_hostname(codec.encode(target) + '.gateway-proxy.local'),
+        null
+      )
+  })
+}
+
+test('base32 codec splits into fixed length labels', () => {
+  const codec = new GatewayBase32Codec({ label_length: 10 })
+  const labels = codec.encode('a-long-service-name:8080').split('.')
+  assert.ok(labels.length > 1)
+  labels.slice(0, -1).forEach((label) => assert.strictEqual(label.length, 10))
+})
+
+test('lookup codec uses registered ids', () => {
+  const codec = new GatewayLookupCodec({
+    targets: { api: 'api.internal:8080' },
+    auto_register: false,
+  })
+  assert.strictEqual(codec.encode('api.internal:8080'), 'api')
+  assert.strictEqual(codec.decode('api'), 'api.internal:8080')
+  assert.strictEqual(codec.decode('unknown'), null)
+  assert.throws(() => codec.encode('other:80'))
+})
+
+test('lookup codec does not decode object properties', () => {
+  const codec = new GatewayLookupCodec()
+  for (const id of ['constructor', '__proto__', 'tostring', 'hasownproperty'])
+    assert.strictEqual(codec.decode(id), null)
+  assert.strictEqual(codec.decode(codec.encode('__proto__')), '__proto__')
+})
+
+test('validate_dns_hostname', () => {
+  assert.strictEqual(validate_dns_hostname('a.b.c'), null)
+  assert.notStrictEqual(validate_dns_hostname('a..c'), null)
+  assert.notStrictEqual(validate_dns_hostname('a'.repeat(64) + '.c'), null)
+  assert.notStrictEqual(validate_dns_hostname('abc.'.repeat(64)), null)
+})
+
+run()
@@ -0,0 +1,693 @@
+const fs = require('fs')
+const path = require('path')
+const yaml = require('yaml')
+const { Request } = require('express/index')
+const { GatewayBackendParser } = require('./gateway')
+
+/**
+ * @typedef {{
+ * name: string,
+ * target: string,
+ * host: string,
+ * path: string,
+ * methods: string[],
+ * backend: string|(string|{url:string, weight:number})[],
+ * strip_path: boolean,
+ * timeouts: import('./retry').GatewayTimeouts,
+ * retry: import('./retry').GatewayRetryPolicy | false,
+ * cache: boolean,
+ * transforms: import('./transforms').GatewayTransformSpec[],
+ * upstream_options: import('./agents').GatewayUpstreamOptions,
+ * mirror: import('./mirror').GatewayMirrorOptions | false,
+ * }} GatewayConfigRoute A route matches the gateway target id (target) or the
+ * direct request host and path prefix, and maps it to the backend url template(s).
+ * Matches support * wildcards (any characters). Template values are {target},
+ * {host}, {path} (without the prefix if strip_path), {search} and {wildcard} (the
+ * part matched by the first *). If the template has no {path}, the path and
+ * search are appended. Direct requests are served (or redirected) on the gateway
+ * host of the route name.
+ *
+ * @typedef {{
+ * action: 'allow'|'deny',
+ * target: string,
+ * host: string,
+ * path: string,
+ * methods: string[],
+ * }} GatewayConfigFilter The first matching filter decides if the gateway serves the
+ * request, requests that match no filter are allowed.
+ *
+ * @typedef {{
+ * port: number,
+ * host: string,
+ * tls: Parameters<import('./certificates').create_gateway_https_server>[0],
+ * }} GatewayConfigListener
+ *
+ * @typedef {{
+ * port: number,
+ * host: string,
+ * token: string,
+ * }} GatewayConfigAdmin The admin api listener (see admin.js), the token defaults to
+ * the GATEWAY_ADMIN_TOKEN environment variable.
+ *
+ * @typedef {{
+ * listen: GatewayConfigListener[],
+ * admin: GatewayConfigAdmin,
+ * routes: GatewayConfigRoute[],
+ * filters: GatewayConfigFilter[],
+ * gateway: Object,
+ * }} GatewayConfig The normalized config, gateway holds the Gateway constructor options.
+ */
+
+/** The config keys that are passed to the Gateway constructor (and their type) */
+const GATEWAY_OPTION_TYPES = {
+  gateway_host: 'string',
+  gateway_subdomain: 'string',
+  force_protocol: 'string',
+  force_http: 'boolean',
+  force_websocket_protocol: 'boolean',
+  socket_ports: 'number[]',
+  proxy_mode: ['host', 'path'],
+  path_prefix: 'string',
+  target_codec: 'string',
+  log_errors_to_console: 'boolean',
+  balancer_strategy: 'string',
+  balancer_hash_header: 'string',
+  health_check: 'boolean|object',
+  outlier_detection: 'boolean|object',
+  circuit_breaker: 'boolean|object',
+  access_policy: 'boolean|object',
+  host_signing: 'object',
+  rewrite_content: 'string[]',
+  rewrite_max_body_size: 'number',
+  forwarding: 'boolean|object',
+  proxy_protocol: [1, 2],
+  timeouts: 'object',
+  retry: 'boolean|object',
+  retry_budget: 'object',
+  metrics: 'object',
+  access_log: 'string|object',
+  sessions: 'object',
+  transforms: 'object[]',
+  lookup_timeout: 'number',
+  cache: 'boolean|object',
+  rate_limit: 'boolean|object',
+  upstream_options: 'object',
+  error_responses: 'object',
+  mirror: 'object',
+}
+
+/**
+ * @param {string} key The config key path, e.g. routes[1].backend
+ * @param {string} message
+ * @returns {Error} An ECONFIG error.
+ */
+function create_config_error(key, message) {
+  const err = new Error(`Invalid config ${key}: ${message}`)
+  err.code = 'ECONFIG'
+  err.key = key
+  return err
+}
+
+/**
+ * @param {any} value
+ * @param {string} type e.g. 'string', 'number[]', 'string|object', 'any' or a list of allowed values.
+ * @returns {boolean}
+ */
+function is_config_type(value, type) {
+  if (Array.isArray(type)) return type.indexOf(value) != -1
+  if (type == 'any') return true
+  return type.split('|').some((type) => {
+    if (type.endsWith('[]'))
+      return (
+        Array.isArray(value) &&
+        value.every((item) => is_config_type(item, type.slice(0, -2)))
+      )
+    if (type == 'object')
+      return value != null && typeof value == 'object' && !Array.isArray(value)
+    return typeof value == type
+  })
+}
+
+/**
+ * @param {Object} value
+ * @param {string} key
+ * @param {Object<string,string|any[]>} types The allowed keys and types.
+ * @param {string[]} required
+ */
+function validate_config_keys(value, key, types, required = []) {
+  if (!is_config_type(value, 'object'))
+    throw create_config_error(key, 'must be an object')
+  for (const name of required)
+    if (value[name] == null)
+      throw create_config_error(`${key}.${name}`, 'is required')
+  for (const name of Object.keys(value)) {
+    const item_key = key ? `${key}.${name}` : name
+    if (!Object.prototype.hasOwnProperty.call(types, name))
+      throw create_config_error(item_key, 'unknown option')
+    const type = types[name]
+    if (value[name] == null || is_config_type(value[name], type)) continue
+    throw create_config_error(
+      item_key,
+      Array.isArray(type)
+        ? `must be one of ${type.map((v) => JSON.stringify(v)).join(', ')}`
+        : `must be of type ${type}`
+    )
+  }
+}
+
+/**
+ * @param {string} pattern A match with * wildcards.
+ * @returns {RegExp}
+ */
+function compile_match(pattern) {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('(.*)')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * @param {string} template
+ * @param {Object<string,string>} values
+ * @returns {string}
+ */
+function render_backend_template(template, values) {
+  if (template.indexOf('{path}') == -1) template += '{path}{search}'
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? values[name] || '' : match
+  )
+}
+
+/**
+ * @param {any} backend
+ * @param {string} key
+ */
+function validate_backend(backend, key) {
+  const entries = Array.isArray(backend) ? backend : [backend]
+  if (entries.length == 0) throw create_config_error(key, 'must not be empty')
+  entries.forEach((entry, index) => {
+    const entry_key = Array.isArray(backend) ? `${key}[${index}]` : key
+    const template = typeof entry == 'string' ? entry : (entry || {}).url
+    if (typeof template != 'string')
+      throw create_config_error(
+        entry_key,
+        'must be a url template or {url, weight}'
+      )
+    if (typeof entry != 'string')
+      validate_config_keys(entry, entry_key, {
+        url: 'string',
+        weight: 'number',
+      })
+
+    const unknown = /\{(\w+)\}/.exec(
+      template.replace(/\{(target|host|path|search|wildcard)\}/g, '')
+    )
+    if (unknown != null)
+      throw create_config_error(
+        entry_key,
+        `unknown template value ${unknown[0]}`
+      )
+    try {
+      const url = new URL(
+        render_backend_template(template, {
+          target: 'target',
+          host: 'host',
+          path: '/',
+          search: '',
+          wildcard: 'wildcard',
+        })
+      )
+      if (['http:', 'https:', 'ws:', 'wss:'].indexOf(url.protocol) == -1)
+        throw new Error(`unsupported protocol ${url.protocol}`)
+    } catch (err) {
+      throw create_config_error(
+        entry_key,
+        `invalid url template (${err.message})`
+      )
+    }
+  })
+}
+
+const MATCH_TYPES = {
+  target: 'string',
+  host: 'string',
+  path: 'string',
+  methods: 'string[]',
+}
+
+/**
+ * Validate and normalize a route.
+ * @param {Object} route
+ * @param {string} key The route config key.
+ * @param {string} default_name
+ * @returns {GatewayConfigRoute}
+ */
+function validate_gateway_route(route, key = 'route', default_name = null) {
+  validate_config_keys(
+    route,
+    key,
+    {
+      name: 'string',
+      ...MATCH_TYPES,
+      backend: 'any',
+      strip_path: 'boolean',
+      timeouts: 'object',
+      retry: 'boolean|object',
+      cache: 'boolean',
+      transforms: 'object[]',
+      upstream_options: 'object',
+      mirror: 'boolean|object',
+    },
+    ['backend']
+  )
+  if (route.name == null && default_name == null)
+    throw create_config_error(`${key}.name`, 'is required')
+  if (route.target == null && route.host == null && route.path == null)
+    throw create_config_error(key, 'requires a target, host or path match')
+  if (route.path != null && !route.path.startsWith('/'))
+    throw create_config_error(`${key}.path`, "must start with '/'")
+  if (route.retry === true)
+    throw create_config_error(`${key}.retry`, 'must be a policy or false')
+  if (route.mirror === true)
+    throw create_config_error(
+      `${key}.mirror`,
+      'must be the mirror options or false'
+    )
+  validate_backend(route.backend, `${key}.backend`)
+  return { name: default_name, ...route }
+}
+
+/**
+ * Validate and normalize a (parsed) config.
+ * @param {Object} config
+ * @returns {GatewayConfig}
+ */
+function validate_gateway_config(config) {
+  validate_config_keys(config, '', {
+    ...GATEWAY_OPTION_TYPES,
+    listen: 'any',
+    admin: 'object',
+    routes: 'object[]',
+    filters: 'object[]',
+  })
+
+  let listen = config.listen == null ? [{ port: 8080 }] : config.listen
+  if (!Array.isArray(listen)) listen = [listen]
+  listen = listen.map((listener, index) => {
+    const key = `listen[${index}]`
+    if (typeof listener == 'number') listener = { port: listener }
+    if (typeof listener == 'string') {
+      const index = listener.lastIndexOf(':')
+      listener =
+        index == -1
+          ? { port: Number(listener) }
+          : {
+              host: listener.substr(0, index),
+              port: Number(listener.substr(index + 1)),
+            }
+    }
+    validate_config_keys(
+      listener,
+      key,
+      { port: 'number', host: 'string', tls: 'object' },
+      ['port']
+    )
+    if (!(Number.isInteger(listener.port) && listener.port >= 0))
+      throw create_config_error(`${key}.port`, 'must be a valid port')
+    if (listener.tls != null)
+      validate_config_keys(listener.tls, `${key}.tls`, {
+        certificates: 'object[]',
+        local_ca: 'boolean|object',
+        local_ca_hostnames: 'string[]',
+        watch: 'boolean',
+        watch_interval: 'number',
+      })
+    return listener
+  })
+
+  let admin = null
+  if (config.admin != null) {
+    admin = { token: process.env.GATEWAY_ADMIN_TOKEN, ...config.admin }
+    validate_config_keys(
+      admin,
+      'admin',
+      { port: 'number', host: 'string', token: 'string' },
+      ['port', 'token']
+    )
+  }
+
+  const routes = (config.routes || []).map((route, index) =>
+    validate_gateway_route(route, `routes[${index}]`, `route-${index}`)
+  )
+  routes.forEach((route, index) => {
+    if (routes.findIndex((other) => other.name == route.name) != index)
+      throw create_config_error(
+        `routes[${index}].name`,
+        `duplicate route name ${route.name}`
+      )
+  })
+
+  const filters = (config.filters || []).map((filter, index) => {
+    const key = `filters[${index}]`
+    validate_config_keys(
+      filter,
+      key,
+      { action: ['allow', 'deny'], ...MATCH_TYPES },
+      ['action']
+    )
+    return filter
+  })
+
+  const gateway = {}
+  for (const name of Object.keys(GATEWAY_OPTION_TYPES))
+    if (config[name] !== undefined) gateway[name] = config[name]
+
+  return { listen, admin, routes, filters, gateway }
+}
+
+/**
+ * Load (and validate) a JSON or YAML (.yaml/.yml) config file.
+ * @param {string} file
+ * @returns {GatewayConfig}
+ */
+function load_gateway_config(file) {
+  const text = fs.readFileSync(file, 'utf8')
+  const ext = path.extname(file).toLowerCase()
+  let config = null
+  try {
+    if (ext == '.yaml' || ext == '.yml') config = yaml.parse(text)
+    else config = JSON.parse(text)
+  } catch (err) {
+    throw create_config_error(file, err.message)
+  }
+  return validate_gateway_config(config || {})
+}
+
+class GatewayConfigRouter {
+  /**
+   * Matches the requests to the config routes and filters, and creates the
+   * gateway parser and request filter. The routes and filters can be updated
+   * while serving.
+   * @param {{
+   * routes: GatewayConfigRoute[],
+   * filters: GatewayConfigFilter[],
+   * upstream_agents: import('./agents').GatewayUpstreamAgents,
+   * }} param0 If upstream_agents, the routes upstream files are loaded into it.
+   */
+  constructor({ routes = [], filters = [], upstream_agents = null } = {}) {
+    /** @type {import('./agents').GatewayUpstreamAgents} */
+    this.upstream_agents = upstream_agents
+    this.update({ routes, filters })
+  }
+
+  /**
+   * Replace the (validated) routes and filters. The new routes apply to the next
+   * requests, in flight requests are not affected.
+   * @param {{
+   * routes: GatewayConfigRoute[],
+   * filters: GatewayConfigFilter[],
+   * }} param0
+   */
+  update({ routes = [], filters = [] }) {
+    if (this.upstream_agents != null)
+      routes.forEach((route, index) => {
+        try {
+          this.upstream_agents.load_files(route.upstream_options)
+        } catch (err) {
+          throw create_config_error(
+            `routes[${index}].upstream_options`,
+            err.message
+          )
+        }
+      })
+
+    const compile = (item) => ({
+      ...item,
+      target_match: item.target != null ? compile_match(item.target) : null,
+      host_match: item.host != null ? compile_match(item.host) : null,
+      methods:
+        item.methods != null ? item.methods.map((m) => m.toUpperCase()) : null,
+    })
+    /** @type {{routes:GatewayConfigRoute[], filters:GatewayConfigFilter[]}} */
+    this.config = { routes, filters }
+    this.routes = routes.map(compile)
+    this.filters = filters.map(compile)
+  }
+
+  /**
+   * @returns {GatewayConfigRoute[]}
+   */
+  get_routes() {
+    return this.config.routes
+  }
+
+  /**
+   * @param {string} name
+   * @returns {GatewayConfigRoute} The route or null if not found.
+   */
+  get_route(name) {
+    return this.config.routes.find((route) => route.name == name) || null
+  }
+
+  /**
+   * Validate and add (or replace by name) a route.
+   * @param {GatewayConfigRoute} route
+   * @returns {GatewayConfigRoute} The validated route.
+   */
+  set_route(route) {
+    route = validate_gateway_route(route)
+    const routes = [...this.config.routes]
+    const index = routes.findIndex((other) => other.name == route.name)
+    if (index == -1) routes.push(route)
+    else routes[index] = route
+    this.update({ ...this.config, routes })
+    return route
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} True if the route was deleted.
+   */
+  delete_route(name) {
+    const routes = this.config.routes.filter((route) => route.name != name)
+    if (routes.length == this.config.routes.length) return false
+    this.update({ ...this.config, routes })
+    return true
+  }
+
+  /**
+   * @param {Object} item A compiled route or filter.
+   * @param {Request} req
+   * @param {string} target_id The gateway target id (null for direct requests).
+   * @param {string} request_path
+   * @returns {string[]} The match (and its wildcard values), or null.
+   */
+  _match(item, req, target_id, request_path) {
+    if (item.methods != null && item.methods.indexOf(req.method) == -1)
+      return null
+    if (item.path != null && !is_path_prefix(request_path, item.path))
+      return null
+
+    let match = []
+    if (item.target_match != null) {
+      match = target_id != null ? item.target_match.exec(target_id) : null
+      if (match == null) return null
+    }
+    if (item.host_match != null) {
+      const host_match = item.host_match.exec(req.hostname || '')
+      if (host_match == null) return null
+      if (match.length == 0) match = host_match
+    }
+    return match
+  }
+
+  /**
+   * @param {Object} route A compiled route.
+   * @param {Request} req
+   * @param {string} target_id
+   * @param {string} request_path
+   * @returns {string[]} The match, target routes match gateway requests,
+   * host and path routes direct requests.
+   */
+  _match_route(route, req, target_id, request_path) {
+    if ((target_id != null) != (route.target_match != null)) return null
+    return this._match(route, req, target_id, request_path)
+  }
+
+  /**
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @returns {string} The normalized request path (with search), after the
+   * gateway prefix. Used for both the filters and the backend urls.
+   */
+  _get_request_path(req, info) {
+    let request_path = req.originalUrl.substr((req.baseUrl || '').length)
+    if (info != null && info.gateway_path_prefix != null)
+      request_path = req.originalUrl.substr(info.gateway_path_prefix.length)
+    const search_index = request_path.indexOf('?')
+    if (search_index == -1) return normalize_request_path(request_path)
+    return (
+      normalize_request_path(request_path.substr(0, search_index)) +
+      request_path.substr(search_index)
+    )
+  }
+
+  /**
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @returns {boolean} False if the request is denied by the filters.
+   */
+  filter(req, info) {
+    const request_path = this._get_request_path(req, info).split('?')[0]
+    const filter = this.filters.find(
+      (filter) => this._match(filter, req, info.target_id, request_path) != null
+    )
+    return filter == null || filter.action == 'allow'
+  }
+
+  /**
+   * Resolve the backend urls of the request, and apply the route options.
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @param {string} target_id The gateway target id (null for direct requests).
+   * @returns {string[]} The backend urls (with weights), or null if no route matches.
+   */
+  resolve(req, info, target_id = null) {
+    const full_path = this._get_request_path(req, info)
+    const search_index = full_path.indexOf('?')
+    const request_path =
+      search_index == -1 ? full_path : full_path.substr(0, search_index)
+    const search = search_index == -1 ? '' : full_path.substr(search_index)
+
+    let match = null
+    let route = this.routes.find((route) => {
+      match = this._match_route(route, req, target_id, request_path)
+      return match != null
+    })
+
+    // redirected direct requests (the path is already the backend path).
+    let is_redirected = false
+    if (route == null && target_id != null) {
+      route = this.routes.find(
+        (route) => route.target == null && route.name == target_id
+      )
+      is_redirected = route != null
+    }
+    if (route == null) return null
+
+    let route_path = request_path
+    if (route.strip_path && route.path != null && !is_redirected)
+      route_path = '/' + route_path.substr(route.path.length).replace(/^\//, '')
+
+    const values = {
+      target: target_id || route.name,
+      host: req.hostname,
+      path: route_path,
+      search,
+      wildcard: match != null && match.length > 1 ? match[1] : '',
+    }
+
+    const backends = (
+      Array.isArray(route.backend) ? route.backend : [route.backend]
+    ).map((entry) => {
+      const template = typeof entry == 'string' ? entry : entry.url
+      let url = new URL(render_backend_template(template, values))
+      if (is_redirected) url = new URL(request_path + search, url.origin)
+      return typeof entry == 'string'
+        ? url.href
+        : { url: url.href, weight: entry.weight }
+    })
+
+    if (info != null) {
+      if (target_id == null) info.target_id = route.name
+      for (const name of [
+        'timeouts',
+        'retry',
+        'cache',
+        'transforms',
+        'upstream_options',
+        'mirror',
+      ])
+        if (route[name] != null) info[name] = route[name]
+    }
+    return backends
+  }
+
+  /**
+   * @returns {import('./gateway').GatewayBackendParser} A parser of the routes.
+   */
+  create_parser() {
+    return new GatewayBackendParser({
+      parse_url_from_id: (gateway, req, target_id, info) =>
+        this.resolve(req, info, target_id),
+      parse_url_from_route: (gateway, req, info) => this.resolve(req, info),
+      // the route backend protocol.
+      parse_protocol: (gateway, req, info) => {
+        const entry = info.backend_pool[0]
+        return (
+          { 'ws:': 'http', 'wss:': 'https' }[entry.url.protocol] ||
+          entry.url.protocol.replace(/:$/, '')
+        )
+      },
+    })
+  }
+
+  /**
+   * @returns {import('./gateway').GatewayRequestFilter} A filter of the config filters.
+   */
+  create_request_filter() {
+    return (info, req) => this.filter(req, info)
+  }
+}
+
+/** The percent-escapes of the unreserved characters (RFC 3986) */
+const UNRESERVED_ESCAPE =
+  /%(2[DdEe]|3[0-9]|[46][1-9A-Fa-f]|[57][0-9Aa]|5[Ff]|7[Ee])/g
+
+/**
+ * Decode the unreserved percent-escapes, merge the repeated slashes and resolve
+ * the dot segments, so that the path matches as the backend reads it.
+ * @param {string} request_path The path (without search).
+ * @returns {string} The normalized path, always starting with '/'.
+ */
+function normalize_request_path(request_path) {
+  const parts = request_path
+    .replace(UNRESERVED_ESCAPE, (escape) =>
+      String.fromCharCode(parseInt(escape.substr(1), 16))
+    )
+    .split(/\/+/)
+  // the first part is before the leading slash.
+  if (request_path.startsWith('/')) parts.shift()
+
+  const segments = []
+  for (const part of parts)
+    if (part == '..') segments.pop()
+    else if (part != '.' && part != '') segments.push(part)
+  const last = parts[parts.length - 1]
+  const has_trailing_slash = last == '' || last == '.' || last == '..'
+  return (
+    '/' +
+    segments.join('/') +
+    (has_trailing_slash && segments.length > 0 ? '/' : '')
+  )
+}
+
+/**
+ * @param {string} request_path
+ * @param {string} prefix
+ * @returns {boolean} True if the path is the prefix or under it.
+ */
+function is_path_prefix(request_path, prefix) {
+  if (prefix == '/' || request_path == prefix) return true
+  const base = prefix.replace(/\/+$/, '')
+  return request_path == base || request_path.startsWith(base + '/')
+}
+
+module.exports = {
+  GATEWAY_OPTION_TYPES,
+  GatewayConfigRouter,
+  load_gateway_config,
+  validate_gateway_config,
+  validate_gateway_route,
+}
@@ -0,0 +1,409 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  GatewayConfigRouter,
+  load_gateway_config,
+  validate_gateway_config,
+  validate_gateway_route,
+} = require('./config')
+const { run, test } = require('./test_helpers')
+
+/**
+ * @param {()=>any} fn
+ * @param {string} key The expected error config key.
+ * @param {RegExp} message
+ */
+function assert_config_error(fn, key, message = /./) {
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.code, 'ECONFIG')
+    assert.strictEqual(err.key, key)
+    assert.match(err.message, message)
+    return true
+  })
+}
+
+/**
+ * @param {string} method
+ * @param {string} hostname
+ * @param {string} url
+ */
+function create_request(method, hostname, url) {
+  return { method, hostname, originalUrl: url, baseUrl: '' }
+}
+
+test('config defaults and gateway options', () => {
+  assert.deepStrictEqual(validate_gateway_config({}), {
+    listen: [{ port: 8080 }],
+    admin: null,
+    routes: [],
+    filters: [],
+    gateway: {},
+  })
+  const config = validate_gateway_config({
+    gateway_host: 'example.com',
+    proxy_mode: 'path',
+    retry: false,
+    socket_ports: [22],
+  })
+  assert.deepStrictEqual(config.gateway, {
+    gateway_host: 'example.com',
+    proxy_mode: 'path',
+    retry: false,
+    socket_ports: [22],
+  })
+})
+
+test('listeners', () => {
+  const { listen } = validate_gateway_config({
+    listen: [8080, '9090', '127.0.0.1:8443', { port: 0, tls: { watch: true } }],
+  })
+  assert.deepStrictEqual(listen, [
+    { port: 8080 },
+    { port: 9090 },
+    { host: '127.0.0.1', port: 8443 },
+    { port: 0, tls: { watch: true } },
+  ])
+  assert.deepStrictEqual(validate_gateway_config({ listen: 80 }).listen, [
+    { port: 80 },
+  ])
+
+  assert_config_error(
+    () => validate_gateway_config({ listen: ['host:http'] }),
+    'listen[0].port',
+    /valid port/
+  )
+  assert_config_error(
+    () => validate_gateway_config({ listen: [{ host: 'a' }] }),
+    'listen[0].port',
+    /is required/
+  )
+  assert_config_error(
+    () => validate_gateway_config({ listen: [{ port: 1, tls: { x: 1 } }] }),
+    'listen[0].tls.x',
+    /unknown option/
+  )
+})
+
+test('unknown options and types', () => {
+  assert_config_error(
+    () => validate_gateway_config({ gateway_hots: 'a' }),
+    'gateway_hots',
+    /unknown option/
+  )
+  // object prototype keys are not options.
+  for (const name of ['toString', 'constructor', '__proto__'])
+    assert_config_error(
+      () => validate_gateway_config(JSON.parse(`{"${name}": 1}`)),
+      name,
+      /unknown option/
+    )
+  assert_config_error(
+    () => validate_gateway_config({ socket_ports: [22, '23'] }),
+    'socket_ports',
+    /must be of type number\[\]/
+  )
+  assert_config_error(
+    () => validate_gateway_config({ proxy_mode: 'domain' }),
+    'proxy_mode',
+    /must be one of "host", "path"/
+  )
+  assert_config_error(
+    () => validate_gateway_config({ cache: [] }),
+    'cache',
+    /boolean\|object/
+  )
+  assert_config_error(
+    () => validate_gateway_config([]),
+    '',
+    /must be an object/
+  )
+  // null values are allowed (the option default).
+  assert.deepStrictEqual(
+    validate_gateway_config({ gateway_host: null }).gateway,
+    { gateway_host: null }
+  )
+})
+
+test('admin token', () => {
+  const token = process.env.GATEWAY_ADMIN_TOKEN
+  try {
+    delete process.env.GATEWAY_ADMIN_TOKEN
+    assert_config_error(
+      () => validate_gateway_config({ admin: { port: 9000 } }),
+      'admin.token',
+      /is required/
+    )
+    process.env.GATEWAY_ADMIN_TOKEN = 'from-env'
+    assert.deepStrictEqual(
+      validate_gateway_config({ admin: { port: 9000 } }).admin,
+      {
+        token: 'from-env',
+        port: 9000,
+      }
+    )
+    assert.strictEqual(
+      validate_gateway_config({ admin: { port: 9000, token: 't' } }).admin
+        .token,
+      't'
+    )
+  } finally {
+    if (token == null) delete process.env.GATEWAY_ADMIN_TOKEN
+    else process.env.GATEWAY_ADMIN_TOKEN = token
+  }
+})
+
+test('routes', () => {
+  const { routes } = validate_gateway_config({
+    routes: [
+      { target: 'api', backend: 'http://api:8080' },
+      { name: 'web', host: 'www.*', backend: 'http://{wildcard}' },
+    ],
+  })
+  assert.deepStrictEqual(
+    routes.map((route) => route.name),
+    ['route-0', 'web']
+  )
+
+  const route = (options) => ({ name: 'a', backend: 'http://a', ...options })
+  assert_config_error(
+    () => validate_gateway_route({ target: 'a', backend: 'http://a' }),
+    'route.name'
+  )
+  assert_config_error(
+    () => validate_gateway_route(route({})),
+    'route',
+    /requires a target, host or path match/
+  )
+  assert_config_error(
+    () => validate_gateway_route(route({ path: 'api' })),
+    'route.path',
+    /must start with/
+  )
+  assert_config_error(
+    () => validate_gateway_route(route({ target: 'a', retry: true })),
+    'route.retry'
+  )
+  assert_config_error(
+    () => validate_gateway_route(route({ target: 'a', mirror: true })),
+    'route.mirror'
+  )
+  assert_config_error(
+    () => validate_gateway_route({ name: 'a', target: 'a' }),
+    'route.backend',
+    /is required/
+  )
+  assert_config_error(
+    () =>
+      validate_gateway_config({
+        routes: [route({ target: 'a' }), route({ target: 'b' })],
+      }),
+    'routes[1].name',
+    /duplicate route name a/
+  )
+})
+
+test('route backends', () => {
+  const validate = (backend) =>
+    validate_gateway_route({ name: 'a', target: 'a', backend }, 'r')
+  validate(['http://a:{path}', { url: 'https://{target}.svc', weight: 2 }])
+  validate('ws://{host}/socket{path}{search}')
+
+  assert_config_error(() => validate([]), 'r.backend', /must not be empty/)
+  assert_config_error(
+    () => validate('http://{service}'),
+    'r.backend',
+    /unknown template value \{service\}/
+  )
+  assert_config_error(
+    () => validate('ftp://files'),
+    'r.backend',
+    /unsupported protocol ftp:/
+  )
+  assert_config_error(() => validate('not a url'), 'r.backend', /invalid url/)
+  assert_config_error(
+    () => validate(['http://a', { weight: 1 }]),
+    'r.backend[1]',
+    /must be a url template/
+  )
+  assert_config_error(
+    () => validate([{ url: 'http://a', weight: '1' }]),
+    'r.backend[0].weight',
+    /must be of type number/
+  )
+})
+
+test('filters', () => {
+  assert_config_error(
+    () => validate_gateway_config({ filters: [{ action: 'block' }] }),
+    'filters[0].action',
+    /must be one of "allow", "deny"/
+  )
+  assert_config_error(
+    () => validate_gateway_config({ filters: [{ host: 'a' }] }),
+    'filters[0].action',
+    /is required/
+  )
+
+  const router = new GatewayConfigRouter(
+    validate_gateway_config({
+      filters: [
+        { action: 'allow', path: '/admin', methods: ['get'] },
+        { action: 'deny', path: '/admin' },
+        { action: 'deny', target: 'internal-*' },
+      ],
+    })
+  )
+  const is_allowed = (method, url, target_id = null) =>
+    router.filter(create_request(method, 'a.com', url), { target_id })
+  assert.strictEqual(is_allowed('GET', '/admin/users?x=1'), true)
+  assert.strictEqual(is_allowed('POST', '/admin/users'), false)
+  assert.strictEqual(is_allowed('POST', '/administrator'), true)
+  assert.strictEqual(is_allowed('GET', '/', 'internal-db'), false)
+  assert.strictEqual(is_allowed('GET', '/', 'public'), true)
+})
+
+test('filters and routes match the normalized path', () => {
+  const router = new GatewayConfigRouter(
+    validate_gateway_config({
+      routes: [{ name: 'api', path: '/api', backend: 'http://api' }],
+      filters: [{ action: 'deny', path: '/admin' }],
+    })
+  )
+  const is_allowed = (url) =>
+    router.filter(create_request('GET', 'a.com', url), { target_id: null })
+  for (const url of [
+    '/admin',
+    '/x/../admin',
+    '/./admin/',
+    '//admin',
+    '/%61dmin?x=1',
+    '/%2e%2E/admin',
+    '/admin/%2E%2e/admin/users',
+  ])
+    assert.strictEqual(is_allowed(url), false, url)
+  // reserved escapes are kept (not a path separator).
+  assert.strictEqual(is_allowed('/x%2F..%2Fadmin'), true)
+  assert.strictEqual(is_allowed('/admin/../public'), true)
+
+  // the backend gets the same (normalized) path.
+  assert.deepStrictEqual(
+    router.resolve(
+      create_request('GET', 'a.com', '/api/v1/../%61dmin?a=%2e'),
+      {}
+    ),
+    ['http://api/api/admin?a=%2e']
+  )
+  assert.deepStrictEqual(
+    router.resolve(create_request('GET', 'a.com', '/x/../api/'), {}),
+    ['http://api/api/']
+  )
+})
+
+test('router resolves the backends', () => {
+  const router = new GatewayConfigRouter(
+    validate_gateway_config({
+      routes: [
+        {
+          name: 'api',
+          target: 'api-*',
+          backend: 'http://{wildcard}.internal:8080',
+          timeouts: { response: 1000 },
+        },
+        {
+          name: 'web',
+          host: '*.example.com',
+          path: '/app',
+          strip_path: true,
+          backend: [{ url: 'http://web/{wildcard}{path}', weight: 3 }],
+        },
+      ],
+    })
+  )
+  const info = {}
+  assert.deepStrictEqual(
+    router.resolve(
+      create_request('GET', 'gw', '/users?page=2'),
+      info,
+      'api-v1'
+    ),
+    ['http://v1.internal:8080/users?page=2']
+  )
+  assert.deepStrictEqual(info.timeouts, { response: 1000 })
+
+  const direct_info = {}
+  assert.deepStrictEqual(
+    router.resolve(
+      create_request('GET', 'shop.example.com', '/app/cart'),
+      direct_info
+    ),
+    [{ url: 'http://web/shop/cart', weight: 3 }]
+  )
+  assert.strictEqual(direct_info.target_id, 'web')
+
+  // redirected direct requests keep the backend path.
+  assert.deepStrictEqual(
+    router.resolve(create_request('GET', 'gw', '/app/cart'), {}, 'web'),
+    [{ url: 'http://web/app/cart', weight: 3 }]
+  )
+  assert.strictEqual(
+    router.resolve(create_request('GET', 'other.com', '/app'), {}),
+    null
+  )
+  assert.strictEqual(
+    router.resolve(create_request('GET', 'gw', '/'), {}, 'db'),
+    null
+  )
+})
+
+test('router routes can be updated', () => {
+  const router = new GatewayConfigRouter()
+  const route = router.set_route({
+    name: 'a',
+    target: 'a',
+    backend: 'http://a',
+  })
+  assert.strictEqual(router.get_route('a'), route)
+  router.set_route({ name: 'a', target: 'a', backend: 'http://b' })
+  assert.strictEqual(router.get_routes().length, 1)
+  assert.deepStrictEqual(
+    router.resolve(create_request('GET', 'gw', '/'), {}, 'a'),
+    ['http://b/']
+  )
+  assert_config_error(
+    () => router.set_route({ name: 'b', backend: 'http://b' }),
+    'route',
+    /requires a target/
+  )
+  assert.strictEqual(router.delete_route('a'), true)
+  assert.strictEqual(router.delete_route('a'), false)
+  assert.strictEqual(router.get_route('a'), null)
+})
+
+test('config files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'))
+  try {
+    const file = path.join(dir, 'gateway.json')
+    fs.writeFileSync(file, JSON.stringify({ listen: 9000 }))
+    assert.deepStrictEqual(load_gateway_config(file).listen, [{ port: 9000 }])
+
+    fs.writeFileSync(file, '{"listen": ')
+    assert_config_error(() => load_gateway_config(file), file, /JSON/)
+    fs.writeFileSync(file, 'null')
+    assert.deepStrictEqual(load_gateway_config(file).listen, [{ port: 8080 }])
+
+    const yaml_file = path.join(dir, 'gateway.yaml')
+    fs.writeFileSync(yaml_file, 'listen:\n  - 9001\n  - 127.0.0.1:9002\n')
+    assert.deepStrictEqual(load_gateway_config(yaml_file).listen, [
+      { port: 9001 },
+      { host: '127.0.0.1', port: 9002 },
+    ])
+    fs.writeFileSync(yaml_file, 'listen: [9001')
+    assert_config_error(() => load_gateway_config(yaml_file), yaml_file)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+run()
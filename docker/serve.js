@@ -0,0 +1,11 @@
+const fs = require('fs')
+const { main } = require('../server')
+
+// the docker entry, the config file defaults to the mounted /etc/dngateway config.
+if (process.env.GATEWAY_CONFIG == null && process.argv.length <= 2)
+  process.env.GATEWAY_CONFIG =
+    ['gateway.yaml', 'gateway.yml', 'gateway.json']
+      .map((name) => '/etc/dngateway/' + name)
+      .find((file) => fs.existsSync(file)) || '/etc/dngateway/gateway.json'
+
+main(process.argv.slice(2))
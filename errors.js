@@ -0,0 +1,340 @@
+const http = require('http')
+const dns = require('dns')
+const { Request, Response } = require('express/index')
+
+/**
+ * @typedef {{
+ * status: number,
+ * reason: string,
+ * }} GatewayErrorClass The response status and the machine readable reason.
+ *
+ * @typedef {{
+ * status: number,
+ * reason: string,
+ * code: string,
+ * title: string,
+ * detail: string,
+ * message: string,
+ * retry_after: number,
+ * request_id: string,
+ * target_id: string,
+ * instance: string,
+ * }} GatewayError The error to render, title is the status text and detail a
+ * description of the reason (or the error message, see expose_messages).
+ *
+ * @typedef {'auto'|'html'|'json'|'text'} GatewayErrorFormat auto selects the format
+ * by the request Accept header (json is RFC 7807 problem details).
+ */
+
+/** @type {Object<string, GatewayErrorClass>} The error classes by error code */
+const GATEWAY_ERROR_CLASSES = {
+  // upstream connection failures
+  ECONNREFUSED: { status: 502, reason: 'connection_refused' },
+  ECONNRESET: { status: 502, reason: 'connection_reset' },
+  ECONNABORTED: { status: 502, reason: 'connection_reset' },
+  EPIPE: { status: 502, reason: 'connection_reset' },
+  EHOSTUNREACH: { status: 502, reason: 'host_unreachable' },
+  EHOSTDOWN: { status: 502, reason: 'host_unreachable' },
+  ENETUNREACH: { status: 502, reason: 'host_unreachable' },
+  EBADRESPONSE: { status: 502, reason: 'invalid_response' },
+  EBODYNOTREPLAYABLE: { status: 502, reason: 'retry_failed' },
+  EPROTO: { status: 502, reason: 'tls_error' },
+  [dns.NOTFOUND]: { status: 502, reason: 'dns_not_found' },
+  [dns.NODATA]: { status: 502, reason: 'dns_not_found' },
+  [dns.SERVFAIL]: { status: 502, reason: 'dns_error' },
+  [dns.REFUSED]: { status: 502, reason: 'dns_error' },
+  [dns.CANCELLED]: { status: 502, reason: 'dns_error' },
+  EAI_AGAIN: { status: 502, reason: 'dns_error' },
+
+  // timeouts
+  ETIMEDOUT: { status: 504, reason: 'connect_timeout' },
+  ECONNECTTIMEOUT: { status: 504, reason: 'connect_timeout' },
+  ERESPONSETIMEOUT: { status: 504, reason: 'response_timeout' },
+  EIDLETIMEOUT: { status: 504, reason: 'idle_timeout' },
+  ELOOKUPTIMEOUT: { status: 504, reason: 'lookup_timeout' },
+  [dns.TIMEOUT]: { status: 504, reason: 'lookup_timeout' },
+
+  // unavailable
+  ENOUPSTREAM: { status: 503, reason: 'no_upstream' },
+  ECIRCUITOPEN: { status: 503, reason: 'circuit_open' },
+  ETARGETDRAINING: { status: 503, reason: 'target_draining' },
+  EGATEWAYCLOSING: { status: 503, reason: 'gateway_closing' },
+
+  // gateway limits and policy
+  EPOLICYDENIED: { status: 403, reason: 'access_denied' },
+  ESESSIONLIMIT: { status: 429, reason: 'session_limit' },
+  ERATELIMITED: { status: 429, reason: 'rate_limited' },
+}
+
+/** Certificate verification error codes (openssl), see tls.TLSSocket.authorizationError */
+const TLS_CERTIFICATE_ERROR_CODES = [
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'CERT_REVOKED',
+  'CERT_UNTRUSTED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'HOSTNAME_MISMATCH',
+]
+
+/** @type {Object<string, string>} The default error details, by reason */
+const GATEWAY_ERROR_DETAILS = {
+  connection_refused: 'The upstream service refused the connection.',
+  connection_reset: 'The upstream service closed the connection.',
+  host_unreachable: 'The upstream service host is unreachable.',
+  invalid_response: 'The upstream service sent an invalid response.',
+  retry_failed: 'The upstream request failed and could not be retried.',
+  tls_error: 'The upstream service secure connection failed.',
+  dns_not_found: 'The upstream service host was not found.',
+  dns_error: 'The upstream service host could not be resolved.',
+  connect_timeout: 'Timed out connecting to the upstream service.',
+  response_timeout: 'Timed out waiting for the upstream service response.',
+  idle_timeout: 'The upstream service connection was idle for too long.',
+  lookup_timeout: 'Timed out resolving the upstream service.',
+  no_upstream: 'No upstream service is available.',
+  circuit_open: 'The upstream service is temporarily unavailable.',
+  target_draining: 'The service is shutting down.',
+  gateway_closing: 'The gateway is shutting down.',
+  access_denied: 'Access to the upstream service is denied.',
+  session_limit: 'Too many open connections.',
+  rate_limited: 'Too many requests.',
+  internal_error: 'The gateway failed to process the request.',
+}
+
+/** @type {Object<string, GatewayErrorFormat>} */
+const ERROR_FORMAT_MEDIA_TYPES = {
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'application/problem+json': 'json',
+  'application/json': 'json',
+  'text/plain': 'text',
+}
+
+const DEFAULT_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>{status} {title}</title>
+</head>
+<body>
+<h1>{status} {title}</h1>
+<p>{detail}</p>
+<p><small>{reason} {request_id}</small></p>
+</body>
+</html>
+`
+
+/**
+ * @param {Error} err
+ * @returns {GatewayErrorClass} The error response status and reason. Unknown
+ * errors are internal errors (500).
+ */
+function classify_gateway_error(err) {
+  const code = (err && err.code) || null
+  if (
+    code != null &&
+    Object.prototype.hasOwnProperty.call(GATEWAY_ERROR_CLASSES, code)
+  )
+    return GATEWAY_ERROR_CLASSES[code]
+  if (
+    typeof code == 'string' &&
+    (TLS_CERTIFICATE_ERROR_CODES.indexOf(code) != -1 ||
+      code.startsWith('ERR_TLS_') ||
+      code.startsWith('ERR_SSL_'))
+  )
+    return { status: 502, reason: 'tls_error' }
+  // http parser errors (invalid upstream response).
+  if (typeof code == 'string' && code.startsWith('HPE_'))
+    return { status: 502, reason: 'invalid_response' }
+  // http errors (e.g. from a middleware) keep their status.
+  if (err != null && err.statusCode >= 400 && err.statusCode < 600)
+    return { status: err.statusCode, reason: 'http_error' }
+  return { status: 500, reason: 'internal_error' }
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escape_html(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * @param {string} accept The Accept header.
+ * @returns {GatewayErrorFormat} The preferred error format, text if the client
+ * has no preference.
+ */
+function negotiate_error_format(accept) {
+  let best = null
+  for (const part of String(accept || '').split(',')) {
+    const [type, ...params] = part.split(';').map((v) => v.trim().toLowerCase())
+    const format = Object.prototype.hasOwnProperty.call(
+      ERROR_FORMAT_MEDIA_TYPES,
+      type
+    )
+      ? ERROR_FORMAT_MEDIA_TYPES[type]
+      : null
+    const q_param = params.find((param) => param.startsWith('q='))
+    const q = q_param != null ? parseFloat(q_param.substring(2)) : 1
+    if (format == null || !(q > 0)) continue
+    if (best == null || q > best.q) best = { format, q }
+  }
+  return best != null ? best.format : 'text'
+}
+
+class GatewayErrorRenderer {
+  /**
+   * Renders the gateway error responses (upstream failures, limits and denied
+   * requests), for http, websocket and tunnel requests.
+   * @example
+   * new GatewayErrorRenderer({
+   *   format: 'auto',
+   *   html_template: '<h1>{status} {title}</h1><p>{detail}</p>',
+   *   render: (error, req, res) => {
+   *     if (error.reason != 'rate_limited') return false
+   *     res.status(error.status).send('slow down')
+   *     return true
+   *   },
+   * })
+   * @param {{
+   * format: GatewayErrorFormat,
+   * html_template: string,
+   * expose_messages: boolean,
+   * render: (error:GatewayError, req:Request, res:Response)=>boolean,
+   * }} param0 The html template placeholders are the (escaped) error fields, e.g.
+   * {status}, {title}, {detail}, {reason} and {request_id}. If expose_messages, the
+   * error message (which may include the upstream address) is used as the detail.
+   * If render returns true the response was sent, otherwise the default rendering applies.
+   */
+  constructor({
+    format = 'auto',
+    html_template = null,
+    expose_messages = false,
+    render = null,
+  } = {}) {
+    /** @type {GatewayErrorFormat} */
+    this.format = format
+    /** @type {string} */
+    this.html_template = html_template || DEFAULT_HTML_TEMPLATE
+    this.expose_messages = expose_messages
+    /** @type {(error:GatewayError, req:Request, res:Response)=>boolean} */
+    this.render_callback = render
+  }
+
+  /**
+   * @param {Request} req
+   * @param {Error} err
+   * @param {Object} fields Additional error fields (e.g. request_id, target_id).
+   * @returns {GatewayError}
+   */
+  create_error(req, err, fields = {}) {
+    const { status, reason } = classify_gateway_error(err)
+    return {
+      status,
+      reason,
+      code: err.code || null,
+      title: http.STATUS_CODES[status] || 'Error',
+      detail:
+        this.expose_messages && err.message
+          ? err.message
+          : GATEWAY_ERROR_DETAILS[reason] || err.message || null,
+      message: err.message || null,
+      retry_after: err.retry_after != null ? err.retry_after : null,
+      request_id: null,
+      target_id: null,
+      instance: req.originalUrl || req.url || null,
+      ...fields,
+    }
+  }
+
+  /**
+   * @param {GatewayError} error
+   * @param {GatewayErrorFormat} format
+   * @returns {{content_type:string, body:string}}
+   */
+  render_body(error, format) {
+    switch (format) {
+      case 'html':
+        return {
+          content_type: 'text/html; charset=utf-8',
+          body: this.html_template.replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(error, name)
+              ? escape_html(error[name] != null ? error[name] : '')
+              : match
+          ),
+        }
+      case 'json': {
+        // RFC 7807 problem details, the other error fields are extension members.
+        const problem = {
+          type: 'about:blank',
+          title: error.title,
+          status: error.status,
+          detail: error.detail,
+          instance: error.instance,
+          reason: error.reason,
+        }
+        if (error.request_id != null) problem.request_id = error.request_id
+        if (error.retry_after != null) problem.retry_after = error.retry_after
+        return {
+          content_type: 'application/problem+json; charset=utf-8',
+          body: JSON.stringify(problem),
+        }
+      }
+      default:
+        return {
+          content_type: 'text/plain; charset=utf-8',
+          body:
+            `${error.status} ${error.title}: ${error.detail}\n` +
+            `reason: ${error.reason}\n` +
+            (error.request_id != null
+              ? `request id: ${error.request_id}\n`
+              : ''),
+        }
+    }
+  }
+
+  /**
+   * Send the error response. Aborts the response if already started.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayError} error
+   */
+  render(req, res, error) {
+    if (res.headersSent) return res.destroy()
+    if (
+      this.render_callback != null &&
+      this.render_callback(error, req, res) === true
+    )
+      return
+
+    const format =
+      this.format == 'auto'
+        ? negotiate_error_format(req.headers.accept)
+        : this.format
+    const { content_type, body } = this.render_body(error, format)
+
+    res.status(error.status)
+    res.set('Content-Type', content_type)
+    res.set('Cache-Control', 'no-store')
+    res.set('X-Gateway-Error', error.reason)
+    if (error.retry_after != null)
+      res.set('Retry-After', String(error.retry_after))
+    res.send(body)
+  }
+}
+
+module.exports = {
+  classify_gateway_error,
+  GATEWAY_ERROR_CLASSES,
+  GatewayErrorRenderer,
+  negotiate_error_format,
+}
@@ -0,0 +1,270 @@
+const assert = require('assert')
+const dns = require('dns')
+const {
+  classify_gateway_error,
+  GATEWAY_ERROR_CLASSES,
+  GatewayErrorRenderer,
+  negotiate_error_format,
+} = require('./errors')
+const { run, test } = require('./test_helpers')
+
+/**
+ * @param {string} code
+ * @param {Object} fields
+ */
+function create_error(code, fields = {}) {
+  return Object.assign(new Error('failed ' + code), { code }, fields)
+}
+
+/**
+ * @returns {Object} A fake express response, recording the sent response.
+ */
+function create_response() {
+  return {
+    headersSent: false,
+    destroyed: false,
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(status) {
+      this.statusCode = status
+      return this
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value
+      return this
+    },
+    send(body) {
+      this.body = body
+      this.headersSent = true
+      return this
+    },
+    destroy() {
+      this.destroyed = true
+    },
+  }
+}
+
+test('error classification', () => {
+  const classify = (code, fields) =>
+    classify_gateway_error(create_error(code, fields))
+  assert.deepStrictEqual(classify('ECONNREFUSED'), {
+    status: 502,
+    reason: 'connection_refused',
+  })
+  assert.deepStrictEqual(classify(dns.NOTFOUND), {
+    status: 502,
+    reason: 'dns_not_found',
+  })
+  assert.deepStrictEqual(classify('ERESPONSETIMEOUT'), {
+    status: 504,
+    reason: 'response_timeout',
+  })
+  assert.deepStrictEqual(classify('ECIRCUITOPEN'), {
+    status: 503,
+    reason: 'circuit_open',
+  })
+  assert.deepStrictEqual(classify('ERATELIMITED'), {
+    status: 429,
+    reason: 'rate_limited',
+  })
+
+  // tls and http parser errors.
+  for (const code of [
+    'CERT_HAS_EXPIRED',
+    'ERR_TLS_CERT_ALTNAME_INVALID',
+    'ERR_SSL_WRONG_VERSION_NUMBER',
+    'EPROTO',
+  ])
+    assert.strictEqual(classify(code).reason, 'tls_error', code)
+  assert.deepStrictEqual(classify('HPE_INVALID_CONSTANT'), {
+    status: 502,
+    reason: 'invalid_response',
+  })
+
+  // http errors keep their status.
+  assert.deepStrictEqual(classify(undefined, { statusCode: 413 }), {
+    status: 413,
+    reason: 'http_error',
+  })
+  assert.strictEqual(classify(undefined, { statusCode: 302 }).status, 500)
+})
+
+test('unknown errors are internal errors', () => {
+  const internal = { status: 500, reason: 'internal_error' }
+  assert.deepStrictEqual(classify_gateway_error(new Error('x')), internal)
+  assert.deepStrictEqual(classify_gateway_error(null), internal)
+  for (const code of ['EUNKNOWN', 'toString', 'constructor', '__proto__', 42])
+    assert.deepStrictEqual(
+      classify_gateway_error(create_error(code)),
+      internal,
+      String(code)
+    )
+})
+
+test('all error classes have a detail', () => {
+  const renderer = new GatewayErrorRenderer()
+  for (const code of Object.keys(GATEWAY_ERROR_CLASSES)) {
+    const error = renderer.create_error({}, create_error(code))
+    assert.notStrictEqual(error.detail, 'failed ' + code, code)
+  }
+})
+
+test('error format negotiation', () => {
+  assert.strictEqual(negotiate_error_format(undefined), 'text')
+  assert.strictEqual(negotiate_error_format('*/*'), 'text')
+  assert.strictEqual(negotiate_error_format('application/json'), 'json')
+  assert.strictEqual(
+    negotiate_error_format('Application/Problem+JSON; charset=utf-8'),
+    'json'
+  )
+  // a browser accept header.
+  assert.strictEqual(
+    negotiate_error_format(
+      'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    ),
+    'html'
+  )
+  // the highest quality wins, then the first listed.
+  assert.strictEqual(
+    negotiate_error_format('text/html;q=0.5, application/json'),
+    'json'
+  )
+  assert.strictEqual(
+    negotiate_error_format('text/plain, application/json'),
+    'text'
+  )
+  // q=0 is not acceptable.
+  assert.strictEqual(
+    negotiate_error_format('application/json;q=0, text/html;q=0.1'),
+    'html'
+  )
+  assert.strictEqual(negotiate_error_format('constructor, toString'), 'text')
+})
+
+test('error fields', () => {
+  const renderer = new GatewayErrorRenderer()
+  const err = create_error('ECONNREFUSED', { retry_after: 5 })
+  err.message = 'connect ECONNREFUSED 10.0.0.1:8080'
+  const error = renderer.create_error({ originalUrl: '/a?b=1' }, err, {
+    request_id: 'r1',
+  })
+  assert.deepStrictEqual(error, {
+    status: 502,
+    reason: 'connection_refused',
+    code: 'ECONNREFUSED',
+    title: 'Bad Gateway',
+    detail: 'The upstream service refused the connection.',
+    message: 'connect ECONNREFUSED 10.0.0.1:8080',
+    retry_after: 5,
+    request_id: 'r1',
+    target_id: null,
+    instance: '/a?b=1',
+  })
+  // the upstream address is only exposed if configured.
+  assert.strictEqual(
+    new GatewayErrorRenderer({ expose_messages: true }).create_error({}, err)
+      .detail,
+    err.message
+  )
+})
+
+test('errors are rendered in the negotiated format', () => {
+  const renderer = new GatewayErrorRenderer()
+  const err = create_error('ERATELIMITED', { retry_after: 3 })
+  const render = (accept) => {
+    const req = { headers: { accept }, originalUrl: '/x' }
+    const res = create_response()
+    renderer.render(
+      req,
+      res,
+      renderer.create_error(req, err, { request_id: '<id>' })
+    )
+    return res
+  }
+
+  const json = render('application/json')
+  assert.strictEqual(json.statusCode, 429)
+  assert.strictEqual(
+    json.headers['content-type'],
+    'application/problem+json; charset=utf-8'
+  )
+  assert.strictEqual(json.headers['x-gateway-error'], 'rate_limited')
+  assert.strictEqual(json.headers['retry-after'], '3')
+  assert.strictEqual(json.headers['cache-control'], 'no-store')
+  assert.deepStrictEqual(JSON.parse(json.body), {
+    type: 'about:blank',
+    title: 'Too Many Requests',
+    status: 429,
+    detail: 'Too many requests.',
+    instance: '/x',
+    reason: 'rate_limited',
+    request_id: '<id>',
+    retry_after: 3,
+  })
+
+  const html = render('text/html')
+  assert.match(html.headers['content-type'], /^text\/html/)
+  assert.match(html.body, /<h1>429 Too Many Requests<\/h1>/)
+  // the fields are escaped.
+  assert.match(html.body, /rate_limited &lt;id&gt;/)
+
+  assert.strictEqual(
+    render(undefined).body,
+    '429 Too Many Requests: Too many requests.\n' +
+      'reason: rate_limited\nrequest id: <id>\n'
+  )
+})
+
+test('custom rendering', () => {
+  const renderer = new GatewayErrorRenderer({
+    format: 'json',
+    html_template: '{status} {unknown}',
+    render: (error, req, res) => {
+      if (error.reason != 'rate_limited') return false
+      res.status(error.status).send('slow down')
+      return true
+    },
+  })
+  const req = { headers: { accept: 'text/html' } }
+  let res = create_response()
+  renderer.render(
+    req,
+    res,
+    renderer.create_error(req, create_error('ERATELIMITED'))
+  )
+  assert.strictEqual(res.body, 'slow down')
+
+  // the configured format ignores the accept header.
+  res = create_response()
+  renderer.render(
+    req,
+    res,
+    renderer.create_error(req, create_error('ENOUPSTREAM'))
+  )
+  assert.strictEqual(JSON.parse(res.body).reason, 'no_upstream')
+  assert.strictEqual(
+    renderer.render_body({ status: 503 }, 'html').body,
+    '503 {unknown}'
+  )
+  // object prototype keys are not error fields.
+  assert.strictEqual(
+    new GatewayErrorRenderer({
+      html_template: '{constructor} {toString}',
+    }).render_body({ status: 503 }, 'html').body,
+    '{constructor} {toString}'
+  )
+
+  // started responses are aborted.
+  res = create_response()
+  res.headersSent = true
+  renderer.render(
+    req,
+    res,
+    renderer.create_error(req, create_error('ENOUPSTREAM'))
+  )
+  assert.strictEqual(res.destroyed, true)
+  assert.strictEqual(res.body, null)
+})
+
+run()
@@ -5,6 +5,8 @@ const { Logger } = require('@lamaani/infer')
 const log = new Logger('gateway')
 const gateway = new Gateway({
   logger: log,
+  // the example website is on localhost, which the default access policy denies.
+  access_policy: false,
 })
 
 const app = express()
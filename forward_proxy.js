@@ -0,0 +1,101 @@
+const crypto = require('crypto')
+const { Request } = require('express/index')
+
+/**
+ * @typedef {{
+ * scheme: string,
+ * username: string,
+ * password: string,
+ * token: string,
+ * }} GatewayProxyCredentials
+ *
+ * @typedef {(credentials:GatewayProxyCredentials, req:Request)=>boolean} GatewayProxyAuthenticator
+ */
+
+/**
+ * @param {string} header The Proxy-Authorization header value.
+ * @returns {GatewayProxyCredentials} The credentials, or null if missing/malformed.
+ */
+function parse_proxy_authorization(header) {
+  if (typeof header != 'string') return null
+  const match = /^\s*([^\s]+)\s+(.+?)\s*$/.exec(header)
+  if (match == null) return null
+
+  const scheme = match[1].toLowerCase()
+  const token = match[2]
+  if (scheme != 'basic')
+    return { scheme, username: null, password: null, token }
+
+  const decoded = Buffer.from(token, 'base64').toString('utf8')
+  const index = decoded.indexOf(':')
+  if (index == -1) return null
+  return {
+    scheme,
+    username: decoded.substr(0, index),
+    password: decoded.substr(index + 1),
+    token,
+  }
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ */
+function safe_equals(a, b) {
+  const a_hash = crypto.createHash('sha256').update(String(a)).digest()
+  const b_hash = crypto.createHash('sha256').update(String(b)).digest()
+  return crypto.timingSafeEqual(a_hash, b_hash)
+}
+
+/**
+ * @param {GatewayProxyAuthenticator | {users: Object<string,string>}} proxy_auth
+ * Either a function or a map of basic auth users (username -> password)
+ * @returns {(req:Request)=>boolean} Returns true if the request is authorized.
+ */
+function create_proxy_authenticator(proxy_auth) {
+  if (proxy_auth == null) return () => true
+
+  /** @type {GatewayProxyAuthenticator} */
+  let authenticate = proxy_auth
+  if (typeof proxy_auth != 'function') {
+    const users = proxy_auth.users || {}
+    authenticate = (credentials) =>
+      credentials.scheme == 'basic' &&
+      Object.prototype.hasOwnProperty.call(users, credentials.username) &&
+      safe_equals(users[credentials.username], credentials.password)
+  }
+
+  return (req) => {
+    const credentials = parse_proxy_authorization(
+      req.headers['proxy-authorization']
+    )
+    if (credentials == null) return false
+    return authenticate(credentials, req) === true
+  }
+}
+
+/**
+ * @param {Request} req
+ * @returns {URL} The forward proxy target (absolute-form url or CONNECT authority),
+ * or null if the request is not a forward proxy request.
+ */
+function get_forward_proxy_target(req) {
+  try {
+    if (req.method == 'CONNECT') {
+      if (!/^[^/?#\s]+:[0-9]+$/.test(req.url)) return null
+      // the tunnel target, the protocol is only used for the url.
+      return new URL('http://' + req.url)
+    }
+    if (/^https?:\/\//i.test(req.url)) return new URL(req.url)
+  } catch (err) {
+    return null
+  }
+  return null
+}
+
+module.exports = {
+  create_proxy_authenticator,
+  get_forward_proxy_target,
+  parse_proxy_authorization,
+  safe_equals,
+}
@@ -0,0 +1,254 @@
+const assert = require('assert')
+const http = require('http')
+const net = require('net')
+const express = require('express')
+const { Gateway } = require('./gateway')
+const {
+  create_proxy_authenticator,
+  get_forward_proxy_target,
+  parse_proxy_authorization,
+} = require('./forward_proxy')
+const { listen, request, run, test } = require('./test_helpers')
+
+const AUTHORIZATION = 'Basic ' + Buffer.from('me:secret').toString('base64')
+
+/**
+ * @param {Object} gateway_options
+ * @param {Object} proxy_options The forward_proxy_middleware options.
+ * @returns {Promise<{port:number, backend_port:number, echo_port:number, close:()=>void}>}
+ */
+async function create_forward_proxy(gateway_options, proxy_options) {
+  const backend = http.createServer((req, res) =>
+    res.end(JSON.stringify({ url: req.url, headers: req.headers }))
+  )
+  await listen(backend)
+  const echo = net.createServer((socket) =>
+    socket.on('data', (data) => socket.write('echo:' + data))
+  )
+  await listen(echo)
+
+  const gateway = new Gateway({
+    log_errors_to_console: false,
+    ...gateway_options,
+  })
+  const forward = gateway.forward_proxy_middleware(null, null, {
+    connect_ports: [echo.address().port],
+    ...proxy_options,
+  })
+  const app = express()
+  app.use(forward)
+  app.use((req, res) => res.sendStatus(404))
+  const server = http.createServer(app)
+  server.on(
+    'connect',
+    gateway.socket_handler(() => null, null, forward)
+  )
+  await listen(server)
+
+  return {
+    port: server.address().port,
+    backend_port: backend.address().port,
+    echo_port: echo.address().port,
+    close: () => {
+      server.close()
+      backend.close()
+      echo.close()
+    },
+  }
+}
+
+/**
+ * @param {number} port The proxy port.
+ * @param {string} url The absolute-form target url.
+ * @param {Object} headers
+ * @returns {Promise<http.IncomingMessage & {body:string}>}
+ */
+function proxy_get(port, url, headers = {}) {
+  return request(port, {
+    path: url,
+    headers: { host: new URL(url).host, ...headers },
+  })
+}
+
+/**
+ * @param {number} port The proxy port.
+ * @param {string} authority The CONNECT target (host:port).
+ * @param {Object} headers
+ * @returns {Promise<{status:number, data:string}>} The response status, and the
+ * tunnel echo if connected.
+ */
+function proxy_connect(port, authority, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .request({
+        host: '127.0.0.1',
+        port,
+        method: 'CONNECT',
+        path: authority,
+        headers,
+      })
+      .on('connect', (res, socket) => {
+        if (res.statusCode != 200) {
+          socket.destroy()
+          return resolve({ status: res.statusCode, data: null })
+        }
+        socket.write('hi')
+        socket.once('data', (data) => {
+          socket.destroy()
+          resolve({ status: res.statusCode, data: data.toString() })
+        })
+      })
+      .on('response', (res) => {
+        res.resume()
+        resolve({ status: res.statusCode, data: null })
+      })
+      .on('error', reject)
+      .end()
+  })
+}
+
+test('proxy authorization header parsing', () => {
+  assert.deepStrictEqual(parse_proxy_authorization(AUTHORIZATION), {
+    scheme: 'basic',
+    username: 'me',
+    password: 'secret',
+    token: Buffer.from('me:secret').toString('base64'),
+  })
+  assert.deepStrictEqual(parse_proxy_authorization('Bearer abc'), {
+    scheme: 'bearer',
+    username: null,
+    password: null,
+    token: 'abc',
+  })
+  assert.strictEqual(parse_proxy_authorization(undefined), null)
+  assert.strictEqual(
+    parse_proxy_authorization('Basic ' + Buffer.from('me').toString('base64')),
+    null
+  )
+})
+
+test('proxy authenticator checks the users', () => {
+  const is_authorized = create_proxy_authenticator({ users: { me: 'secret' } })
+  const req = (authorization) => ({
+    headers: { 'proxy-authorization': authorization },
+  })
+  assert.strictEqual(is_authorized(req(AUTHORIZATION)), true)
+  assert.strictEqual(
+    is_authorized(req('Basic ' + Buffer.from('me:x').toString('base64'))),
+    false
+  )
+  assert.strictEqual(
+    is_authorized(req('Basic ' + Buffer.from('toString:x').toString('base64'))),
+    false
+  )
+  assert.strictEqual(is_authorized(req(undefined)), false)
+
+  const is_token = create_proxy_authenticator(
+    (credentials) => credentials.token == 't1'
+  )
+  assert.strictEqual(is_token(req('Bearer t1')), true)
+  assert.strictEqual(is_token(req('Bearer t2')), false)
+})
+
+test('forward proxy targets', () => {
+  const target = (method, url) => get_forward_proxy_target({ method, url })
+  assert.strictEqual(target('CONNECT', 'a.com:443').host, 'a.com:443')
+  assert.strictEqual(target('CONNECT', 'a.com'), null)
+  assert.strictEqual(target('CONNECT', 'a.com:443/x'), null)
+  assert.strictEqual(target('GET', 'http://a.com/x').href, 'http://a.com/x')
+  assert.strictEqual(target('GET', '/x'), null)
+  assert.strictEqual(target('GET', 'http://[invalid/'), null)
+})
+
+test('an open forward proxy cannot be created', () => {
+  const gateway = new Gateway({ access_policy: false })
+  assert.throws(() => gateway.forward_proxy_middleware(), /proxy_auth/)
+  assert.strictEqual(
+    typeof gateway.forward_proxy_middleware(null, null, {
+      proxy_auth: { users: { me: 'secret' } },
+    }),
+    'function'
+  )
+  // the default access policy limits the reachable hosts.
+  assert.strictEqual(
+    typeof new Gateway().forward_proxy_middleware(),
+    'function'
+  )
+})
+
+test('unauthorized requests get 407', async () => {
+  const proxy = await create_forward_proxy(
+    { access_policy: false },
+    { proxy_auth: { users: { me: 'secret' } }, realm: 'test' }
+  )
+  const url = `http://127.0.0.1:${proxy.backend_port}/a?b=1`
+  try {
+    const res = await proxy_get(proxy.port, url)
+    assert.strictEqual(res.statusCode, 407)
+    assert.strictEqual(res.headers['proxy-authenticate'], 'Basic realm="test"')
+
+    const connect = await proxy_connect(
+      proxy.port,
+      '127.0.0.1:' + proxy.echo_port
+    )
+    assert.strictEqual(connect.status, 407)
+
+    // the credentials are not forwarded to the target.
+    const authorized = await proxy_get(proxy.port, url, {
+      'proxy-authorization': AUTHORIZATION,
+    })
+    assert.strictEqual(authorized.statusCode, 200)
+    const echoed = JSON.parse(authorized.body)
+    assert.strictEqual(echoed.url, '/a?b=1')
+    assert.strictEqual(echoed.headers['proxy-authorization'], undefined)
+  } finally {
+    proxy.close()
+  }
+})
+
+test('CONNECT is limited to the connect ports', async () => {
+  const proxy = await create_forward_proxy(
+    { access_policy: false },
+    { proxy_auth: { users: { me: 'secret' } } }
+  )
+  const headers = { 'proxy-authorization': AUTHORIZATION }
+  try {
+    const allowed = await proxy_connect(
+      proxy.port,
+      '127.0.0.1:' + proxy.echo_port,
+      headers
+    )
+    assert.deepStrictEqual(allowed, { status: 200, data: 'echo:hi' })
+
+    const denied = await proxy_connect(
+      proxy.port,
+      '127.0.0.1:' + proxy.backend_port,
+      headers
+    )
+    assert.strictEqual(denied.status, 403)
+  } finally {
+    proxy.close()
+  }
+})
+
+test('forward proxy without auth applies the access policy', async () => {
+  const proxy = await create_forward_proxy({}, {})
+  try {
+    const res = await proxy_get(
+      proxy.port,
+      `http://127.0.0.1:${proxy.backend_port}/`
+    )
+    assert.strictEqual(res.statusCode, 403)
+    assert.strictEqual(res.headers['x-gateway-error'], 'access_denied')
+
+    const connect = await proxy_connect(
+      proxy.port,
+      '127.0.0.1:' + proxy.echo_port
+    )
+    assert.strictEqual(connect.status, 403)
+  } finally {
+    proxy.close()
+  }
+})
+
+run()
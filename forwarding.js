@@ -0,0 +1,244 @@
+const net = require('net')
+const tls = require('tls')
+const { Request } = require('express/index')
+const { is_in_cidr, parse_cidr, parse_ip } = require('./policy')
+
+const PROXY_PROTOCOL_V2_SIGNATURE = Buffer.from([
+  0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a,
+])
+
+/**
+ * @param {string} address
+ * @returns {string} The address, with IPv4 mapped IPv6 addresses as IPv4.
+ */
+function normalize_address(address) {
+  if (address == null) return null
+  return address.replace(/^::ffff:(?=[0-9]+\.[0-9]+\.[0-9]+\.[0-9]+$)/i, '')
+}
+
+/**
+ * @param {string} value A forwarded header value
+ * @returns {string} The value, quoted if required (RFC 7239)
+ */
+function quote_forwarded_value(value) {
+  if (net.isIPv6(value)) return `"[${value}]"`
+  return /^[!#$%&'*+.^_`|~0-9a-z-]+$/i.test(value) ? value : `"${value}"`
+}
+
+class GatewayForwarding {
+  /**
+   * Adds the forwarding headers (X-Forwarded-* and/or Forwarded) to the backend
+   * requests. If the connecting client is a trusted proxy, the existing
+   * forwarding headers are appended to, otherwise they are replaced.
+   * @param {{
+   * x_forwarded: boolean,
+   * forwarded: boolean,
+   * trusted_proxies: string[] | boolean,
+   * }} param0
+   */
+  constructor({
+    x_forwarded = true,
+    forwarded = false,
+    trusted_proxies = [],
+  } = {}) {
+    this.x_forwarded = x_forwarded
+    this.forwarded = forwarded
+
+    /** @type {boolean} If true, all proxies are trusted */
+    this.trust_all = trusted_proxies === true
+    this.trusted_proxies = Array.isArray(trusted_proxies)
+      ? trusted_proxies.map(parse_cidr)
+      : []
+  }
+
+  /**
+   * @param {string} address
+   * @returns {boolean} True if the address is a trusted proxy.
+   */
+  is_trusted(address) {
+    if (this.trust_all) return true
+    const bytes = parse_ip(address)
+    if (bytes == null) return false
+    return this.trusted_proxies.some((range) => is_in_cidr(range, bytes))
+  }
+
+  /**
+   * Returns the client address, following the X-Forwarded-For chain through
+   * trusted proxies.
+   * @param {Request} req
+   * @returns {string}
+   */
+  get_client_address(req) {
+    let address = normalize_address(req.socket.remoteAddress)
+    if (!this.is_trusted(address)) return address
+
+    const chain = []
+      .concat(req.headers['x-forwarded-for'] || [])
+      .join(',')
+      .split(',')
+      .map((a) => normalize_address(a.trim()))
+      .filter((a) => a.length > 0)
+
+    while (chain.length > 0 && this.is_trusted(address)) address = chain.pop()
+    return address
+  }
+
+  /**
+   * Apply the forwarding headers.
+   * @param {Request} req The client request.
+   * @param {Object<string,string>} headers The backend request headers (modified)
+   * @param {string} prefix The path prefix the gateway serves the backend under.
+   */
+  apply(req, headers, prefix = null) {
+    const client = normalize_address(req.socket.remoteAddress)
+    const is_trusted = this.is_trusted(client)
+    const proto = req.socket.encrypted ? 'https' : 'http'
+    const host = req.headers.host
+
+    /**
+     * @param {string} name
+     * @param {string} value
+     * @param {(existing:string)=>string} join How to join with the existing value.
+     */
+    const set_header = (name, value, join) => {
+      const existing = is_trusted ? headers[name] : null
+      if (existing != null && existing.length > 0) value = join(existing)
+      if (value == null || value.length == 0) delete headers[name]
+      else headers[name] = value
+    }
+
+    if (this.x_forwarded) {
+      set_header('x-forwarded-for', client, (e) => e + ', ' + client)
+      set_header('x-forwarded-proto', proto, (e) => e)
+      set_header('x-forwarded-host', host, (e) => e)
+      set_header('x-forwarded-prefix', prefix, (e) => e + (prefix || ''))
+    }
+
+    if (this.forwarded) {
+      const element = [
+        `for=${quote_forwarded_value(client)}`,
+        host ? `host=${quote_forwarded_value(host)}` : null,
+        `proto=${proto}`,
+      ]
+        .filter((part) => part != null)
+        .join(';')
+      set_header('forwarded', element, (e) => e + ', ' + element)
+    }
+  }
+}
+
+/**
+ * Create a PROXY protocol header (v1 or v2).
+ * @param {1|2} version
+ * @param {{address:string, port:number}} source The client address.
+ * @param {{address:string, port:number}} destination The address the client connected to.
+ * @returns {Buffer}
+ */
+function create_proxy_protocol_header(version, source, destination) {
+  let source_bytes = parse_ip(source.address)
+  let destination_bytes = parse_ip(destination.address)
+
+  // both addresses must be of the same family.
+  const to_ipv6 = (bytes) =>
+    bytes.length == 16
+      ? bytes
+      : Buffer.concat([
+          Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255]),
+          bytes,
+        ])
+  if (
+    source_bytes != null &&
+    destination_bytes != null &&
+    source_bytes.length != destination_bytes.length
+  ) {
+    source_bytes = to_ipv6(source_bytes)
+    destination_bytes = to_ipv6(destination_bytes)
+  }
+
+  const is_known = source_bytes != null && destination_bytes != null
+  const is_ipv4 = is_known && source_bytes.length == 4
+
+  if (version == 1) {
+    if (!is_known) return Buffer.from('PROXY UNKNOWN\r\n')
+    const format = (bytes) =>
+      is_ipv4
+        ? Array.from(bytes).join('.')
+        : bytes.toString('hex').match(/.{4}/g).join(':')
+    return Buffer.from(
+      [
+        'PROXY',
+        is_ipv4 ? 'TCP4' : 'TCP6',
+        format(source_bytes),
+        format(destination_bytes),
+        source.port,
+        destination.port,
+      ].join(' ') + '\r\n'
+    )
+  }
+
+  if (version != 2) throw new Error('Invalid PROXY protocol version ' + version)
+
+  if (!is_known) {
+    // LOCAL command, no addresses.
+    return Buffer.concat([
+      PROXY_PROTOCOL_V2_SIGNATURE,
+      Buffer.from([0x20, 0x00, 0x00, 0x00]),
+    ])
+  }
+
+  const ports = Buffer.alloc(4)
+  ports.writeUInt16BE(source.port, 0)
+  ports.writeUInt16BE(destination.port, 2)
+  const addresses = Buffer.concat([source_bytes, destination_bytes, ports])
+
+  const header = Buffer.alloc(4)
+  header[0] = 0x21 // v2, PROXY
+  header[1] = is_ipv4 ? 0x11 : 0x21 // TCP over IPv4/IPv6
+  header.writeUInt16BE(addresses.length, 2)
+
+  return Buffer.concat([PROXY_PROTOCOL_V2_SIGNATURE, header, addresses])
+}
+
+/**
+ * Creates a connection function (for http.request createConnection) that sends
+ * the PROXY protocol header before any other data (and before the TLS handshake).
+ * @param {Buffer} proxy_header
+ * @param {boolean} is_secure
+ * @returns {(options:Object, callback:(err:Error, socket:net.Socket)=>void)=>void}
+ */
+function create_proxy_protocol_connection(proxy_header, is_secure) {
+  return (options, callback) => {
+    const socket = net.connect(
+      options.socketPath
+        ? { path: options.socketPath }
+        : {
+            host: options.hostname || options.host,
+            port: options.port,
+            lookup: options.lookup,
+          }
+    )
+
+    socket.once('error', callback)
+    socket.once('connect', () => {
+      socket.removeListener('error', callback)
+      socket.write(proxy_header)
+      if (!is_secure) return callback(null, socket)
+      const servername = options.servername || options.hostname
+      callback(
+        null,
+        tls.connect({
+          ...options,
+          socket,
+          servername: net.isIP(servername) ? undefined : servername,
+        })
+      )
+    })
+  }
+}
+
+module.exports = {
+  create_proxy_protocol_connection,
+  create_proxy_protocol_header,
+  GatewayForwarding,
+  normalize_address,
+}
@@ -0,0 +1,213 @@
+const assert = require('assert')
+const http = require('http')
+const net = require('net')
+const {
+  create_proxy_protocol_connection,
+  create_proxy_protocol_header,
+  GatewayForwarding,
+} = require('./forwarding')
+const {
+  create_gateway_server,
+  listen,
+  request,
+  run,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {string} remote_address
+ * @param {Object} headers
+ * @param {boolean} encrypted
+ */
+function create_request(remote_address, headers = {}, encrypted = false) {
+  return {
+    socket: { remoteAddress: remote_address, encrypted },
+    headers: { host: 'svc.example.com', ...headers },
+  }
+}
+
+test('untrusted clients cannot spoof the forwarding headers', () => {
+  const forwarding = new GatewayForwarding({ forwarded: true })
+  const req = create_request('::ffff:203.0.113.5', {
+    'x-forwarded-for': '10.0.0.1',
+  })
+  const headers = {
+    'x-forwarded-for': '10.0.0.1',
+    'x-forwarded-host': 'evil',
+    forwarded: 'for=10.0.0.1',
+  }
+  forwarding.apply(req, headers)
+  assert.deepStrictEqual(headers, {
+    'x-forwarded-for': '203.0.113.5',
+    'x-forwarded-proto': 'http',
+    'x-forwarded-host': 'svc.example.com',
+    forwarded: 'for=203.0.113.5;host=svc.example.com;proto=http',
+  })
+  assert.strictEqual(forwarding.get_client_address(req), '203.0.113.5')
+})
+
+test('trusted proxies are appended to and followed', () => {
+  const forwarding = new GatewayForwarding({
+    forwarded: true,
+    trusted_proxies: ['10.0.0.0/8'],
+  })
+  const req = create_request(
+    '10.0.0.2',
+    { 'x-forwarded-for': '198.51.100.7, 10.0.0.9' },
+    true
+  )
+  const headers = {
+    'x-forwarded-for': '198.51.100.7, 10.0.0.9',
+    'x-forwarded-proto': 'https',
+    'x-forwarded-prefix': '/outer',
+    forwarded: 'for=198.51.100.7',
+  }
+  forwarding.apply(req, headers, '/inner')
+  assert.strictEqual(
+    headers['x-forwarded-for'],
+    '198.51.100.7, 10.0.0.9, 10.0.0.2'
+  )
+  assert.strictEqual(headers['x-forwarded-proto'], 'https')
+  assert.strictEqual(headers['x-forwarded-prefix'], '/outer/inner')
+  assert.strictEqual(
+    headers.forwarded,
+    'for=198.51.100.7, for=10.0.0.2;host=svc.example.com;proto=https'
+  )
+
+  // the client is the first untrusted address in the chain.
+  assert.strictEqual(forwarding.get_client_address(req), '198.51.100.7')
+})
+
+test('forwarded header quotes IPv6 addresses', () => {
+  const forwarding = new GatewayForwarding({
+    x_forwarded: false,
+    forwarded: true,
+  })
+  const headers = {}
+  forwarding.apply(create_request('2001:db8::1', { host: 'a:8080' }), headers)
+  assert.deepStrictEqual(headers, {
+    forwarded: 'for="[2001:db8::1]";host="a:8080";proto=http',
+  })
+})
+
+test('PROXY protocol v1 header', () => {
+  assert.strictEqual(
+    create_proxy_protocol_header(
+      1,
+      { address: '::ffff:192.0.2.1', port: 5000 },
+      { address: '192.0.2.2', port: 443 }
+    ).toString(),
+    'PROXY TCP4 192.0.2.1 192.0.2.2 5000 443\r\n'
+  )
+  // mixed families are sent as IPv6.
+  assert.strictEqual(
+    create_proxy_protocol_header(
+      1,
+      { address: '192.0.2.1', port: 5000 },
+      { address: '2001:db8::2', port: 443 }
+    ).toString(),
+    'PROXY TCP6 0000:0000:0000:0000:0000:ffff:c000:0201 2001:0db8:0000:0000:0000:0000:0000:0002 5000 443\r\n'
+  )
+  assert.strictEqual(
+    create_proxy_protocol_header(
+      1,
+      { address: null, port: null },
+      { address: '192.0.2.2', port: 443 }
+    ).toString(),
+    'PROXY UNKNOWN\r\n'
+  )
+})
+
+test('PROXY protocol v2 header', () => {
+  const header = create_proxy_protocol_header(
+    2,
+    { address: '192.0.2.1', port: 5000 },
+    { address: '192.0.2.2', port: 443 }
+  )
+  assert.strictEqual(
+    header.toString('hex'),
+    '0d0a0d0a000d0a515549540a' + // signature
+      '21' + // v2, PROXY
+      '11' + // TCP over IPv4
+      '000c' + // address length
+      'c0000201' +
+      'c0000202' +
+      '1388' +
+      '01bb'
+  )
+
+  const local = create_proxy_protocol_header(
+    2,
+    { address: null },
+    { address: null }
+  )
+  assert.strictEqual(local.slice(12).toString('hex'), '20000000')
+  assert.throws(() =>
+    create_proxy_protocol_header(
+      3,
+      { address: '1.1.1.1' },
+      { address: '1.1.1.1' }
+    )
+  )
+})
+
+test('PROXY protocol header is sent before the request', async () => {
+  const received = []
+  const backend = net.createServer((socket) => {
+    socket.on('data', (chunk) => {
+      received.push(chunk)
+      if (Buffer.concat(received).indexOf('\r\n\r\n') != -1)
+        socket.end('HTTP/1.1 204 No Content\r\nConnection: close\r\n\r\n')
+    })
+  })
+  const port = await listen(backend)
+  try {
+    const header = Buffer.from('PROXY TCP4 192.0.2.1 192.0.2.2 5000 443\r\n')
+    const status = await new Promise((resolve, reject) => {
+      http
+        .request({
+          host: '127.0.0.1',
+          port,
+          path: '/ws',
+          createConnection: create_proxy_protocol_connection(header, false),
+        })
+        .on('response', (res) => resolve(res.statusCode))
+        .on('error', reject)
+        .end()
+    })
+    assert.strictEqual(status, 204)
+    const lines = Buffer.concat(received).toString().split('\r\n')
+    assert.strictEqual(lines[0], 'PROXY TCP4 192.0.2.1 192.0.2.2 5000 443')
+    assert.strictEqual(lines[1], 'GET /ws HTTP/1.1')
+  } finally {
+    backend.close()
+  }
+})
+
+test('gateway adds the forwarding headers only when enabled', async () => {
+  /** @param {Object} options */
+  const get_backend_headers = async (options) => {
+    const server = await create_gateway_server({
+      handler: (req, res) => res.end(JSON.stringify(req.headers)),
+      gateway: options,
+    })
+    try {
+      const res = await request(server.port, {
+        headers: { 'x-forwarded-for': '10.9.9.9' },
+      })
+      return JSON.parse(res.body)
+    } finally {
+      server.close()
+    }
+  }
+
+  const defaults = await get_backend_headers({})
+  assert.strictEqual(defaults['x-forwarded-for'], '10.9.9.9')
+  assert.strictEqual(defaults['x-forwarded-host'], undefined)
+
+  const enabled = await get_backend_headers({ forwarding: true })
+  assert.strictEqual(enabled['x-forwarded-for'], '127.0.0.1')
+  assert.strictEqual(enabled['x-forwarded-host'], 'svc.gateway-proxy.localhost')
+})
+
+run()
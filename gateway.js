@@ -1,46 +1,63 @@
 const http = require('http')
 const https = require('https')
-const dns = require('dns')
+const stream = require('stream')
 const net = require('net')
 const { assert } = require('console')
 const { Request, Response, NextFunction } = require('express/index')
 const events = require('events')
-
-/**
- * @param {string} target_path
- * @returns {string}
- */
-function encode_hostname(target_path) {
-  return target_path.replace(/[^\w.-]/g, (str) => {
-    const char_num = str.charCodeAt(0)
-    return `.e${char_num.toString().padStart(3, '0')}.`
-  })
-}
-
-/**
- * @param {string} hostname
- * @returns {string}
- */
-function decode_hostname(hostname) {
-  return hostname.replace(/[.]e[0-9]{3}[.]/g, (str) => {
-    const char_num = parseInt(str.substr(2, 3))
-    return String.fromCharCode([parseInt(char_num)])
-  })
-}
-
-function map_dns_status_to_http_code(dns_error_Code) {
-  switch (dns_error_Code) {
-    case dns.NOTFOUND:
-      return 404
-      break
-    case dns.REFUSED:
-    case dns.CANCELLED:
-    case dns.CONNREFUSED:
-      return 403
-    default:
-      return 500
-  }
-}
+const { GatewayBalancer, GatewayUpstream } = require('./balancer')
+const { GatewayHealthMonitor } = require('./health')
+const { GatewayAccessPolicy } = require('./policy')
+const { GatewayHostSigner } = require('./signing')
+const {
+  create_target_codec,
+  decode_hostname,
+  encode_hostname,
+  validate_dns_hostname,
+  GatewayTargetCodec,
+} = require('./codecs')
+const { GatewayPathRewriter, filter_accept_encoding } = require('./rewrite')
+const {
+  create_proxy_protocol_connection,
+  create_proxy_protocol_header,
+  GatewayForwarding,
+} = require('./forwarding')
+const {
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_TIMEOUTS,
+  get_retry_delay,
+  GatewayRequestBody,
+  GatewayRetryBudget,
+  IDEMPOTENT_METHODS,
+  NOT_CONNECTED_ERROR_CODES,
+} = require('./retry')
+const { GatewayMetrics } = require('./metrics')
+const { get_access_log_formatter, GatewayAccessRecord } = require('./access')
+const { GatewaySession, GatewaySessionRegistry } = require('./sessions')
+const { GatewayTransformPipeline } = require('./transforms')
+const {
+  GatewayLookupCache,
+  is_promise,
+  resolve_with_timeout,
+} = require('./lookup')
+const { GatewayResponseCache } = require('./cache')
+const { GatewayRateLimiter } = require('./ratelimit')
+const { create_gateway_https_server } = require('./certificates')
+const { GatewayUpstreamAgents } = require('./agents')
+const { classify_gateway_error, GatewayErrorRenderer } = require('./errors')
+const { compare_mirror_results, GatewayMirror } = require('./mirror')
+const {
+  create_tunnel_handshake,
+  create_upgrade_response_header,
+  GatewaySocketResponse,
+  is_socket_tunnel_request,
+  prepare_raw_request,
+  validate_websocket_subprotocol,
+} = require('./tunnel')
+const {
+  create_proxy_authenticator,
+  get_forward_proxy_target,
+} = require('./forward_proxy')
 
 class GatewayRequestInfo {
   constructor() {
@@ -50,9 +67,21 @@ class GatewayRequestInfo {
     /** @type {boolean} If true, this is a gateway host (encoded in domain) request*/
     this.is_gateway_host = false
 
+    /** @type {boolean} If true, this is a gateway path (encoded in the path prefix, path proxy mode) request*/
+    this.is_gateway_path = false
+
+    /** @type {string} The gateway path prefix, including the encoded target (path proxy mode)*/
+    this.gateway_path_prefix = null
+
     /** @type {boolean} If true, this is a websocket request*/
     this.is_websocket_request = false
 
+    /** @type {boolean} If true, this is a raw tcp tunnel (CONNECT or Upgrade: tcp) request*/
+    this.is_socket_request = false
+
+    /** @type {boolean} If true, this is a forward proxy (absolute-form or CONNECT) request*/
+    this.is_forward_proxy = false
+
     /** @type {string} An identifier for the target. Generated via a general call.*/
     this.target_id = null
 
@@ -66,72 +95,229 @@ class GatewayRequestInfo {
 
     /** @type {URL} The backend url to call on.*/
     this.backend_url = null
+
+    /**
+     * @type {{url:URL, weight:number}[]} The backend urls that can serve the target.
+     * The backend_url is selected from these.
+     */
+    this.backend_pool = null
+
+    /** @type {GatewayUpstream} The upstream selected by the load balancer*/
+    this.upstream = null
+
+    /**
+     * @type {import('./signing').GatewayHostSignatureInfo} The gateway host
+     * signature verification result (only if host signing is enabled)
+     */
+    this.host_signature = null
+
+    /**
+     * @type {import('./retry').GatewayTimeouts} Route timeouts (override the
+     * gateway timeouts), can be set by the parser or the request filter.
+     */
+    this.timeouts = null
+
+    /**
+     * @type {import('./retry').GatewayRetryPolicy | false} Route retry policy (overrides
+     * the gateway retry policy, false to disable), can be set by the parser or the request filter.
+     */
+    this.retry = null
+
+    /**
+     * @type {import('./transforms').GatewayTransformSpec[]} Route transforms (applied after
+     * the gateway transforms), can be set by the parser or the request filter.
+     */
+    this.transforms = null
+
+    /**
+     * @type {boolean} Route response cache override (true/false to enable/disable
+     * the gateway response cache), can be set by the parser or the request filter.
+     */
+    this.cache = null
+
+    /**
+     * @type {import('./agents').GatewayUpstreamOptions} Route upstream connection options
+     * (override the gateway target options, e.g. tls or socket_path), can be set by the
+     * parser or the request filter. Their files must be loaded (gateway.upstream_agents.load_files).
+     */
+    this.upstream_options = null
+
+    /**
+     * @type {import('./mirror').GatewayMirrorOptions | false} Route mirror (shadow) targets
+     * (override the gateway mirror options, false to disable), can be set by the parser
+     * or the request filter.
+     */
+    this.mirror = null
+
+    /** @type {GatewayAccessRecord} The structured record passed with the lifecycle events */
+    this.access = null
+
+    /** @type {GatewaySession} The tunnel session (websocket/socket requests) */
+    this.session = null
   }
 }
 
+/**
+ * @param {Request} req
+ * @param {GatewayRequestInfo} info
+ * @returns {string} The request path and query for the target backend (in path
+ * mode, the path after the gateway prefix).
+ */
+function get_target_request_path(req, info) {
+  if (info == null || info.gateway_path_prefix == null) return req.originalUrl
+  const request_path = req.originalUrl.substr(info.gateway_path_prefix.length)
+  return request_path.startsWith('/') ? request_path : '/' + request_path
+}
+
+/**
+ * Append the request path and query to a backend (base) url or pool.
+ * @param {GatewayBackendUrlResult} value
+ * @param {string} request_path The request path and query.
+ * @returns {GatewayBackendUrlResult}
+ */
+function append_request_path(value, request_path) {
+  if (value == null) return null
+  if (Array.isArray(value))
+    return value.map((entry) => append_request_path(entry, request_path))
+  if (typeof value == 'object' && !(value instanceof URL))
+    return { ...value, url: append_request_path(value.url, request_path) }
+
+  const url = new URL(value.toString())
+  const index = request_path.indexOf('?')
+  const path = index == -1 ? request_path : request_path.substr(0, index)
+  url.pathname = url.pathname.replace(/\/$/, '') + path
+  url.search = index == -1 ? '' : request_path.substr(index)
+  return url
+}
+
+/**
+ * A backend url value. Can be a single url, or a pool of urls (with optional
+ * weights) to load balance between. Parsers can return a promise of the result.
+ * @typedef {string|URL|{url:string|URL, weight:number}} GatewayBackendUrlValue
+ * @typedef {GatewayBackendUrlValue|GatewayBackendUrlValue[]} GatewayBackendUrlResult
+ */
+
 class GatewayBackendParser {
   /**
    * Parses the backend url request from the current path.
    * @param {{
-   * parse_url_from_id: (gateway:Gateway, req: Request, target_id)=>string,
-   * parse_url_from_route: (gateway:Gateway, req: Request)=>string,
-   * parse_protocol: (gateway:Gateway, req: Request)=>string,
-   * parse_method:(gateway:Gateway, req: Request)=>string,
-   * }} param0
+   * parse_url_from_id: (gateway:Gateway, req: Request, target_id, info:GatewayRequestInfo)=>GatewayBackendUrlResult,
+   * parse_url_from_route: (gateway:Gateway, req: Request, info:GatewayRequestInfo)=>GatewayBackendUrlResult,
+   * parse_url_from_forward: (gateway:Gateway, req: Request, target_url:URL, info:GatewayRequestInfo)=>GatewayBackendUrlResult,
+   * parse_protocol: (gateway:Gateway, req: Request, info:GatewayRequestInfo)=>string|Promise<string>,
+   * parse_method:(gateway:Gateway, req: Request, info:GatewayRequestInfo)=>string|Promise<string>,
+   * cache_ttl: number,
+   * cache_max_size: number,
+   * }} param0 All the methods can be async (return a promise). If cache_ttl is defined,
+   * the parse_url_from_id results are cached by target id (the result must then
+   * depend only on the target id) and used as the backend base urls, the request
+   * path and query are appended on every request.
    */
   constructor({
     parse_url_from_id = null,
     parse_url_from_route = null,
+    parse_url_from_forward = null,
     parse_protocol = null,
     parse_method = null,
+    cache_ttl = null,
+    cache_max_size = 1000,
   } = {}) {
     this.invoke_methods = {
       parse_url_from_id,
       parse_url_from_route,
+      parse_url_from_forward,
       parse_protocol,
       parse_method,
     }
+
+    /** @type {GatewayLookupCache} The resolved target ids cache, null if disabled */
+    this.cache =
+      cache_ttl && parse_url_from_id
+        ? new GatewayLookupCache({ ttl: cache_ttl, max_size: cache_max_size })
+        : null
   }
 
   /**
    * Parse the hostname/domain from the host id and return
-   * the new url.
+   * the new url (or a pool of urls).
    * @param {Gateway} gateway
    * @param {Request} req
    * @param {string} target_id
+   * @param {GatewayRequestInfo} info
+   * @returns {GatewayBackendUrlResult}
    */
-  parse_url_from_id(gateway, req, target_id) {
+  parse_url_from_id(gateway, req, target_id, info = null) {
+    if (this.cache != null) {
+      const request_path = get_target_request_path(req, info)
+      const value = this.cache.get_or_resolve(target_id, () =>
+        this.invoke_methods.parse_url_from_id(gateway, req, target_id, info)
+      )
+      return is_promise(value)
+        ? value.then((value) => append_request_path(value, request_path))
+        : append_request_path(value, request_path)
+    }
+
     if (this.invoke_methods.parse_url_from_id)
-      return this.invoke_methods.parse_url_from_id(gateway, req, target_id)
+      return this.invoke_methods.parse_url_from_id(
+        gateway,
+        req,
+        target_id,
+        info
+      )
+
     // general case the id is the remote host + port
-    const parsed_from_id = req.protocol + '://' + target_id + req.originalUrl
+    const parsed_from_id =
+      req.protocol + '://' + target_id + get_target_request_path(req, info)
     const url = new URL(parsed_from_id)
     return url
   }
 
   /**
    * Parse the hostname/domain from the route and the return
-   * the new url.
+   * the new url (or a pool of urls).
    * @param {Gateway} gateway
    * @param {Request} req
+   * @param {GatewayRequestInfo} info
+   * @returns {GatewayBackendUrlResult}
    */
-  parse_url_from_route(gateway, req) {
+  parse_url_from_route(gateway, req, info = null) {
     if (this.invoke_methods.parse_url_from_route)
-      return this.invoke_methods.parse_url_from_route(gateway, req)
+      return this.invoke_methods.parse_url_from_route(gateway, req, info)
 
     const request_path = req.originalUrl.substr((req.baseUrl || '').length)
     const url = new URL(req.protocol + '://' + request_path)
     return url
   }
 
+  /**
+   * Returns the backend url (or a pool of urls) for a forward proxy
+   * request. Defaults to the requested url.
+   * @param {Gateway} gateway
+   * @param {Request} req
+   * @param {URL} target_url The absolute-form url or the CONNECT authority.
+   * @param {GatewayRequestInfo} info
+   * @returns {GatewayBackendUrlResult}
+   */
+  parse_url_from_forward(gateway, req, target_url, info = null) {
+    if (this.invoke_methods.parse_url_from_forward)
+      return this.invoke_methods.parse_url_from_forward(
+        gateway,
+        req,
+        target_url,
+        info
+      )
+    return target_url
+  }
+
   /**
    * Returns the protocol to use when parsing a request.
    * @param {Gateway} gateway
    * @param {Request} req
+   * @param {GatewayRequestInfo} info
    */
-  parse_protocol(gateway, req) {
+  parse_protocol(gateway, req, info = null) {
     if (this.invoke_methods.parse_protocol)
-      return this.invoke_methods.parse_protocol(gateway, req)
+      return this.invoke_methods.parse_protocol(gateway, req, info)
 
     let target_protocol = req.protocol
     if (gateway.force_protocol != null) target_protocol = gateway.force_protocol
@@ -147,31 +333,61 @@ class GatewayBackendParser {
    * Returns the http method to use when applying the protocol.
    * @param {Gateway} gateway
    * @param {Request} req
+   * @param {GatewayRequestInfo} info
    */
-  parse_method(gateway, req) {
+  parse_method(gateway, req, info = null) {
     if (this.invoke_methods.parse_method)
-      return this.invoke_methods.parse_method(gateway, req)
+      return this.invoke_methods.parse_method(gateway, req, info)
     return req.method
   }
 }
 
+/**
+ * @typedef {'healthy'|'unhealthy'|'ejected'} GatewayUpstreamState
+ * @typedef {'closed'|'open'|'half-open'} GatewayCircuitState
+ * @typedef {'enabled'|'draining'|'disabled'} GatewayTargetState
+ */
+
+/**
+ * @typedef {{drained:number, closed:number}} GatewayCloseCount Completed before the
+ * timeout (drained), and force closed.
+ * @typedef {{
+ * duration_ms: number,
+ * requests: GatewayCloseCount,
+ * websockets: GatewayCloseCount,
+ * tunnels: GatewayCloseCount,
+ * }} GatewayCloseSummary
+ */
+
 /**
  * @typedef {(event: 'error', listener: (error: Error) => void) => this} GatewayEventListenError
  * @typedef {(event: 'log', listener: (level:string, ...args) => void) => this} GatewayEventListenLog
- * @typedef {GatewayEventListenError & GatewayEventListenLog} GatewayEventListenRegister
+ * @typedef {(event: 'upstream-state', listener: (target_id:string, upstream:string, state:GatewayUpstreamState, previous_state:GatewayUpstreamState) => void) => this} GatewayEventListenUpstreamState
+ * @typedef {(event: 'circuit-state', listener: (target_id:string, state:GatewayCircuitState, previous_state:GatewayCircuitState) => void) => this} GatewayEventListenCircuitState
+ * @typedef {(event: 'target-state', listener: (target_id:string, state:GatewayTargetState, previous_state:GatewayTargetState) => void) => this} GatewayEventListenTargetState
+ * @typedef {(event: 'request'|'upstream-connect'|'response'|'upgrade'|'tunnel-close', listener: (record:GatewayAccessRecord, info:GatewayRequestInfo) => void) => this} GatewayEventListenLifecycle
+ * @typedef {(event: 'close', listener: (summary:GatewayCloseSummary) => void) => this} GatewayEventListenClose
+ * @typedef {(event: 'mirror', listener: (comparison:import('./mirror').GatewayMirrorComparison) => void) => this} GatewayEventListenMirror
+ * @typedef {GatewayEventListenError & GatewayEventListenLog & GatewayEventListenUpstreamState & GatewayEventListenCircuitState & GatewayEventListenTargetState & GatewayEventListenLifecycle & GatewayEventListenClose & GatewayEventListenMirror} GatewayEventListenRegister
  */
 
 /**
  * @typedef {(event: 'error', error:Error) => this} GatewayEventEmitError
  * @typedef {(event: 'log', level:'DEBUG'|'INFO'|'WARN'|'ERROR', ...args) => this} GatewayEventEmitLog
- * @typedef {GatewayEventEmitError & GatewayEventEmitLog} GatewayEventEmitter
+ * @typedef {(event: 'upstream-state', target_id:string, upstream:string, state:GatewayUpstreamState, previous_state:GatewayUpstreamState) => this} GatewayEventEmitUpstreamState
+ * @typedef {(event: 'circuit-state', target_id:string, state:GatewayCircuitState, previous_state:GatewayCircuitState) => this} GatewayEventEmitCircuitState
+ * @typedef {(event: 'target-state', target_id:string, state:GatewayTargetState, previous_state:GatewayTargetState) => this} GatewayEventEmitTargetState
+ * @typedef {(event: 'request'|'upstream-connect'|'response'|'upgrade'|'tunnel-close', record:GatewayAccessRecord, info:GatewayRequestInfo) => this} GatewayEventEmitLifecycle
+ * @typedef {(event: 'close', summary:GatewayCloseSummary) => this} GatewayEventEmitClose
+ * @typedef {(event: 'mirror', comparison:import('./mirror').GatewayMirrorComparison) => this} GatewayEventEmitMirror
+ * @typedef {GatewayEventEmitError & GatewayEventEmitLog & GatewayEventEmitUpstreamState & GatewayEventEmitCircuitState & GatewayEventEmitTargetState & GatewayEventEmitLifecycle & GatewayEventEmitClose & GatewayEventEmitMirror} GatewayEventEmitter
  */
 
 /**
  * Defines a request filter with a backend request. The filter allows
  * the active filtering of backend requests. parameter backend_url only exists in
- * a subdomain gateway request.
- * @typedef {(info:GatewayRequestInfo, req:Request, res:Response, next:NextFunction)=>boolean} GatewayRequestFilter
+ * a subdomain gateway request. Can be async (return a promise).
+ * @typedef {(info:GatewayRequestInfo, req:Request, res:Response, next:NextFunction)=>boolean|Promise<boolean>} GatewayRequestFilter
  */
 
 class Gateway extends events.EventEmitter {
@@ -184,6 +400,36 @@ class Gateway extends events.EventEmitter {
    * gateway_subdomain: string,
    * logger: Console,
    * log_errors_to_console:boolean,
+   * balancer_strategy: 'round-robin'|'weighted'|'least-outstanding'|'consistent-hash'|Function,
+   * balancer_hash_header: string,
+   * health_check: import('./health').GatewayHealthCheckOptions,
+   * outlier_detection: import('./health').GatewayOutlierDetectionOptions | boolean,
+   * circuit_breaker: import('./health').GatewayCircuitBreakerOptions | boolean,
+   * access_policy: GatewayAccessPolicy | Object | false,
+   * host_signing: GatewayHostSigner | Object,
+   * target_codec: 'escape'|'base32'|'lookup'|GatewayTargetCodec,
+   * proxy_mode: 'host'|'path',
+   * path_prefix: string,
+   * rewrite_content: ('html'|'css'|'js')[],
+   * rewrite_max_body_size: number,
+   * forwarding: GatewayForwarding | Object | boolean,
+   * proxy_protocol: 1|2,
+   * timeouts: import('./retry').GatewayTimeouts,
+   * retry: import('./retry').GatewayRetryPolicy | boolean,
+   * retry_budget: GatewayRetryBudget | Object,
+   * metrics: GatewayMetrics | Object,
+   * access_log: import('./access').GatewayAccessLogFormat | {
+   *  format: import('./access').GatewayAccessLogFormat | (record:GatewayAccessRecord)=>string,
+   *  stream: {write:(line:string)=>any},
+   * },
+   * sessions: GatewaySessionRegistry | Object,
+   * transforms: import('./transforms').GatewayTransformSpec[],
+   * lookup_timeout: number,
+   * cache: GatewayResponseCache | Object,
+   * rate_limit: GatewayRateLimiter | Object,
+   * upstream_options: GatewayUpstreamAgents | Object,
+   * error_responses: GatewayErrorRenderer | Object,
+   * mirror: GatewayMirror | import('./mirror').GatewayMirrorOptions,
    * }} param0
    */
   constructor({
@@ -195,6 +441,33 @@ class Gateway extends events.EventEmitter {
     socket_ports = [22],
     logger = null,
     log_errors_to_console = true,
+    balancer_strategy = 'round-robin',
+    balancer_hash_header = null,
+    health_check = null,
+    outlier_detection = null,
+    circuit_breaker = null,
+    access_policy = {},
+    host_signing = null,
+    target_codec = 'escape',
+    proxy_mode = 'host',
+    path_prefix = null,
+    rewrite_content = ['html', 'css', 'js'],
+    rewrite_max_body_size = 10 * 1024 * 1024,
+    forwarding = null,
+    proxy_protocol = null,
+    timeouts = {},
+    retry = null,
+    retry_budget = {},
+    metrics = {},
+    access_log = null,
+    sessions = {},
+    transforms = [],
+    lookup_timeout = 10000,
+    cache = null,
+    rate_limit = null,
+    upstream_options = {},
+    error_responses = {},
+    mirror = {},
   } = {}) {
     super()
 
@@ -205,6 +478,175 @@ class Gateway extends events.EventEmitter {
     this.gateway_subdomain = gateway_subdomain
     this.socket_ports = socket_ports
 
+    /** @type {GatewayBalancer} Selects the upstream when a target has multiple backends */
+    this.balancer = new GatewayBalancer({
+      strategy: balancer_strategy,
+      hash_header: balancer_hash_header,
+    })
+
+    /** @type {GatewayUpstreamAgents} The upstream connection options (tls, unix sockets) and keep alive agents */
+    this.upstream_agents =
+      upstream_options instanceof GatewayUpstreamAgents
+        ? upstream_options
+        : new GatewayUpstreamAgents(upstream_options)
+
+    /** @type {GatewayErrorRenderer} Renders the error responses (html, problem json or a callback) */
+    this.error_renderer =
+      error_responses instanceof GatewayErrorRenderer
+        ? error_responses
+        : new GatewayErrorRenderer(error_responses || {})
+
+    /**
+     * @type {GatewayAccessPolicy} Limits the backends the gateway can connect to, by
+     * default private, loopback and link local addresses are denied. null if disabled.
+     */
+    this.access_policy =
+      access_policy === false || access_policy == null
+        ? null
+        : access_policy instanceof GatewayAccessPolicy
+        ? access_policy
+        : new GatewayAccessPolicy(access_policy)
+
+    /** @type {GatewayMirror} Mirrors the proxied requests to shadow backends (see info.mirror) */
+    this.mirror =
+      mirror instanceof GatewayMirror
+        ? mirror
+        : new GatewayMirror(mirror, { access_policy: this.access_policy })
+
+    /** @type {GatewayHealthMonitor} Upstream health checks, outlier detection and circuit breaking */
+    this.health = new GatewayHealthMonitor({
+      balancer: this.balancer,
+      access_policy: this.access_policy,
+      emit: (...args) => this.emit(...args),
+      apply_upstream_options: (target_id, request_options, is_secure) =>
+        this.upstream_agents.apply(
+          request_options,
+          this.upstream_agents.get_options(target_id),
+          is_secure
+        ),
+      health_check,
+      outlier_detection,
+      circuit_breaker,
+    })
+    this.health.start()
+
+    /** @type {GatewayHostSigner} If defined, gateway host links must be signed */
+    this.host_signer =
+      host_signing == null || host_signing instanceof GatewayHostSigner
+        ? host_signing
+        : new GatewayHostSigner(host_signing)
+
+    /** @type {GatewayTargetCodec} Encodes the target id into the gateway host */
+    this.target_codec = create_target_codec(target_codec)
+
+    assert(
+      ['host', 'path'].indexOf(proxy_mode) != -1,
+      'proxy_mode must be either host or path'
+    )
+
+    /**
+     * @type {'host'|'path'} In host mode, targets are served on the gateway
+     * host (subdomain), in path mode under the path prefix on the same host.
+     */
+    this.proxy_mode = proxy_mode
+    this.path_prefix = (path_prefix || '/' + gateway_subdomain).replace(
+      /\/+$/,
+      ''
+    )
+    this.rewrite_content = rewrite_content
+    /** @type {number} Larger responses are not rewritten (path mode) */
+    this.rewrite_max_body_size = rewrite_max_body_size
+
+    /** @type {GatewayForwarding} Adds the forwarding headers, null if disabled (the default) */
+    this.forwarding =
+      forwarding === false || forwarding == null
+        ? null
+        : forwarding instanceof GatewayForwarding
+        ? forwarding
+        : new GatewayForwarding(forwarding)
+
+    assert(
+      [null, 1, 2].indexOf(proxy_protocol) != -1,
+      'proxy_protocol must be null, 1 or 2'
+    )
+
+    /** @type {1|2} If defined, send a PROXY protocol header on tunnel (websocket/socket) connections */
+    this.proxy_protocol = proxy_protocol
+
+    /** @type {{parser:GatewayBackendParser, request_filter:GatewayRequestFilter}} The last middleware options (attach defaults) */
+    this._middleware_options = null
+
+    /** @type {import('./retry').GatewayTimeouts} The upstream timeouts (ms), timing out responds with 504 */
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...(timeouts || {}) }
+
+    /** @type {import('./retry').GatewayRetryPolicy} The retry policy for failed backend requests, null if disabled (the default) */
+    this.retry =
+      retry === false || retry == null
+        ? null
+        : { ...DEFAULT_RETRY_POLICY, ...retry }
+
+    /** @type {GatewayRetryBudget} Limits the retries to a ratio of the requests */
+    this.retry_budget =
+      retry_budget instanceof GatewayRetryBudget
+        ? retry_budget
+        : new GatewayRetryBudget(retry_budget)
+
+    /** @type {GatewayMetrics} The gateway traffic metrics (see metrics_handler) */
+    this.metrics =
+      metrics instanceof GatewayMetrics ? metrics : new GatewayMetrics(metrics)
+
+    /** @type {GatewaySessionRegistry} The open tunnel (websocket/socket) sessions, timeouts and limits */
+    this.sessions =
+      sessions instanceof GatewaySessionRegistry
+        ? sessions
+        : new GatewaySessionRegistry({
+            ...sessions,
+            emit: (...args) => this.emit(...args),
+          })
+
+    /** @type {GatewayTransformPipeline} Request/response transforms applied to all the proxied requests */
+    this.transforms =
+      transforms instanceof GatewayTransformPipeline
+        ? transforms
+        : new GatewayTransformPipeline(transforms)
+
+    /** @type {number} The timeout (ms) for async parser and request filter calls, responds with 504 */
+    this.lookup_timeout = lookup_timeout
+
+    /** @type {GatewayResponseCache} The backend response cache, null if disabled */
+    this.cache =
+      cache == null || cache === false
+        ? null
+        : cache instanceof GatewayResponseCache
+        ? cache
+        : new GatewayResponseCache(cache)
+
+    /** @type {GatewayRateLimiter} Limits the gateway requests rate, null if disabled */
+    this.rate_limiter =
+      rate_limit == null || rate_limit === false
+        ? null
+        : rate_limit instanceof GatewayRateLimiter
+        ? rate_limit
+        : new GatewayRateLimiter(rate_limit)
+
+    /**
+     * @type {Map<string, GatewayTargetState>} The draining and disabled targets. Disabled
+     * targets are not served (next is called), draining targets respond with 503 while
+     * their in flight requests and tunnels complete.
+     */
+    this.target_states = new Map()
+
+    /** @type {Set<Response>} The in flight proxied (http) responses */
+    this._in_flight = new Set()
+
+    /**
+     * @type {'unavailable'|'next'} If defined the gateway is closing, and new requests
+     * are rejected with 503 (unavailable) or passed to next.
+     */
+    this.closing = null
+    /** @type {Promise<GatewayCloseSummary>} */
+    this._close_promise = null
+
     /**@type {GatewayEventListenRegister} */
     this.on
     /**@type {GatewayEventListenRegister} */
@@ -223,6 +665,472 @@ class Gateway extends events.EventEmitter {
       if (logger && logger.error) logger.error(err)
       if (log_errors_to_console) console.error(err)
     })
+
+    if (access_log != null) {
+      if (typeof access_log == 'string') access_log = { format: access_log }
+      const format = get_access_log_formatter(access_log.format || 'combined')
+      const stream = access_log.stream || process.stdout
+      const write_record = (record) => stream.write(format(record) + '\n')
+      this.on('response', write_record)
+      this.on('tunnel-close', write_record)
+    }
+  }
+
+  /**
+   * The current upstream pools state (in flight requests per upstream), by target id.
+   * @returns {Object<string, Object>}
+   */
+  get_upstreams_state() {
+    return this.balancer.get_state()
+  }
+
+  /**
+   * Gracefully close the gateway. New requests are rejected (503, or passed to next),
+   * in flight requests and tunnels are allowed to complete, and websocket sessions are
+   * sent a close frame (going away). Whatever remains after the timeout is force closed.
+   * The http servers are not closed.
+   * @example
+   * process.on('SIGTERM', async () => {
+   *   await gateway.close({ timeout: 10000 })
+   *   server.close()
+   * })
+   * @param {{
+   * timeout: number,
+   * reject: 'unavailable'|'next',
+   * }} param0 The timeout (ms) to wait for the requests and tunnels to complete.
+   * @returns {Promise<GatewayCloseSummary>}
+   */
+  close({ timeout = 30000, reject = 'unavailable' } = {}) {
+    if (this._close_promise == null) {
+      this.closing = reject
+      this._close_promise = this._drain(timeout)
+    }
+    return this._close_promise
+  }
+
+  /**
+   * @param {number} timeout
+   * @returns {Promise<GatewayCloseSummary>}
+   */
+  async _drain(timeout) {
+    const started = Date.now()
+    const deadline = started + timeout
+    const count = () => ({
+      requests: this._in_flight.size,
+      websockets: this.sessions.count({ type: 'websocket' }),
+      tunnels: this.sessions.count({ type: 'tunnel' }),
+    })
+
+    this.health.stop()
+    const initial = count()
+    this.emit(
+      'log',
+      'INFO',
+      `Closing the gateway, draining ${initial.requests} requests, ` +
+        `${initial.websockets} websockets and ${initial.tunnels} tunnels`
+    )
+
+    // connecting websockets are shut down once open.
+    while (Date.now() < deadline) {
+      for (const session of this.sessions.list({ type: 'websocket' }))
+        session.shutdown_websocket(1001, 'Gateway closing')
+      if (this._in_flight.size == 0 && this.sessions.count() == 0) break
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(100, deadline - Date.now()))
+      )
+    }
+
+    const remaining = count()
+    for (const res of this._in_flight) res.destroy()
+    this._in_flight.clear()
+    this.sessions.kill_all(null, 'gateway closed')
+    this.upstream_agents.destroy()
+    this.mirror.destroy()
+
+    /** @type {GatewayCloseSummary} */
+    const summary = { duration_ms: Date.now() - started }
+    for (const name of ['requests', 'websockets', 'tunnels'])
+      summary[name] = {
+        drained: Math.max(0, initial[name] - remaining[name]),
+        closed: remaining[name],
+      }
+
+    this.emit(
+      'log',
+      remaining.requests + remaining.websockets + remaining.tunnels > 0
+        ? 'WARN'
+        : 'INFO',
+      `Gateway closed in ${summary.duration_ms}ms, force closed ${remaining.requests} ` +
+        `requests, ${remaining.websockets} websockets and ${remaining.tunnels} tunnels`
+    )
+    this.emit('close', summary)
+    return summary
+  }
+
+  /**
+   * @param {string} target_id
+   * @returns {GatewayTargetState}
+   */
+  get_target_state(target_id) {
+    return this.target_states.get(target_id) || 'enabled'
+  }
+
+  /**
+   * Drain or disable a target (or enable it back). In flight requests and open
+   * tunnels are not affected.
+   * @param {string} target_id
+   * @param {GatewayTargetState} state
+   */
+  set_target_state(target_id, state) {
+    assert(
+      ['enabled', 'draining', 'disabled'].indexOf(state) != -1,
+      'The target state must be enabled, draining or disabled'
+    )
+    const previous_state = this.get_target_state(target_id)
+    if (state == previous_state) return
+
+    if (state == 'enabled') this.target_states.delete(target_id)
+    else this.target_states.set(target_id, state)
+
+    this.emit(
+      'log',
+      'INFO',
+      `Target ${target_id} is ${state} (was ${previous_state})`
+    )
+    this.emit('target-state', target_id, state, previous_state)
+  }
+
+  /**
+   * The known targets (that were served, or are draining/disabled), with their
+   * state, upstreams and live request/tunnel counts.
+   * @returns {{
+   * target_id: string,
+   * state: GatewayTargetState,
+   * is_drained: boolean,
+   * circuit_state: GatewayCircuitState,
+   * in_flight: number,
+   * tunnels: number,
+   * upstreams: {url:string, state:GatewayUpstreamState, in_flight:number}[],
+   * }[]}
+   */
+  get_targets() {
+    const pools = this.balancer.pools
+    const target_ids = new Set([...pools.keys(), ...this.target_states.keys()])
+    return [...target_ids].sort().map((target_id) => {
+      const pool = pools.get(target_id)
+      const upstreams = (pool ? pool.members : []).map((upstream) => ({
+        url: `${upstream.protocol || 'http:'}//${upstream.key}`,
+        state: upstream.get_state(),
+        in_flight: upstream.in_flight,
+      }))
+      const in_flight = upstreams.reduce((sum, u) => sum + u.in_flight, 0)
+      const tunnels = this.sessions.count({ target_id })
+      return {
+        target_id,
+        state: this.get_target_state(target_id),
+        is_drained: in_flight == 0 && tunnels == 0,
+        circuit_state: pool ? pool.circuit_state : 'closed',
+        in_flight,
+        tunnels,
+        upstreams,
+      }
+    })
+  }
+
+  /**
+   * The open tunnel (websocket/socket) sessions.
+   * @param {import('./sessions').GatewaySessionFilter} filter
+   * @returns {Object[]}
+   */
+  get_sessions(filter = null) {
+    return this.sessions.list(filter).map((session) => session.to_json())
+  }
+
+  /**
+   * Terminate a tunnel (websocket/socket) session, see get_sessions.
+   * @param {string} id The session id.
+   * @returns {boolean} True if the session was found.
+   */
+  kill_session(id) {
+    return this.sessions.kill(id)
+  }
+
+  /**
+   * Remove responses from the response cache.
+   * @param {{target_id:string, url_prefix:string}} filter The target id and/or
+   * the backend url prefix (full url or path), all if empty.
+   * @returns {Promise<number>} The number of purged urls.
+   */
+  async purge_cache(filter = {}) {
+    if (this.cache == null) return 0
+    return await this.cache.purge(filter)
+  }
+
+  /**
+   * An express handler that serves the gateway metrics in the
+   * prometheus text exposition format.
+   * @returns {(req:Request, res:Response)=>void}
+   */
+  metrics_handler() {
+    return (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+      res.end(this.metrics.render())
+    }
+  }
+
+  /**
+   * Count the data passing through a tunnel (websocket/socket) into the
+   * traffic metrics.
+   * @param {net.Socket} client_socket
+   * @param {net.Socket} proxy_socket
+   * @param {GatewayRequestInfo} info
+   */
+  _count_tunnel_bytes(client_socket, proxy_socket, info) {
+    const labels = { target_id: info.target_id }
+    const record = this._get_access_record(null, info)
+    client_socket.on('data', (chunk) => {
+      record.bytes_received += chunk.length
+      this.metrics.received_bytes_total.inc(labels, chunk.length)
+    })
+    proxy_socket.on('data', (chunk) => {
+      record.bytes_sent += chunk.length
+      this.metrics.sent_bytes_total.inc(labels, chunk.length)
+    })
+  }
+
+  /**
+   * @param {Request} req
+   * @param {GatewayRequestInfo} info
+   * @returns {GatewayAccessRecord} The info access record (created if missing)
+   */
+  _get_access_record(req, info) {
+    if (info.access == null)
+      info.access = new GatewayAccessRecord(
+        req,
+        this.forwarding != null ? this.forwarding.get_client_address(req) : null
+      )
+    return info.access
+  }
+
+  /**
+   * Emit a lifecycle event with the updated access record.
+   * @param {'request'|'upstream-connect'|'response'|'upgrade'|'tunnel-close'} event
+   * @param {GatewayRequestInfo} info
+   */
+  _emit_lifecycle(event, info) {
+    const record = info.access.update(info)
+    if (event == 'response' || event == 'tunnel-close')
+      record.duration_ms = record.elapsed_ms()
+    this.emit(event, record, info)
+  }
+
+  /**
+   * Emit the response lifecycle event when the response is done.
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {()=>void} on_done Called before the event is emitted.
+   * @returns {()=>void} Call to stop tracking (e.g. when the connection was upgraded).
+   */
+  _track_response(res, info, on_done = null) {
+    let is_done = false
+    const done = () => {
+      if (is_done) return
+      is_done = true
+      // client closed the connection before the response was sent.
+      info.access.status = res.writableFinished ? res.statusCode : 499
+      if (on_done) on_done()
+      this._emit_lifecycle('response', info)
+    }
+    res.once('finish', done)
+    res.once('close', done)
+    return () => {
+      res.removeListener('finish', done)
+      res.removeListener('close', done)
+    }
+  }
+
+  /**
+   * Emit the tunnel (websocket/socket) lifecycle events and track the
+   * tunnel close.
+   * @param {net.Socket} client_socket
+   * @param {GatewayRequestInfo} info
+   * @param {number} status The tunnel status (e.g. 101 for websockets)
+   */
+  _track_tunnel(client_socket, info, status) {
+    info.access.status = status
+    this._emit_lifecycle('upgrade', info)
+    client_socket.once('close', () =>
+      this._emit_lifecycle('tunnel-close', info)
+    )
+  }
+
+  /**
+   * Register a tunnel session for the request. If a session limit was
+   * reached the error is handled (429) and null is returned.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @param {GatewayRequestInfo} info
+   * @param {'websocket'|'tunnel'} type
+   * @returns {GatewaySession}
+   */
+  _open_session(req, res, next, info, type) {
+    const record = this._get_access_record(req, info)
+    const client_address = record.client_address || req.socket.remoteAddress
+    const limit = this.sessions.check_limits(info.target_id, client_address)
+    if (limit != null) {
+      const err = new Error(
+        `Session limit reached for ${info.target_id} (client ${client_address}): ${limit}`
+      )
+      err.code = 'ESESSIONLIMIT'
+      record.error_code = err.code
+      this.emit('log', 'WARN', err.message)
+      this._handle_proxy_request_error(err, req, res, next, info)
+      return null
+    }
+
+    info.session = this.sessions.create({
+      type,
+      target_id: info.target_id,
+      client_address,
+      client_socket: req.socket,
+    })
+    return info.session
+  }
+
+  /**
+   * Select the upstream to call from the backend pool. Updates
+   * info.backend_url and info.upstream. If no upstream is available
+   * the error is handled and null is returned.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @param {GatewayRequestInfo} info
+   * @returns {()=>void} Call when the request/session to the upstream is done.
+   */
+  _select_upstream(req, res, next, info) {
+    const retry_after = this.health.check_circuit(info.target_id)
+    if (retry_after != null) {
+      const err = new Error(`Circuit open for ${info.target_id}`)
+      err.code = 'ECIRCUITOPEN'
+      err.retry_after = retry_after
+      this._handle_proxy_request_error(err, req, res, next, info)
+      return null
+    }
+
+    const pool = info.backend_pool || [{ url: info.backend_url, weight: 1 }]
+    const selected = this.balancer.select(info.target_id, pool, req)
+    if (selected == null) {
+      const err = new Error(`No upstream available for ${info.target_id}`)
+      err.code = 'ENOUPSTREAM'
+      this.health.report_failure(info.target_id, null, err)
+      this._handle_proxy_request_error(err, req, res, next, info)
+      return null
+    }
+
+    if (info.is_forward_proxy)
+      this.balancer.get_pool(info.target_id).is_forward_proxy = true
+
+    info.upstream = selected.upstream
+    info.backend_url = selected.url
+
+    if (!this._check_access_policy(req, res, info)) return null
+
+    return this.balancer.acquire(selected.upstream)
+  }
+
+  /**
+   * Check the gateway and target state for a new request. Disabled targets (or
+   * a closing gateway in next mode) are passed to next, draining targets and a
+   * closing gateway respond with 503.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @param {GatewayRequestInfo} info
+   * @returns {boolean} True if the request can continue.
+   */
+  _check_target_state(req, res, next, info) {
+    if (this.closing != null) {
+      if (this.closing == 'next') {
+        next()
+        return false
+      }
+      const err = new Error('The gateway is closing')
+      err.code = 'EGATEWAYCLOSING'
+      this._handle_proxy_request_error(err, req, res, next, info)
+      return false
+    }
+
+    const state = this.get_target_state(info.target_id)
+    if (state == 'enabled') return true
+    if (state == 'disabled') {
+      next()
+      return false
+    }
+
+    const err = new Error(`Target ${info.target_id} is draining`)
+    err.code = 'ETARGETDRAINING'
+    this._handle_proxy_request_error(err, req, res, next, info)
+    return false
+  }
+
+  /**
+   * Check the backend url(s) against the access policy. If denied, responds
+   * with 403.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {URL[]} urls The urls to check, defaults to the info backend url.
+   * @returns {boolean} True if allowed.
+   */
+  _check_access_policy(req, res, info, urls = null) {
+    if (this.access_policy == null) return true
+    for (const url of urls || [info.backend_url]) {
+      const reason = this.access_policy.check_url(url)
+      if (reason != null) {
+        this._deny_access(req, res, info, reason)
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {string} reason
+   */
+  _deny_access(req, res, info, reason) {
+    this.emit(
+      'log',
+      'WARN',
+      `Access denied ${req.originalUrl} -> ${
+        info.backend_url || info.target_id
+      }: ${reason}`
+    )
+    if (res.headersSent) return res.end()
+    const err = new Error(`Access denied: ${reason}`)
+    err.code = 'EPOLICYDENIED'
+    this.send_error(req, res, err, info)
+  }
+
+  /**
+   * Respond with the (classified) error, see GatewayErrorRenderer. If the response
+   * already started, it is aborted.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Error} err
+   * @param {GatewayRequestInfo} info
+   */
+  send_error(req, res, err, info = null) {
+    const record = info != null ? this._get_access_record(req, info) : null
+    const error = this.error_renderer.create_error(req, err, {
+      request_id: record != null ? record.request_id : null,
+      target_id: info != null ? info.target_id : null,
+    })
+    if (record != null) record.error_reason = error.reason
+    this.error_renderer.render(req, res, error)
   }
 
   /**
@@ -234,9 +1142,10 @@ class Gateway extends events.EventEmitter {
    * @param {GatewayRequestInfo} info
    */
   _handle_proxy_request_error(err, req, res, next, info) {
-    const originalCode = err.code || '[unknown]'
-    const status = map_dns_status_to_http_code(originalCode)
+    if (err.code == 'EPOLICYDENIED')
+      return this._deny_access(req, res, info, err.message)
 
+    const { status } = classify_gateway_error(err)
     if (status == 500)
       this.emit(
         'log',
@@ -245,11 +1154,28 @@ class Gateway extends events.EventEmitter {
           err.message
       )
 
-    if (info.is_websocket_request) return res.sendStatus(status)
-    err.code = status
-    err.statusCode = status
-    err.originalCode = originalCode
-    next(err)
+    // the response already started, it can only be aborted.
+    if (res.headersSent) return res.destroy(err)
+    this.send_error(req, res, err, info)
+  }
+
+  /**
+   * Create the PROXY protocol header for the client connection.
+   * @param {Request} req
+   * @returns {Buffer}
+   */
+  create_proxy_protocol_header(req) {
+    return create_proxy_protocol_header(
+      this.proxy_protocol,
+      {
+        address:
+          this.forwarding != null
+            ? this.forwarding.get_client_address(req)
+            : req.socket.remoteAddress,
+        port: req.socket.remotePort,
+      },
+      { address: req.socket.localAddress, port: req.socket.localPort }
+    )
   }
 
   /**
@@ -259,6 +1185,10 @@ class Gateway extends events.EventEmitter {
    * @param {NextFunction} next
    * @param {GatewayRequestInfo} info
    * @param {(res:http.IncomingMessage)=>{}} handle_response
+   * @param {Object<string,string>} headers
+   * @param {boolean} override_headers
+   * @param {(err:Error)=>boolean} handle_error If returns true, the error was handled
+   * (e.g. the request is retried), otherwise the default error handling applies.
    * @returns {http.ClientRequest}
    */
   create_proxy_request(
@@ -268,7 +1198,8 @@ class Gateway extends events.EventEmitter {
     info,
     handle_response = null,
     headers = null,
-    override_headers = false
+    override_headers = false,
+    handle_error = null
   ) {
     /**
      * @type {http.RequestOptions}
@@ -281,6 +1212,8 @@ class Gateway extends events.EventEmitter {
       path: info.backend_url.pathname + info.backend_url.search,
     }
 
+    if (this.access_policy != null) options.lookup = this.access_policy.lookup
+
     options.headers = {
       ...(override_headers ? {} : req.headers),
       ...(headers || {}),
@@ -288,7 +1221,49 @@ class Gateway extends events.EventEmitter {
 
     // reset the host if self redirect
     if ((options.headers.host || '').endsWith(info.backend_url.host))
-      options.headers.host = null
+      delete options.headers.host
+
+    if (this.forwarding != null)
+      this.forwarding.apply(req, options.headers, info.gateway_path_prefix)
+
+    const is_secure =
+      ['https:', 'wss:'].indexOf(info.backend_url.protocol) != -1
+    if (this.proxy_protocol != null && info.is_websocket_request)
+      options.createConnection = create_proxy_protocol_connection(
+        this.create_proxy_protocol_header(req),
+        is_secure
+      )
+
+    this.upstream_agents.apply(
+      options,
+      this._get_upstream_options(info),
+      is_secure
+    )
+
+    if (this.host_signer != null) this.host_signer.strip_cookie(options.headers)
+
+    const transforms = this._get_transforms(info)
+    if (!transforms.is_empty) {
+      const ctx = transforms.apply_request({
+        req,
+        info,
+        method: options.method,
+        path: options.path,
+        headers: options.headers,
+      })
+      options.method = ctx.method
+      options.path = ctx.path
+      options.headers = ctx.headers
+    }
+
+    // only request encodings the path mode rewriter can decode.
+    if (info.is_gateway_path && options.headers['accept-encoding'] != null) {
+      const accept_encoding = filter_accept_encoding(
+        options.headers['accept-encoding']
+      )
+      if (accept_encoding == null) delete options.headers['accept-encoding']
+      else options.headers['accept-encoding'] = accept_encoding
+    }
 
     let proxy_request = null
     switch (info.backend_url.protocol) {
@@ -305,14 +1280,267 @@ class Gateway extends events.EventEmitter {
         break
     }
 
+    const record = this._get_access_record(req, info)
+    record.attempts += 1
+    proxy_request.once('socket', (socket) => {
+      const on_connect = () => {
+        record.connect_ms = record.elapsed_ms()
+        this._emit_lifecycle('upstream-connect', info)
+      }
+      if (socket.connecting) socket.once('connect', on_connect)
+      else on_connect()
+    })
+
+    const started = process.hrtime.bigint()
+    const observe_latency = () =>
+      this.metrics.upstream_response_seconds.observe(
+        {
+          target_id: info.target_id,
+          upstream: info.upstream ? info.upstream.key : info.backend_url.host,
+        },
+        Number(process.hrtime.bigint() - started) / 1e9
+      )
+
+    proxy_request.once('response', () => {
+      record.upstream_response_ms = record.elapsed_ms()
+      observe_latency()
+      this.health.report_success(info.target_id, info.upstream)
+    })
+    proxy_request.once('upgrade', observe_latency)
+
+    this._apply_upstream_timeouts(proxy_request, this._get_timeouts(info))
+
     proxy_request.on('error', (err) => {
-      this.emit('error', err)
+      record.error_code = err.code || 'unknown'
+      this.metrics.upstream_errors_total.inc({
+        target_id: info.target_id,
+        code: err.code || 'unknown',
+      })
+      this.health.report_failure(info.target_id, info.upstream, err)
+      if (handle_error != null && handle_error(err) === true) return
+      if (err.code != 'EPOLICYDENIED') this.emit('error', err)
       this._handle_proxy_request_error(err, req, res, next, info)
     })
 
     return proxy_request
   }
 
+  /**
+   * @param {GatewayRequestInfo} info
+   * @returns {import('./retry').GatewayTimeouts} The timeouts for the request route.
+   */
+  _get_timeouts(info) {
+    return { ...this.timeouts, ...(info.timeouts || {}) }
+  }
+
+  /**
+   * @param {GatewayRequestInfo} info
+   * @returns {import('./agents').GatewayUpstreamOptions} The upstream connection options for the request route.
+   */
+  _get_upstream_options(info) {
+    return this.upstream_agents.get_options(
+      info.target_id,
+      info.upstream_options
+    )
+  }
+
+  /**
+   * @param {GatewayRequestInfo} info
+   * @returns {GatewayTransformPipeline} The transforms for the request route.
+   */
+  _get_transforms(info) {
+    return this.transforms.concat(info.transforms)
+  }
+
+  /**
+   * Apply the response transforms to the upstream response status and headers.
+   * If a transform hook throws, the error is sent to the client.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {number} status
+   * @param {http.IncomingHttpHeaders} headers
+   * @returns {import('./transforms').GatewayResponseTransformContext} The
+   * transformed response, or null if the transforms failed.
+   */
+  _transform_response(req, res, info, status, headers) {
+    try {
+      return this._get_transforms(info).apply_response({
+        req,
+        info,
+        status,
+        headers: { ...headers },
+      })
+    } catch (err) {
+      this._handle_transform_error(err, req, res, info)
+      return null
+    }
+  }
+
+  /**
+   * @param {Error} err The transform hook error.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   */
+  _handle_transform_error(err, req, res, info) {
+    this.emit('error', err)
+    this.emit(
+      'log',
+      'ERROR',
+      `Failed to transform response from ${info.backend_url}: ${err.message}`
+    )
+    if (res.headersSent) return res.destroy(err)
+    this.send_error(req, res, err, info)
+  }
+
+  /**
+   * Send the (transformed) response, piping the body through the
+   * transform body streams.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {import('./transforms').GatewayResponseTransformContext} ctx
+   * @param {NodeJS.ReadableStream} body
+   */
+  _send_transformed_response(req, res, info, ctx, body) {
+    let body_streams = null
+    try {
+      body_streams = this._get_transforms(info).create_body_streams(ctx)
+    } catch (err) {
+      body.resume()
+      return this._handle_transform_error(err, req, res, info)
+    }
+    if (body_streams.length == 0) {
+      res.writeHead(ctx.status, ctx.headers)
+      body.pipe(res, {
+        end: true,
+      })
+      return
+    }
+
+    // the body length can change.
+    delete ctx.headers['content-length']
+    res.writeHead(ctx.status, ctx.headers)
+    stream.pipeline(body, ...body_streams, res, (err) => {
+      if (err == null) return
+      this.emit(
+        'log',
+        'ERROR',
+        `Failed to transform response from ${info.backend_url}: ${err.message}`
+      )
+      res.destroy(err)
+    })
+  }
+
+  /**
+   * @param {GatewayRequestInfo} info
+   * @returns {import('./retry').GatewayRetryPolicy} The retry policy for the request route,
+   * or null if retries are disabled.
+   */
+  _get_retry_policy(info) {
+    if (info.retry === false) return null
+    if (this.retry == null && info.retry == null) return null
+    return {
+      ...DEFAULT_RETRY_POLICY,
+      ...(this.retry || {}),
+      ...(info.retry || {}),
+    }
+  }
+
+  /**
+   * Destroys the proxy request if the upstream does not connect, respond or
+   * send data in time. The error codes map to 504.
+   * @param {http.ClientRequest} proxy_request
+   * @param {import('./retry').GatewayTimeouts} timeouts
+   */
+  _apply_upstream_timeouts(proxy_request, timeouts) {
+    let connect_timer = null
+    let response_timer = null
+
+    const fail = (code, message) => {
+      const err = new Error(message)
+      err.code = code
+      proxy_request.destroy(err)
+    }
+
+    const clear = () => {
+      clearTimeout(connect_timer)
+      clearTimeout(response_timer)
+    }
+
+    if (timeouts.connect > 0)
+      proxy_request.once('socket', (socket) => {
+        if (!socket.connecting) return
+        connect_timer = setTimeout(
+          () =>
+            fail(
+              'ECONNECTTIMEOUT',
+              `Upstream connect timeout (${timeouts.connect}ms)`
+            ),
+          timeouts.connect
+        )
+        socket.once('connect', () => clearTimeout(connect_timer))
+      })
+
+    // counted from when the request was fully sent.
+    if (timeouts.response > 0)
+      proxy_request.once('finish', () => {
+        response_timer = setTimeout(
+          () =>
+            fail(
+              'ERESPONSETIMEOUT',
+              `Upstream response timeout (${timeouts.response}ms)`
+            ),
+          timeouts.response
+        )
+      })
+
+    if (timeouts.idle > 0)
+      proxy_request.setTimeout(timeouts.idle, () =>
+        fail('EIDLETIMEOUT', `Upstream idle timeout (${timeouts.idle}ms)`)
+      )
+
+    proxy_request.once('response', clear)
+    proxy_request.once('upgrade', clear)
+    proxy_request.once('close', clear)
+  }
+
+  /**
+   * @param {Request} req
+   * @param {Response} res
+   * @param {http.ClientRequest} proxy_request The failed request.
+   * @param {Error} err
+   * @param {{
+   * policy: import('./retry').GatewayRetryPolicy,
+   * body: GatewayRequestBody,
+   * attempt: number,
+   * is_connected: boolean,
+   * }} state
+   * @returns {boolean} True if the request can be retried.
+   */
+  _can_retry(req, res, proxy_request, err, state) {
+    const { policy, body, attempt, is_connected } = state
+    if (policy == null || attempt >= policy.retries) return false
+    if (res.headersSent || req.socket.destroyed) return false
+    if (policy.retry_on.indexOf(err.code) == -1) return false
+    if (!body.is_replayable) return false
+
+    // non idempotent requests are only retried if they never reached the backend
+    // (or were sent on a reused keep-alive socket the backend already closed).
+    const never_reached =
+      !is_connected ||
+      NOT_CONNECTED_ERROR_CODES.indexOf(err.code) != -1 ||
+      (proxy_request.reusedSocket && err.code == 'ECONNRESET')
+    if (
+      IDEMPOTENT_METHODS.indexOf(proxy_request.method) == -1 &&
+      !never_reached
+    )
+      return false
+
+    return this.retry_budget.try_acquire()
+  }
+
   /**
    * A middleware function to execute the auth.
    * @param {Request} req
@@ -321,22 +1549,427 @@ class Gateway extends events.EventEmitter {
    * @param {GatewayRequestInfo} info
    */
   send_proxy_request(req, res, next, info) {
-    const proxy_request = this.create_proxy_request(
+    const policy = this._get_retry_policy(info)
+    const state = {
+      policy,
+      body: new GatewayRequestBody(req, policy ? policy.max_buffer_size : 0),
+      attempt: 0,
+      is_connected: false,
+    }
+    this.retry_budget.record_request()
+
+    const mirrors = this.mirror.start(req, info.mirror)
+
+    const record = this._get_access_record(req, info)
+    this._in_flight.add(res)
+    this._track_response(res, info, () => {
+      this._in_flight.delete(res)
+      if (mirrors.length > 0)
+        this._compare_mirrors(req, info, mirrors, {
+          status: record.status,
+          duration_ms: record.elapsed_ms(),
+          error: record.status == 499 ? 'ECLIENTCLOSED' : null,
+        })
+      record.bytes_received = state.body.size
+      const labels = { target_id: info.target_id }
+      this.metrics.requests_total.inc({
+        ...labels,
+        method: req.method,
+        status: record.status,
+      })
+      this.metrics.received_bytes_total.inc(labels, record.bytes_received)
+      this.metrics.sent_bytes_total.inc(labels, record.bytes_sent)
+    })
+
+    /** @type {import('./cache').GatewayCacheLookup} */
+    let cache_lookup = null
+
+    const send_attempt = () => {
+      try {
+        if (state.attempt > 0 && !state.body.is_replayable) {
+          // the body was partially sent, and is no longer buffered.
+          const err = new Error(
+            `Cannot retry ${req.method} ${info.backend_url}, the request body cannot be replayed`
+          )
+          err.code = 'EBODYNOTREPLAYABLE'
+          state.body.discard()
+          return this._handle_proxy_request_error(err, req, res, next, info)
+        }
+
+        const release_upstream = this._select_upstream(req, res, next, info)
+        if (release_upstream == null) return
+        res.once('finish', release_upstream)
+        res.once('close', release_upstream)
+
+        const revalidation_headers =
+          cache_lookup != null
+            ? this.cache.get_revalidation_headers(cache_lookup)
+            : null
+
+        state.is_connected = false
+        const proxy_request = this.create_proxy_request(
+          req,
+          res,
+          next,
+          info,
+          (proxy_rsp) => {
+            proxy_rsp.on('data', (chunk) => (record.bytes_sent += chunk.length))
+            if (cache_lookup != null)
+              return this._send_cacheable_response(
+                req,
+                res,
+                info,
+                cache_lookup,
+                proxy_rsp
+              )
+            this._send_upstream_response(req, res, info, proxy_rsp)
+          },
+          revalidation_headers == null
+            ? null
+            : {
+                ...this._strip_conditional_headers(req.headers),
+                ...revalidation_headers,
+              },
+          revalidation_headers != null,
+          (err) => {
+            release_upstream()
+            state.body.detach()
+            if (!this._can_retry(req, res, proxy_request, err, state)) {
+              state.body.discard()
+              return false
+            }
+
+            const delay = get_retry_delay(state.attempt, policy)
+            state.attempt += 1
+            this.emit(
+              'log',
+              'WARN',
+              `Retrying ${req.method} ${info.backend_url} (${err.code}), attempt ${state.attempt} in ${delay}ms`
+            )
+            setTimeout(send_attempt, delay)
+            return true
+          }
+        )
+
+        proxy_request.once('socket', (socket) => {
+          if (!socket.connecting) state.is_connected = true
+          else socket.once('connect', () => (state.is_connected = true))
+        })
+
+        // the mirrors are sent once, with the first attempt request.
+        for (const mirror of mirrors) mirror.send(proxy_request)
+
+        state.body.pipe_to(proxy_request)
+      } catch (err) {
+        // request setup errors (e.g. a throwing request transform hook).
+        state.body.discard()
+        this.emit('error', err)
+        this._handle_proxy_request_error(err, req, res, next, info)
+      }
+    }
+
+    if (this.cache == null || !this.cache.is_enabled(info))
+      return send_attempt()
+
+    if (!this.cache.is_cacheable_request(req)) {
+      this._set_cache_status(res, info, 'BYPASS')
+      // unsafe methods invalidate the stored responses.
+      if (['GET', 'HEAD', 'OPTIONS', 'TRACE'].indexOf(req.method) == -1)
+        res.once('finish', () => {
+          if (res.statusCode < 400)
+            this.cache
+              .invalidate(req, info)
+              .catch((err) => this._log_cache_error(info, err))
+        })
+      return send_attempt()
+    }
+
+    this.cache.lookup(req, info).then(
+      (lookup) => {
+        if (lookup.is_fresh)
+          return this._send_cached_response(req, res, info, lookup, 'HIT')
+        cache_lookup = lookup
+        send_attempt()
+      },
+      (err) => {
+        this._log_cache_error(info, err)
+        send_attempt()
+      }
+    )
+  }
+
+  /**
+   * Emit the mirror comparison events when the mirror requests are done. Mirrors
+   * that were not sent (e.g. cache hits or no upstream) are ignored.
+   * @param {Request} req
+   * @param {GatewayRequestInfo} info
+   * @param {import('./mirror').GatewayMirrorRequest[]} mirrors
+   * @param {import('./mirror').GatewayMirrorResult} primary
+   */
+  _compare_mirrors(req, info, mirrors, primary) {
+    for (const mirror of mirrors) {
+      if (!mirror.is_sent) continue
+      mirror.done.then((shadow) => {
+        /** @type {import('./mirror').GatewayMirrorComparison} */
+        const comparison = {
+          target_id: info.target_id,
+          mirror: mirror.target.name,
+          method: req.method,
+          url: req.originalUrl,
+          request_id: info.access.request_id,
+          primary,
+          shadow,
+          ...compare_mirror_results(primary, shadow),
+        }
+        this.metrics.mirror_requests_total.inc({
+          target_id: info.target_id,
+          mirror: mirror.target.name,
+          result:
+            shadow.error != null
+              ? 'error'
+              : comparison.status_match
+              ? 'match'
+              : 'mismatch',
+        })
+        this.emit('mirror', comparison)
+      })
+    }
+  }
+
+  /**
+   * Send the backend (or cached) response to the client.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {http.IncomingMessage} proxy_rsp
+   */
+  _send_upstream_response(req, res, info, proxy_rsp) {
+    if (info.is_gateway_path)
+      return this._send_rewritten_response(req, res, info, proxy_rsp)
+
+    const ctx = this._transform_response(
       req,
       res,
-      next,
       info,
-      (proxy_rsp) => {
-        res.writeHead(proxy_rsp.statusCode, proxy_rsp.headers)
-        proxy_rsp.pipe(res, {
-          end: true,
-        })
-      }
+      proxy_rsp.statusCode,
+      proxy_rsp.headers
     )
+    if (ctx == null) return proxy_rsp.resume()
+    this._send_transformed_response(req, res, info, ctx, proxy_rsp)
+  }
+
+  /**
+   * @param {http.IncomingHttpHeaders} headers
+   * @returns {http.IncomingHttpHeaders} The headers without the conditional request headers.
+   */
+  _strip_conditional_headers(headers) {
+    headers = { ...headers }
+    delete headers['if-none-match']
+    delete headers['if-modified-since']
+    delete headers['if-match']
+    delete headers['if-unmodified-since']
+    return headers
+  }
+
+  /**
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {import('./cache').GatewayCacheStatus} status
+   */
+  _set_cache_status(res, info, status) {
+    info.access.cache_status = status
+    if (this.cache.status_header != null && !res.headersSent)
+      res.setHeader(this.cache.status_header, status)
+  }
+
+  /**
+   * @param {GatewayRequestInfo} info
+   * @param {Error} err
+   */
+  _log_cache_error(info, err) {
+    this.emit(
+      'log',
+      'WARN',
+      `Response cache error for ${info.backend_url}: ${err.message}`
+    )
+  }
+
+  /**
+   * Send a backend response that can be cached. Stores the response, or if the
+   * backend revalidated the stored response (304), sends the stored response.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {import('./cache').GatewayCacheLookup} lookup
+   * @param {http.IncomingMessage} proxy_rsp
+   */
+  _send_cacheable_response(req, res, info, lookup, proxy_rsp) {
+    const cache = this.cache
+    if (
+      proxy_rsp.statusCode == 304 &&
+      cache.get_revalidation_headers(lookup) != null
+    ) {
+      proxy_rsp.resume()
+      cache
+        .revalidate(lookup, proxy_rsp)
+        .catch((err) => this._log_cache_error(info, err))
+      return this._send_cached_response(req, res, info, lookup, 'REVALIDATED')
+    }
+
+    this._set_cache_status(res, info, 'MISS')
+    if (cache.is_storable(req, proxy_rsp)) {
+      let chunks = []
+      let size = 0
+      proxy_rsp.on('data', (chunk) => {
+        size += chunk.length
+        if (chunks == null) return
+        if (size > cache.max_entry_size) chunks = null
+        else chunks.push(chunk)
+      })
+      proxy_rsp.once('end', () => {
+        if (chunks == null || !proxy_rsp.complete) return
+        cache
+          .store_response(req, info, lookup, proxy_rsp, Buffer.concat(chunks))
+          .catch((err) => this._log_cache_error(info, err))
+      })
+    }
+
+    this._send_upstream_response(req, res, info, proxy_rsp)
+  }
 
-    req.pipe(proxy_request, {
-      end: true,
+  /**
+   * Send a stored response (or 304 if the client has it).
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {import('./cache').GatewayCacheLookup} lookup
+   * @param {import('./cache').GatewayCacheStatus} status
+   */
+  _send_cached_response(req, res, info, lookup, status) {
+    const variant = lookup.variant
+    this._set_cache_status(res, info, status)
+
+    const headers = {
+      ...variant.headers,
+      age: String(Math.floor(this.cache.get_age(variant) / 1000)),
+    }
+    let status_code = variant.status
+    let body = variant.body
+    if (this.cache.is_not_modified(req, variant)) {
+      status_code = 304
+      body = Buffer.alloc(0)
+      delete headers['content-length']
+    }
+
+    const cached_rsp = stream.Readable.from(body.length > 0 ? [body] : [])
+    cached_rsp.statusCode = status_code
+    cached_rsp.headers = headers
+    this._get_access_record(req, info).bytes_sent += body.length
+    this._send_upstream_response(req, res, info, cached_rsp)
+  }
+
+  /**
+   * Send the backend response with the urls rewritten to the gateway
+   * path prefix (path mode).
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @param {http.IncomingMessage} proxy_rsp
+   */
+  _send_rewritten_response(req, res, info, proxy_rsp) {
+    const rewriter = new GatewayPathRewriter({
+      prefix: info.gateway_path_prefix,
+      backend_url: info.backend_url,
+      public_origin: req.protocol + '://' + req.get('host'),
+      content_kinds: this.rewrite_content,
     })
+
+    const ctx = this._transform_response(
+      req,
+      res,
+      info,
+      proxy_rsp.statusCode,
+      rewriter.rewrite_headers(proxy_rsp.headers)
+    )
+    if (ctx == null) return proxy_rsp.resume()
+    const content_length = parseInt(proxy_rsp.headers['content-length'])
+
+    // responses without a body keep the backend headers (content length).
+    if (
+      req.method == 'HEAD' ||
+      proxy_rsp.statusCode == 204 ||
+      proxy_rsp.statusCode == 304 ||
+      rewriter.get_content_kind(proxy_rsp.headers) == null ||
+      content_length > this.rewrite_max_body_size
+    )
+      return this._send_transformed_response(req, res, info, ctx, proxy_rsp)
+
+    // the content length may be missing (chunked), the limit is checked on the data.
+    const chunks = []
+    let size = 0
+    const on_data = (chunk) => {
+      chunks.push(chunk)
+      size += chunk.length
+      if (size <= this.rewrite_max_body_size) return
+
+      // too large to rewrite, send the response as is.
+      proxy_rsp.off('data', on_data)
+      proxy_rsp.off('end', on_end)
+      proxy_rsp.pause()
+      this.emit(
+        'log',
+        'WARN',
+        `Response from ${info.backend_url} is larger than ${this.rewrite_max_body_size} bytes, sent without rewriting`
+      )
+      const body = new stream.PassThrough()
+      chunks.forEach((chunk) => body.write(chunk))
+      chunks.length = 0
+      proxy_rsp.once('aborted', () => body.destroy())
+      proxy_rsp.pipe(body)
+      this._send_transformed_response(req, res, info, ctx, body)
+    }
+    const on_end = () => {
+      const encoded_body = Buffer.concat(chunks)
+      rewriter.rewrite_encoded_body(
+        encoded_body,
+        proxy_rsp.headers,
+        (err, body) => {
+          if (err && err.code == 'ERR_BUFFER_TOO_LARGE') {
+            // decoded too large to rewrite, send the response as is.
+            this.emit(
+              'log',
+              'WARN',
+              `Response from ${info.backend_url} decodes to more than ${this.rewrite_max_body_size} bytes, sent without rewriting`
+            )
+            err = null
+            body = encoded_body
+          }
+          if (err) {
+            this.emit('error', err)
+            this.emit(
+              'log',
+              'ERROR',
+              `Failed to rewrite response from ${info.backend_url}: ${err.message}`
+            )
+            err.code = 'EBADRESPONSE'
+            return this.send_error(req, res, err, info)
+          }
+
+          ctx.headers['content-length'] = body.length
+          delete ctx.headers['transfer-encoding']
+          this._send_transformed_response(
+            req,
+            res,
+            info,
+            ctx,
+            stream.Readable.from(body.length > 0 ? [body] : [])
+          )
+        },
+        this.rewrite_max_body_size
+      )
+    }
+    proxy_rsp.on('data', on_data)
+    proxy_rsp.on('end', on_end)
   }
 
   /**
@@ -347,56 +1980,93 @@ class Gateway extends events.EventEmitter {
    * @param {GatewayRequestInfo} info
    */
   create_websocket_proxy(req, res, next, info) {
+    const session = this._open_session(req, res, next, info, 'websocket')
+    if (session == null) return
+
+    const release_upstream = this._select_upstream(req, res, next, info)
+    if (release_upstream == null) return session.close()
+
     try {
       const client_socket = req.socket
+      client_socket.once('close', release_upstream)
       client_socket.setTimeout(0)
       client_socket.setNoDelay(true)
       client_socket.setKeepAlive(true, 0)
 
-      const ws_request = this.create_proxy_request(req, res, next, info)
+      this._get_access_record(req, info).type = 'websocket'
+      // the upgrade was refused or failed.
+      const untrack_response = this._track_response(res, info, () =>
+        session.close()
+      )
 
-      const create_websocket_socket_header = (...args) => {
-        let lines = []
-        for (let v of args) {
-          if (Array.isArray(v)) {
-            lines = lines.concat(v)
-          }
-          if (typeof v == 'object') {
-            for (let key of Object.keys(v)) {
-              let ov = v[key]
-              if (Array.isArray(ov))
-                ov.forEach((v) => {
-                  lines.push(key + ': ' + value[i])
-                })
-              else lines.push(key + ': ' + ov)
-            }
-          } else lines.push(v)
-        }
-        return lines.join('\r\n') + '\r\n\r\n'
-      }
+      const ws_request = this.create_proxy_request(req, res, next, info)
+      ws_request.once('error', release_upstream)
 
       ws_request.on('response', (proxy_rsp) => {
-        if (proxy_rsp.upgrade == true) {
-          res.writeHead(proxy_rsp.statusCode, proxy_rsp.headers)
-          proxy_rsp.pipe(res)
-        } else {
-          this.emit(
-            'log',
-            'WARN',
-            `Websocket proxy @ ${info.backend_url} denied the websocket.`
-          )
-          res.send('denied')
-        }
+        // the backend refused the upgrade, relay its response.
+        this.emit(
+          'log',
+          'WARN',
+          `Websocket proxy @ ${info.backend_url} denied the websocket (${proxy_rsp.statusCode}).`
+        )
+        const ctx = this._transform_response(
+          req,
+          res,
+          info,
+          proxy_rsp.statusCode,
+          proxy_rsp.headers
+        )
+        if (ctx == null) return proxy_rsp.resume()
+        this._send_transformed_response(req, res, info, ctx, proxy_rsp)
       })
 
       ws_request.on('upgrade', (proxy_rsp, proxy_socket, proxy_head) => {
+        this.health.report_success(info.target_id, info.upstream)
+
         proxy_socket.on('error', (err) => {
           this.emit('error', err)
           this.emit('log', 'ERROR', 'Proxy socket error')
         })
 
+        const protocol_error = validate_websocket_subprotocol(req, proxy_rsp)
+        if (protocol_error != null) {
+          proxy_socket.destroy()
+          this.emit(
+            'log',
+            'WARN',
+            `Websocket proxy @ ${info.backend_url}: ${protocol_error}`
+          )
+          const err = new Error(protocol_error)
+          err.code = 'EBADRESPONSE'
+          return this.send_error(req, res, err, info)
+        }
+
+        let headers = null
+        if (!this._get_transforms(info).is_empty) {
+          const ctx = this._transform_response(
+            req,
+            res,
+            info,
+            101,
+            proxy_rsp.headers
+          )
+          if (ctx == null) return proxy_socket.destroy()
+          headers = ctx.headers
+        }
+
         if (proxy_head && proxy_head.length) proxy_socket.unshift(proxy_head)
 
+        untrack_response()
+        session.start(proxy_socket, info.backend_url)
+        this._track_tunnel(client_socket, info, 101)
+
+        const labels = { target_id: info.target_id }
+        this.metrics.websocket_proxies_active.inc(labels)
+        this._count_tunnel_bytes(client_socket, proxy_socket, info)
+        client_socket.once('close', () =>
+          this.metrics.websocket_proxies_active.dec(labels)
+        )
+
         proxy_socket.on('close', () => {
           client_socket.end()
         })
@@ -410,20 +2080,18 @@ class Gateway extends events.EventEmitter {
         proxy_socket.setNoDelay(true, 0)
         proxy_socket.setTimeout(0)
 
-        client_socket.write(
-          create_websocket_socket_header(
-            'HTTP/1.1 101 Switching Protocols',
-            proxy_rsp.headers
-          )
-        )
+        client_socket.write(create_upgrade_response_header(proxy_rsp, headers))
 
         proxy_socket.pipe(client_socket).pipe(proxy_socket)
       })
 
       req.pipe(ws_request)
     } catch (err) {
+      release_upstream()
+      session.close()
       this.emit('error', err)
       this.emit('log', 'ERROR', 'Proxy websocket setup with error')
+      this._handle_proxy_request_error(err, req, res, next, info)
     }
   }
 
@@ -435,24 +2103,66 @@ class Gateway extends events.EventEmitter {
    * @param {GatewayRequestInfo} info
    */
   create_socket_tunnel(req, res, next, info) {
+    const session = this._open_session(req, res, next, info, 'tunnel')
+    if (session == null) return
+
+    const release_upstream = this._select_upstream(req, res, next, info)
+    if (release_upstream == null) return session.close()
+
     const client_socket = req.socket
     const proxy_socket = new net.Socket({
       allowHalfOpen: true,
       readable: true,
       writable: true,
     })
+    proxy_socket.once('close', release_upstream)
+    client_socket.once('close', release_upstream)
+
+    const record = this._get_access_record(req, info)
+    record.type = 'tunnel'
+    record.attempts += 1
+    const untrack_response = this._track_response(res, info, () =>
+      session.close()
+    )
 
     const handle_error = (err) => {
+      release_upstream()
       try {
         proxy_socket.end()
         client_socket.end()
       } catch {}
 
-      this.emit('error', err)
+      if (err.code != 'EPOLICYDENIED') this.emit('error', err)
       this._handle_proxy_request_error(err, req, res, next, info)
     }
 
     proxy_socket.on('connect', () => {
+      this.health.report_success(info.target_id, info.upstream)
+
+      record.connect_ms = record.elapsed_ms()
+      this._emit_lifecycle('upstream-connect', info)
+      untrack_response()
+      session.start(proxy_socket, info.backend_url)
+      this._track_tunnel(
+        client_socket,
+        info,
+        req.method == 'CONNECT' ? 200 : 101
+      )
+
+      // the handshake is written directly to the socket.
+      client_socket.write(create_tunnel_handshake(req))
+      res.headersSent = true
+
+      if (this.proxy_protocol != null)
+        proxy_socket.write(this.create_proxy_protocol_header(req))
+
+      const labels = { target_id: info.target_id }
+      this.metrics.socket_tunnels_active.inc(labels)
+      this._count_tunnel_bytes(client_socket, proxy_socket, info)
+      client_socket.once('close', () =>
+        this.metrics.socket_tunnels_active.dec(labels)
+      )
+
       // piping
       proxy_socket.pipe(client_socket).pipe(proxy_socket)
       proxy_socket.on('close', () => {
@@ -463,15 +2173,191 @@ class Gateway extends events.EventEmitter {
       })
     })
 
-    proxy_socket.connect({
-      port: info.backend_url.port,
-      host: info.backend_url.host,
-    })
+    const { socket_path } = this._get_upstream_options(info)
+    proxy_socket.connect(
+      socket_path
+        ? { path: socket_path }
+        : {
+            port:
+              parseInt(info.backend_url.port) ||
+              (info.backend_url.protocol == 'https:' ? 443 : 80),
+            host: info.backend_url.hostname,
+            lookup: this.access_policy ? this.access_policy.lookup : undefined,
+          }
+    )
 
-    proxy_socket.on('error', handle_error)
+    proxy_socket.on('error', (err) => {
+      record.error_code = err.code || 'unknown'
+      this.health.report_failure(info.target_id, info.upstream, err)
+      handle_error(err)
+    })
     client_socket.on('error', handle_error)
   }
 
+  /**
+   * @param {URL} url
+   * @param {number[]} ports The allowed ports.
+   * @returns {boolean} True if socket tunnels are allowed to the url port.
+   */
+  _is_socket_port_allowed(url, ports = this.socket_ports) {
+    const port = parseInt(url.port) || (url.protocol == 'https:' ? 443 : 80)
+    return (ports || []).indexOf(port) != -1
+  }
+
+  /**
+   * Validate and open a raw tcp tunnel (CONNECT or Upgrade: tcp).
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @param {GatewayRequestInfo} info
+   * @param {number[]} ports The ports that can be tunneled to.
+   */
+  _start_socket_tunnel(req, res, next, info, ports = this.socket_ports) {
+    if (!(res instanceof GatewaySocketResponse)) {
+      this.emit(
+        'log',
+        'WARN',
+        `Socket tunnel ${req.method} ${req.originalUrl} requires the gateway socket_handler ` +
+          "on the server 'connect'/'upgrade' events."
+      )
+      return res.sendStatus(501)
+    }
+
+    const denied = info.backend_pool.find(
+      (entry) => !this._is_socket_port_allowed(entry.url, ports)
+    )
+    if (denied != null)
+      return this._deny_access(
+        req,
+        res,
+        info,
+        `port ${denied.url.port || '(default)'} cannot be tunneled`
+      )
+
+    this.emit(
+      'log',
+      'INFO',
+      `Starting socket tunnel ${info.target_id} -> ${info.backend_url.host}`
+    )
+    this.create_socket_tunnel(req, res, next, info)
+  }
+
+  /**
+   * A handler for the http server 'connect' and 'upgrade' events, serving raw
+   * tcp tunnels (CONNECT and Upgrade: tcp) and websockets on gateway hosts.
+   * Only targets with a port in socket_ports can be tunneled.
+   * @example
+   * const handler = gateway.socket_handler(parser)
+   * server.on('connect', handler)
+   * server.on('upgrade', handler)
+   * @param {GatewayBackendParser | (gateway:Gateway, req: Request)=>string} parser
+   * @param {GatewayRequestFilter} request_filter
+   * @param {(req:Request, res:Response, next:NextFunction)=>void} fallback A middleware
+   * to call if the request was not handled by the gateway (e.g. the forward_proxy_middleware)
+   * @returns {(req:http.IncomingMessage, socket:net.Socket, head:Buffer)=>void}
+   */
+  socket_handler(parser, request_filter = null, fallback = null) {
+    const gateway_middleware = this.middleware(parser, request_filter)
+    const middleware =
+      fallback == null
+        ? gateway_middleware
+        : (req, res, next) =>
+            gateway_middleware(req, res, (err) =>
+              err == null ? fallback(req, res, next) : next(err)
+            )
+
+    return (req, socket, head) => {
+      if (head && head.length) socket.unshift(head)
+      socket.on('error', (err) => {
+        this.emit('log', 'WARN', `Client socket error: ${err.message}`)
+      })
+
+      const res = new GatewaySocketResponse(socket)
+      middleware(prepare_raw_request(req), res, (err) => {
+        if (err == null) return res.sendStatus(404)
+        if (err.statusCode == null) this.emit('error', err)
+        this.send_error(req, res, err)
+      })
+    }
+  }
+
+  /**
+   * Attach the gateway to the http server 'upgrade' (websockets, Upgrade: tcp)
+   * and 'connect' (CONNECT tunnels) events, so these are served on the raw
+   * client socket rather than through the express routing.
+   * @example
+   * app.use(gateway.middleware(parser))
+   * gateway.attach(app.listen(8080))
+   * @param {http.Server} server
+   * @param {{
+   * parser: GatewayBackendParser | (gateway:Gateway, req: Request)=>string,
+   * request_filter: GatewayRequestFilter,
+   * fallback: (req:Request, res:Response, next:NextFunction)=>void,
+   * connect: boolean,
+   * }} param1 The parser and filter default to those of the last created middleware.
+   * @returns {()=>void} Call to detach from the server.
+   */
+  attach(
+    server,
+    {
+      parser = null,
+      request_filter = null,
+      fallback = null,
+      connect = true,
+    } = {}
+  ) {
+    if (parser == null) {
+      if (this._middleware_options == null)
+        throw new Error(
+          'A parser is required to attach if no gateway middleware was created'
+        )
+      parser = this._middleware_options.parser
+      request_filter = request_filter || this._middleware_options.request_filter
+    }
+
+    const handler = this.socket_handler(parser, request_filter, fallback)
+    server.on('upgrade', handler)
+    if (connect) server.on('connect', handler)
+
+    return () => {
+      server.removeListener('upgrade', handler)
+      server.removeListener('connect', handler)
+    }
+  }
+
+  /**
+   * Create an https server (TLS termination) for the gateway app, that selects
+   * the certificate by hostname (SNI), e.g. a wildcard certificate for the gateway
+   * hosts. Websockets and tunnels are attached if a gateway middleware was created.
+   * @example
+   * app.use(gateway.middleware(parser))
+   * gateway.create_https_server(app, {
+   *   certificates: [{ cert_file: 'tls.crt', key_file: 'tls.key' }],
+   * }).listen(443)
+   * // for development, with certificates issued by a local CA.
+   * gateway.create_https_server(app, { local_ca: { dir: '.certs' } }).listen(8443)
+   * @param {import('http').RequestListener} app
+   * @param {Parameters<typeof create_gateway_https_server>[0]} options The local CA
+   * hostnames default to the gateway host and the gateway hosts wildcard.
+   * @returns {https.Server}
+   */
+  create_https_server(app, options = {}) {
+    const gateway_host = this.gateway_host || 'localhost'
+    const server = create_gateway_https_server(
+      {
+        local_ca_hostnames: [
+          gateway_host,
+          `*.${this.gateway_subdomain}.${gateway_host}`,
+        ],
+        emit: (...args) => this.emit(...args),
+        ...options,
+      },
+      app
+    )
+    if (this._middleware_options != null) this.attach(server)
+    return server
+  }
+
   /**
    * Call to auto detect gateway host.
    * @param {Request} req
@@ -491,6 +2377,58 @@ class Gateway extends events.EventEmitter {
     }
   }
 
+  /**
+   * Encode the target (and signature) for a gateway host or path.
+   * @param {Request} req
+   * @param {GatewayRequestInfo} info
+   * @returns {{target_part:string, search:string}} The encoded target and the
+   * query string to use.
+   */
+  _encode_gateway_target(req, info) {
+    let target_part = this.target_codec.encode(info.target_id)
+    let search = info.backend_url.search
+
+    if (this.host_signer != null) {
+      const token = this.host_signer.create_token(req, info.target_id)
+      if (this.host_signer.mode == 'host') target_part += '.' + token
+      else {
+        const params = new URLSearchParams(search)
+        params.set(this.host_signer.cookie_name, token)
+        search = '?' + params.toString()
+      }
+    }
+
+    return { target_part, search }
+  }
+
+  /**
+   * @param {Request} req
+   * @param {GatewayRequestInfo} info
+   * @returns {string} The gateway redirect (host or path, by the proxy mode)
+   */
+  get_gateway_redirect(req, info) {
+    return this.proxy_mode == 'path'
+      ? this.get_gateway_path_redirect(req, info)
+      : this.get_gateway_host_redirect(req, info)
+  }
+
+  /**
+   * @param {Request} req
+   * @param {GatewayRequestInfo} info
+   * @returns {string} The path redirect (path mode)
+   */
+  get_gateway_path_redirect(req, info) {
+    const { target_part, search } = this._encode_gateway_target(req, info)
+    return (
+      (req.baseUrl || '') +
+      this.path_prefix +
+      '/' +
+      target_part +
+      info.backend_url.pathname +
+      search
+    )
+  }
+
   /**
    * @param {Request} req
    * @param {GatewayRequestInfo} info
@@ -498,16 +2436,31 @@ class Gateway extends events.EventEmitter {
    */
   get_gateway_host_redirect(req, info) {
     const redirect_host = this.get_gateway_host(req)
+    const { target_part: target_host, search } = this._encode_gateway_target(
+      req,
+      info
+    )
+
+    const gateway_host =
+      target_host + '.' + this.gateway_subdomain + '.' + redirect_host
+
+    const invalid_reason = validate_dns_hostname(
+      gateway_host.replace(/:[0-9]+$/, '')
+    )
+    if (invalid_reason != null)
+      throw new Error(
+        `Cannot redirect to target ${info.target_id}, invalid gateway host (${invalid_reason}). ` +
+          'Use a compact target codec.'
+      )
+
+    this.metrics.redirects_total.inc({ target_id: info.target_id })
+
     return (
       info.backend_url.protocol +
       '//' +
-      encode_hostname(info.target_id) +
-      '.' +
-      this.gateway_subdomain +
-      '.' +
-      redirect_host +
+      gateway_host +
       info.backend_url.pathname +
-      info.backend_url.search
+      search
     )
   }
 
@@ -530,13 +2483,64 @@ class Gateway extends events.EventEmitter {
     return parser
   }
 
+  /**
+   * Wait for a (possibly async) parser or request filter result.
+   * @param {any} value
+   * @param {string} description
+   * @returns {Promise<any>} Rejects with ELOOKUPTIMEOUT if the lookup timed out.
+   */
+  async _await_lookup(value, description) {
+    return await resolve_with_timeout(value, this.lookup_timeout, description)
+  }
+
+  /**
+   * Apply the rate limits, responds with 429 if limited.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @param {GatewayRequestInfo} info
+   * @returns {Promise<boolean>} True if the request can continue.
+   */
+  async _check_rate_limit(req, res, next, info) {
+    if (this.rate_limiter == null) return true
+
+    const record = this._get_access_record(req, info)
+    const result = await this.rate_limiter.check(
+      req,
+      info,
+      record.client_address
+    )
+    if (result == null) return true
+
+    if (!result.allowed || this.rate_limiter.headers)
+      for (const [name, value] of Object.entries(
+        this.rate_limiter.get_headers(result)
+      ))
+        res.set(name, value)
+    if (result.allowed) return true
+
+    this.metrics.rate_limited_total.inc({
+      target_id: info.target_id,
+      rule: result.rule.name,
+    })
+    const err = new Error(
+      `Rate limit ${result.rule.name} exceeded: ${req.method} ${req.originalUrl} (${record.client_address})`
+    )
+    err.code = 'ERATELIMITED'
+    err.retry_after = Math.max(1, result.retry_after)
+    record.error_code = err.code
+    this.emit('log', 'WARN', err.message)
+    this._handle_proxy_request_error(err, req, res, next, info)
+    return false
+  }
+
   /**
    * Parse the basic request parameters.
    * @param {GatewayBackendParser} parser
    * @param {GatewayRequestInfo} info
    * @param {Request} req
    */
-  _parse_request_core_info(parser, info, req) {
+  async _parse_request_core_info(parser, info, req) {
     const req_host = req.get('host')
     info.gateway_domain_postfix =
       this.gateway_subdomain + '.' + this.get_gateway_host(req)
@@ -545,17 +2549,114 @@ class Gateway extends events.EventEmitter {
     info.is_websocket_request =
       req.headers['sec-websocket-protocol'] != null ||
       req.headers.upgrade == 'websocket'
+    info.is_socket_request = is_socket_tunnel_request(req)
 
+    let target_part = null
     if (info.is_gateway_host) {
-      info.target_id = decode_hostname(
-        req_host.substr(
-          0,
-          req_host.length - info.gateway_domain_postfix.length - 1
+      target_part = req_host.substr(
+        0,
+        req_host.length - info.gateway_domain_postfix.length - 1
+      )
+    } else if (this.proxy_mode == 'path') {
+      const prefix = (req.baseUrl || '') + this.path_prefix + '/'
+      if (req.originalUrl.startsWith(prefix)) {
+        target_part = req.originalUrl.substr(prefix.length).split(/[/?#]/)[0]
+        info.is_gateway_path = target_part.length > 0
+        info.gateway_path_prefix = prefix + target_part
+      }
+    }
+
+    if (info.is_gateway_host || info.is_gateway_path) {
+      let host_token = null
+      if (this.host_signer != null && this.host_signer.mode == 'host') {
+        const split = this.host_signer.split_host_token(target_part)
+        target_part = split.target_part
+        host_token = split.token
+      }
+
+      info.target_id = this.target_codec.decode(target_part.toLowerCase())
+      // unknown target.
+      if (info.target_id == null) return
+
+      if (this.host_signer != null) {
+        info.host_signature = this.host_signer.verify_request(
+          req,
+          info.target_id,
+          host_token
         )
+        // rejected, do not resolve the backend.
+        if (!info.host_signature.is_valid) return
+        // upgrades cannot follow the cookie redirect, the query token is
+        // accepted as is (but not sent to the backend).
+        if (
+          info.host_signature.source == 'query' &&
+          (info.is_websocket_request || info.is_socket_request)
+        ) {
+          req.url = this.host_signer.strip_query_token(req.url)
+          req.originalUrl = this.host_signer.strip_query_token(req.originalUrl)
+        }
+      }
+
+      info.backend_url = await this._await_lookup(
+        parser.parse_url_from_id(this, req, info.target_id, info),
+        `parse_url_from_id(${info.target_id})`
       )
+    }
+  }
+
+  /**
+   * Handle the gateway host signature. Denies invalid requests, and in cookie
+   * mode moves the query token into a cookie (except for upgrade requests).
+   * @param {Request} req
+   * @param {Response} res
+   * @param {GatewayRequestInfo} info
+   * @returns {boolean} True if the request was handled (should not continue).
+   */
+  _handle_host_signature(req, res, info) {
+    if (info.host_signature == null) return false
 
-      info.backend_url = parser.parse_url_from_id(this, req, info.target_id)
+    if (!info.host_signature.is_valid) {
+      this._deny_access(req, res, info, info.host_signature.reason)
+      return true
     }
+
+    if (info.host_signature.source != 'query') return false
+    // upgrades cannot follow a redirect.
+    if (info.is_websocket_request || info.is_socket_request) return false
+
+    // redirect to the clean url, with the token as a cookie.
+    const clean_url = new URL(req.originalUrl, 'http://localhost')
+    clean_url.searchParams.delete(this.host_signer.cookie_name)
+    res.set(
+      'Set-Cookie',
+      this.host_signer.create_cookie(
+        req,
+        info.host_signature.token,
+        info.gateway_path_prefix || '/'
+      )
+    )
+    res.redirect(clean_url.pathname + clean_url.search)
+    return true
+  }
+
+  /**
+   * Normalize a parser result into a backend pool.
+   * @param {GatewayBackendUrlResult} value
+   * @returns {{url:URL, weight:number}[]} The pool, or null if empty.
+   */
+  _parse_backend_pool(value) {
+    if (value == null) return null
+    const pool = (Array.isArray(value) ? value : [value])
+      .filter((entry) => entry != null)
+      .map((entry) => {
+        const is_entry = typeof entry == 'object' && !(entry instanceof URL)
+        const url = is_entry ? entry.url : entry
+        const weight = is_entry && entry.weight != null ? entry.weight : 1
+        assert(weight > 0, 'Backend weight must be a positive number')
+        // always copy, the urls are modified per request.
+        return { url: new URL(url.toString()), weight }
+      })
+    return pool.length == 0 ? null : pool
   }
 
   /**
@@ -564,22 +2665,27 @@ class Gateway extends events.EventEmitter {
    * @param {GatewayRequestInfo} info
    * @param {Request} req
    */
-  _parse_request_intercept_info(parser, info, req) {
+  async _parse_request_intercept_info(parser, info, req) {
     // try intercept if not ignored by filter.
     info.is_gateway_intercept = true
 
-    if (info.is_gateway_host != true) {
+    if (info.is_gateway_host != true && info.is_gateway_path != true) {
       // case a gateway request. No id.
-      info.backend_url = parser.parse_url_from_route(this, req)
+      info.backend_url = await this._await_lookup(
+        parser.parse_url_from_route(this, req, info),
+        'parse_url_from_route'
+      )
     }
 
-    if (info.backend_url == null) {
+    info.backend_pool = this._parse_backend_pool(info.backend_url)
+
+    if (info.backend_pool == null) {
       info.is_gateway_intercept = false
+      info.backend_url = null
     } else {
-      info.backend_url =
-        info.backend_url instanceof URL
-          ? info.backend_url
-          : new URL(info.backend_url)
+      // the first backend is the representative url, the actual
+      // backend is selected when the request is sent.
+      info.backend_url = info.backend_pool[0].url
       info.target_id = info.target_id || info.backend_url.host
 
       assert(
@@ -587,16 +2693,170 @@ class Gateway extends events.EventEmitter {
         'Target url not defined or target url not resolved'
       )
 
-      info.target_method = parser.parse_method(this, req)
-      info.backend_url.protocol = parser.parse_protocol(this, req)
+      info.target_method = await this._await_lookup(
+        parser.parse_method(this, req, info),
+        'parse_method'
+      )
+      const target_protocol = await this._await_lookup(
+        parser.parse_protocol(this, req, info),
+        'parse_protocol'
+      )
+
+      for (const entry of info.backend_pool) {
+        entry.url.protocol = target_protocol
+        if (info.is_websocket_request) {
+          entry.url.pathname = entry.url.pathname.replace(/\/[.]websocket$/, '')
+        }
+      }
+    }
+  }
+
+  /**
+   * Run the request filter. If the request should not continue, next
+   * is called (unless the filter called it).
+   * @param {GatewayRequestFilter} request_filter
+   * @param {GatewayRequestInfo} info
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<boolean>} True if the gateway should continue with the request.
+   */
+  async _apply_request_filter(request_filter, info, req, res, next) {
+    if (request_filter == null) return true
+
+    let is_next_override = false
+    const next_with_override = (...args) => {
+      is_next_override = true
+      return next(...args)
+    }
+
+    const is_allowed =
+      (await this._await_lookup(
+        request_filter(info, req, res, next_with_override),
+        'request_filter'
+      )) !== false
+    if (is_next_override) return false
+    if (!is_allowed) {
+      next()
+      return false
+    }
+    return true
+  }
+
+  /**
+   * A forward proxy middleware, for clients that use the gateway as their
+   * http(s) proxy (HTTP_PROXY/HTTPS_PROXY). Serves absolute-form requests, and
+   * CONNECT requests when used as the socket_handler fallback. Requests to the
+   * gateway hosts are passed to next. Requires proxy_auth or the gateway
+   * access_policy, an open proxy would reach any host for any client.
+   * @example
+   * const forward = gateway.forward_proxy_middleware(parser, null, { proxy_auth: { users: { me: 'secret' } } })
+   * app.use(forward)
+   * app.use(gateway.middleware(parser))
+   * server.on('connect', gateway.socket_handler(parser, null, forward))
+   * @param {GatewayBackendParser | (gateway:Gateway, req: Request)=>string} parser
+   * @param {GatewayRequestFilter} request_filter
+   * @param {{
+   * proxy_auth: import('./forward_proxy').GatewayProxyAuthenticator | {users: Object<string,string>},
+   * realm: string,
+   * connect_ports: number[],
+   * }} param2
+   */
+  forward_proxy_middleware(
+    parser = null,
+    request_filter = null,
+    { proxy_auth = null, realm = 'gateway', connect_ports = [443] } = {}
+  ) {
+    if (proxy_auth == null && this.access_policy == null)
+      throw new Error(
+        'The forward proxy requires proxy_auth or the gateway access_policy'
+      )
+
+    parser =
+      parser == null
+        ? new GatewayBackendParser()
+        : this._validate_parser(parser)
+    const is_authorized = create_proxy_authenticator(proxy_auth)
+
+    /**
+     * @param {Request} req
+     * @param {Response} res
+     * @param {NextFunction} next
+     */
+    const run_forward_proxy = async (req, res, next) => {
+      const info = new GatewayRequestInfo()
+      try {
+        const target_url = get_forward_proxy_target(req)
+        if (target_url == null) return next()
+
+        const gateway_postfix =
+          '.' + this.gateway_subdomain + '.' + this.get_gateway_host(req)
+        if (target_url.host.endsWith(gateway_postfix)) return next()
+
+        info.is_forward_proxy = true
+        info.is_socket_request = req.method == 'CONNECT'
+        info.is_websocket_request =
+          !info.is_socket_request && req.headers.upgrade == 'websocket'
+        info.target_id = target_url.host
+
+        if (!is_authorized(req)) {
+          this.emit(
+            'log',
+            'WARN',
+            `Forward proxy authentication required: ${req.method} ${target_url.host}`
+          )
+          res.set('Proxy-Authenticate', `Basic realm="${realm}"`)
+          return res.sendStatus(407)
+        }
+        delete req.headers['proxy-authorization']
+        delete req.headers['proxy-connection']
+
+        if (
+          !(await this._apply_request_filter(
+            request_filter,
+            info,
+            req,
+            res,
+            next
+          ))
+        )
+          return
+
+        if (!(await this._check_rate_limit(req, res, next, info))) return
 
-      if (info.is_websocket_request) {
-        info.backend_url.pathname = info.backend_url.pathname.replace(
-          /\/[.]websocket$/,
-          ''
+        info.backend_pool = this._parse_backend_pool(
+          await this._await_lookup(
+            parser.parse_url_from_forward(this, req, target_url, info),
+            `parse_url_from_forward(${target_url.host})`
+          )
         )
+        if (info.backend_pool == null) return next()
+        info.is_gateway_intercept = true
+        info.backend_url = info.backend_pool[0].url
+        if (!this._check_target_state(req, res, next, info)) return
+        info.target_method = await this._await_lookup(
+          parser.parse_method(this, req, info),
+          'parse_method'
+        )
+
+        this._get_access_record(req, info).type = 'forward'
+        this._emit_lifecycle('request', info)
+
+        if (info.is_socket_request)
+          return this._start_socket_tunnel(req, res, next, info, connect_ports)
+
+        if (info.is_websocket_request)
+          return this.create_websocket_proxy(req, res, next, info)
+
+        this.send_proxy_request(req, res, next, info)
+      } catch (err) {
+        // parser/filter errors and lookup timeouts.
+        this.emit('error', err)
+        this._handle_proxy_request_error(err, req, res, next, info)
       }
     }
+
+    return run_forward_proxy
   }
 
   /**
@@ -606,6 +2866,9 @@ class Gateway extends events.EventEmitter {
   middleware(parser, request_filter = null) {
     parser = this._validate_parser(parser)
 
+    // the defaults for attach.
+    this._middleware_options = { parser, request_filter }
+
     /**
      * A middleware function to execute the auth.
      * @param {Request} req
@@ -613,37 +2876,61 @@ class Gateway extends events.EventEmitter {
      * @param {NextFunction} next
      */
     const run_middleware = async (req, res, next) => {
-      let is_next_override = false
-      let next_override_result = null
-      const next_with_override = (...args) => {
-        is_next_override = true
-        next_override_result = next(...args)
-        return next_override_result
-      }
-
+      const info = new GatewayRequestInfo()
       try {
-        const info = new GatewayRequestInfo()
-        this._parse_request_core_info(parser, info, req)
+        await this._parse_request_core_info(parser, info, req)
+
+        // forward proxy (absolute-form) requests to other hosts.
+        if (
+          !info.is_gateway_host &&
+          !info.is_gateway_path &&
+          /^[a-z][a-z0-9+.-]*:\/\//i.test(req.originalUrl)
+        )
+          return next()
+
+        if (this._handle_host_signature(req, res, info)) return
 
         // checking the filter.
-        const is_allowed =
-          request_filter != null
-            ? request_filter(info, req, res, next_with_override) === false
-              ? false
-              : true
-            : true
-
-        if (!is_allowed || is_next_override) {
-          if (!is_next_override) return next()
-          else return next_override_result
-        }
+        if (
+          !(await this._apply_request_filter(
+            request_filter,
+            info,
+            req,
+            res,
+            next
+          ))
+        )
+          return
+
+        // raw tcp tunnels are only served on gateway hosts.
+        if (info.is_socket_request && !info.is_gateway_host) return next()
+
+        // limit the requests before the backend lookups (keyed on the core
+        // info target).
+        if (!(await this._check_rate_limit(req, res, next, info))) return
 
         // complete the information after the filter.
-        this._parse_request_intercept_info(parser, info, req)
+        await this._parse_request_intercept_info(parser, info, req)
 
         // skip if not a gateway request.
         if (!info.is_gateway_intercept) return next()
 
+        if (!this._check_target_state(req, res, next, info)) return
+
+        const record = this._get_access_record(req, info)
+        if (
+          !info.is_websocket_request &&
+          !info.is_gateway_host &&
+          !info.is_gateway_path
+        )
+          record.type = 'redirect'
+        this._emit_lifecycle('request', info)
+
+        if (info.is_socket_request) {
+          this._start_socket_tunnel(req, res, next, info)
+          return
+        }
+
         // websocket/socket request do not require their own domain.
         if (info.is_websocket_request) {
           this.emit(
@@ -656,8 +2943,12 @@ class Gateway extends events.EventEmitter {
         }
 
         // any other web request should be redirected.
-        if (!info.is_gateway_host) {
-          const redirect_path = this.get_gateway_host_redirect(req, info)
+        if (!info.is_gateway_host && !info.is_gateway_path) {
+          this._track_response(res, info)
+          const pool_urls = info.backend_pool.map((entry) => entry.url)
+          if (!this._check_access_policy(req, res, info, pool_urls)) return
+
+          const redirect_path = this.get_gateway_redirect(req, info)
           this.emit('log', 'INFO', 'Redirect: ' + redirect_path)
           res.redirect(redirect_path)
           return
@@ -665,14 +2956,9 @@ class Gateway extends events.EventEmitter {
 
         this.send_proxy_request(req, res, next, info)
       } catch (err) {
+        // parser/filter errors and lookup timeouts.
         this.emit('error', err)
-        this.emit(
-          'log',
-          'ERROR',
-          'Error while processing proxy request: ' + (err.message || 'No text')
-        )
-        res.sendStatus(500)
-        return
+        this._handle_proxy_request_error(err, req, res, next, info)
       }
     }
 
@@ -686,4 +2972,5 @@ module.exports = {
   Gateway,
   GatewayRequestParser: GatewayBackendParser,
   GatewayRequestInfo,
+  GatewayBackendParser,
 }
@@ -0,0 +1,445 @@
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const {
+  GatewayBalancer,
+  GatewayUpstream,
+  GatewayUpstreamPool,
+} = require('./balancer')
+
+/**
+ * Error codes that indicate the upstream could not be reached or dropped
+ * the connection. Only these count towards outlier detection.
+ */
+const UPSTREAM_CONNECT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'EHOSTDOWN',
+  'ENETUNREACH',
+  'EPIPE',
+  'ECONNECTTIMEOUT',
+  'ERESPONSETIMEOUT',
+  'EAI_AGAIN',
+]
+
+/**
+ * @typedef {{
+ * type: 'http'|'tcp',
+ * interval: number,
+ * timeout: number,
+ * path: string,
+ * expected_status: (status:number)=>boolean,
+ * healthy_threshold: number,
+ * unhealthy_threshold: number,
+ * targets: string[] | ((target_id:string)=>boolean),
+ * }} GatewayHealthCheckOptions If targets is defined only these target ids are
+ * probed, otherwise all the (non forward proxy) targets with a pool are probed.
+ *
+ * @typedef {{
+ * consecutive_errors: number,
+ * ejection_time: number,
+ * max_ejection_time: number,
+ * }} GatewayOutlierDetectionOptions
+ *
+ * @typedef {{
+ * failure_threshold: number,
+ * reset_timeout: number,
+ * }} GatewayCircuitBreakerOptions
+ */
+
+class GatewayHealthMonitor {
+  /**
+   * Tracks the health of the balancer upstreams via active probes and passive
+   * (request error) detection, and applies a circuit breaker per target.
+   * Options set to false or null are disabled.
+   * @param {{
+   * balancer: GatewayBalancer,
+   * emit: (event:string, ...args)=>any,
+   * apply_upstream_options: (target_id:string, request_options:Object, is_secure:boolean)=>Object,
+   * access_policy: import('./policy').GatewayAccessPolicy,
+   * health_check: GatewayHealthCheckOptions | false,
+   * outlier_detection: GatewayOutlierDetectionOptions | boolean,
+   * circuit_breaker: GatewayCircuitBreakerOptions | boolean,
+   * }} param0
+   */
+  constructor({
+    balancer,
+    emit = () => {},
+    apply_upstream_options = null,
+    access_policy = null,
+    health_check = null,
+    outlier_detection = null,
+    circuit_breaker = null,
+  } = {}) {
+    this.balancer = balancer
+    this.emit = emit
+    /** @type {(target_id:string, request_options:Object, is_secure:boolean)=>Object} Applies the target connection options (tls, socket path) to the probes */
+    this.apply_upstream_options =
+      apply_upstream_options || ((target_id, options) => options)
+    /** @type {import('./policy').GatewayAccessPolicy} If defined, probes are limited to the allowed upstreams (as requests) */
+    this.access_policy = access_policy
+
+    /** @type {GatewayHealthCheckOptions} */
+    this.health_check = health_check
+      ? {
+          type: 'http',
+          interval: 10000,
+          timeout: 2000,
+          path: '/',
+          expected_status: (status) => status >= 200 && status < 400,
+          healthy_threshold: 2,
+          unhealthy_threshold: 3,
+          targets: null,
+          ...health_check,
+        }
+      : null
+
+    /** @type {GatewayOutlierDetectionOptions} */
+    this.outlier_detection = outlier_detection
+      ? {
+          consecutive_errors: 5,
+          ejection_time: 10000,
+          max_ejection_time: 300000,
+          ...outlier_detection,
+        }
+      : null
+
+    /** @type {GatewayCircuitBreakerOptions} */
+    this.circuit_breaker = circuit_breaker
+      ? {
+          failure_threshold: 10,
+          reset_timeout: 10000,
+          ...circuit_breaker,
+        }
+      : null
+
+    /** @type {NodeJS.Timeout} */
+    this._probe_timer = null
+
+    /** @type {WeakMap<GatewayUpstream, string>} The last emitted upstream state */
+    this._last_states = new WeakMap()
+  }
+
+  /**
+   * Start the active health probes (if configured).
+   */
+  start() {
+    if (this.health_check == null || this._probe_timer != null) return
+    this._probe_timer = setInterval(() => {
+      this.probe_all().catch((err) =>
+        this.emit('log', 'ERROR', `Health probes failed: ${err.message}`)
+      )
+    }, this.health_check.interval)
+    // probes should not keep the process alive.
+    this._probe_timer.unref()
+  }
+
+  /**
+   * Stop the active health probes.
+   */
+  stop() {
+    if (this._probe_timer == null) return
+    clearInterval(this._probe_timer)
+    this._probe_timer = null
+  }
+
+  /**
+   * Emit state changes for the upstream, if any.
+   * @param {GatewayUpstreamPool} pool
+   * @param {GatewayUpstream} upstream
+   * @param {number} now
+   */
+  _update_upstream_state(pool, upstream, now = Date.now()) {
+    const state = upstream.get_state(now)
+    const previous_state = this._last_states.get(upstream) || 'healthy'
+    if (state == previous_state) return
+    this._last_states.set(upstream, state)
+
+    this.emit(
+      'log',
+      state == 'healthy' ? 'INFO' : 'WARN',
+      `Upstream ${upstream.key} of ${pool.target_id} is ${state} (was ${previous_state})`
+    )
+    this.emit(
+      'upstream-state',
+      pool.target_id,
+      upstream.key,
+      state,
+      previous_state
+    )
+  }
+
+  /**
+   * @param {GatewayUpstreamPool} pool
+   * @param {'closed'|'open'|'half-open'} state
+   * @param {number} now
+   */
+  _set_circuit_state(pool, state, now = Date.now()) {
+    const previous_state = pool.circuit_state
+    if (state == 'open') {
+      // if all upstreams are ejected, retry when the first one returns.
+      const ejected_until = pool.members
+        .filter((u) => u.get_state(now) == 'ejected')
+        .map((u) => u.ejected_until)
+      pool.circuit_retry_at =
+        ejected_until.length > 0 && ejected_until.length == pool.members.length
+          ? Math.min(...ejected_until)
+          : now + this.circuit_breaker.reset_timeout
+    } else if (state == 'half-open') {
+      pool.circuit_retry_at = now + this.circuit_breaker.reset_timeout
+    }
+
+    if (state == 'closed') pool.consecutive_failures = 0
+
+    if (state == previous_state) return
+    pool.circuit_state = state
+
+    this.emit(
+      'log',
+      state == 'open' ? 'WARN' : 'INFO',
+      `Circuit for ${pool.target_id} is ${state} (was ${previous_state})`
+    )
+    this.emit('circuit-state', pool.target_id, state, previous_state)
+  }
+
+  /**
+   * Check if requests to the target are allowed by the circuit breaker.
+   * @param {string} target_id
+   * @returns {number} null if the request is allowed, otherwise the
+   * number of seconds after which to retry.
+   */
+  check_circuit(target_id) {
+    // targets without a pool have no circuit state (yet).
+    const pool = this.balancer.find_pool(target_id)
+    if (pool == null) return null
+    const now = Date.now()
+
+    // emit any expired ejections.
+    pool.members.forEach((u) => this._update_upstream_state(pool, u, now))
+
+    if (this.circuit_breaker == null) return null
+
+    if (pool.circuit_state == 'closed') {
+      const all_down =
+        pool.members.length > 0 &&
+        !pool.members.some((u) => u.is_available(now))
+      if (!all_down) return null
+      this._set_circuit_state(pool, 'open', now)
+    }
+
+    // open or half-open with the trial request timed out.
+    if (now >= pool.circuit_retry_at) {
+      this._set_circuit_state(pool, 'half-open', now)
+      return null
+    }
+
+    return Math.max(1, Math.ceil((pool.circuit_retry_at - now) / 1000))
+  }
+
+  /**
+   * Report a successful call (response/connection) to the upstream.
+   * @param {string} target_id
+   * @param {GatewayUpstream} upstream
+   */
+  report_success(target_id, upstream) {
+    const pool = this.balancer.get_pool(target_id)
+    if (upstream != null) {
+      upstream.consecutive_errors = 0
+      upstream.ejections = 0
+      this._update_upstream_state(pool, upstream)
+    }
+
+    pool.consecutive_failures = 0
+    if (this.circuit_breaker != null && pool.circuit_state != 'closed')
+      this._set_circuit_state(pool, 'closed')
+  }
+
+  /**
+   * Report a failed call to the upstream. Errors which are not connection
+   * errors are ignored.
+   * @param {string} target_id
+   * @param {GatewayUpstream} upstream The upstream, or null if no upstream
+   * was available.
+   * @param {Error} err
+   */
+  report_failure(target_id, upstream, err) {
+    if (
+      upstream != null &&
+      UPSTREAM_CONNECT_ERROR_CODES.indexOf(err.code) == -1
+    )
+      return
+
+    const now = Date.now()
+    const pool = this.balancer.get_pool(target_id)
+
+    if (upstream != null && this.outlier_detection != null) {
+      upstream.consecutive_errors += 1
+      if (
+        upstream.consecutive_errors >= this.outlier_detection.consecutive_errors
+      ) {
+        upstream.consecutive_errors = 0
+        upstream.ejections += 1
+        upstream.ejected_until =
+          now +
+          Math.min(
+            this.outlier_detection.ejection_time *
+              Math.pow(2, upstream.ejections - 1),
+            this.outlier_detection.max_ejection_time
+          )
+      }
+      this._update_upstream_state(pool, upstream, now)
+    }
+
+    if (this.circuit_breaker == null) return
+    pool.consecutive_failures += 1
+
+    if (
+      pool.circuit_state == 'half-open' ||
+      pool.consecutive_failures >= this.circuit_breaker.failure_threshold ||
+      !pool.members.some((u) => u.is_available(now))
+    )
+      this._set_circuit_state(pool, 'open', now)
+  }
+
+  /**
+   * @param {GatewayUpstreamPool} pool
+   * @returns {boolean} True if the pool upstreams are actively probed.
+   */
+  is_probed(pool) {
+    const targets = this.health_check.targets
+    if (targets == null) return !pool.is_forward_proxy
+    if (typeof targets == 'function') return targets(pool.target_id) == true
+    return targets.indexOf(pool.target_id) != -1
+  }
+
+  /**
+   * Probe the upstreams of the probed targets (see health_check.targets).
+   * @returns {Promise}
+   */
+  probe_all() {
+    const probes = []
+    for (const pool of this.balancer.pools.values()) {
+      if (!this.is_probed(pool)) continue
+      for (const upstream of pool.members)
+        probes.push(this.probe(pool, upstream))
+    }
+    return Promise.all(probes)
+  }
+
+  /**
+   * Probe a single upstream and update its health.
+   * @param {GatewayUpstreamPool} pool
+   * @param {GatewayUpstream} upstream
+   * @returns {Promise<boolean>} True if the probe succeeded.
+   */
+  async probe(pool, upstream) {
+    if (this.health_check == null || upstream._is_probing) return
+    upstream._is_probing = true
+    let is_ok = false
+    try {
+      is_ok = await this._send_probe(pool, upstream)
+    } finally {
+      upstream._is_probing = false
+    }
+
+    if (is_ok) {
+      upstream.probe_streak = Math.max(0, upstream.probe_streak) + 1
+      if (upstream.probe_streak >= this.health_check.healthy_threshold)
+        upstream.healthy = true
+    } else {
+      upstream.probe_streak = Math.min(0, upstream.probe_streak) - 1
+      if (-upstream.probe_streak >= this.health_check.unhealthy_threshold)
+        upstream.healthy = false
+    }
+
+    this._update_upstream_state(pool, upstream)
+    return is_ok
+  }
+
+  /**
+   * @param {GatewayUpstreamPool} pool
+   * @param {GatewayUpstream} upstream
+   * @returns {Promise<boolean>}
+   */
+  async _send_probe(pool, upstream) {
+    const is_secure = ['https:', 'wss:'].indexOf(upstream.protocol) != -1
+    const url = new URL((is_secure ? 'https://' : 'http://') + upstream.key)
+    const hostname = url.hostname.replace(/^\[|\]$/g, '')
+    const port = url.port || (is_secure ? 443 : 80)
+    const timeout = this.health_check.timeout
+
+    const denied_reason =
+      this.access_policy != null ? this.access_policy.check_url(url) : null
+    if (denied_reason != null) {
+      this.emit(
+        'log',
+        'WARN',
+        `Health probe of ${upstream.key} (${pool.target_id}) denied: ${denied_reason}`
+      )
+      return false
+    }
+
+    // probes use a new connection (no agent). Failing to apply the upstream
+    // options (e.g. missing tls files) fails the probe.
+    let options = null
+    try {
+      options = this.apply_upstream_options(
+        pool.target_id,
+        {
+          method: 'GET',
+          hostname,
+          port,
+          path: this.health_check.path,
+          timeout,
+          agent: false,
+          lookup: this.access_policy ? this.access_policy.lookup : undefined,
+        },
+        is_secure
+      )
+    } catch (err) {
+      this.emit(
+        'log',
+        'WARN',
+        `Health probe of ${upstream.key} (${pool.target_id}) failed: ${err.message}`
+      )
+      return false
+    }
+
+    return await new Promise((resolve) => {
+      if (this.health_check.type == 'tcp') {
+        const socket = net.connect(
+          options.socketPath
+            ? { path: options.socketPath }
+            : { host: hostname, port, lookup: options.lookup }
+        )
+        const done = (is_ok) => {
+          socket.destroy()
+          resolve(is_ok)
+        }
+        socket.setTimeout(timeout, () => done(false))
+        socket.once('connect', () => done(true))
+        socket.once('error', () => done(false))
+        return
+      }
+
+      const probe_request = (is_secure ? https : http).request(
+        options,
+        (rsp) => {
+          rsp.resume()
+          resolve(this.health_check.expected_status(rsp.statusCode) == true)
+        }
+      )
+      probe_request.on('timeout', () => probe_request.destroy())
+      probe_request.on('error', () => resolve(false))
+      probe_request.end()
+    })
+  }
+}
+
+module.exports = {
+  GatewayHealthMonitor,
+  UPSTREAM_CONNECT_ERROR_CODES,
+}
@@ -0,0 +1,237 @@
+const assert = require('assert')
+const net = require('net')
+const { GatewayBalancer } = require('./balancer')
+const { GatewayHealthMonitor } = require('./health')
+const { listen, run, test } = require('./test_helpers')
+
+/**
+ * @param {Object} options The health monitor options.
+ */
+function create_monitor(options = {}) {
+  const balancer = new GatewayBalancer()
+  const events = []
+  const health = new GatewayHealthMonitor({
+    balancer,
+    emit: (...args) => events.push(args),
+    ...options,
+  })
+  return { balancer, health, events }
+}
+
+/**
+ * @param {GatewayBalancer} balancer
+ * @param {string} target_id
+ * @param {string[]} hosts
+ */
+function select(balancer, target_id, hosts) {
+  const entries = hosts.map((host) => ({
+    url: new URL('http://' + host),
+    weight: 1,
+  }))
+  return balancer.select(target_id, entries, {})
+}
+
+/**
+ * @param {string} code
+ */
+function create_error(code) {
+  const err = new Error(code)
+  err.code = code
+  return err
+}
+
+test('outlier detection is disabled by default', () => {
+  const { balancer, health } = create_monitor()
+  const { upstream } = select(balancer, 'svc', ['a:8080'])
+  for (let i = 0; i < 20; i++)
+    health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  assert.strictEqual(upstream.get_state(), 'healthy')
+  assert.strictEqual(health.check_circuit('svc'), null)
+})
+
+test('outlier detection ejects after consecutive connect errors', () => {
+  const { balancer, health, events } = create_monitor({
+    outlier_detection: { consecutive_errors: 3, ejection_time: 1000 },
+  })
+  const { upstream } = select(balancer, 'svc', ['a:8080', 'b:8080'])
+
+  health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  health.report_failure('svc', upstream, create_error('ECONNRESET'))
+  assert.strictEqual(upstream.get_state(), 'healthy')
+
+  // non connection errors are ignored (and do not reset the count).
+  health.report_failure('svc', upstream, create_error('EBADRESPONSE'))
+  assert.strictEqual(upstream.get_state(), 'healthy')
+
+  health.report_failure('svc', upstream, create_error('ETIMEDOUT'))
+  assert.strictEqual(upstream.get_state(), 'ejected')
+  assert.ok(upstream.ejected_until - Date.now() <= 1000)
+  assert.deepStrictEqual(events.pop(), [
+    'upstream-state',
+    'svc',
+    'a:8080',
+    'ejected',
+    'healthy',
+  ])
+
+  // ejected upstreams are not selected.
+  for (let i = 0; i < 3; i++)
+    assert.strictEqual(
+      select(balancer, 'svc', ['a:8080', 'b:8080']).upstream.key,
+      'b:8080'
+    )
+})
+
+test('outlier ejection time doubles up to the max', () => {
+  const { balancer, health } = create_monitor({
+    outlier_detection: {
+      consecutive_errors: 1,
+      ejection_time: 1000,
+      max_ejection_time: 3000,
+    },
+  })
+  const { upstream } = select(balancer, 'svc', ['a:8080'])
+  const durations = []
+  for (let i = 0; i < 3; i++) {
+    const now = Date.now()
+    health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+    durations.push(Math.round((upstream.ejected_until - now) / 1000))
+  }
+  assert.deepStrictEqual(durations, [1, 2, 3])
+
+  // a success resets the ejection count.
+  health.report_success('svc', upstream)
+  const now = Date.now()
+  health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  assert.strictEqual(Math.round((upstream.ejected_until - now) / 1000), 1)
+})
+
+test('circuit opens after the failure threshold', () => {
+  const { balancer, health, events } = create_monitor({
+    circuit_breaker: { failure_threshold: 3, reset_timeout: 5000 },
+  })
+  const { upstream } = select(balancer, 'svc', ['a:8080'])
+  for (let i = 0; i < 2; i++)
+    health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  assert.strictEqual(health.check_circuit('svc'), null)
+
+  health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  assert.strictEqual(health.check_circuit('svc'), 5)
+  assert.deepStrictEqual(events.pop(), [
+    'circuit-state',
+    'svc',
+    'open',
+    'closed',
+  ])
+})
+
+test('circuit is half-open after the reset timeout and closes on success', () => {
+  const { balancer, health } = create_monitor({
+    circuit_breaker: { failure_threshold: 1, reset_timeout: 5000 },
+  })
+  const { upstream } = select(balancer, 'svc', ['a:8080'])
+  const pool = balancer.get_pool('svc')
+
+  health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  assert.strictEqual(pool.circuit_state, 'open')
+
+  // the trial request is allowed once the reset timeout passed.
+  pool.circuit_retry_at = Date.now() - 1
+  assert.strictEqual(health.check_circuit('svc'), null)
+  assert.strictEqual(pool.circuit_state, 'half-open')
+  assert.ok(health.check_circuit('svc') > 0)
+
+  // a failed trial opens the circuit again.
+  health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  assert.strictEqual(pool.circuit_state, 'open')
+
+  pool.circuit_retry_at = Date.now() - 1
+  health.check_circuit('svc')
+  health.report_success('svc', upstream)
+  assert.strictEqual(pool.circuit_state, 'closed')
+  assert.strictEqual(health.check_circuit('svc'), null)
+})
+
+test('circuit opens when all upstreams are ejected', () => {
+  const { balancer, health } = create_monitor({
+    outlier_detection: { consecutive_errors: 1, ejection_time: 2000 },
+    circuit_breaker: { failure_threshold: 100, reset_timeout: 60000 },
+  })
+  const hosts = ['a:8080', 'b:8080']
+  for (let i = 0; i < 2; i++) {
+    const { upstream } = select(balancer, 'svc', hosts)
+    health.report_failure('svc', upstream, create_error('ECONNREFUSED'))
+  }
+  assert.strictEqual(balancer.get_pool('svc').circuit_state, 'open')
+  // retries when the first upstream returns, not after the reset timeout.
+  assert.strictEqual(health.check_circuit('svc'), 2)
+})
+
+test('targets without a pool have no circuit', () => {
+  const { balancer, health } = create_monitor({ circuit_breaker: true })
+  assert.strictEqual(health.check_circuit('unknown'), null)
+  assert.strictEqual(balancer.find_pool('unknown'), null)
+})
+
+test('probes mark upstreams unhealthy and healthy by threshold', async () => {
+  const server = net.createServer((socket) => socket.destroy())
+  const port = await listen(server)
+  try {
+    const { balancer, health } = create_monitor({
+      health_check: {
+        type: 'tcp',
+        healthy_threshold: 2,
+        unhealthy_threshold: 2,
+        timeout: 1000,
+      },
+    })
+    select(balancer, 'svc', ['127.0.0.1:' + port])
+    const upstream = balancer.get_pool('svc').members[0]
+
+    await health.probe_all()
+    assert.strictEqual(upstream.get_state(), 'healthy')
+
+    server.close()
+    await health.probe_all()
+    assert.strictEqual(upstream.get_state(), 'healthy')
+    await health.probe_all()
+    assert.strictEqual(upstream.get_state(), 'unhealthy')
+  } finally {
+    server.close()
+  }
+})
+
+test('probes skip forward proxy pools and unlisted targets', async () => {
+  const probed = []
+  const { balancer, health } = create_monitor({
+    health_check: { type: 'tcp', targets: ['svc', 'forward'] },
+  })
+  health._send_probe = async (pool) => probed.push(pool.target_id) > 0
+  select(balancer, 'svc', ['a:8080'])
+  select(balancer, 'other', ['b:8080'])
+  select(balancer, 'forward', ['c:8080'])
+  balancer.get_pool('forward').is_forward_proxy = true
+
+  await health.probe_all()
+  assert.deepStrictEqual(probed, ['svc', 'forward'])
+
+  probed.length = 0
+  health.health_check.targets = null
+  await health.probe_all()
+  assert.deepStrictEqual(probed, ['svc', 'other'])
+})
+
+test('failing to apply the upstream options fails the probe', async () => {
+  const { balancer, health, events } = create_monitor({
+    health_check: { unhealthy_threshold: 1 },
+    apply_upstream_options: () => {
+      throw new Error('ENOENT: no such file')
+    },
+  })
+  select(balancer, 'svc', ['a:8080'])
+  await health.probe_all()
+  assert.strictEqual(balancer.get_pool('svc').members[0].healthy, false)
+  assert.ok(events.some((args) => args[0] == 'log' && args[1] == 'WARN'))
+})
+
+run()
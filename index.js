@@ -1,5 +1,45 @@
 const { Gateway } = require('./gateway')
+const { create_gateway_admin_router } = require('./admin')
+const { GatewayUpstreamAgents } = require('./agents')
+const { GatewayBalancer } = require('./balancer')
+const { GatewayMetrics } = require('./metrics')
+const { GatewayMemoryCacheStore, GatewayResponseCache } = require('./cache')
+const {
+  create_gateway_https_server,
+  GatewayCertificateStore,
+} = require('./certificates')
+const { GatewayConfigRouter, load_gateway_config } = require('./config')
+const { GatewayErrorRenderer } = require('./errors')
+const { GatewayLocalCA } = require('./local_ca')
+const { GatewayMirror } = require('./mirror')
+const { GatewayRateLimiter } = require('./ratelimit')
+const { GatewayServer } = require('./server')
+const { GatewaySessionRegistry } = require('./sessions')
+const {
+  create_tunnel_server,
+  open_gateway_tunnel,
+  pipe_gateway_tunnel,
+} = require('./tunnel_client')
 
 module.exports = {
   Gateway,
+  GatewayBalancer,
+  GatewayCertificateStore,
+  GatewayConfigRouter,
+  GatewayErrorRenderer,
+  GatewayLocalCA,
+  GatewayMemoryCacheStore,
+  GatewayMetrics,
+  GatewayMirror,
+  GatewayRateLimiter,
+  GatewayResponseCache,
+  GatewayServer,
+  GatewaySessionRegistry,
+  GatewayUpstreamAgents,
+  create_gateway_admin_router,
+  create_gateway_https_server,
+  create_tunnel_server,
+  load_gateway_config,
+  open_gateway_tunnel,
+  pipe_gateway_tunnel,
 }
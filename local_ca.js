@@ -0,0 +1,332 @@
+const fs = require('fs')
+const path = require('path')
+const net = require('net')
+const crypto = require('crypto')
+
+// DER encoding (the subset required for X.509 certificates)
+
+/**
+ * @param {number} tag
+ * @param {Buffer} content
+ * @returns {Buffer}
+ */
+function der(tag, content) {
+  let length = null
+  if (content.length < 0x80) length = Buffer.from([content.length])
+  else {
+    const bytes = []
+    for (let n = content.length; n > 0; n = Math.floor(n / 256))
+      bytes.unshift(n % 256)
+    length = Buffer.from([0x80 | bytes.length, ...bytes])
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content])
+}
+
+const der_sequence = (...items) => der(0x30, Buffer.concat(items))
+const der_set = (...items) => der(0x31, Buffer.concat(items))
+const der_explicit = (n, item) => der(0xa0 + n, item)
+const der_octet_string = (buffer) => der(0x04, buffer)
+const der_utf8 = (value) => der(0x0c, Buffer.from(value, 'utf8'))
+const der_boolean = (value) => der(0x01, Buffer.from([value ? 0xff : 0]))
+
+/**
+ * @param {Buffer} buffer An unsigned big endian integer.
+ */
+function der_integer(buffer) {
+  let start = 0
+  while (start < buffer.length - 1 && buffer[start] == 0) start++
+  buffer = buffer.subarray(start)
+  if (buffer[0] & 0x80) buffer = Buffer.concat([Buffer.from([0]), buffer])
+  return der(0x02, buffer)
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} unused_bits
+ */
+function der_bit_string(buffer, unused_bits = 0) {
+  return der(0x03, Buffer.concat([Buffer.from([unused_bits]), buffer]))
+}
+
+/**
+ * @param {string} oid e.g. 2.5.4.3
+ */
+function der_oid(oid) {
+  const parts = oid.split('.').map((part) => parseInt(part))
+  const bytes = [parts[0] * 40 + parts[1]]
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f]
+    for (let n = Math.floor(part / 128); n > 0; n = Math.floor(n / 128))
+      encoded.unshift((n & 0x7f) | 0x80)
+    bytes.push(...encoded)
+  }
+  return der(0x06, Buffer.from(bytes))
+}
+
+/**
+ * @param {Date} date
+ */
+function der_time(date) {
+  const value = date.toISOString().replace(/[-:T]|\.\d+/g, '')
+  // UTCTime until 2049, GeneralizedTime after.
+  if (date.getUTCFullYear() < 2050)
+    return der(0x17, Buffer.from(value.substr(2), 'ascii'))
+  return der(0x18, Buffer.from(value, 'ascii'))
+}
+
+const OID = {
+  common_name: '2.5.4.3',
+  organization: '2.5.4.10',
+  ecdsa_with_sha256: '1.2.840.10045.4.3.2',
+  subject_key_identifier: '2.5.29.14',
+  key_usage: '2.5.29.15',
+  subject_alt_name: '2.5.29.17',
+  basic_constraints: '2.5.29.19',
+  authority_key_identifier: '2.5.29.35',
+  ext_key_usage: '2.5.29.37',
+  server_auth: '1.3.6.1.5.5.7.3.1',
+}
+
+/**
+ * @param {string} common_name
+ */
+function der_name(common_name) {
+  return der_sequence(
+    der_set(der_sequence(der_oid(OID.organization), der_utf8('dngateway'))),
+    der_set(der_sequence(der_oid(OID.common_name), der_utf8(common_name)))
+  )
+}
+
+/**
+ * @param {string} oid
+ * @param {Buffer} value
+ * @param {boolean} critical
+ */
+function der_extension(oid, value, critical = false) {
+  return der_sequence(
+    der_oid(oid),
+    ...(critical ? [der_boolean(true)] : []),
+    der_octet_string(value)
+  )
+}
+
+/**
+ * @param {string[]} hostnames Dns names or ip addresses.
+ */
+function der_subject_alt_name(hostnames) {
+  return der_sequence(
+    ...hostnames.map((hostname) => {
+      if (net.isIPv4(hostname))
+        return der(0x87, Buffer.from(hostname.split('.').map(Number)))
+      if (net.isIPv6(hostname)) return der(0x87, ipv6_to_buffer(hostname))
+      return der(0x82, Buffer.from(hostname, 'ascii'))
+    })
+  )
+}
+
+/**
+ * @param {string} address
+ */
+function ipv6_to_buffer(address) {
+  const [head, tail] = address.split('::')
+  const head_parts = head ? head.split(':') : []
+  const tail_parts = tail != null && tail ? tail.split(':') : []
+  const missing = 8 - head_parts.length - tail_parts.length
+  const parts = [
+    ...head_parts,
+    ...new Array(tail != null ? missing : 0).fill('0'),
+    ...tail_parts,
+  ]
+  const buffer = Buffer.alloc(16)
+  parts.forEach((part, i) => buffer.writeUInt16BE(parseInt(part, 16), i * 2))
+  return buffer
+}
+
+/**
+ * @param {crypto.KeyObject} public_key
+ * @returns {Buffer}
+ */
+function get_key_id(public_key) {
+  return crypto
+    .createHash('sha1')
+    .update(public_key.export({ type: 'spki', format: 'der' }))
+    .digest()
+}
+
+/**
+ * Create a signed X.509 (v3) certificate.
+ * @param {{
+ * subject: string,
+ * issuer: string,
+ * public_key: crypto.KeyObject,
+ * signing_key: crypto.KeyObject,
+ * issuer_public_key: crypto.KeyObject,
+ * hostnames: string[],
+ * is_ca: boolean,
+ * days: number,
+ * }} param0
+ * @returns {string} The certificate (PEM)
+ */
+function create_certificate({
+  subject,
+  issuer,
+  public_key,
+  signing_key,
+  issuer_public_key,
+  hostnames = [],
+  is_ca = false,
+  days = 397,
+}) {
+  const not_before = new Date(Date.now() - 60 * 60 * 1000)
+  const not_after = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  const serial = crypto.randomBytes(16)
+  serial[0] &= 0x7f
+
+  const extensions = [
+    der_extension(
+      OID.basic_constraints,
+      is_ca ? der_sequence(der_boolean(true)) : der_sequence(),
+      true
+    ),
+    der_extension(
+      OID.key_usage,
+      // keyCertSign + cRLSign or digitalSignature.
+      is_ca
+        ? der_bit_string(Buffer.from([0x06]), 1)
+        : der_bit_string(Buffer.from([0x80]), 7),
+      true
+    ),
+    der_extension(
+      OID.subject_key_identifier,
+      der_octet_string(get_key_id(public_key))
+    ),
+    der_extension(
+      OID.authority_key_identifier,
+      der_sequence(der(0x80, get_key_id(issuer_public_key)))
+    ),
+  ]
+  if (!is_ca)
+    extensions.push(
+      der_extension(OID.ext_key_usage, der_sequence(der_oid(OID.server_auth))),
+      der_extension(OID.subject_alt_name, der_subject_alt_name(hostnames))
+    )
+
+  const algorithm = der_sequence(der_oid(OID.ecdsa_with_sha256))
+  const tbs = der_sequence(
+    der_explicit(0, der_integer(Buffer.from([2]))),
+    der_integer(serial),
+    algorithm,
+    der_name(issuer),
+    der_sequence(der_time(not_before), der_time(not_after)),
+    der_name(subject),
+    public_key.export({ type: 'spki', format: 'der' }),
+    der_explicit(3, der_sequence(...extensions))
+  )
+  const signature = crypto.sign('sha256', tbs, signing_key)
+  const certificate = der_sequence(tbs, algorithm, der_bit_string(signature))
+
+  const base64 = certificate.toString('base64').replace(/(.{64})/g, '$1\n')
+  return `-----BEGIN CERTIFICATE-----\n${base64.trim()}\n-----END CERTIFICATE-----\n`
+}
+
+class GatewayLocalCA {
+  /**
+   * A local certificate authority that issues certificates on demand, for
+   * development. Add the CA certificate (ca_cert or the ca.crt file) to the
+   * trusted certificates of the client.
+   * @param {{
+   * dir: string,
+   * common_name: string,
+   * days: number,
+   * }} param0 If dir is defined, the CA key and certificate are stored (and reused) there.
+   */
+  constructor({
+    dir = null,
+    common_name = 'dngateway local development CA',
+    days = 397,
+  } = {}) {
+    this.dir = dir
+    this.common_name = common_name
+    /** @type {number} The issued certificates validity (days) */
+    this.days = days
+
+    /** @type {crypto.KeyObject} */
+    this.ca_key = null
+    /** @type {string} The CA certificate (PEM) */
+    this.ca_cert = null
+
+    /** @type {Map<string, {cert:string, key:string}>} Issued certificates by hostnames */
+    this._issued = new Map()
+
+    this._load_or_create()
+  }
+
+  _load_or_create() {
+    const key_file = this.dir ? path.join(this.dir, 'ca.key') : null
+    const cert_file = this.dir ? path.join(this.dir, 'ca.crt') : null
+    if (key_file && fs.existsSync(key_file) && fs.existsSync(cert_file)) {
+      this.ca_key = crypto.createPrivateKey(fs.readFileSync(key_file))
+      this.ca_cert = fs.readFileSync(cert_file, 'utf8')
+      return
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'prime256v1',
+    })
+    this.ca_key = privateKey
+    this.ca_cert = create_certificate({
+      subject: this.common_name,
+      issuer: this.common_name,
+      public_key: publicKey,
+      signing_key: privateKey,
+      issuer_public_key: publicKey,
+      is_ca: true,
+      days: 10 * 365,
+    })
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true })
+      fs.writeFileSync(
+        key_file,
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        { mode: 0o600 }
+      )
+      fs.writeFileSync(cert_file, this.ca_cert)
+    }
+  }
+
+  /**
+   * Issue (or return the previously issued) certificate for the hostnames.
+   * @param {string[]} hostnames Dns names (can be wildcards) or ip addresses.
+   * @returns {{cert:string, key:string}} The certificate (including the CA certificate) and key (PEM)
+   */
+  issue(hostnames) {
+    const cache_key = hostnames.join(',')
+    if (this._issued.has(cache_key)) return this._issued.get(cache_key)
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'prime256v1',
+    })
+    const cert = create_certificate({
+      subject: hostnames[0],
+      issuer: this.common_name,
+      public_key: publicKey,
+      signing_key: this.ca_key,
+      issuer_public_key: crypto.createPublicKey(this.ca_key),
+      hostnames,
+      days: this.days,
+    })
+
+    const issued = {
+      cert: cert + this.ca_cert,
+      key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    }
+    this._issued.set(cache_key, issued)
+    return issued
+  }
+}
+
+module.exports = {
+  create_certificate,
+  GatewayLocalCA,
+}
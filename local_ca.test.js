@@ -0,0 +1,154 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const tls = require('tls')
+const { create_certificate, GatewayLocalCA } = require('./local_ca')
+const { listen, run, test } = require('./test_helpers')
+
+const ca = new GatewayLocalCA({ common_name: 'test CA', days: 30 })
+
+test('the CA certificate is self signed', () => {
+  const ca_cert = new crypto.X509Certificate(ca.ca_cert)
+  assert.strictEqual(ca_cert.ca, true)
+  assert.strictEqual(ca_cert.subject, 'O=dngateway\nCN=test CA')
+  assert.strictEqual(ca_cert.issuer, ca_cert.subject)
+  assert.strictEqual(ca_cert.verify(ca_cert.publicKey), true)
+  assert.strictEqual(ca_cert.keyUsage, undefined)
+})
+
+test('issued certificates are signed by the CA', () => {
+  const issued = ca.issue(['app.localhost', '*.app.localhost'])
+  const [cert_pem, ca_pem] = issued.cert.split(
+    /(?<=-----END CERTIFICATE-----\n)/
+  )
+  assert.strictEqual(ca_pem, ca.ca_cert)
+
+  const cert = new crypto.X509Certificate(cert_pem)
+  const ca_cert = new crypto.X509Certificate(ca.ca_cert)
+  assert.strictEqual(cert.ca, false)
+  assert.strictEqual(cert.subject, 'O=dngateway\nCN=app.localhost')
+  assert.strictEqual(cert.checkIssued(ca_cert), true)
+  assert.strictEqual(cert.verify(ca_cert.publicKey), true)
+  assert.deepStrictEqual(cert.keyUsage, ['1.3.6.1.5.5.7.3.1'])
+  assert.strictEqual(
+    cert.checkPrivateKey(crypto.createPrivateKey(issued.key)),
+    true
+  )
+
+  // the validity period.
+  const days = (Date.parse(cert.validTo) - Date.now()) / (24 * 60 * 60 * 1000)
+  assert.ok(days > 29 && days <= 30, String(days))
+  assert.ok(Date.parse(cert.validFrom) < Date.now())
+})
+
+test('subject alternative names', () => {
+  const cert = new crypto.X509Certificate(
+    ca.issue(['*.app.localhost', '127.0.0.1', '::1', 'fe80::1:2']).cert
+  )
+  assert.strictEqual(
+    cert.subjectAltName,
+    'DNS:*.app.localhost, IP Address:127.0.0.1, IP Address:0:0:0:0:0:0:0:1, ' +
+      'IP Address:FE80:0:0:0:0:0:1:2'
+  )
+  assert.strictEqual(cert.checkHost('a.app.localhost'), '*.app.localhost')
+  assert.strictEqual(cert.checkHost('app.localhost'), undefined)
+  assert.strictEqual(cert.checkIP('127.0.0.1'), '127.0.0.1')
+  assert.strictEqual(cert.checkIP('::1'), '::1')
+})
+
+test('issued certificates are reused', () => {
+  const first = ca.issue(['reused.localhost'])
+  assert.strictEqual(ca.issue(['reused.localhost']), first)
+  assert.notStrictEqual(ca.issue(['other.localhost']), first)
+})
+
+test('certificate serials are positive and unique', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1',
+  })
+  const options = {
+    subject: 'a',
+    issuer: 'a',
+    public_key: publicKey,
+    signing_key: privateKey,
+    issuer_public_key: publicKey,
+    hostnames: ['a'],
+  }
+  const serials = new Set()
+  for (let i = 0; i < 20; i++) {
+    const serial = new crypto.X509Certificate(create_certificate(options))
+      .serialNumber
+    // 16 bytes at most (the leading zero bytes are not shown), with the sign bit unset.
+    assert.ok(serial.length < 32 || parseInt(serial[0], 16) < 8, serial)
+    serials.add(serial)
+  }
+  assert.strictEqual(serials.size, 20)
+})
+
+test('the CA is stored and reused from the dir', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-ca-'))
+  try {
+    const created = new GatewayLocalCA({ dir: path.join(dir, 'certs') })
+    const key_file = path.join(dir, 'certs', 'ca.key')
+    assert.strictEqual(fs.statSync(key_file).mode & 0o777, 0o600)
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, 'certs', 'ca.crt'), 'utf8'),
+      created.ca_cert
+    )
+
+    const loaded = new GatewayLocalCA({ dir: path.join(dir, 'certs') })
+    assert.strictEqual(loaded.ca_cert, created.ca_cert)
+    const cert = new crypto.X509Certificate(
+      loaded.issue(['app.localhost']).cert
+    )
+    assert.strictEqual(
+      cert.verify(new crypto.X509Certificate(created.ca_cert).publicKey),
+      true
+    )
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('clients trusting the CA connect to servers with issued certificates', async () => {
+  const server = tls.createServer(
+    ca.issue(['localhost', '127.0.0.1']),
+    (socket) => socket.end('hello')
+  )
+  const port = await listen(server)
+  const connect = (options) =>
+    new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host: '127.0.0.1',
+        port,
+        ...options,
+      })
+      let data = ''
+      socket.on('data', (chunk) => (data += chunk))
+      socket.on('end', () => resolve(data))
+      socket.on('error', reject)
+    })
+  try {
+    assert.strictEqual(
+      await connect({ ca: ca.ca_cert, servername: 'localhost' }),
+      'hello'
+    )
+    await assert.rejects(
+      connect({ ca: ca.ca_cert, servername: 'other.localhost' }),
+      /ERR_TLS_CERT_ALTNAME_INVALID|does not match/
+    )
+    await assert.rejects(
+      connect({ ca: new GatewayLocalCA().ca_cert, servername: 'localhost' }),
+      (err) => {
+        assert.strictEqual(err.code, 'SELF_SIGNED_CERT_IN_CHAIN')
+        return true
+      }
+    )
+  } finally {
+    server.close()
+  }
+})
+
+run()
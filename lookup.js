@@ -0,0 +1,137 @@
+/**
+ * @param {any} value
+ * @returns {boolean} True if the value is a promise (thenable).
+ */
+function is_promise(value) {
+  return value != null && typeof value.then == 'function'
+}
+
+/**
+ * Wait for a (possibly async) value, rejecting with an ELOOKUPTIMEOUT error if
+ * it does not resolve in time. Values that are not promises are returned as is.
+ * @param {any} value
+ * @param {number} timeout The timeout (ms), 0 or null to disable.
+ * @param {string} description Used in the timeout error message.
+ * @returns {any}
+ */
+function resolve_with_timeout(value, timeout, description = 'lookup') {
+  if (!is_promise(value) || !timeout) return value
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const err = new Error(`${description} timed out after ${timeout}ms`)
+      err.code = 'ELOOKUPTIMEOUT'
+      reject(err)
+    }, timeout)
+    value.then(
+      (result) => {
+        clearTimeout(timer)
+        resolve(result)
+      },
+      (err) => {
+        clearTimeout(timer)
+        reject(err)
+      }
+    )
+  })
+}
+
+class GatewayLookupCache {
+  /**
+   * A TTL cache of resolved lookups (e.g. target id -> backend urls). Pending
+   * lookups are shared, failed or empty lookups are not cached.
+   * @param {{
+   * ttl: number,
+   * max_size: number,
+   * }} param0
+   */
+  constructor({ ttl = 60000, max_size = 1000 } = {}) {
+    /** @type {number} The time (ms) a resolved value is kept */
+    this.ttl = ttl
+    /** @type {number} The max number of cached values, the oldest are removed first */
+    this.max_size = max_size
+
+    /** @type {Map<string, {value:any, expires:number}>} */
+    this._entries = new Map()
+  }
+
+  get size() {
+    return this._entries.size
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this._entries.get(key)
+    if (entry == null) return false
+    if (entry.expires <= Date.now()) {
+      this._entries.delete(key)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * @param {string} key
+   * @returns {any} The cached value (or pending promise), undefined if missing.
+   */
+  get(key) {
+    return this.has(key) ? this._entries.get(key).value : undefined
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value A value or a promise, rejected or empty promises are removed.
+   */
+  set(key, value) {
+    if (value == null) return this.delete(key)
+
+    this._entries.delete(key)
+    this._entries.set(key, { value, expires: Date.now() + this.ttl })
+    while (this._entries.size > this.max_size)
+      this._entries.delete(this._entries.keys().next().value)
+
+    if (is_promise(value)) {
+      // replace the pending promise with its result.
+      const on_settled = (result) => {
+        const entry = this._entries.get(key)
+        if (entry == null || entry.value !== value) return
+        if (result == null) this._entries.delete(key)
+        else entry.value = result
+      }
+      value.then(on_settled, () => on_settled(null))
+    }
+  }
+
+  /**
+   * Get the cached value, or call resolve and cache its result.
+   * @param {string} key
+   * @param {()=>any} resolve
+   * @returns {any}
+   */
+  get_or_resolve(key, resolve) {
+    if (this.has(key)) return this.get(key)
+    const value = resolve()
+    this.set(key, value)
+    return value
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} True if the key was cached.
+   */
+  delete(key) {
+    return this._entries.delete(key)
+  }
+
+  clear() {
+    this._entries.clear()
+  }
+}
+
+module.exports = {
+  GatewayLookupCache,
+  is_promise,
+  resolve_with_timeout,
+}
@@ -0,0 +1,179 @@
+const assert = require('assert')
+const { GatewayRequestParser } = require('./gateway')
+const {
+  GatewayLookupCache,
+  is_promise,
+  resolve_with_timeout,
+} = require('./lookup')
+const {
+  at_time,
+  create_gateway_server,
+  request,
+  run,
+  sleep,
+  test,
+} = require('./test_helpers')
+
+test('is_promise', () => {
+  assert.strictEqual(is_promise(Promise.resolve()), true)
+  assert.strictEqual(is_promise({ then: () => {} }), true)
+  assert.strictEqual(is_promise(null), false)
+  assert.strictEqual(is_promise('http://a'), false)
+})
+
+test('resolve_with_timeout', async () => {
+  assert.strictEqual(resolve_with_timeout('value', 10), 'value')
+  const pending = sleep(10, 'late')
+  assert.strictEqual(resolve_with_timeout(pending, 0), pending)
+
+  assert.strictEqual(await resolve_with_timeout(sleep(5, 'a'), 1000), 'a')
+  await assert.rejects(
+    resolve_with_timeout(Promise.reject(new Error('failed')), 1000),
+    /failed/
+  )
+  await assert.rejects(
+    resolve_with_timeout(sleep(200, 'b'), 20, 'parse_url_from_id(svc)'),
+    (err) => {
+      assert.strictEqual(err.code, 'ELOOKUPTIMEOUT')
+      assert.strictEqual(
+        err.message,
+        'parse_url_from_id(svc) timed out after 20ms'
+      )
+      return true
+    }
+  )
+})
+
+test('cache entries expire after the ttl', () => {
+  const cache = new GatewayLookupCache({ ttl: 1000 })
+  at_time(1000, () => cache.set('a', 'http://a'))
+  assert.strictEqual(
+    at_time(1999, () => cache.get('a')),
+    'http://a'
+  )
+  assert.strictEqual(
+    at_time(2000, () => cache.get('a')),
+    undefined
+  )
+  assert.strictEqual(cache.size, 0)
+})
+
+test('cache removes the oldest entries over the max size', () => {
+  const cache = new GatewayLookupCache({ max_size: 2 })
+  cache.set('a', 1)
+  cache.set('b', 2)
+  // setting again makes the entry the newest.
+  cache.set('a', 3)
+  cache.set('c', 4)
+  assert.strictEqual(cache.has('b'), false)
+  assert.strictEqual(cache.get('a'), 3)
+  assert.strictEqual(cache.get('c'), 4)
+
+  cache.set('c', null)
+  assert.strictEqual(cache.has('c'), false)
+  cache.set('__proto__', 5)
+  assert.strictEqual(cache.get('__proto__'), 5)
+})
+
+test('pending lookups are shared and replaced by their result', async () => {
+  const cache = new GatewayLookupCache()
+  let calls = 0
+  const resolve = () => {
+    calls += 1
+    return sleep(5, 'http://a')
+  }
+  const first = cache.get_or_resolve('a', resolve)
+  const second = cache.get_or_resolve('a', resolve)
+  assert.strictEqual(first, second)
+  assert.strictEqual(await first, 'http://a')
+  assert.strictEqual(calls, 1)
+  assert.strictEqual(cache.get('a'), 'http://a')
+})
+
+test('failed and empty lookups are not cached', async () => {
+  const cache = new GatewayLookupCache()
+  const failed = Promise.reject(new Error('failed'))
+  cache.set('failed', failed)
+  cache.set('empty', sleep(1, null))
+  await assert.rejects(failed)
+  await sleep(5)
+  assert.strictEqual(cache.has('failed'), false)
+  assert.strictEqual(cache.has('empty'), false)
+
+  // a newer value is not removed by an older failed lookup.
+  const older = sleep(5).then(() => Promise.reject(new Error('older')))
+  cache.set('a', older)
+  cache.set('a', 'http://a')
+  await assert.rejects(older)
+  assert.strictEqual(cache.get('a'), 'http://a')
+})
+
+test('parser caches the target lookups', async () => {
+  const lookups = []
+  const parser = new GatewayRequestParser({
+    parse_url_from_id: async (gateway, req, target_id) => {
+      lookups.push(target_id)
+      return 'http://backend/' + target_id
+    },
+    cache_ttl: 60000,
+  })
+  // the request path and query are appended to the cached url.
+  for (const [target_id, path] of [
+    ['a', '/x'],
+    ['b', '/'],
+    ['a', '/y?z=1'],
+  ])
+    assert.strictEqual(
+      String(
+        await parser.parse_url_from_id(null, { originalUrl: path }, target_id)
+      ),
+      `http://backend/${target_id}${path}`
+    )
+  assert.deepStrictEqual(lookups, ['a', 'b'])
+  assert.strictEqual(new GatewayRequestParser().cache, null)
+})
+
+test('cached lookups send each request to its own path', async () => {
+  let lookups = 0
+  const server = await create_gateway_server({
+    handler: (req, res) => res.end(req.url),
+    parser: (backend_url) =>
+      new GatewayRequestParser({
+        parse_url_from_id: () => {
+          lookups += 1
+          return [{ url: backend_url, weight: 1 }]
+        },
+        cache_ttl: 60000,
+      }),
+  })
+  try {
+    assert.strictEqual((await request(server.port, { path: '/a' })).body, '/a')
+    assert.strictEqual(
+      (await request(server.port, { path: '/b?c=1' })).body,
+      '/b?c=1'
+    )
+    assert.strictEqual(lookups, 1)
+  } finally {
+    server.close()
+  }
+})
+
+test('slow lookups respond with 504', async () => {
+  const server = await create_gateway_server({
+    gateway: { lookup_timeout: 20 },
+    parser: () =>
+      new GatewayRequestParser({
+        parse_url_from_id: () => sleep(500, 'http://127.0.0.1:1/'),
+      }),
+  })
+  server.gateway.on('error', () => {})
+  try {
+    const res = await request(server.port)
+    assert.strictEqual(res.statusCode, 504)
+    assert.strictEqual(res.headers['x-gateway-error'], 'lookup_timeout')
+  } finally {
+    server.close()
+  }
+})
+
+run()
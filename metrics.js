@@ -0,0 +1,456 @@
+/**
+ * @typedef {Object<string, string|number>} GatewayMetricLabels
+ * @typedef {'counter'|'gauge'|'histogram'} GatewayMetricType
+ */
+
+const DEFAULT_LATENCY_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+]
+
+/** The label value recorded for values over the label max_label_values */
+const OTHER_LABEL_VALUE = 'other'
+
+/**
+ * @param {string} value
+ */
+function escape_label_value(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+/**
+ * @param {string[]} names
+ * @param {any[]} values
+ * @returns {string} The prometheus label set, e.g. {a="1",b="2"}
+ */
+function format_labels(names, values) {
+  if (names.length == 0) return ''
+  return (
+    '{' +
+    names
+      .map((name, i) => `${name}="${escape_label_value(values[i])}"`)
+      .join(',') +
+    '}'
+  )
+}
+
+/**
+ * @param {number} value
+ */
+function format_value(value) {
+  if (value == Infinity) return '+Inf'
+  if (value == -Infinity) return '-Inf'
+  return String(value)
+}
+
+class GatewayMetric {
+  /**
+   * @param {{
+   * name: string,
+   * help: string,
+   * type: GatewayMetricType,
+   * label_names: string[],
+   * max_label_values: Object<string, number>,
+   * }} param0
+   */
+  constructor({ name, help, type, label_names = [], max_label_values = {} }) {
+    this.name = name
+    this.help = help
+    this.type = type
+    this.label_names = label_names
+
+    /** @type {Object<string, number>} The max distinct values by label name, further values are recorded as 'other' */
+    this.max_label_values = max_label_values
+
+    /** @type {Map<string, {labels:any[], value:any}>} The values by label set key */
+    this.values = new Map()
+
+    /** @type {Map<string, Set<string>>} The recorded values of the bounded labels */
+    this._label_values = new Map()
+  }
+
+  /**
+   * @param {string} name The label name.
+   * @param {string} value
+   * @returns {string} The value, or 'other' if the label has max_label_values
+   * other values.
+   */
+  _bound_label_value(name, value) {
+    const max = this.max_label_values[name]
+    if (max == null) return value
+    let values = this._label_values.get(name)
+    if (values == null) {
+      values = new Set()
+      this._label_values.set(name, values)
+    }
+    if (values.has(value)) return value
+    if (values.size >= max) return OTHER_LABEL_VALUE
+    values.add(value)
+    return value
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @param {()=>any} create_value
+   */
+  _get_entry(labels = {}, create_value = () => 0) {
+    const values = this.label_names.map((name) =>
+      this._bound_label_value(
+        name,
+        labels[name] == null ? '' : String(labels[name])
+      )
+    )
+    const key = values.join('\u0000')
+    let entry = this.values.get(key)
+    if (entry == null) {
+      entry = { labels: values, value: create_value() }
+      this.values.set(key, entry)
+    }
+    return entry
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @returns {number} The current value (counters/gauges)
+   */
+  get(labels = {}) {
+    return this._get_entry(labels).value
+  }
+
+  reset() {
+    this.values.clear()
+    this._label_values.clear()
+  }
+
+  /**
+   * @returns {string[]} The sample lines.
+   */
+  _render_samples() {
+    const lines = []
+    for (const entry of this.values.values())
+      lines.push(
+        this.name +
+          format_labels(this.label_names, entry.labels) +
+          ' ' +
+          format_value(entry.value)
+      )
+    return lines
+  }
+
+  /**
+   * @returns {string} The metric in prometheus text exposition format.
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._render_samples(),
+    ].join('\n')
+  }
+}
+
+class GatewayCounter extends GatewayMetric {
+  constructor(options) {
+    super({ ...options, type: 'counter' })
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @param {number} value
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error('Counters can only be increased')
+    this._get_entry(labels).value += value
+  }
+}
+
+class GatewayGauge extends GatewayMetric {
+  constructor(options) {
+    super({ ...options, type: 'gauge' })
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @param {number} value
+   */
+  set(labels = {}, value = 0) {
+    this._get_entry(labels).value = value
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @param {number} value
+   */
+  inc(labels = {}, value = 1) {
+    this._get_entry(labels).value += value
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @param {number} value
+   */
+  dec(labels = {}, value = 1) {
+    this._get_entry(labels).value -= value
+  }
+}
+
+class GatewayHistogram extends GatewayMetric {
+  /**
+   * @param {{
+   * name: string,
+   * help: string,
+   * label_names: string[],
+   * max_label_values: Object<string, number>,
+   * buckets: number[],
+   * }} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'histogram' })
+    /** @type {number[]} The bucket upper bounds (sorted) */
+    this.buckets = (options.buckets || DEFAULT_LATENCY_BUCKETS)
+      .slice()
+      .sort((a, b) => a - b)
+  }
+
+  _create_value() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @returns {{counts:number[], sum:number, count:number}}
+   */
+  get(labels = {}) {
+    return this._get_entry(labels, () => this._create_value()).value
+  }
+
+  /**
+   * @param {GatewayMetricLabels} labels
+   * @param {number} value
+   */
+  observe(labels = {}, value) {
+    const histogram = this.get(labels)
+    histogram.sum += value
+    histogram.count += 1
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) histogram.counts[i] += 1
+    })
+  }
+
+  _render_samples() {
+    const lines = []
+    const names = this.label_names.concat(['le'])
+    for (const entry of this.values.values()) {
+      const { counts, sum, count } = entry.value
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${format_labels(
+            names,
+            entry.labels.concat([format_value(bound)])
+          )} ${counts[i]}`
+        )
+      })
+      lines.push(
+        `${this.name}_bucket${format_labels(
+          names,
+          entry.labels.concat(['+Inf'])
+        )} ${count}`
+      )
+      const labels = format_labels(this.label_names, entry.labels)
+      lines.push(`${this.name}_sum${labels} ${sum}`)
+      lines.push(`${this.name}_count${labels} ${count}`)
+    }
+    return lines
+  }
+}
+
+class GatewayMetricsRegistry {
+  /**
+   * A minimal metrics registry, rendered in the prometheus text exposition format.
+   * @param {{
+   * prefix: string,
+   * max_label_values: Object<string, number>,
+   * }} param0
+   */
+  constructor({ prefix = '', max_label_values = {} } = {}) {
+    this.prefix = prefix
+
+    /** @type {Object<string, number>} The max distinct values by label name (per metric) */
+    this.max_label_values = max_label_values
+
+    /** @type {Map<string, GatewayMetric>} */
+    this.metrics = new Map()
+  }
+
+  /**
+   * @template {GatewayMetric} T
+   * @param {T} metric
+   * @returns {T}
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name))
+      throw new Error(`Metric ${metric.name} is already registered`)
+    this.metrics.set(metric.name, metric)
+    return metric
+  }
+
+  /**
+   * @param {string} name The name (without the prefix)
+   * @param {string} help
+   * @param {string[]} label_names
+   */
+  counter(name, help, label_names = []) {
+    return this.register(
+      new GatewayCounter({
+        name: this.prefix + name,
+        help,
+        label_names,
+        max_label_values: this.max_label_values,
+      })
+    )
+  }
+
+  /**
+   * @param {string} name The name (without the prefix)
+   * @param {string} help
+   * @param {string[]} label_names
+   */
+  gauge(name, help, label_names = []) {
+    return this.register(
+      new GatewayGauge({
+        name: this.prefix + name,
+        help,
+        label_names,
+        max_label_values: this.max_label_values,
+      })
+    )
+  }
+
+  /**
+   * @param {string} name The name (without the prefix)
+   * @param {string} help
+   * @param {string[]} label_names
+   * @param {number[]} buckets
+   */
+  histogram(name, help, label_names = [], buckets = null) {
+    return this.register(
+      new GatewayHistogram({
+        name: this.prefix + name,
+        help,
+        label_names,
+        max_label_values: this.max_label_values,
+        buckets,
+      })
+    )
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset()
+  }
+
+  /**
+   * @returns {string} All metrics in the prometheus text exposition format.
+   */
+  render() {
+    return (
+      Array.from(this.metrics.values())
+        .map((metric) => metric.render())
+        .join('\n') + '\n'
+    )
+  }
+}
+
+class GatewayMetrics extends GatewayMetricsRegistry {
+  /**
+   * The gateway traffic metrics. The target ids (and upstreams) are bounded by
+   * max_targets per metric, further targets are recorded as 'other'.
+   * @param {{
+   * prefix: string,
+   * latency_buckets: number[],
+   * max_targets: number,
+   * }} param0
+   */
+  constructor({
+    prefix = 'gateway_',
+    latency_buckets = null,
+    max_targets = 1000,
+  } = {}) {
+    super({
+      prefix,
+      max_label_values: { target_id: max_targets, upstream: max_targets },
+    })
+
+    this.requests_total = this.counter(
+      'requests_total',
+      'Proxied http requests, by target, method and response status.',
+      ['target_id', 'method', 'status']
+    )
+
+    this.upstream_response_seconds = this.histogram(
+      'upstream_response_seconds',
+      'Time until the upstream responded with the response headers.',
+      ['target_id', 'upstream'],
+      latency_buckets
+    )
+
+    this.received_bytes_total = this.counter(
+      'received_bytes_total',
+      'Bytes received from clients (request bodies and tunnel data).',
+      ['target_id']
+    )
+
+    this.sent_bytes_total = this.counter(
+      'sent_bytes_total',
+      'Bytes sent to clients (response bodies and tunnel data).',
+      ['target_id']
+    )
+
+    this.websocket_proxies_active = this.gauge(
+      'websocket_proxies_active',
+      'Currently open websocket proxies.',
+      ['target_id']
+    )
+
+    this.socket_tunnels_active = this.gauge(
+      'socket_tunnels_active',
+      'Currently open socket tunnels.',
+      ['target_id']
+    )
+
+    this.redirects_total = this.counter(
+      'redirects_total',
+      'Redirects to a gateway host.',
+      ['target_id']
+    )
+
+    this.upstream_errors_total = this.counter(
+      'upstream_errors_total',
+      'Upstream request errors, by error code.',
+      ['target_id', 'code']
+    )
+
+    this.rate_limited_total = this.counter(
+      'rate_limited_total',
+      'Requests rejected by the rate limiter, by rule.',
+      ['target_id', 'rule']
+    )
+
+    this.mirror_requests_total = this.counter(
+      'mirror_requests_total',
+      'Mirrored (shadow) requests, by the comparison result (match, mismatch or error).',
+      ['target_id', 'mirror', 'result']
+    )
+  }
+}
+
+module.exports = {
+  GatewayCounter,
+  GatewayGauge,
+  GatewayHistogram,
+  GatewayMetric,
+  GatewayMetrics,
+  GatewayMetricsRegistry,
+  OTHER_LABEL_VALUE,
+}
@@ -0,0 +1,135 @@
+const assert = require('assert')
+const {
+  GatewayCounter,
+  GatewayHistogram,
+  GatewayMetrics,
+  GatewayMetricsRegistry,
+} = require('./metrics')
+const { run, test } = require('./test_helpers')
+
+test('counters render in the text exposition format', () => {
+  const registry = new GatewayMetricsRegistry({ prefix: 'x_' })
+  const counter = registry.counter('requests_total', 'Requests.', ['target_id'])
+  counter.inc({ target_id: 'a' })
+  counter.inc({ target_id: 'a' }, 2)
+  counter.inc({ target_id: 'b"\n' })
+  assert.strictEqual(counter.get({ target_id: 'a' }), 3)
+  assert.throws(() => counter.inc({ target_id: 'a' }, -1))
+  assert.strictEqual(
+    registry.render(),
+    [
+      '# HELP x_requests_total Requests.',
+      '# TYPE x_requests_total counter',
+      'x_requests_total{target_id="a"} 3',
+      'x_requests_total{target_id="b\\"\\n"} 1',
+      '',
+    ].join('\n')
+  )
+})
+
+test('histograms count the observations by bucket', () => {
+  const histogram = new GatewayHistogram({
+    name: 'latency',
+    help: 'Latency.',
+    label_names: [],
+    buckets: [1, 0.1],
+  })
+  histogram.observe({}, 0.05)
+  histogram.observe({}, 0.5)
+  histogram.observe({}, 5)
+  assert.deepStrictEqual(histogram.render().split('\n').slice(2), [
+    'latency_bucket{le="0.1"} 1',
+    'latency_bucket{le="1"} 2',
+    'latency_bucket{le="+Inf"} 3',
+    'latency_sum 5.55',
+    'latency_count 3',
+  ])
+})
+
+test('gateway metrics gauges follow the open proxies', () => {
+  const metrics = new GatewayMetrics()
+  metrics.websocket_proxies_active.inc({ target_id: 'svc' })
+  metrics.websocket_proxies_active.inc({ target_id: 'svc' })
+  metrics.websocket_proxies_active.dec({ target_id: 'svc' })
+  metrics.requests_total.inc({ target_id: 'svc', method: 'GET', status: 200 })
+
+  const rendered = metrics.render()
+  assert.match(rendered, /^# TYPE gateway_websocket_proxies_active gauge$/m)
+  assert.match(
+    rendered,
+    /^gateway_websocket_proxies_active\{target_id="svc"\} 1$/m
+  )
+  assert.match(
+    rendered,
+    /^gateway_requests_total\{target_id="svc",method="GET",status="200"\} 1$/m
+  )
+})
+
+test('bounded labels record further values as other', () => {
+  const counter = new GatewayCounter({
+    name: 'requests_total',
+    help: 'Requests.',
+    label_names: ['target_id', 'status'],
+    max_label_values: { target_id: 2 },
+  })
+  for (const target_id of ['a', 'b', 'c', 'd', 'a'])
+    counter.inc({ target_id, status: 200 })
+  counter.inc({ target_id: 'e', status: 500 })
+
+  assert.deepStrictEqual(
+    Array.from(counter.values.values()).map((entry) => [
+      ...entry.labels,
+      entry.value,
+    ]),
+    [
+      ['a', '200', 2],
+      ['b', '200', 1],
+      ['other', '200', 2],
+      ['other', '500', 1],
+    ]
+  )
+
+  // a reset clears the recorded label values.
+  counter.reset()
+  counter.inc({ target_id: 'c', status: 200 })
+  assert.strictEqual(counter.get({ target_id: 'c', status: 200 }), 1)
+})
+
+test('gateway metrics bound the target and upstream labels', () => {
+  const metrics = new GatewayMetrics({ max_targets: 1 })
+  metrics.sent_bytes_total.inc({ target_id: 'a' }, 10)
+  metrics.sent_bytes_total.inc({ target_id: 'b' }, 20)
+  metrics.sent_bytes_total.inc({ target_id: 'c' }, 30)
+  metrics.upstream_response_seconds.observe(
+    { target_id: 'a', upstream: 'a:80' },
+    0.1
+  )
+  metrics.upstream_response_seconds.observe(
+    { target_id: 'a', upstream: 'b:80' },
+    0.1
+  )
+
+  const rendered = metrics.render()
+  assert.match(rendered, /^gateway_sent_bytes_total\{target_id="a"\} 10$/m)
+  assert.match(rendered, /^gateway_sent_bytes_total\{target_id="other"\} 50$/m)
+  assert.match(
+    rendered,
+    /^gateway_upstream_response_seconds_count\{target_id="a",upstream="other"\} 1$/m
+  )
+  assert.strictEqual(metrics.sent_bytes_total.values.size, 2)
+
+  // the defaults allow 1000 targets.
+  const defaults = new GatewayMetrics()
+  for (let i = 0; i < 1001; i++)
+    defaults.redirects_total.inc({ target_id: 't' + i })
+  assert.strictEqual(defaults.redirects_total.values.size, 1001)
+  assert.strictEqual(defaults.redirects_total.get({ target_id: 'other' }), 1)
+})
+
+test('metric names are unique in a registry', () => {
+  const registry = new GatewayMetricsRegistry()
+  registry.gauge('active', 'Active.')
+  assert.throws(() => registry.counter('active', 'Active.'))
+})
+
+run()
@@ -0,0 +1,308 @@
+const http = require('http')
+const https = require('https')
+const { Request } = require('express/index')
+
+/**
+ * @typedef {{
+ * url: string,
+ * name: string,
+ * percentage: number,
+ * }} GatewayMirrorTarget A shadow backend, the request path is sent to the url
+ * origin. The name defaults to the url host.
+ *
+ * @typedef {{
+ * targets: (string|GatewayMirrorTarget)[],
+ * percentage: number,
+ * max_body_size: number,
+ * timeout: number,
+ * strip_headers: string[],
+ * }} GatewayMirrorOptions The mirror targets and the default sampling percentage
+ * (0-100). Requests with a body larger than max_body_size are not mirrored, and
+ * mirror requests are aborted after the timeout (ms). The strip_headers (lower case,
+ * a trailing * matches a prefix) are not sent to the mirror targets.
+ *
+ * @typedef {{
+ * status: number,
+ * duration_ms: number,
+ * error: string,
+ * }} GatewayMirrorResult The response status and the duration (ms) until the
+ * response ended, or the error code.
+ *
+ * @typedef {{
+ * target_id: string,
+ * mirror: string,
+ * method: string,
+ * url: string,
+ * request_id: string,
+ * primary: GatewayMirrorResult,
+ * shadow: GatewayMirrorResult,
+ * status_match: boolean,
+ * latency_diff_ms: number,
+ * }} GatewayMirrorComparison The primary (client) response compared to the mirror
+ * (shadow) response, latency_diff_ms is the mirror duration minus the primary duration.
+ */
+
+/** @type {GatewayMirrorOptions} */
+const DEFAULT_MIRROR_OPTIONS = {
+  targets: [],
+  percentage: 100,
+  max_body_size: 64 * 1024,
+  timeout: 10000,
+  strip_headers: [
+    'authorization',
+    'proxy-authorization',
+    'cookie',
+    'forwarded',
+    'x-forwarded-*',
+    'x-real-ip',
+  ],
+}
+
+/**
+ * @param {string} name The header name (lower case).
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function is_header_matched(name, patterns) {
+  return patterns.some((pattern) =>
+    pattern.endsWith('*')
+      ? name.startsWith(pattern.slice(0, -1))
+      : name == pattern
+  )
+}
+
+class GatewayMirrorRequest {
+  /**
+   * A single mirrored request. Buffers the client request body (independently of the
+   * primary request) and sends the copy once the body ended.
+   * @param {GatewayMirror} mirror
+   * @param {GatewayMirrorTarget} target
+   * @param {Request} req
+   * @param {GatewayMirrorOptions} options
+   */
+  constructor(mirror, target, req, options) {
+    this.mirror = mirror
+    /** @type {GatewayMirrorTarget} */
+    this.target = target
+    this.options = options
+
+    /** @type {Buffer[]} The buffered body, null if too large */
+    this.chunks = []
+    this.size = 0
+    this.is_ended = req.readableEnded == true
+    this.is_sent = false
+
+    /** @type {Promise<GatewayMirrorResult>} Resolves when the mirror request is done (never rejects) */
+    this.done = new Promise((resolve) => (this._resolve = resolve))
+
+    /** @type {()=>void} Sends the request, once the body ended */
+    this._send = null
+
+    req.on('data', (chunk) => {
+      this.size += chunk.length
+      if (this.chunks == null) return
+      if (this.size > options.max_body_size) this.chunks = null
+      else this.chunks.push(chunk)
+    })
+    req.on('end', () => {
+      this.is_ended = true
+      if (this._send != null) this._send()
+    })
+  }
+
+  /**
+   * Send a copy of the (primary) proxy request to the mirror target.
+   * @param {http.ClientRequest} proxy_request
+   */
+  send(proxy_request) {
+    if (this.is_sent || this._send != null) return
+    // the mirror targets are not trusted with the client credentials.
+    const headers = {}
+    const strip_headers = (this.options.strip_headers || []).map((name) =>
+      name.toLowerCase()
+    )
+    for (const [name, value] of Object.entries(proxy_request.getHeaders()))
+      if (!is_header_matched(name, strip_headers)) headers[name] = value
+    headers.host = new URL(this.target.url).host
+    headers['x-gateway-mirror'] = this.target.name
+    const url = new URL(proxy_request.path, this.target.url)
+
+    this._send = () => {
+      if (this.is_sent) return
+      this.is_sent = true
+      if (this.chunks == null)
+        return this._resolve({
+          status: null,
+          duration_ms: 0,
+          error: 'EBODYTOOLARGE',
+        })
+
+      const access_policy = this.mirror.access_policy
+      if (access_policy != null && access_policy.check_url(url) != null)
+        return this._resolve({
+          status: null,
+          duration_ms: 0,
+          error: 'EPOLICYDENIED',
+        })
+
+      const body = Buffer.concat(this.chunks)
+      delete headers['transfer-encoding']
+      if (body.length > 0 || headers['content-length'] != null)
+        headers['content-length'] = body.length
+      this._request(proxy_request.method, url, headers, body)
+    }
+    if (this.is_ended) this._send()
+  }
+
+  /**
+   * @param {string} method
+   * @param {URL} url
+   * @param {http.OutgoingHttpHeaders} headers
+   * @param {Buffer} body
+   */
+  _request(method, url, headers, body) {
+    const started = process.hrtime.bigint()
+    const elapsed_ms = () => Number(process.hrtime.bigint() - started) / 1e6
+
+    let is_done = false
+    const done = (status, error = null) => {
+      if (is_done) return
+      is_done = true
+      clearTimeout(timer)
+      this._resolve({ status, duration_ms: elapsed_ms(), error })
+    }
+
+    const is_secure = url.protocol == 'https:'
+    const access_policy = this.mirror.access_policy
+    const request = (is_secure ? https : http).request(url, {
+      method,
+      headers,
+      agent: this.mirror.get_agent(is_secure),
+      lookup: access_policy != null ? access_policy.lookup : undefined,
+    })
+    const timer = setTimeout(() => {
+      const err = new Error(`Mirror timeout (${this.options.timeout}ms)`)
+      err.code = 'EMIRRORTIMEOUT'
+      request.destroy(err)
+    }, this.options.timeout)
+
+    request.on('response', (rsp) => {
+      // the response is discarded.
+      rsp.resume()
+      rsp.on('end', () => done(rsp.statusCode))
+      rsp.on('error', (err) => done(rsp.statusCode, err.code || 'unknown'))
+    })
+    request.on('error', (err) => done(null, err.code || 'unknown'))
+    request.end(body)
+  }
+}
+
+class GatewayMirror {
+  /**
+   * Mirrors (shadows) proxied requests to other backends, e.g. to test a new
+   * service version with real traffic. The mirror responses are discarded, and
+   * mirror failures or latency do not affect the client response.
+   * @example
+   * new GatewayMirror({
+   *   targets: [{ url: 'http://api-v2.internal:8080', name: 'v2', percentage: 10 }],
+   *   max_body_size: 1024 * 1024,
+   * })
+   * @param {GatewayMirrorOptions} options The default mirror options, the route
+   * options (info.mirror) override these.
+   * @param {{access_policy: import('./policy').GatewayAccessPolicy}} param1
+   */
+  constructor(options = {}, { access_policy = null } = {}) {
+    /** @type {GatewayMirrorOptions} */
+    this.defaults = { ...DEFAULT_MIRROR_OPTIONS, ...(options || {}) }
+
+    /** @type {import('./policy').GatewayAccessPolicy} Limits the mirror targets, null if disabled */
+    this.access_policy = access_policy
+
+    /** @type {{http:http.Agent, https:https.Agent}} The mirror connection pools (not shared with the upstreams) */
+    this._agents = { http: null, https: null }
+  }
+
+  /**
+   * @param {GatewayMirrorOptions | false} route_options
+   * @returns {GatewayMirrorOptions} The options, or null if not mirrored.
+   */
+  get_options(route_options = null) {
+    if (route_options === false) return null
+    const options = { ...this.defaults, ...(route_options || {}) }
+    if (options.targets == null || options.targets.length == 0) return null
+    return options
+  }
+
+  /**
+   * @param {GatewayMirrorOptions} options
+   * @returns {GatewayMirrorTarget[]} The normalized targets.
+   */
+  get_targets(options) {
+    return options.targets.map((target) => {
+      if (typeof target == 'string') target = { url: target }
+      return {
+        name: new URL(target.url).host,
+        percentage: options.percentage,
+        ...target,
+      }
+    })
+  }
+
+  /**
+   * Start mirroring the request to the sampled targets. Must be called before the
+   * request body is read.
+   * @param {Request} req
+   * @param {GatewayMirrorOptions | false} route_options
+   * @returns {GatewayMirrorRequest[]} The mirror requests, empty if not mirrored.
+   */
+  start(req, route_options = null) {
+    const options = this.get_options(route_options)
+    if (options == null) return []
+    return this.get_targets(options)
+      .filter((target) => Math.random() * 100 < target.percentage)
+      .map((target) => new GatewayMirrorRequest(this, target, req, options))
+  }
+
+  /**
+   * @param {boolean} is_secure
+   * @returns {http.Agent}
+   */
+  get_agent(is_secure) {
+    const key = is_secure ? 'https' : 'http'
+    if (this._agents[key] == null)
+      this._agents[key] = is_secure
+        ? new https.Agent({ keepAlive: true })
+        : new http.Agent({ keepAlive: true })
+    return this._agents[key]
+  }
+
+  /**
+   * Destroy the mirror connection pools.
+   */
+  destroy() {
+    for (const key of Object.keys(this._agents)) {
+      if (this._agents[key] != null) this._agents[key].destroy()
+      this._agents[key] = null
+    }
+  }
+}
+
+/**
+ * @param {GatewayMirrorResult} primary
+ * @param {GatewayMirrorResult} shadow
+ * @returns {{status_match:boolean, latency_diff_ms:number}}
+ */
+function compare_mirror_results(primary, shadow) {
+  return {
+    status_match: shadow.error == null && shadow.status == primary.status,
+    latency_diff_ms:
+      shadow.error == null ? shadow.duration_ms - primary.duration_ms : null,
+  }
+}
+
+module.exports = {
+  compare_mirror_results,
+  DEFAULT_MIRROR_OPTIONS,
+  GatewayMirror,
+  GatewayMirrorRequest,
+}
@@ -0,0 +1,252 @@
+const assert = require('assert')
+const http = require('http')
+const { EventEmitter } = require('events')
+const { Gateway } = require('./gateway')
+const { compare_mirror_results, GatewayMirror } = require('./mirror')
+const { GatewayAccessPolicy } = require('./policy')
+const { listen, run, test } = require('./test_helpers')
+
+/**
+ * @returns {Promise<{url:string, requests:{method:string, url:string,
+ * headers:Object, body:string}[], close:()=>void}>} A mirror target server,
+ * recording the received requests.
+ */
+async function create_mirror_server() {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+      })
+      res.statusCode = 201
+      res.end('discarded')
+    })
+  })
+  return {
+    url: `http://127.0.0.1:${await listen(server)}`,
+    requests,
+    close: () => server.close(),
+  }
+}
+
+/**
+ * Mirror a request, as sent by the gateway to the primary backend.
+ * @param {GatewayMirror} mirror
+ * @param {{method?:string, path?:string, headers?:Object, body?:string}} param1
+ * @returns {Promise<import('./mirror').GatewayMirrorResult>}
+ */
+async function send_mirror_request(
+  mirror,
+  { method = 'GET', path = '/', headers = {}, body = null } = {}
+) {
+  const req = new EventEmitter()
+  const [request] = mirror.start(req)
+  request.send({ method, path, getHeaders: () => ({ ...headers }) })
+  if (body != null) req.emit('data', Buffer.from(body))
+  req.emit('end')
+  return await request.done
+}
+
+test('mirror options and targets', () => {
+  const mirror = new GatewayMirror({
+    targets: ['http://v2:8080'],
+    percentage: 10,
+  })
+  assert.strictEqual(mirror.get_options(false), null)
+  assert.strictEqual(new GatewayMirror().get_options(), null)
+  const options = mirror.get_options({ max_body_size: 10 })
+  assert.strictEqual(options.max_body_size, 10)
+  assert.deepStrictEqual(mirror.get_targets(options), [
+    { url: 'http://v2:8080', name: 'v2:8080', percentage: 10 },
+  ])
+  assert.deepStrictEqual(
+    mirror.get_targets({
+      targets: [{ url: 'http://v3', name: 'v3', percentage: 100 }],
+    }),
+    [{ url: 'http://v3', name: 'v3', percentage: 100 }]
+  )
+  assert.deepStrictEqual(
+    mirror.start(new EventEmitter(), { percentage: 0 }),
+    []
+  )
+})
+
+test('mirror result comparison', () => {
+  const primary = { status: 200, duration_ms: 10, error: null }
+  assert.deepStrictEqual(
+    compare_mirror_results(primary, {
+      status: 200,
+      duration_ms: 25,
+      error: null,
+    }),
+    { status_match: true, latency_diff_ms: 15 }
+  )
+  assert.deepStrictEqual(
+    compare_mirror_results(primary, {
+      status: null,
+      duration_ms: 0,
+      error: 'ECONNREFUSED',
+    }),
+    { status_match: false, latency_diff_ms: null }
+  )
+})
+
+test('the request is copied to the mirror target', async () => {
+  const server = await create_mirror_server()
+  const mirror = new GatewayMirror({ targets: [server.url] })
+  try {
+    const result = await send_mirror_request(mirror, {
+      method: 'POST',
+      path: '/api/items?x=1',
+      headers: {
+        host: 'api.internal',
+        'content-type': 'application/json',
+        'transfer-encoding': 'chunked',
+      },
+      body: '{"a":1}',
+    })
+    assert.strictEqual(result.status, 201)
+    assert.strictEqual(result.error, null)
+
+    const [request] = server.requests
+    assert.strictEqual(request.method, 'POST')
+    assert.strictEqual(request.url, '/api/items?x=1')
+    assert.strictEqual(request.body, '{"a":1}')
+    assert.strictEqual(request.headers.host, new URL(server.url).host)
+    assert.strictEqual(request.headers['content-type'], 'application/json')
+    assert.strictEqual(request.headers['content-length'], '7')
+    assert.strictEqual(request.headers['transfer-encoding'], undefined)
+    assert.strictEqual(
+      request.headers['x-gateway-mirror'],
+      new URL(server.url).host
+    )
+  } finally {
+    mirror.destroy()
+    server.close()
+  }
+})
+
+test('credentials and forwarding headers are not mirrored', async () => {
+  const server = await create_mirror_server()
+  const headers = {
+    accept: 'text/plain',
+    authorization: 'Bearer secret',
+    'proxy-authorization': 'Basic c2VjcmV0',
+    cookie: 'session=secret',
+    forwarded: 'for=10.0.0.1',
+    'x-forwarded-for': '10.0.0.1',
+    'x-forwarded-proto': 'https',
+    'x-real-ip': '10.0.0.1',
+    'x-api-key': 'secret',
+  }
+  const mirror = new GatewayMirror({ targets: [server.url] })
+  const custom = new GatewayMirror({
+    targets: [server.url],
+    strip_headers: ['X-API-*'],
+  })
+  try {
+    await send_mirror_request(mirror, { headers })
+    const received = server.requests[0].headers
+    assert.strictEqual(received.accept, 'text/plain')
+    assert.strictEqual(received['x-api-key'], 'secret')
+    for (const name of [
+      'authorization',
+      'proxy-authorization',
+      'cookie',
+      'forwarded',
+      'x-forwarded-for',
+      'x-forwarded-proto',
+      'x-real-ip',
+    ])
+      assert.strictEqual(received[name], undefined, name)
+
+    // the configured headers replace the defaults.
+    await send_mirror_request(custom, { headers })
+    const custom_received = server.requests[1].headers
+    assert.strictEqual(custom_received['x-api-key'], undefined)
+    assert.strictEqual(custom_received.authorization, 'Bearer secret')
+  } finally {
+    mirror.destroy()
+    custom.destroy()
+    server.close()
+  }
+})
+
+test('large bodies are not mirrored', async () => {
+  const server = await create_mirror_server()
+  const mirror = new GatewayMirror({ targets: [server.url], max_body_size: 4 })
+  try {
+    const result = await send_mirror_request(mirror, {
+      method: 'POST',
+      body: 'too large',
+    })
+    assert.deepStrictEqual(result, {
+      status: null,
+      duration_ms: 0,
+      error: 'EBODYTOOLARGE',
+    })
+    assert.strictEqual(server.requests.length, 0)
+  } finally {
+    mirror.destroy()
+    server.close()
+  }
+})
+
+test('mirror targets are subject to the access policy', async () => {
+  const server = await create_mirror_server()
+  const port = new URL(server.url).port
+  const access_policy = new GatewayAccessPolicy()
+  const denied = new GatewayMirror({ targets: [server.url] }, { access_policy })
+  // hostnames are checked when resolved.
+  const resolved = new GatewayMirror(
+    { targets: [`http://localhost:${port}`] },
+    { access_policy }
+  )
+  const allowed = new GatewayMirror(
+    { targets: [server.url] },
+    {
+      access_policy: new GatewayAccessPolicy({
+        allowed_cidrs: ['127.0.0.0/8'],
+        denied_cidrs: [],
+      }),
+    }
+  )
+  try {
+    assert.deepStrictEqual(await send_mirror_request(denied), {
+      status: null,
+      duration_ms: 0,
+      error: 'EPOLICYDENIED',
+    })
+    assert.strictEqual(
+      (await send_mirror_request(resolved)).error,
+      'EPOLICYDENIED'
+    )
+    assert.strictEqual(server.requests.length, 0)
+
+    assert.strictEqual((await send_mirror_request(allowed)).status, 201)
+    assert.strictEqual(server.requests.length, 1)
+  } finally {
+    denied.destroy()
+    resolved.destroy()
+    allowed.destroy()
+    server.close()
+  }
+})
+
+test('the gateway mirror uses the gateway access policy', () => {
+  const gateway = new Gateway({ log_errors_to_console: false })
+  assert.ok(gateway.access_policy != null)
+  assert.strictEqual(gateway.mirror.access_policy, gateway.access_policy)
+  assert.strictEqual(
+    new Gateway({ access_policy: false, log_errors_to_console: false }).mirror
+      .access_policy,
+    null
+  )
+})
+
+run()
@@ -0,0 +1,256 @@
+const dns = require('dns')
+const net = require('net')
+
+/**
+ * The loopback, "this network", private (RFC 1918, shared address space,
+ * unique local) and link local ranges, which include the cloud metadata
+ * endpoints (e.g. 169.254.169.254). The NAT64 and 6to4 ranges embed an IPv4
+ * address, and are denied as they may translate to any of the above.
+ */
+const DEFAULT_DENIED_CIDRS = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.168.0.0/16',
+  '::/128',
+  '::1/128',
+  '64:ff9b::/96',
+  '2002::/16',
+  'fc00::/7',
+  'fe80::/10',
+]
+
+/**
+ * @param {string} address
+ * @returns {Buffer} The address bytes (4 for IPv4, 16 for IPv6), IPv4 mapped
+ * IPv6 addresses are returned as IPv4. null if not an ip.
+ */
+function parse_ip(address) {
+  address = (address || '').replace(/^\[|\]$/g, '').replace(/%.*$/, '')
+  if (net.isIPv4(address)) return Buffer.from(address.split('.').map(Number))
+  if (!net.isIPv6(address)) return null
+
+  const parse_groups = (part) => {
+    if (part == '') return []
+    const words = []
+    for (const group of part.split(':')) {
+      if (group.indexOf('.') != -1) {
+        const bytes = parse_ip(group)
+        words.push((bytes[0] << 8) | bytes[1], (bytes[2] << 8) | bytes[3])
+      } else words.push(parseInt(group, 16))
+    }
+    return words
+  }
+
+  const halves = address.split('::')
+  const head = parse_groups(halves[0])
+  const tail = halves.length > 1 ? parse_groups(halves[1]) : []
+  const words = head
+    .concat(new Array(8 - head.length - tail.length).fill(0))
+    .concat(tail)
+
+  const bytes = Buffer.alloc(16)
+  words.forEach((word, i) => bytes.writeUInt16BE(word, i * 2))
+
+  const is_ipv4_mapped =
+    bytes.slice(0, 10).every((b) => b == 0) &&
+    bytes[10] == 0xff &&
+    bytes[11] == 0xff
+  return is_ipv4_mapped ? bytes.slice(12) : bytes
+}
+
+/**
+ * @param {string} cidr e.g. 10.0.0.0/8 or fc00::/7. A plain ip is a single address range.
+ * @returns {{bytes:Buffer, prefix:number}}
+ */
+function parse_cidr(cidr) {
+  const [address, prefix] = cidr.split('/')
+  const bytes = parse_ip(address)
+  if (bytes == null) throw new Error('Invalid CIDR range: ' + cidr)
+  return {
+    bytes,
+    prefix: prefix == null ? bytes.length * 8 : parseInt(prefix),
+  }
+}
+
+/**
+ * @param {{bytes:Buffer, prefix:number}} range
+ * @param {Buffer} bytes
+ */
+function is_in_cidr(range, bytes) {
+  if (range.bytes.length != bytes.length) return false
+  let bits = range.prefix
+  for (let i = 0; i < bytes.length && bits > 0; i++, bits -= 8) {
+    const mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff
+    if ((range.bytes[i] & mask) != (bytes[i] & mask)) return false
+  }
+  return true
+}
+
+/**
+ * @param {string} pattern A hostname pattern, where * matches any sequence of characters.
+ * @returns {RegExp}
+ */
+function host_pattern_to_regex(pattern) {
+  const escaped = pattern
+    .toLowerCase()
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp('^' + escaped + '$')
+}
+
+/**
+ * @param {string} protocol
+ * @returns {number}
+ */
+function get_default_port(protocol) {
+  switch (protocol) {
+    case 'https:':
+    case 'wss:':
+      return 443
+    default:
+      return 80
+  }
+}
+
+class GatewayAccessPolicy {
+  /**
+   * Defines which backends the gateway may connect to. Hosts are matched
+   * against the url hostname, CIDR ranges against the resolved addresses
+   * (at connect time). Deny rules take precedence over allow rules. A null
+   * allow list allows all.
+   * @param {{
+   * allowed_hosts: string[],
+   * denied_hosts: string[],
+   * allowed_cidrs: string[],
+   * denied_cidrs: string[],
+   * allowed_ports: number[],
+   * allowed_protocols: string[],
+   * }} param0
+   */
+  constructor({
+    allowed_hosts = null,
+    denied_hosts = [],
+    allowed_cidrs = null,
+    denied_cidrs = DEFAULT_DENIED_CIDRS,
+    allowed_ports = null,
+    allowed_protocols = ['http', 'https', 'ws', 'wss'],
+  } = {}) {
+    this.allowed_hosts =
+      allowed_hosts == null ? null : allowed_hosts.map(host_pattern_to_regex)
+    this.denied_hosts = (denied_hosts || []).map(host_pattern_to_regex)
+    this.allowed_cidrs =
+      allowed_cidrs == null ? null : allowed_cidrs.map(parse_cidr)
+    this.denied_cidrs = (denied_cidrs || []).map(parse_cidr)
+    this.allowed_ports =
+      allowed_ports == null ? null : allowed_ports.map((p) => parseInt(p))
+    this.allowed_protocols =
+      allowed_protocols == null
+        ? null
+        : allowed_protocols.map((p) => p.replace(/:$/, '') + ':')
+
+    // used as a connection option, and therefore must be bound.
+    this.lookup = this.lookup.bind(this)
+  }
+
+  /**
+   * @param {string} hostname
+   * @returns {boolean}
+   */
+  is_host_allowed(hostname) {
+    hostname = hostname.replace(/^\[|\]$/g, '').toLowerCase()
+    if (this.denied_hosts.some((r) => r.test(hostname))) return false
+    if (this.allowed_hosts == null) return true
+    return this.allowed_hosts.some((r) => r.test(hostname))
+  }
+
+  /**
+   * @param {string} address The ip address.
+   * @returns {boolean}
+   */
+  is_address_allowed(address) {
+    const bytes = parse_ip(address)
+    if (bytes == null) return false
+    if (this.denied_cidrs.some((range) => is_in_cidr(range, bytes)))
+      return false
+    if (this.allowed_cidrs == null) return true
+    return this.allowed_cidrs.some((range) => is_in_cidr(range, bytes))
+  }
+
+  /**
+   * Check the url against the policy. Hostnames that are not ip addresses
+   * are checked against the CIDR ranges on lookup.
+   * @param {URL} url
+   * @returns {string} The reason the url is denied, or null if allowed.
+   */
+  check_url(url) {
+    if (
+      this.allowed_protocols != null &&
+      this.allowed_protocols.indexOf(url.protocol) == -1
+    )
+      return `protocol ${url.protocol} not allowed`
+
+    const port = parseInt(url.port) || get_default_port(url.protocol)
+    if (this.allowed_ports != null && this.allowed_ports.indexOf(port) == -1)
+      return `port ${port} not allowed`
+
+    if (!this.is_host_allowed(url.hostname))
+      return `host ${url.hostname} not allowed`
+
+    if (
+      parse_ip(url.hostname) != null &&
+      !this.is_address_allowed(url.hostname)
+    )
+      return `address ${url.hostname} not allowed`
+
+    return null
+  }
+
+  /**
+   * A dns lookup (same signature as dns.lookup) that only resolves to allowed
+   * addresses. Used as the connection lookup so the address that was checked
+   * is the address that is connected to.
+   * @param {string} hostname
+   * @param {dns.LookupOptions} options
+   * @param {Function} callback
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options == 'function') {
+      callback = options
+      options = {}
+    }
+    if (typeof options == 'number') options = { family: options }
+
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err)
+
+      const allowed = addresses.filter((a) =>
+        this.is_address_allowed(a.address)
+      )
+      if (allowed.length == 0) {
+        const denied = addresses.map((a) => a.address).join(', ')
+        const err = new Error(
+          `Access denied to ${hostname}: resolved address (${denied}) not allowed`
+        )
+        err.code = 'EPOLICYDENIED'
+        return callback(err)
+      }
+
+      if (options.all) return callback(null, allowed)
+      callback(null, allowed[0].address, allowed[0].family)
+    })
+  }
+}
+
+module.exports = {
+  DEFAULT_DENIED_CIDRS,
+  GatewayAccessPolicy,
+  get_default_port,
+  is_in_cidr,
+  parse_cidr,
+  parse_ip,
+}
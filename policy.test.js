@@ -0,0 +1,258 @@
+const assert = require('assert')
+const http = require('http')
+const { Gateway, GatewayRequestParser, encode_hostname } = require('./gateway')
+const { GatewayBalancer } = require('./balancer')
+const { GatewayHealthMonitor } = require('./health')
+const {
+  DEFAULT_DENIED_CIDRS,
+  GatewayAccessPolicy,
+  parse_ip,
+} = require('./policy')
+const {
+  create_gateway_server,
+  listen,
+  request,
+  run,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {number} port The gateway port.
+ * @param {string} target_id
+ * @param {string} path
+ * @returns {Promise<http.IncomingMessage & {body:string}>}
+ */
+function request_target(port, target_id, path = '/') {
+  return request(port, {
+    path,
+    headers: { host: encode_hostname(target_id) + '.gateway-proxy.localhost' },
+  })
+}
+
+/**
+ * @param {Gateway} gateway
+ * @returns {Promise<{port:number, close:()=>void}>} A server that proxies the
+ * target ids to http://<target_id>.
+ */
+function create_target_server(gateway) {
+  return create_gateway_server({
+    gateway,
+    parser: () =>
+      new GatewayRequestParser({
+        parse_url_from_id: (gateway, req, target_id) =>
+          `http://${target_id}${req.originalUrl}`,
+      }),
+  })
+}
+
+test('default policy denies loopback, private and link local addresses', () => {
+  const policy = new GatewayAccessPolicy()
+  const denied = [
+    '0.0.0.0',
+    '10.1.2.3',
+    '127.0.0.1',
+    '127.255.0.1',
+    '169.254.169.254',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '::',
+    '::1',
+    'fc00::1',
+    'fd12:3456::1',
+    'fe80::1',
+  ]
+  for (const address of denied)
+    assert.strictEqual(policy.is_address_allowed(address), false, address)
+
+  const allowed = ['1.1.1.1', '172.32.0.1', '192.169.0.1', '2606:4700::1111']
+  for (const address of allowed)
+    assert.strictEqual(policy.is_address_allowed(address), true, address)
+})
+
+test('IPv4 mapped IPv6 addresses are checked as IPv4', () => {
+  const policy = new GatewayAccessPolicy()
+  assert.deepStrictEqual([...parse_ip('::ffff:127.0.0.1')], [127, 0, 0, 1])
+  assert.deepStrictEqual([...parse_ip('[::ffff:7f00:1]')], [127, 0, 0, 1])
+  for (const address of [
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '::ffff:a9fe:a9fe',
+  ])
+    assert.strictEqual(policy.is_address_allowed(address), false, address)
+  assert.strictEqual(
+    policy.check_url(new URL('http://[::ffff:127.0.0.1]:8080/')),
+    'address [::ffff:7f00:1] not allowed'
+  )
+})
+
+test('shared, NAT64 and 6to4 addresses are denied by default', () => {
+  const policy = new GatewayAccessPolicy()
+  const denied = [
+    '100.64.0.1',
+    '100.127.255.255',
+    '64:ff9b::a9fe:a9fe',
+    '64:ff9b::127.0.0.1',
+    '2002:7f00:1::1',
+    '2002:a9fe:a9fe::',
+  ]
+  for (const address of denied)
+    assert.strictEqual(policy.is_address_allowed(address), false, address)
+  for (const address of ['100.63.255.255', '100.128.0.1'])
+    assert.strictEqual(policy.is_address_allowed(address), true, address)
+  assert.strictEqual(
+    policy.check_url(new URL('http://[64:ff9b::169.254.169.254]/')),
+    'address [64:ff9b::a9fe:a9fe] not allowed'
+  )
+})
+
+test('check_url applies the protocol, port and host rules', () => {
+  const policy = new GatewayAccessPolicy({
+    allowed_hosts: ['*.example.com'],
+    denied_hosts: ['admin.example.com'],
+    allowed_ports: [80, 443],
+  })
+  assert.strictEqual(policy.check_url(new URL('http://api.example.com/')), null)
+  assert.strictEqual(policy.check_url(new URL('wss://api.example.com/')), null)
+  assert.strictEqual(
+    policy.check_url(new URL('http://api.example.com:8080/')),
+    'port 8080 not allowed'
+  )
+  assert.strictEqual(
+    policy.check_url(new URL('http://admin.example.com/')),
+    'host admin.example.com not allowed'
+  )
+  assert.strictEqual(
+    policy.check_url(new URL('http://other.com/')),
+    'host other.com not allowed'
+  )
+  assert.strictEqual(
+    policy.check_url(new URL('ftp://api.example.com/')),
+    'protocol ftp: not allowed'
+  )
+})
+
+test('lookup of a name that resolves to loopback is denied', async () => {
+  const policy = new GatewayAccessPolicy()
+  const err = await new Promise((resolve) =>
+    policy.lookup('localhost', {}, (err) => resolve(err))
+  )
+  assert.ok(err != null)
+  assert.strictEqual(err.code, 'EPOLICYDENIED')
+
+  // allowed when the loopback range is not denied.
+  const local_policy = new GatewayAccessPolicy({
+    denied_cidrs: DEFAULT_DENIED_CIDRS.filter(
+      (cidr) => cidr != '127.0.0.0/8' && cidr != '::1/128'
+    ),
+  })
+  const address = await new Promise((resolve, reject) =>
+    local_policy.lookup('localhost', 0, (err, address) =>
+      err ? reject(err) : resolve(address)
+    )
+  )
+  assert.ok(['127.0.0.1', '::1'].indexOf(address) != -1)
+})
+
+test('gateway enables the default policy unless disabled', () => {
+  const gateway = new Gateway({ log_errors_to_console: false })
+  assert.ok(gateway.access_policy instanceof GatewayAccessPolicy)
+  assert.strictEqual(
+    gateway.access_policy.is_address_allowed('10.0.0.1'),
+    false
+  )
+  assert.strictEqual(new Gateway({ access_policy: false }).access_policy, null)
+})
+
+test('gateway denies a loopback target by default', async () => {
+  const backend = http.createServer((req, res) => res.end('backend'))
+  await listen(backend)
+  const gateway = new Gateway({ log_errors_to_console: false })
+  const server = await create_target_server(gateway)
+  try {
+    const res = await request_target(
+      server.port,
+      '127.0.0.1:' + backend.address().port
+    )
+    assert.strictEqual(res.statusCode, 403)
+    assert.strictEqual(res.headers['x-gateway-error'], 'access_denied')
+    assert.notStrictEqual(res.body, 'backend')
+  } finally {
+    server.close()
+    backend.close()
+  }
+})
+
+test('a redirect to a denied address is not followed', async () => {
+  let denied_requests = 0
+  const denied_backend = http.createServer((req, res) => {
+    denied_requests += 1
+    res.end('internal')
+  })
+  await listen(denied_backend, '127.0.0.2')
+  const denied_target = '127.0.0.2:' + denied_backend.address().port
+
+  const backend = http.createServer((req, res) => {
+    res.writeHead(302, { location: `http://${denied_target}/secret` })
+    res.end()
+  })
+  await listen(backend)
+
+  // allow the loopback range, except for the denied address.
+  const gateway = new Gateway({
+    log_errors_to_console: false,
+    access_policy: {
+      denied_cidrs: DEFAULT_DENIED_CIDRS.filter(
+        (c) => c != '127.0.0.0/8'
+      ).concat(['127.0.0.2/32']),
+    },
+  })
+  const server = await create_target_server(gateway)
+  const port = server.port
+  try {
+    const res = await request_target(
+      port,
+      '127.0.0.1:' + backend.address().port
+    )
+    // the redirect is returned to the client, not followed by the gateway.
+    assert.strictEqual(res.statusCode, 302)
+    assert.strictEqual(res.headers.location, `http://${denied_target}/secret`)
+
+    // following the redirect through the gateway is denied.
+    const redirected = await request_target(port, denied_target, '/secret')
+    assert.strictEqual(redirected.statusCode, 403)
+    assert.strictEqual(denied_requests, 0)
+  } finally {
+    server.close()
+    backend.close()
+    denied_backend.close()
+  }
+})
+
+test('health probes are denied by the policy', async () => {
+  let connections = 0
+  const backend = http.createServer((req, res) => res.end())
+  backend.on('connection', () => (connections += 1))
+  await listen(backend)
+
+  const balancer = new GatewayBalancer()
+  const events = []
+  const health = new GatewayHealthMonitor({
+    balancer,
+    emit: (...args) => events.push(args),
+    access_policy: new GatewayAccessPolicy(),
+    health_check: { unhealthy_threshold: 1 },
+  })
+  const url = new URL('http://127.0.0.1:' + backend.address().port)
+  balancer.select('svc', [{ url, weight: 1 }], {})
+  try {
+    await health.probe_all()
+    assert.strictEqual(connections, 0)
+    assert.strictEqual(balancer.get_pool('svc').members[0].healthy, false)
+    assert.ok(events.some((args) => /denied/.test(args[2])))
+  } finally {
+    backend.close()
+  }
+})
+
+run()
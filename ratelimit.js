@@ -0,0 +1,219 @@
+const { Request } = require('express/index')
+
+/**
+ * @typedef {{
+ * allowed: boolean,
+ * remaining: number,
+ * reset: number,
+ * retry_after: number,
+ * }} GatewayRateLimitTakeResult reset is the time (ms) until the bucket is full,
+ * retry_after the time (ms) until the request would be allowed (0 if allowed).
+ *
+ * @typedef {{
+ * take: (key:string, capacity:number, refill_per_ms:number, cost:number)=>GatewayRateLimitTakeResult|Promise<GatewayRateLimitTakeResult>,
+ * }} GatewayRateLimitStore A token bucket counter store, can be async (e.g. shared between gateway replicas).
+ *
+ * @typedef {'ip'|'target'|string|((req:Request, info:import('./gateway').GatewayRequestInfo)=>string)} GatewayRateLimitKey
+ * The bucket key, the client ip, the target id, 'header:<name>' (e.g. an api key) or a function.
+ * Requests with no key (null) are not limited by the rule.
+ *
+ * @typedef {{
+ * name: string,
+ * key: GatewayRateLimitKey,
+ * limit: number,
+ * window: number,
+ * cost: number,
+ * }} GatewayRateLimitRule limit requests per window (ms), with bursts of up to limit requests.
+ *
+ * @typedef {{
+ * allowed: boolean,
+ * rule: GatewayRateLimitRule,
+ * remaining: number,
+ * reset: number,
+ * retry_after: number,
+ * }} GatewayRateLimitResult The most restrictive rule result (times in seconds).
+ */
+
+class GatewayMemoryRateLimitStore {
+  /**
+   * An in memory token bucket store (per gateway process).
+   * @param {{
+   * max_keys: number,
+   * }} param0
+   */
+  constructor({ max_keys = 100000 } = {}) {
+    /**
+     * @type {number} When exceeded, full buckets are removed (then the least
+     * recently used)
+     */
+    this.max_keys = max_keys
+
+    /** @type {Map<string, {tokens:number, updated:number, full_at:number}>} */
+    this._buckets = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} capacity
+   * @param {number} refill_per_ms
+   * @param {number} cost
+   * @returns {GatewayRateLimitTakeResult}
+   */
+  take(key, capacity, refill_per_ms, cost = 1) {
+    const now = Date.now()
+    let bucket = this._buckets.get(key)
+    if (bucket == null) {
+      if (this._buckets.size >= this.max_keys) this._remove_full(now)
+      if (this._buckets.size >= this.max_keys)
+        this._buckets.delete(this._buckets.keys().next().value)
+      bucket = { tokens: capacity, updated: now, full_at: now }
+    } else this._buckets.delete(key)
+    // the map is kept in the least recently used order.
+    this._buckets.set(key, bucket)
+
+    bucket.tokens = Math.min(
+      capacity,
+      bucket.tokens + (now - bucket.updated) * refill_per_ms
+    )
+    bucket.updated = now
+
+    const allowed = bucket.tokens >= cost
+    if (allowed) bucket.tokens -= cost
+    bucket.full_at = now + (capacity - bucket.tokens) / refill_per_ms
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      reset: bucket.full_at - now,
+      retry_after: allowed ? 0 : (cost - bucket.tokens) / refill_per_ms,
+    }
+  }
+
+  /**
+   * @param {number} now
+   */
+  _remove_full(now) {
+    for (const [key, bucket] of this._buckets)
+      if (bucket.full_at <= now) this._buckets.delete(key)
+  }
+}
+
+class GatewayRateLimiter {
+  /**
+   * Token bucket rate limiting of the gateway requests.
+   * @example
+   * new GatewayRateLimiter({
+   *   rules: [
+   *     { key: 'ip', limit: 100, window: 60000 },
+   *     { key: 'header:x-api-key', limit: 1000, window: 60000 },
+   *   ],
+   * })
+   * @param {{
+   * rules: GatewayRateLimitRule[],
+   * store: GatewayRateLimitStore | {max_keys:number},
+   * headers: boolean,
+   * }} param0 If headers, the RateLimit-* headers are sent with all the limited
+   * responses (otherwise only with 429).
+   */
+  constructor({ rules = [], store = {}, headers = true } = {}) {
+    /** @type {GatewayRateLimitRule[]} */
+    this.rules = rules.map((rule, index) => {
+      if (!(rule.limit > 0 && rule.window > 0))
+        throw new Error(
+          'A rate limit rule requires a positive limit and window'
+        )
+      return {
+        cost: 1,
+        ...rule,
+        key: rule.key || 'ip',
+        name:
+          rule.name ||
+          (typeof rule.key == 'string' ? rule.key : `rule_${index}`),
+      }
+    })
+
+    /** @type {GatewayRateLimitStore} */
+    this.store =
+      store != null && typeof store.take == 'function'
+        ? store
+        : new GatewayMemoryRateLimitStore(store || {})
+
+    this.headers = headers
+  }
+
+  /**
+   * @param {GatewayRateLimitRule} rule
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @param {string} client_address
+   * @returns {string} The rule bucket key, or null if the rule does not apply.
+   */
+  get_key(rule, req, info, client_address) {
+    let key = null
+    if (typeof rule.key == 'function') key = rule.key(req, info)
+    else if (rule.key == 'ip') key = client_address
+    else if (rule.key == 'target') key = info.target_id
+    else if (rule.key.startsWith('header:'))
+      key = req.headers[rule.key.substr('header:'.length).toLowerCase()]
+    else throw new Error('Invalid rate limit key: ' + rule.key)
+
+    return key == null || key === '' ? null : `${rule.name}:${key}`
+  }
+
+  /**
+   * Take a token from each of the rules buckets, in order. Stops at the first
+   * denied rule (the next rules buckets are not taken from).
+   * @param {Request} req
+   * @param {import('./gateway').GatewayRequestInfo} info
+   * @param {string} client_address
+   * @returns {Promise<GatewayRateLimitResult>} The denied result or the most
+   * restrictive result, or null if no rule applies.
+   */
+  async check(req, info, client_address) {
+    /** @type {GatewayRateLimitResult} */
+    let result = null
+    for (const rule of this.rules) {
+      const key = this.get_key(rule, req, info, client_address)
+      if (key == null) continue
+
+      const taken = await this.store.take(
+        key,
+        rule.limit,
+        rule.limit / rule.window,
+        rule.cost
+      )
+      const rule_result = {
+        allowed: taken.allowed,
+        rule,
+        remaining: Math.max(0, taken.remaining),
+        reset: Math.ceil(taken.reset / 1000),
+        retry_after: Math.ceil(taken.retry_after / 1000),
+      }
+
+      if (!rule_result.allowed) return rule_result
+      if (result == null || rule_result.remaining < result.remaining)
+        result = rule_result
+    }
+    return result
+  }
+
+  /**
+   * @param {GatewayRateLimitResult} result
+   * @returns {Object<string,string>} The RateLimit-* response headers.
+   */
+  get_headers(result) {
+    return {
+      'RateLimit-Limit': String(result.rule.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset),
+      'RateLimit-Policy': `${result.rule.limit};w=${Math.ceil(
+        result.rule.window / 1000
+      )}`,
+    }
+  }
+}
+
+module.exports = {
+  GatewayMemoryRateLimitStore,
+  GatewayRateLimiter,
+}
@@ -0,0 +1,231 @@
+const assert = require('assert')
+const http = require('http')
+const { GatewayRequestParser } = require('./gateway')
+const {
+  GatewayMemoryRateLimitStore,
+  GatewayRateLimiter,
+} = require('./ratelimit')
+const {
+  at_time,
+  create_gateway_server,
+  GATEWAY_TEST_HOST,
+  request,
+  run,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {Object} rate_limit The gateway rate_limit option.
+ * @returns {Promise<{get:(path:string, host?:string)=>Promise<http.IncomingMessage>,
+ * lookups:string[], close:()=>void}>} A rate limited gateway server (with the
+ * route lookup paths).
+ */
+async function create_limited_gateway(rate_limit) {
+  const lookups = []
+  const server = await create_gateway_server({
+    handler: (req, res) => res.end('ok'),
+    gateway: { rate_limit },
+    parser: (backend_url) =>
+      new GatewayRequestParser({
+        parse_url_from_id: () => backend_url,
+        // requests to /app on any host are routed to the backend.
+        parse_url_from_route: (gateway, req) => {
+          lookups.push(req.path)
+          return req.path.startsWith('/app') ? backend_url : null
+        },
+      }),
+  })
+  return {
+    lookups,
+    get: (path, host = GATEWAY_TEST_HOST) =>
+      request(server.port, {
+        path,
+        headers: { host, accept: 'application/json' },
+      }),
+    close: server.close,
+  }
+}
+
+test('token buckets refill over time', () => {
+  const store = new GatewayMemoryRateLimitStore()
+  // 2 tokens, refilled at 1 token per second.
+  const take = (now, cost = 1) =>
+    at_time(now, () => store.take('a', 2, 1 / 1000, cost))
+
+  assert.deepStrictEqual(take(0), {
+    allowed: true,
+    remaining: 1,
+    reset: 1000,
+    retry_after: 0,
+  })
+  assert.strictEqual(take(0).allowed, true)
+  assert.deepStrictEqual(take(500), {
+    allowed: false,
+    remaining: 0,
+    reset: 1500,
+    retry_after: 500,
+  })
+  assert.strictEqual(take(1000).allowed, true)
+
+  // the bucket is never filled over the capacity.
+  assert.strictEqual(take(60000).remaining, 1)
+  assert.strictEqual(take(60000, 5).allowed, false)
+})
+
+test('full buckets are removed over the max keys', () => {
+  const store = new GatewayMemoryRateLimitStore({ max_keys: 2 })
+  at_time(0, () => {
+    store.take('a', 1, 1 / 1000)
+    store.take('b', 1, 1 / 1000)
+  })
+  at_time(1000, () => store.take('c', 1, 1 / 1000))
+  assert.deepStrictEqual([...store._buckets.keys()], ['c'])
+})
+
+test('rules and keys', () => {
+  assert.throws(
+    () => new GatewayRateLimiter({ rules: [{ limit: 0, window: 1000 }] }),
+    /positive limit and window/
+  )
+  const limiter = new GatewayRateLimiter({
+    rules: [
+      { limit: 1, window: 1000 },
+      { key: 'header:X-Api-Key', limit: 1, window: 1000 },
+      { key: (req, info) => info.target_id, limit: 1, window: 1000 },
+    ],
+  })
+  assert.deepStrictEqual(
+    limiter.rules.map((rule) => [rule.name, rule.cost]),
+    [
+      ['rule_0', 1],
+      ['header:X-Api-Key', 1],
+      ['rule_2', 1],
+    ]
+  )
+  const req = { headers: { 'x-api-key': 'k1' } }
+  const info = { target_id: 'svc' }
+  const keys = limiter.rules.map((rule) =>
+    limiter.get_key(rule, req, info, '10.0.0.1')
+  )
+  assert.deepStrictEqual(keys, [
+    'rule_0:10.0.0.1',
+    'header:X-Api-Key:k1',
+    'rule_2:svc',
+  ])
+  // requests without the header are not limited by the rule.
+  assert.strictEqual(
+    limiter.get_key(limiter.rules[1], { headers: {} }, info),
+    null
+  )
+  assert.throws(
+    () => limiter.get_key({ key: 'unknown' }, req, info),
+    /Invalid rate limit key/
+  )
+})
+
+test('full buckets then the least recently used are removed', () => {
+  const store = new GatewayMemoryRateLimitStore({ max_keys: 2 })
+  at_time(0, () => {
+    store.take('a', 10, 1 / 1000)
+    store.take('b', 10, 1 / 1000)
+    store.take('a', 10, 1 / 1000)
+    store.take('c', 10, 1 / 1000)
+  })
+  assert.deepStrictEqual([...store._buckets.keys()], ['a', 'c'])
+})
+
+test('rules after a denied rule are not taken from', async () => {
+  const limiter = new GatewayRateLimiter({
+    rules: [
+      { name: 'narrow', key: 'ip', limit: 1, window: 10000 },
+      { name: 'wide', key: 'target', limit: 10, window: 10000 },
+    ],
+  })
+  const check = () =>
+    limiter.check({ headers: {} }, { target_id: 'svc' }, '10.0.0.1')
+  await check()
+  for (let i = 0; i < 3; i++) assert.strictEqual((await check()).allowed, false)
+  const wide = await limiter.store.take('wide:svc', 10, 10 / 10000, 0)
+  assert.strictEqual(wide.remaining, 9)
+})
+
+test('the most restrictive rule result is returned', async () => {
+  const limiter = new GatewayRateLimiter({
+    rules: [
+      { name: 'wide', key: 'target', limit: 10, window: 10000 },
+      { name: 'narrow', key: 'ip', limit: 2, window: 10000 },
+    ],
+  })
+  const check = () =>
+    limiter.check({ headers: {} }, { target_id: 'svc' }, '10.0.0.1')
+
+  let result = await check()
+  assert.strictEqual(result.allowed, true)
+  assert.strictEqual(result.rule.name, 'narrow')
+  assert.strictEqual(result.remaining, 1)
+
+  await check()
+  result = await check()
+  assert.strictEqual(result.allowed, false)
+  assert.strictEqual(result.rule.name, 'narrow')
+  assert.strictEqual(result.remaining, 0)
+  assert.strictEqual(result.retry_after, 5)
+
+  assert.deepStrictEqual(limiter.get_headers(result), {
+    'RateLimit-Limit': '2',
+    'RateLimit-Remaining': '0',
+    'RateLimit-Reset': '10',
+    'RateLimit-Policy': '2;w=10',
+  })
+  assert.strictEqual(await new GatewayRateLimiter().check({}, {}, null), null)
+})
+
+test('limited requests respond with 429 and the rate limit headers', async () => {
+  const gateway = await create_limited_gateway({
+    rules: [{ key: 'ip', limit: 2, window: 60000 }],
+  })
+  try {
+    const first = await gateway.get('/')
+    assert.strictEqual(first.statusCode, 200)
+    assert.strictEqual(first.headers['ratelimit-limit'], '2')
+    assert.strictEqual(first.headers['ratelimit-remaining'], '1')
+    assert.strictEqual(first.headers['ratelimit-policy'], '2;w=60')
+
+    await gateway.get('/')
+    const limited = await gateway.get('/')
+    assert.strictEqual(limited.statusCode, 429)
+    assert.strictEqual(limited.headers['x-gateway-error'], 'rate_limited')
+    assert.strictEqual(limited.headers['retry-after'], '30')
+    assert.strictEqual(limited.headers['ratelimit-remaining'], '0')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('routed requests on other hosts are limited', async () => {
+  const gateway = await create_limited_gateway({
+    rules: [{ key: 'ip', limit: 1, window: 60000 }],
+    headers: false,
+  })
+  try {
+    const first = await gateway.get('/app', 'localhost')
+    assert.strictEqual(first.statusCode, 302)
+    // the headers are only sent with 429.
+    assert.strictEqual(first.headers['ratelimit-limit'], undefined)
+
+    const limited = await gateway.get('/app', 'localhost')
+    assert.strictEqual(limited.statusCode, 429)
+    assert.strictEqual(limited.headers['ratelimit-limit'], '1')
+
+    // limited before the route lookup.
+    assert.strictEqual(
+      (await gateway.get('/other', 'localhost')).statusCode,
+      429
+    )
+    assert.deepStrictEqual(gateway.lookups, ['/app'])
+  } finally {
+    gateway.close()
+  }
+})
+
+run()
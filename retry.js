@@ -0,0 +1,228 @@
+const http = require('http')
+const { Request } = require('express/index')
+
+/** Methods that can be retried even if the request reached the backend */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE']
+
+/**
+ * @typedef {{
+ * connect: number,
+ * response: number,
+ * idle: number,
+ * }} GatewayTimeouts Upstream timeouts (ms), 0 or null to disable.
+ *
+ * @typedef {{
+ * retries: number,
+ * retry_on: string[],
+ * backoff: number,
+ * max_backoff: number,
+ * max_buffer_size: number,
+ * }} GatewayRetryPolicy
+ */
+
+/** @type {GatewayTimeouts} */
+const DEFAULT_TIMEOUTS = {
+  connect: 10000,
+  response: 60000,
+  idle: 120000,
+}
+
+/** @type {GatewayRetryPolicy} */
+const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  retry_on: [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'EPIPE',
+    'EAI_AGAIN',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ECONNECTTIMEOUT',
+    'ERESPONSETIMEOUT',
+  ],
+  backoff: 50,
+  max_backoff: 1000,
+  max_buffer_size: 64 * 1024,
+}
+
+/**
+ * Error codes that mean the request never reached the backend.
+ */
+const NOT_CONNECTED_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNECTTIMEOUT',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+]
+
+class GatewayRetryBudget {
+  /**
+   * Limits the number of retries to a ratio of the requests (in a sliding window),
+   * so retries cannot multiply the load on a failing backend.
+   * @param {{
+   * ratio: number,
+   * min_retries_per_second: number,
+   * window: number,
+   * }} param0
+   */
+  constructor({
+    ratio = 0.2,
+    min_retries_per_second = 5,
+    window = 10000,
+  } = {}) {
+    this.ratio = ratio
+    this.min_retries_per_second = min_retries_per_second
+    this.window_seconds = Math.max(1, Math.ceil(window / 1000))
+
+    /** @type {{second:number, requests:number, retries:number}[]} */
+    this._buckets = []
+  }
+
+  _current_bucket() {
+    const second = Math.floor(Date.now() / 1000)
+    const last = this._buckets[this._buckets.length - 1]
+    if (last != null && last.second == second) return last
+
+    const bucket = { second, requests: 0, retries: 0 }
+    this._buckets.push(bucket)
+    while (this._buckets[0].second <= second - this.window_seconds)
+      this._buckets.shift()
+    return bucket
+  }
+
+  record_request() {
+    this._current_bucket().requests += 1
+  }
+
+  /**
+   * @returns {boolean} True if a retry is allowed (and counts it).
+   */
+  try_acquire() {
+    const current = this._current_bucket()
+    let requests = 0
+    let retries = 0
+    for (const bucket of this._buckets) {
+      requests += bucket.requests
+      retries += bucket.retries
+    }
+
+    const allowed =
+      this.min_retries_per_second * this.window_seconds + this.ratio * requests
+    if (retries + 1 > allowed) return false
+    current.retries += 1
+    return true
+  }
+}
+
+class GatewayRequestBody {
+  /**
+   * Reads the client request body and buffers it (up to max_buffer_size) so it
+   * can be replayed to another backend request. The request is only read while
+   * the body is sent to a target, so the buffer cannot overflow between attempts.
+   * @param {Request} req
+   * @param {number} max_buffer_size
+   */
+  constructor(req, max_buffer_size) {
+    this.req = req
+    this.max_buffer_size = max_buffer_size
+
+    /** @type {Buffer[]} */
+    this.chunks = []
+    this.size = 0
+    this.is_ended = req.readableEnded == true
+
+    /** @type {http.ClientRequest} */
+    this.target = null
+
+    req.on('data', (chunk) => {
+      this.size += chunk.length
+      if (this.chunks != null) {
+        if (this.size > this.max_buffer_size) this.chunks = null
+        else this.chunks.push(chunk)
+      }
+
+      const target = this.target
+      if (target != null && target.write(chunk) === false) {
+        req.pause()
+        // a replaced (detached) target must not resume the request.
+        target.once('drain', () => {
+          if (this.target == target) req.resume()
+        })
+      }
+    })
+
+    req.on('end', () => {
+      this.is_ended = true
+      if (this.target != null) this.target.end()
+    })
+
+    // paused until sent to a target.
+    req.pause()
+  }
+
+  /**
+   * @returns {boolean} True if all the data read so far can be replayed.
+   */
+  get is_replayable() {
+    return this.chunks != null
+  }
+
+  /**
+   * Send the body to the target. Replays the buffered data if the body was
+   * already (partially) read.
+   * @param {http.ClientRequest} target
+   */
+  pipe_to(target) {
+    if (this.target != null && !this.is_replayable)
+      throw new Error('The request body cannot be replayed')
+
+    this.target = target
+    if (this.chunks != null)
+      for (const chunk of this.chunks) target.write(chunk)
+    if (this.is_ended) target.end()
+    else this.req.resume()
+  }
+
+  /**
+   * Stop sending to the current target. The request is paused until the body is
+   * sent to another target, or discarded.
+   */
+  detach() {
+    this.target = null
+    this.req.pause()
+  }
+
+  /**
+   * Stop sending the body and read (drop) the rest of the request.
+   */
+  discard() {
+    this.target = null
+    this.chunks = null
+    this.req.resume()
+  }
+}
+
+/**
+ * @param {number} attempt The retry attempt (starting at 0)
+ * @param {GatewayRetryPolicy} policy
+ * @returns {number} The delay (ms), exponential with full jitter.
+ */
+function get_retry_delay(attempt, policy) {
+  const max_delay = Math.min(
+    policy.max_backoff,
+    policy.backoff * Math.pow(2, attempt)
+  )
+  return Math.floor(Math.random() * max_delay)
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_TIMEOUTS,
+  get_retry_delay,
+  GatewayRequestBody,
+  GatewayRetryBudget,
+  IDEMPOTENT_METHODS,
+  NOT_CONNECTED_ERROR_CODES,
+}
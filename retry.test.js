@@ -0,0 +1,167 @@
+const assert = require('assert')
+const http = require('http')
+const stream = require('stream')
+const {
+  get_retry_delay,
+  GatewayRequestBody,
+  GatewayRetryBudget,
+} = require('./retry')
+const {
+  at_time,
+  create_gateway_server,
+  GATEWAY_TEST_HOST,
+  run,
+  test,
+} = require('./test_helpers')
+
+/**
+ * Sends the body chunks to the gateway, with a delay between chunks.
+ * @param {number} port
+ * @param {string[]} chunks
+ * @returns {Promise<{status:number, body:string}>}
+ */
+function send_body(port, chunks) {
+  return new Promise((resolve, reject) => {
+    const req = http
+      .request(
+        {
+          host: '127.0.0.1',
+          port,
+          method: 'PUT',
+          headers: { host: GATEWAY_TEST_HOST },
+        },
+        (res) => {
+          let body = ''
+          res.on('data', (chunk) => (body += chunk))
+          res.on('end', () => resolve({ status: res.statusCode, body }))
+        }
+      )
+      .on('error', reject)
+    const write_next = (index) => {
+      if (index == chunks.length) return req.end()
+      req.write(chunks[index])
+      setTimeout(() => write_next(index + 1), 50)
+    }
+    write_next(0)
+  })
+}
+
+test('retry budget allows the minimum retries and a ratio of the requests', () => {
+  const budget = new GatewayRetryBudget({
+    ratio: 0.5,
+    min_retries_per_second: 1,
+    window: 1000,
+  })
+  at_time(10000, () => {
+    assert.strictEqual(budget.try_acquire(), true)
+    assert.strictEqual(budget.try_acquire(), false)
+    for (let i = 0; i < 4; i++) budget.record_request()
+    assert.strictEqual(budget.try_acquire(), true)
+    assert.strictEqual(budget.try_acquire(), true)
+    assert.strictEqual(budget.try_acquire(), false)
+  })
+  // the counts expire with the window.
+  at_time(12000, () => assert.strictEqual(budget.try_acquire(), true))
+})
+
+test('retry delay is exponential and bounded by the max backoff', () => {
+  const policy = { backoff: 100, max_backoff: 300 }
+  for (let i = 0; i < 20; i++) {
+    assert.ok(get_retry_delay(0, policy) < 100)
+    assert.ok(get_retry_delay(5, policy) < 300)
+  }
+})
+
+test('request body is paused unless sent to a target', () => {
+  const req = new stream.PassThrough()
+  const body = new GatewayRequestBody(req, 1024)
+  assert.strictEqual(req.isPaused(), true)
+
+  const target = new stream.PassThrough({ highWaterMark: 1 })
+  body.pipe_to(target)
+  assert.strictEqual(req.isPaused(), false)
+
+  // backpressure pauses the request, the target drain resumes it.
+  req.emit('data', Buffer.from('abc'))
+  assert.strictEqual(req.isPaused(), true)
+  target.read()
+  assert.strictEqual(req.isPaused(), false)
+
+  req.emit('data', Buffer.from('def'))
+  body.detach()
+  assert.strictEqual(req.isPaused(), true)
+
+  // the detached target does not resume the request.
+  target.read()
+  assert.strictEqual(req.isPaused(), true)
+
+  const retry_target = new stream.PassThrough()
+  body.pipe_to(retry_target)
+  assert.strictEqual(retry_target.read().toString(), 'abcdef')
+
+  body.discard()
+  assert.strictEqual(body.is_replayable, false)
+  assert.strictEqual(req.isPaused(), false)
+})
+
+test('request body is replayed in full on retry', async () => {
+  const attempts = []
+  const gateway = await create_gateway_server({
+    handler: (req, res) => {
+      attempts.push(req.method)
+      // reset the first request once the body started.
+      if (attempts.length == 1) return req.once('data', () => req.destroy())
+      let body = ''
+      req.on('data', (chunk) => (body += chunk))
+      req.on('end', () => res.end(body))
+    },
+    gateway: { retry: { backoff: 150, max_buffer_size: 8 } },
+  })
+  try {
+    // the rest of the body (over the buffer size) is sent during the retry
+    // backoff, and is only read once the retry is sent.
+    const res = await send_body(gateway.port, ['hello ', 'big world'])
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.body, 'hello big world')
+    assert.deepStrictEqual(attempts, ['PUT', 'PUT'])
+  } finally {
+    gateway.close()
+  }
+})
+
+test('request bodies larger than the buffer are not retried', async () => {
+  let attempts = 0
+  const gateway = await create_gateway_server({
+    handler: (req, res) => {
+      attempts += 1
+      req.once('data', () => req.destroy())
+    },
+    gateway: { retry: { backoff: 1, max_buffer_size: 8 } },
+  })
+  try {
+    const res = await send_body(gateway.port, ['0123456789', 'abc'])
+    assert.strictEqual(res.status, 502)
+    assert.strictEqual(attempts, 1)
+  } finally {
+    gateway.close()
+  }
+})
+
+test('retry is disabled by default', async () => {
+  let attempts = 0
+  const gateway = await create_gateway_server({
+    handler: (req, res) => {
+      attempts += 1
+      req.once('data', () => req.destroy())
+    },
+  })
+  try {
+    const res = await send_body(gateway.port, ['abc'])
+    assert.strictEqual(res.status, 502)
+    assert.strictEqual(attempts, 1)
+  } finally {
+    gateway.close()
+  }
+})
+
+run()
@@ -0,0 +1,312 @@
+const zlib = require('zlib')
+const http = require('http')
+
+/**
+ * @typedef {'html'|'css'|'js'} GatewayRewriteContentKind
+ */
+
+/** @type {Object<string, GatewayRewriteContentKind>} */
+const REWRITE_CONTENT_TYPES = {
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/css': 'css',
+  'application/javascript': 'js',
+  'application/x-javascript': 'js',
+  'application/ecmascript': 'js',
+  'text/javascript': 'js',
+}
+
+/**
+ * The content encodings that can be decoded (and re-encoded) when rewriting,
+ * decode is called with the zlib options (the max output length).
+ */
+const REWRITE_CONTENT_ENCODINGS = {
+  identity: {
+    decode: (buffer, options, callback) => callback(null, buffer),
+    encode: (buffer, callback) => callback(null, buffer),
+  },
+  gzip: { decode: zlib.gunzip, encode: zlib.gzip },
+  'x-gzip': { decode: zlib.gunzip, encode: zlib.gzip },
+  deflate: { decode: zlib.inflate, encode: zlib.deflate },
+  br: { decode: zlib.brotliDecompress, encode: zlib.brotliCompress },
+}
+
+/**
+ * @param {string} value
+ */
+function escape_regex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
+
+/**
+ * Filters the accept-encoding request header to the encodings the rewriter
+ * can handle.
+ * @param {string} accept_encoding
+ * @returns {string} The filtered header, or null if none are left.
+ */
+function filter_accept_encoding(accept_encoding) {
+  if (accept_encoding == null) return null
+  const accepted = accept_encoding
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => {
+      const name = part.split(';')[0].trim().toLowerCase()
+      return REWRITE_CONTENT_ENCODINGS[name] != null
+    })
+  return accepted.length == 0 ? null : accepted.join(', ')
+}
+
+class GatewayPathRewriter {
+  /**
+   * Rewrites backend response urls so they are served under the gateway path prefix.
+   * @param {{
+   * prefix: string,
+   * backend_url: URL,
+   * public_origin: string,
+   * content_kinds: GatewayRewriteContentKind[],
+   * }} param0
+   */
+  constructor({
+    prefix,
+    backend_url,
+    public_origin,
+    content_kinds = ['html', 'css', 'js'],
+  }) {
+    /** @type {string} The path prefix (no trailing slash) */
+    this.prefix = prefix.replace(/\/+$/, '')
+    this.backend_url = backend_url
+    /** @type {string} The gateway origin, as seen by the client (e.g. https://my-host) */
+    this.public_origin = public_origin
+    this.content_kinds = content_kinds
+
+    // A root relative path, which is not protocol relative or already prefixed.
+    this._root_path = `\\/(?!\\/|${escape_regex(this.prefix.substr(1))}\\/)`
+    // absolute and protocol relative urls.
+    this._absolute_regex = new RegExp(
+      `(?:\\b(https?|wss?):)?\\/\\/${escape_regex(
+        backend_url.host
+      )}(?=[\\/"'\\s?#)<>\\\\]|$)`,
+      'gi'
+    )
+  }
+
+  /**
+   * @param {string} value A url or path.
+   * @returns {string} The rewritten url.
+   */
+  rewrite_url(value) {
+    if (value == null || value.length == 0) return value
+    if (value.startsWith('//')) {
+      let url = null
+      try {
+        url = new URL('http:' + value)
+      } catch (err) {
+        // invalid urls are left as is.
+        return value
+      }
+      if (url.host != this.backend_url.host) return value
+      return this.prefix + url.pathname + url.search + url.hash
+    }
+    if (value.startsWith('/')) {
+      if (value.startsWith(this.prefix + '/')) return value
+      return this.prefix + value
+    }
+
+    let url = null
+    try {
+      url = new URL(value)
+    } catch (err) {
+      // relative path.
+      return value
+    }
+    if (url.host != this.backend_url.host) return value
+    if (['http:', 'https:', 'ws:', 'wss:'].indexOf(url.protocol) == -1)
+      return value
+    return this.prefix + url.pathname + url.search + url.hash
+  }
+
+  /**
+   * Rewrite a set-cookie header value. The cookie path is moved under the prefix
+   * and the domain is removed (the cookie belongs to the gateway host).
+   * @param {string} value
+   */
+  rewrite_set_cookie(value) {
+    return value
+      .split(';')
+      .filter((part) => !/^\s*domain\s*=/i.test(part))
+      .map((part) => {
+        const match = /^(\s*path\s*=\s*)(.*)$/i.exec(part)
+        if (match == null) return part
+        return match[1] + this.rewrite_url(match[2].trim())
+      })
+      .join(';')
+  }
+
+  /**
+   * @param {http.IncomingHttpHeaders} headers The backend response headers.
+   * @returns {http.OutgoingHttpHeaders} The rewritten headers.
+   */
+  rewrite_headers(headers) {
+    headers = { ...headers }
+    for (const name of ['location', 'content-location']) {
+      if (headers[name] != null) headers[name] = this.rewrite_url(headers[name])
+    }
+
+    if (headers['set-cookie'] != null) {
+      headers['set-cookie'] = []
+        .concat(headers['set-cookie'])
+        .map((cookie) => this.rewrite_set_cookie(cookie))
+    }
+
+    if (headers['link'] != null) {
+      headers['link'] = headers['link'].replace(
+        /<([^>]*)>/g,
+        (str, url) => '<' + this.rewrite_url(url) + '>'
+      )
+    }
+
+    return headers
+  }
+
+  /**
+   * @param {http.IncomingHttpHeaders} headers
+   * @returns {GatewayRewriteContentKind} The content kind to rewrite, or null
+   * if the body should not be rewritten.
+   */
+  get_content_kind(headers) {
+    const content_type = (headers['content-type'] || '').toLowerCase()
+    const [mime, ...params] = content_type.split(';').map((p) => p.trim())
+    const kind = REWRITE_CONTENT_TYPES[mime]
+    if (kind == null || this.content_kinds.indexOf(kind) == -1) return null
+
+    const charset = params.find((p) => p.startsWith('charset='))
+    if (charset != null && !/^charset=["']?utf-?8["']?$/.test(charset))
+      return null
+
+    const encoding = (headers['content-encoding'] || 'identity').toLowerCase()
+    if (REWRITE_CONTENT_ENCODINGS[encoding] == null) return null
+
+    return kind
+  }
+
+  /**
+   * @param {string} text
+   */
+  _rewrite_absolute_urls(text) {
+    return text.replace(this._absolute_regex, (str, protocol) => {
+      if (protocol == null) return this.prefix
+      const is_ws = protocol.toLowerCase().startsWith('ws')
+      let origin = this.public_origin
+      if (is_ws) origin = origin.replace(/^http/, 'ws')
+      return origin + this.prefix
+    })
+  }
+
+  /**
+   * @param {string} text
+   */
+  _rewrite_css(text) {
+    return text
+      .replace(
+        new RegExp(`(url\\(\\s*["']?)${this._root_path}`, 'gi'),
+        `$1${this.prefix}/`
+      )
+      .replace(
+        new RegExp(`(@import\\s+["'])${this._root_path}`, 'gi'),
+        `$1${this.prefix}/`
+      )
+  }
+
+  /**
+   * @param {string} text
+   */
+  _rewrite_html(text) {
+    text = text.replace(
+      new RegExp(
+        `(\\s(?:href|src|action|formaction|poster|data|background)\\s*=\\s*["']?)${this._root_path}`,
+        'gi'
+      ),
+      `$1${this.prefix}/`
+    )
+
+    text = text.replace(
+      /(\ssrcset\s*=\s*)(["'])(.*?)\2/gi,
+      (str, attr, quote, value) =>
+        attr +
+        quote +
+        value
+          .split(',')
+          .map((candidate) =>
+            candidate.replace(/^(\s*)(\S+)/, (s, space, url) =>
+              url.startsWith('/') ? space + this.rewrite_url(url) : s
+            )
+          )
+          .join(',') +
+        quote
+    )
+
+    // inline styles.
+    return this._rewrite_css(text)
+  }
+
+  /**
+   * Root relative paths in string literals. (heuristic)
+   * @param {string} text
+   */
+  _rewrite_js(text) {
+    return text.replace(
+      new RegExp(`(["'\`])${this._root_path}(?![*])`, 'g'),
+      `$1${this.prefix}/`
+    )
+  }
+
+  /**
+   * @param {string} text
+   * @param {GatewayRewriteContentKind} kind
+   * @returns {string}
+   */
+  rewrite_body(text, kind) {
+    text = this._rewrite_absolute_urls(text)
+    switch (kind) {
+      case 'html':
+        return this._rewrite_html(text)
+      case 'css':
+        return this._rewrite_css(text)
+      case 'js':
+        return this._rewrite_js(text)
+      default:
+        return text
+    }
+  }
+
+  /**
+   * Decode, rewrite and re-encode a response body. Empty bodies are not
+   * decoded. Decoding fails with ERR_BUFFER_TOO_LARGE if the decoded body is
+   * larger than max_size.
+   * @param {Buffer} body
+   * @param {http.IncomingHttpHeaders} headers The backend response headers.
+   * @param {(err:Error, body:Buffer)=>void} callback
+   * @param {number} max_size The max decoded body size, null for no limit.
+   */
+  rewrite_encoded_body(body, headers, callback, max_size = null) {
+    const kind = this.get_content_kind(headers)
+    if (kind == null || body.length == 0) return callback(null, body)
+
+    const encoding = (headers['content-encoding'] || 'identity').toLowerCase()
+    const codec = REWRITE_CONTENT_ENCODINGS[encoding]
+    const options = max_size == null ? {} : { maxOutputLength: max_size }
+    codec.decode(body, options, (err, decoded) => {
+      if (err) return callback(err)
+      const rewritten = Buffer.from(
+        this.rewrite_body(decoded.toString('utf8'), kind),
+        'utf8'
+      )
+      codec.encode(rewritten, callback)
+    })
+  }
+}
+
+module.exports = {
+  filter_accept_encoding,
+  GatewayPathRewriter,
+}
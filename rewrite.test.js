@@ -0,0 +1,276 @@
+const assert = require('assert')
+const http = require('http')
+const zlib = require('zlib')
+const { GatewayPathRewriter } = require('./rewrite')
+const { create_gateway_server, request, run, test } = require('./test_helpers')
+
+/**
+ * @param {http.RequestListener} handler The backend handler.
+ * @param {Object} options The gateway options.
+ * @returns {Promise<{port:number, target:string, close:()=>void}>} A path mode gateway server.
+ */
+async function create_path_gateway(handler, options = {}) {
+  const server = await create_gateway_server({
+    handler,
+    gateway: { proxy_mode: 'path', ...options },
+    parser: (backend_url) => (gateway, req) => backend_url,
+    request_filter: (info) => info.is_gateway_path,
+  })
+  const backend_port = new URL(server.backend_url).port
+  return {
+    port: server.port,
+    target: `/gateway-proxy/127.0.0.1.e058.${backend_port}`,
+    close: server.close,
+  }
+}
+
+/**
+ * @param {number} port
+ * @param {string} path
+ * @returns {Promise<{status:number, headers:http.IncomingHttpHeaders, body:string}>}
+ */
+async function get(port, path) {
+  const res = await request(port, { path, headers: { host: 'localhost' } })
+  return { status: res.statusCode, headers: res.headers, body: res.body }
+}
+
+/**
+ * @returns {GatewayPathRewriter} A rewriter of http://backend:8080 under /gw/svc.
+ */
+function create_rewriter() {
+  return new GatewayPathRewriter({
+    prefix: '/gw/svc',
+    backend_url: new URL('http://backend:8080'),
+    public_origin: 'http://public',
+  })
+}
+
+test('rewrite_url maps the backend urls under the prefix', () => {
+  const rewriter = create_rewriter()
+  assert.strictEqual(rewriter.rewrite_url('/a?b=1'), '/gw/svc/a?b=1')
+  assert.strictEqual(rewriter.rewrite_url('/gw/svc/a'), '/gw/svc/a')
+  assert.strictEqual(
+    rewriter.rewrite_url('http://backend:8080/a#c'),
+    '/gw/svc/a#c'
+  )
+  assert.strictEqual(rewriter.rewrite_url('//backend:8080/a'), '/gw/svc/a')
+  assert.strictEqual(rewriter.rewrite_url('http://other/a'), 'http://other/a')
+  assert.strictEqual(rewriter.rewrite_url('a/b'), 'a/b')
+  assert.strictEqual(
+    rewriter.rewrite_url('mailto:a@backend:8080'),
+    'mailto:a@backend:8080'
+  )
+})
+
+test('rewrite_headers rewrites redirects and cookies', () => {
+  const headers = create_rewriter().rewrite_headers({
+    location: 'http://backend:8080/login',
+    'set-cookie': ['a=1; Domain=backend; Path=/app', 'b=2'],
+    link: '</style.css>; rel=preload',
+  })
+  assert.strictEqual(headers.location, '/gw/svc/login')
+  assert.deepStrictEqual(headers['set-cookie'], [
+    'a=1; Path=/gw/svc/app',
+    'b=2',
+  ])
+  assert.strictEqual(headers.link, '</gw/svc/style.css>; rel=preload')
+})
+
+test('rewrite_body rewrites html, css and js urls', () => {
+  const rewriter = create_rewriter()
+  assert.strictEqual(
+    rewriter.rewrite_body(
+      '<a href="/x">x</a><img src="http://backend:8080/i.png">',
+      'html'
+    ),
+    '<a href="/gw/svc/x">x</a><img src="http://public/gw/svc/i.png">'
+  )
+  assert.strictEqual(
+    rewriter.rewrite_body('a { background: url("/bg.png") }', 'css'),
+    'a { background: url("/gw/svc/bg.png") }'
+  )
+  assert.strictEqual(
+    rewriter.rewrite_body('fetch("/api/items")', 'js'),
+    'fetch("/gw/svc/api/items")'
+  )
+  assert.strictEqual(
+    rewriter.get_content_kind({ 'content-type': 'text/html; charset=utf-8' }),
+    'html'
+  )
+  assert.strictEqual(
+    rewriter.get_content_kind({ 'content-type': 'image/png' }),
+    null
+  )
+})
+
+test('path mode responses are rewritten', async () => {
+  const gateway = await create_path_gateway((req, res) => {
+    if (req.url == '/login') {
+      res.writeHead(302, { location: '/home' })
+      return res.end()
+    }
+    res.writeHead(200, { 'content-type': 'text/html' })
+    res.end(`<a href="/x">${req.url}</a>`)
+  })
+  try {
+    const res = await get(gateway.port, gateway.target + '/page')
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.body, `<a href="${gateway.target}/x">/page</a>`)
+
+    const redirect = await get(gateway.port, gateway.target + '/login')
+    assert.strictEqual(redirect.status, 302)
+    assert.strictEqual(redirect.headers.location, gateway.target + '/home')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('rewrite_url keeps invalid protocol relative urls', () => {
+  const rewriter = create_rewriter()
+  assert.strictEqual(
+    rewriter.rewrite_url('//backend:8080/a?b=1'),
+    '/gw/svc/a?b=1'
+  )
+  assert.strictEqual(rewriter.rewrite_url('//other/a'), '//other/a')
+  for (const value of ['//[invalid', '//a b:99999', '//:::'])
+    assert.strictEqual(rewriter.rewrite_url(value), value)
+
+  const headers = rewriter.rewrite_headers({
+    location: '//[invalid/x',
+    refresh: '0; url=//[invalid',
+  })
+  assert.strictEqual(headers.location, '//[invalid/x')
+  assert.strictEqual(headers.refresh, '0; url=//[invalid')
+})
+
+test('invalid location header does not fail the response', async () => {
+  const gateway = await create_path_gateway((req, res) => {
+    res.writeHead(302, { location: '//[invalid/path' })
+    res.end()
+  })
+  try {
+    const res = await get(gateway.port, gateway.target + '/x')
+    assert.strictEqual(res.status, 302)
+    assert.strictEqual(res.headers.location, '//[invalid/path')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('chunked responses over the limit are sent without rewriting', async () => {
+  const large = '<a href="/x">x</a>' + 'a'.repeat(5000)
+  const gateway = await create_path_gateway(
+    (req, res) => {
+      // no content-length, the body is sent in chunks.
+      res.writeHead(200, { 'content-type': 'text/html' })
+      if (req.url == '/small') return res.end('<a href="/x">x</a>')
+      res.write(large.slice(0, 2000))
+      setTimeout(() => res.end(large.slice(2000)), 10)
+    },
+    { rewrite_max_body_size: 1024 }
+  )
+  try {
+    const small = await get(gateway.port, gateway.target + '/small')
+    assert.strictEqual(small.body, `<a href="${gateway.target}/x">x</a>`)
+
+    const res = await get(gateway.port, gateway.target + '/large')
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.body, large)
+  } finally {
+    gateway.close()
+  }
+})
+
+test('responses without a body are sent without rewriting', async () => {
+  const gateway = await create_path_gateway((req, res) => {
+    if (req.url == '/not-modified') {
+      res.writeHead(304, { 'content-type': 'text/html' })
+      return res.end()
+    }
+    if (req.url == '/empty') {
+      res.writeHead(200, {
+        'content-type': 'text/html',
+        'content-encoding': 'gzip',
+        'content-length': 0,
+      })
+      return res.end()
+    }
+    res.writeHead(200, { 'content-type': 'text/html', 'content-length': 100 })
+    res.end(req.method == 'HEAD' ? undefined : 'x'.repeat(100))
+  })
+  try {
+    const head = await request(gateway.port, {
+      method: 'HEAD',
+      path: gateway.target + '/page',
+      headers: { host: 'localhost' },
+    })
+    assert.strictEqual(head.statusCode, 200)
+    assert.strictEqual(head.headers['content-length'], '100')
+
+    const not_modified = await get(
+      gateway.port,
+      gateway.target + '/not-modified'
+    )
+    assert.strictEqual(not_modified.status, 304)
+
+    const empty = await get(gateway.port, gateway.target + '/empty')
+    assert.strictEqual(empty.status, 200)
+    assert.strictEqual(empty.body, '')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('bodies that decode over the limit are sent without rewriting', async () => {
+  const small = zlib.gzipSync('<a href="/x">x</a>')
+  const bomb = zlib.gzipSync('<a href="/x">x</a>' + 'a'.repeat(100000))
+  const gateway = await create_path_gateway(
+    (req, res) => {
+      const body = req.url == '/small' ? small : bomb
+      res.writeHead(200, {
+        'content-type': 'text/html',
+        'content-encoding': 'gzip',
+        'content-length': body.length,
+      })
+      res.end(body)
+    },
+    { rewrite_max_body_size: 1024 }
+  )
+  try {
+    const rewritten = await get(gateway.port, gateway.target + '/small')
+    assert.strictEqual(rewritten.headers['content-encoding'], 'gzip')
+    assert.strictEqual(
+      rewritten.headers['content-length'],
+      String(zlib.gzipSync(`<a href="${gateway.target}/x">x</a>`).length)
+    )
+
+    // the compressed body is within the limit, the decoded body is not.
+    assert.ok(bomb.length < 1024)
+    const res = await get(gateway.port, gateway.target + '/bomb')
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers['content-length'], String(bomb.length))
+  } finally {
+    gateway.close()
+  }
+})
+
+test('rewrite_encoded_body limits the decoded size', async () => {
+  const rewriter = create_rewriter()
+  const headers = { 'content-type': 'text/html', 'content-encoding': 'gzip' }
+  const rewrite = (body) =>
+    new Promise((resolve, reject) =>
+      rewriter.rewrite_encoded_body(
+        body,
+        headers,
+        (err, body) => (err ? reject(err) : resolve(body)),
+        1024
+      )
+    )
+  await assert.rejects(rewrite(zlib.gzipSync('a'.repeat(2048))), {
+    code: 'ERR_BUFFER_TOO_LARGE',
+  })
+  // empty bodies are not decoded.
+  assert.strictEqual((await rewrite(Buffer.alloc(0))).length, 0)
+})
+
+run()
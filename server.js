@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const express = require('express')
+const { Gateway } = require('./gateway')
+const { create_gateway_admin_router } = require('./admin')
+const {
+  GatewayConfigRouter,
+  load_gateway_config,
+  validate_gateway_config,
+} = require('./config')
+
+class GatewayServer {
+  /**
+   * A standalone gateway server, driven by a declarative config (see config.js).
+   * @example
+   * const server = new GatewayServer({ config_file: 'gateway.yaml' })
+   * await server.start()
+   * @param {{
+   * config: Object,
+   * config_file: string,
+   * watch: boolean,
+   * watch_interval: number,
+   * logger: {info:Function, warn:Function, error:Function, debug:Function},
+   * }} param0 The config or the config file to load. If watch, the routes and
+   * filters are reloaded when the config file changes (other changes require a restart,
+   * and the routes changed via the admin api are replaced).
+   */
+  constructor({
+    config = null,
+    config_file = null,
+    watch = true,
+    watch_interval = 2000,
+    logger = console,
+  } = {}) {
+    this.config_file = config_file
+    /** @type {import('./config').GatewayConfig} */
+    this.config =
+      config != null
+        ? validate_gateway_config(config)
+        : load_gateway_config(config_file)
+    this.watch = watch && config_file != null
+    /** @type {number} The config file poll interval (ms) */
+    this.watch_interval = watch_interval
+
+    /** @type {Gateway} */
+    this.gateway = new Gateway({ logger, ...this.config.gateway })
+    /** @type {GatewayConfigRouter} */
+    this.router = new GatewayConfigRouter({
+      ...this.config,
+      upstream_agents: this.gateway.upstream_agents,
+    })
+
+    this.app = express()
+    this.app.use(
+      this.gateway.middleware(
+        this.router.create_parser(),
+        this.router.create_request_filter()
+      )
+    )
+    this.app.use((req, res) => res.sendStatus(404))
+
+    /** @type {express.Express} The admin api app (if configured) */
+    this.admin_app = null
+    if (this.config.admin != null) {
+      this.admin_app = express()
+      this.admin_app.use(
+        '/admin',
+        create_gateway_admin_router(this.gateway, {
+          token: this.config.admin.token,
+          router: this.router,
+        })
+      )
+    }
+
+    /** @type {http.Server[]} */
+    this.servers = []
+    this._reload_timer = null
+  }
+
+  /**
+   * @param {http.Server} server
+   * @param {{port:number, host:string}} listener
+   * @param {string} description
+   */
+  async _listen(server, listener, description) {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(listener.port, listener.host, () => {
+        server.removeListener('error', reject)
+        resolve()
+      })
+    })
+    this.servers.push(server)
+
+    const is_secure = server instanceof https.Server
+    this.gateway.emit(
+      'log',
+      'INFO',
+      `${description} listening on ${is_secure ? 'https' : 'http'}://` +
+        `${listener.host || '0.0.0.0'}:${server.address().port}`
+    )
+  }
+
+  /**
+   * Listen on the config listeners (and the admin api listener).
+   * @returns {Promise<http.Server[]>}
+   */
+  async start() {
+    for (const listener of this.config.listen) {
+      let server = null
+      if (listener.tls != null)
+        server = this.gateway.create_https_server(this.app, listener.tls)
+      else {
+        server = http.createServer(this.app)
+        this.gateway.attach(server)
+      }
+      await this._listen(server, listener, 'Gateway')
+    }
+
+    if (this.admin_app != null)
+      await this._listen(
+        http.createServer(this.admin_app),
+        this.config.admin,
+        'Gateway admin api'
+      )
+
+    if (this.watch)
+      fs.watchFile(this.config_file, { interval: this.watch_interval }, () => {
+        // editors may write the file in several steps.
+        clearTimeout(this._reload_timer)
+        this._reload_timer = setTimeout(() => this.reload(), 200)
+      })
+    return this.servers
+  }
+
+  /**
+   * Reload the config file routes and filters. If the config is invalid, the
+   * current config is kept.
+   * @returns {boolean} True if reloaded.
+   */
+  reload() {
+    let config = null
+    try {
+      config = load_gateway_config(this.config_file)
+      this.router.update(config)
+    } catch (err) {
+      this.gateway.emit(
+        'log',
+        'ERROR',
+        `Failed to reload ${this.config_file}, keeping the current config: ${err.message}`
+      )
+      return false
+    }
+
+    for (const name of ['listen', 'admin', 'gateway'])
+      if (JSON.stringify(config[name]) != JSON.stringify(this.config[name]))
+        this.gateway.emit(
+          'log',
+          'WARN',
+          `Config ${name} changes require a restart, ignored`
+        )
+
+    this.config = {
+      ...this.config,
+      routes: config.routes,
+      filters: config.filters,
+    }
+    this.gateway.emit('log', 'INFO', `Reloaded ${this.config_file}`)
+    return true
+  }
+
+  /**
+   * Gracefully close the gateway (see Gateway.close) and stop listening.
+   * @param {number} timeout The timeout (ms) to drain the requests and tunnels.
+   * @returns {Promise}
+   */
+  async close(timeout = 30000) {
+    if (this.watch) fs.unwatchFile(this.config_file)
+    clearTimeout(this._reload_timer)
+    await this.gateway.close({ timeout })
+    await Promise.all(
+      this.servers.map(
+        (server) => new Promise((resolve) => server.close(() => resolve()))
+      )
+    )
+    this.servers = []
+  }
+}
+
+/**
+ * Usage:
+ *  node server.js <config-file> [--no-watch] [--check]
+ * The config file can be json or yaml, with --check the config is only
+ * validated.
+ * @param {string[]} args
+ */
+function main(args) {
+  let config_file = process.env.GATEWAY_CONFIG || null
+  let watch = true
+  let check = false
+  for (const arg of args) {
+    if (arg == '--no-watch') watch = false
+    else if (arg == '--check') check = true
+    else config_file = arg
+  }
+
+  if (config_file == null) {
+    console.error('Usage: server.js <config-file> [--no-watch] [--check]')
+    process.exit(1)
+  }
+
+  let server = null
+  try {
+    if (check) {
+      load_gateway_config(config_file)
+      console.error(`${config_file} is valid`)
+      return
+    }
+    server = new GatewayServer({ config_file, watch })
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+
+  server.start().catch((err) => {
+    console.error(err.message)
+    process.exit(1)
+  })
+
+  // drain the requests and tunnels before exiting.
+  const shutdown = () => server.close().then(() => process.exit(0))
+  process.once('SIGTERM', shutdown)
+  process.once('SIGINT', shutdown)
+}
+
+if (require.main === module) main(process.argv.slice(2))
+
+module.exports = {
+  GatewayServer,
+  main,
+}
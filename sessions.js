@@ -0,0 +1,434 @@
+const crypto = require('crypto')
+const net = require('net')
+
+/**
+ * @typedef {{
+ * target_id: string,
+ * client_address: string,
+ * type: 'websocket'|'tunnel',
+ * }} GatewaySessionFilter Sessions matching all the defined fields.
+ */
+
+/**
+ * @param {number} code The close status code, e.g. 1001 (going away)
+ * @param {string} reason
+ * @param {boolean} is_masked Frames sent to the backend (client frames) must be masked.
+ * @returns {Buffer} A websocket close frame.
+ */
+function create_websocket_close_frame(code, reason = '', is_masked = false) {
+  const payload = Buffer.concat([
+    Buffer.alloc(2),
+    Buffer.from(reason, 'utf8'),
+  ]).subarray(0, 125)
+  payload.writeUInt16BE(code, 0)
+
+  const header = Buffer.from([0x88, (is_masked ? 0x80 : 0) | payload.length])
+  if (!is_masked) return Buffer.concat([header, payload])
+  const mask = crypto.randomBytes(4)
+  const masked = payload.map((byte, index) => byte ^ mask[index % 4])
+  return Buffer.concat([header, mask, masked])
+}
+
+class GatewayWebsocketFrameTracker {
+  /**
+   * Tracks the frame boundaries of a websocket stream (one direction), so
+   * frames are not inserted in the middle of a relayed frame.
+   */
+  constructor() {
+    /** @type {number[]} The received bytes of the current frame header */
+    this._header = []
+    /** @type {number} The payload bytes remaining in the current frame */
+    this._remaining = 0
+  }
+
+  /**
+   * @type {boolean} True if all the received frames are complete.
+   */
+  get is_at_boundary() {
+    return this._header.length == 0 && this._remaining == 0
+  }
+
+  /**
+   * @param {Buffer} chunk The next relayed bytes.
+   */
+  push(chunk) {
+    let offset = 0
+    while (offset < chunk.length) {
+      if (this._remaining > 0) {
+        const length = Math.min(this._remaining, chunk.length - offset)
+        this._remaining -= length
+        offset += length
+        continue
+      }
+
+      this._header.push(chunk[offset++])
+      if (this._header.length < 2) continue
+      const length_code = this._header[1] & 0x7f
+      const length_size = length_code == 126 ? 2 : length_code == 127 ? 8 : 0
+      const mask_size = this._header[1] & 0x80 ? 4 : 0
+      if (this._header.length < 2 + length_size + mask_size) continue
+
+      const header = Buffer.from(this._header)
+      this._remaining =
+        length_size == 2
+          ? header.readUInt16BE(2)
+          : length_size == 8
+          ? Number(header.readBigUInt64BE(2))
+          : length_code
+      this._header = []
+    }
+  }
+}
+
+class GatewaySession {
+  /**
+   * A tunnel (websocket/socket) between a client and a backend.
+   * @param {GatewaySessionRegistry} registry
+   * @param {{
+   * type: 'websocket'|'tunnel',
+   * target_id: string,
+   * client_address: string,
+   * client_socket: net.Socket,
+   * }} param1
+   */
+  constructor(registry, { type, target_id, client_address, client_socket }) {
+    this.registry = registry
+
+    /** @type {string} The session id */
+    this.id = crypto.randomUUID()
+    this.type = type
+    this.target_id = target_id
+    this.client_address = client_address
+
+    /** @type {string} The backend host, set when connected */
+    this.backend = null
+
+    /** @type {'connecting'|'open'|'closed'} */
+    this.state = 'connecting'
+    this.started_at = new Date()
+    /** @type {Date} */
+    this.connected_at = null
+    /** @type {number} The last time (ms) data passed through the session */
+    this.last_activity = Date.now()
+
+    /** @type {number} Bytes from the client to the backend */
+    this.bytes_received = 0
+    /** @type {number} Bytes from the backend to the client */
+    this.bytes_sent = 0
+
+    /** @type {string} Why the session was closed (closed, idle, max_lifetime, killed...) */
+    this.close_reason = null
+
+    this.client_socket = client_socket
+    /** @type {net.Socket} */
+    this.proxy_socket = null
+
+    this._idle_timer = null
+    this._lifetime_timer = null
+    this._is_shutting_down = false
+
+    /** @type {GatewayWebsocketFrameTracker} The client to backend frames (websockets) */
+    this._client_frames = null
+    /** @type {GatewayWebsocketFrameTracker} The backend to client frames (websockets) */
+    this._backend_frames = null
+  }
+
+  /**
+   * Called when the tunnel is connected, starts the session timeouts.
+   * @param {net.Socket} proxy_socket
+   * @param {URL} backend_url
+   */
+  start(proxy_socket, backend_url) {
+    if (this.state != 'connecting') return
+    this.state = 'open'
+    this.connected_at = new Date()
+    this.last_activity = Date.now()
+    this.proxy_socket = proxy_socket
+    this.backend = backend_url ? backend_url.host : null
+
+    if (this.type == 'websocket') {
+      this._client_frames = new GatewayWebsocketFrameTracker()
+      this._backend_frames = new GatewayWebsocketFrameTracker()
+    }
+
+    this.client_socket.on('data', (chunk) => {
+      this.bytes_received += chunk.length
+      this.last_activity = Date.now()
+      if (this._client_frames != null) this._client_frames.push(chunk)
+    })
+    proxy_socket.on('data', (chunk) => {
+      this.bytes_sent += chunk.length
+      this.last_activity = Date.now()
+      if (this._backend_frames != null) this._backend_frames.push(chunk)
+    })
+    this.client_socket.once('close', () => this.close())
+    proxy_socket.once('close', () => this.close())
+
+    const { idle_timeout, max_lifetime } = this.registry
+    if (idle_timeout) this._schedule_idle_check(idle_timeout)
+    if (max_lifetime) {
+      this._lifetime_timer = setTimeout(
+        () => this.kill('max_lifetime'),
+        max_lifetime
+      )
+      this._lifetime_timer.unref()
+    }
+  }
+
+  /**
+   * @param {number} idle_timeout
+   */
+  _schedule_idle_check(idle_timeout) {
+    const idle_in = this.last_activity + idle_timeout - Date.now()
+    if (idle_in <= 0) return this.kill('idle')
+    this._idle_timer = setTimeout(
+      () => this._schedule_idle_check(idle_timeout),
+      idle_in
+    )
+    this._idle_timer.unref()
+  }
+
+  /**
+   * Remove the session from the registry. Does not close the sockets.
+   * @param {string} reason
+   */
+  close(reason = 'closed') {
+    if (this.state == 'closed') return
+    this.state = 'closed'
+    this.close_reason = reason
+    clearTimeout(this._idle_timer)
+    clearTimeout(this._lifetime_timer)
+    this.registry._remove(this)
+  }
+
+  /**
+   * Terminate the session, destroying the client and backend sockets.
+   * @param {string} reason
+   */
+  kill(reason = 'killed') {
+    if (this.state == 'closed') return
+    this.close(reason)
+    this.registry._on_kill(this)
+    this.client_socket.destroy()
+    if (this.proxy_socket != null) this.proxy_socket.destroy()
+  }
+
+  /**
+   * Gracefully close an open websocket session, sending a close frame to the
+   * client and the backend and ending the sockets (without a close frame if a
+   * relayed frame is incomplete). The session is closed when the sockets close.
+   * @param {number} code The close status code.
+   * @param {string} reason
+   * @returns {boolean} False if not an open websocket session (or already shutting down).
+   */
+  shutdown_websocket(code = 1001, reason = 'Going away') {
+    if (this.type != 'websocket' || this.state != 'open') return false
+    if (this._is_shutting_down) return false
+    this._is_shutting_down = true
+
+    // stop relaying so the close frames are not mixed into relayed frames,
+    // the remaining data is discarded.
+    this.proxy_socket.unpipe(this.client_socket)
+    this.client_socket.unpipe(this.proxy_socket)
+    this.proxy_socket.resume()
+    this.client_socket.resume()
+
+    // the relayed bytes were written when read, a partially relayed frame
+    // cannot be followed by a close frame.
+    this.client_socket.end(
+      this._backend_frames.is_at_boundary
+        ? create_websocket_close_frame(code, reason)
+        : undefined
+    )
+    this.proxy_socket.end(
+      this._client_frames.is_at_boundary
+        ? create_websocket_close_frame(code, reason, true)
+        : undefined
+    )
+    return true
+  }
+
+  /**
+   * @param {GatewaySessionFilter} filter
+   */
+  matches(filter = {}) {
+    filter = filter || {}
+    return ['target_id', 'client_address', 'type'].every(
+      (key) => filter[key] == null || filter[key] == this[key]
+    )
+  }
+
+  to_json() {
+    return {
+      id: this.id,
+      type: this.type,
+      state: this.state,
+      target_id: this.target_id,
+      client_address: this.client_address,
+      backend: this.backend,
+      started_at: this.started_at.toISOString(),
+      connected_at: this.connected_at ? this.connected_at.toISOString() : null,
+      idle_ms: Date.now() - this.last_activity,
+      bytes_received: this.bytes_received,
+      bytes_sent: this.bytes_sent,
+    }
+  }
+
+  toJSON() {
+    return this.to_json()
+  }
+}
+
+class GatewaySessionRegistry {
+  /**
+   * Tracks the open tunnel (websocket/socket) sessions, and applies the
+   * session timeouts and concurrency limits. Timeouts and limits of 0 or null
+   * are disabled.
+   * @param {{
+   * idle_timeout: number,
+   * max_lifetime: number,
+   * max_sessions: number,
+   * max_sessions_per_target: number,
+   * max_sessions_per_client: number,
+   * emit: (event:string, ...args)=>any,
+   * }} param0
+   */
+  constructor({
+    idle_timeout = null,
+    max_lifetime = null,
+    max_sessions = null,
+    max_sessions_per_target = null,
+    max_sessions_per_client = null,
+    emit = null,
+  } = {}) {
+    /** @type {number} Close sessions with no data passing for this long (ms) */
+    this.idle_timeout = idle_timeout
+    /** @type {number} Close sessions open for longer than this (ms) */
+    this.max_lifetime = max_lifetime
+    this.max_sessions = max_sessions
+    this.max_sessions_per_target = max_sessions_per_target
+    this.max_sessions_per_client = max_sessions_per_client
+    this.emit = emit || (() => {})
+
+    /** @type {Map<string, GatewaySession>} */
+    this._sessions = new Map()
+  }
+
+  /**
+   * @param {GatewaySessionFilter} filter
+   * @returns {number}
+   */
+  count(filter = null) {
+    if (filter == null) return this._sessions.size
+    let count = 0
+    for (const session of this._sessions.values())
+      if (session.matches(filter)) count++
+    return count
+  }
+
+  /**
+   * @param {string} target_id
+   * @param {string} client_address
+   * @returns {string} The exceeded limit, or null if a session can be opened.
+   */
+  check_limits(target_id, client_address) {
+    if (this.max_sessions && this.count() >= this.max_sessions)
+      return `max_sessions (${this.max_sessions})`
+    if (
+      this.max_sessions_per_target &&
+      this.count({ target_id }) >= this.max_sessions_per_target
+    )
+      return `max_sessions_per_target (${this.max_sessions_per_target})`
+    if (
+      this.max_sessions_per_client &&
+      client_address != null &&
+      this.count({ client_address }) >= this.max_sessions_per_client
+    )
+      return `max_sessions_per_client (${this.max_sessions_per_client})`
+    return null
+  }
+
+  /**
+   * Register a new (connecting) session. Limits are not checked, see check_limits.
+   * @param {{
+   * type: 'websocket'|'tunnel',
+   * target_id: string,
+   * client_address: string,
+   * client_socket: net.Socket,
+   * }} options
+   * @returns {GatewaySession}
+   */
+  create(options) {
+    const session = new GatewaySession(this, options)
+    this._sessions.set(session.id, session)
+    return session
+  }
+
+  /**
+   * @param {string} id
+   * @returns {GatewaySession}
+   */
+  get(id) {
+    return this._sessions.get(id) || null
+  }
+
+  /**
+   * @param {GatewaySessionFilter} filter
+   * @returns {GatewaySession[]}
+   */
+  list(filter = null) {
+    return Array.from(this._sessions.values()).filter((session) =>
+      session.matches(filter)
+    )
+  }
+
+  /**
+   * Terminate a session.
+   * @param {string} id
+   * @param {string} reason
+   * @returns {boolean} True if the session was found.
+   */
+  kill(id, reason = 'killed') {
+    const session = this.get(id)
+    if (session == null) return false
+    session.kill(reason)
+    return true
+  }
+
+  /**
+   * Terminate all the sessions matching the filter.
+   * @param {GatewaySessionFilter} filter
+   * @param {string} reason
+   * @returns {number} The number of sessions terminated.
+   */
+  kill_all(filter = null, reason = 'killed') {
+    const sessions = this.list(filter)
+    for (const session of sessions) session.kill(reason)
+    return sessions.length
+  }
+
+  /**
+   * @param {GatewaySession} session
+   */
+  _remove(session) {
+    this._sessions.delete(session.id)
+  }
+
+  /**
+   * @param {GatewaySession} session
+   */
+  _on_kill(session) {
+    this.emit(
+      'log',
+      'INFO',
+      `Closing ${session.type} session ${session.id} (${session.target_id}): ${session.close_reason}`
+    )
+  }
+}
+
+module.exports = {
+  create_websocket_close_frame,
+  GatewaySession,
+  GatewaySessionRegistry,
+  GatewayWebsocketFrameTracker,
+}
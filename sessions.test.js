@@ -0,0 +1,307 @@
+const assert = require('assert')
+const net = require('net')
+const stream = require('stream')
+const { GatewayRequestParser } = require('./gateway')
+const {
+  create_websocket_close_frame,
+  GatewaySessionRegistry,
+  GatewayWebsocketFrameTracker,
+} = require('./sessions')
+const { open_gateway_tunnel } = require('./tunnel_client')
+const {
+  create_gateway_server,
+  GATEWAY_TEST_HOST,
+  listen,
+  run,
+  sleep,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {GatewaySessionRegistry} registry
+ * @param {Object} options The session options.
+ */
+function open_session(registry, options = {}) {
+  const session = registry.create({
+    type: 'tunnel',
+    target_id: 'svc',
+    client_address: '10.0.0.1',
+    client_socket: new stream.PassThrough(),
+    ...options,
+  })
+  session.start(new stream.PassThrough(), new URL('http://backend:5432'))
+  return session
+}
+
+/**
+ * @param {number} length The payload length.
+ * @param {boolean} is_masked
+ * @returns {Buffer} A binary websocket frame.
+ */
+function create_frame(length, is_masked = false) {
+  const length_bytes =
+    length < 126
+      ? Buffer.from([length])
+      : length < 0x10000
+      ? Buffer.from([126, length >> 8, length & 0xff])
+      : Buffer.concat([Buffer.from([127]), Buffer.alloc(8)])
+  if (length >= 0x10000) length_bytes.writeUInt32BE(length, 5)
+  if (is_masked) length_bytes[0] |= 0x80
+  return Buffer.concat([
+    Buffer.from([0x82]),
+    length_bytes,
+    Buffer.alloc(is_masked ? 4 : 0),
+    Buffer.alloc(length, 1),
+  ])
+}
+
+/**
+ * @param {stream.Duplex} socket
+ * @returns {any[]} The data the socket is ended with (recorded).
+ */
+function record_end(socket) {
+  const ended = []
+  socket.end = (data) => ended.push(data)
+  return ended
+}
+
+test('session limits', () => {
+  const registry = new GatewaySessionRegistry({
+    max_sessions: 3,
+    max_sessions_per_target: 2,
+    max_sessions_per_client: 1,
+  })
+  assert.strictEqual(registry.check_limits('svc', '10.0.0.1'), null)
+  open_session(registry)
+  assert.strictEqual(
+    registry.check_limits('svc', '10.0.0.1'),
+    'max_sessions_per_client (1)'
+  )
+  // sessions without a client address are not limited per client.
+  assert.strictEqual(registry.check_limits('svc', null), null)
+
+  open_session(registry, { client_address: '10.0.0.2' })
+  assert.strictEqual(
+    registry.check_limits('svc', '10.0.0.3'),
+    'max_sessions_per_target (2)'
+  )
+  open_session(registry, { target_id: 'other', client_address: '10.0.0.3' })
+  assert.strictEqual(
+    registry.check_limits('db', '10.0.0.4'),
+    'max_sessions (3)'
+  )
+
+  // closed sessions are removed.
+  registry.list({ target_id: 'other' })[0].close()
+  assert.strictEqual(registry.count(), 2)
+  assert.strictEqual(registry.check_limits('db', '10.0.0.4'), null)
+})
+
+test('sessions are closed with the sockets', async () => {
+  const registry = new GatewaySessionRegistry()
+  const session = open_session(registry)
+  assert.strictEqual(session.state, 'open')
+  assert.strictEqual(session.backend, 'backend:5432')
+
+  session.client_socket.write('ab')
+  session.proxy_socket.write('cde')
+  assert.strictEqual(session.to_json().bytes_received, 2)
+  assert.strictEqual(session.to_json().bytes_sent, 3)
+
+  session.proxy_socket.destroy()
+  await sleep(10)
+  assert.strictEqual(session.state, 'closed')
+  assert.strictEqual(session.close_reason, 'closed')
+  assert.strictEqual(registry.get(session.id), null)
+})
+
+test('idle sessions are killed', async () => {
+  const events = []
+  const registry = new GatewaySessionRegistry({
+    idle_timeout: 60,
+    emit: (...args) => events.push(args),
+  })
+  const active = open_session(registry)
+  const idle = open_session(registry, { client_address: '10.0.0.2' })
+  const keep_alive = setInterval(() => active.client_socket.write('x'), 20)
+  try {
+    await sleep(150)
+    assert.strictEqual(idle.state, 'closed')
+    assert.strictEqual(idle.close_reason, 'idle')
+    assert.strictEqual(idle.client_socket.destroyed, true)
+    assert.strictEqual(idle.proxy_socket.destroyed, true)
+    assert.strictEqual(active.state, 'open')
+    assert.deepStrictEqual(events, [
+      ['log', 'INFO', `Closing tunnel session ${idle.id} (svc): idle`],
+    ])
+  } finally {
+    clearInterval(keep_alive)
+    registry.kill_all()
+  }
+})
+
+test('sessions are killed after the max lifetime', async () => {
+  const registry = new GatewaySessionRegistry({ max_lifetime: 30 })
+  const session = open_session(registry)
+  session.client_socket.write('x')
+  await sleep(60)
+  assert.strictEqual(session.close_reason, 'max_lifetime')
+  assert.strictEqual(registry.count(), 0)
+})
+
+test('kill_all kills the matching sessions', () => {
+  const registry = new GatewaySessionRegistry()
+  open_session(registry)
+  open_session(registry, { type: 'websocket' })
+  open_session(registry, { target_id: 'other' })
+  assert.strictEqual(registry.kill_all({ type: 'tunnel', target_id: 'svc' }), 1)
+  assert.deepStrictEqual(
+    registry.list().map((session) => [session.type, session.target_id]),
+    [
+      ['websocket', 'svc'],
+      ['tunnel', 'other'],
+    ]
+  )
+  assert.strictEqual(registry.kill('unknown'), false)
+  assert.strictEqual(registry.kill(registry.list()[0].id), true)
+  assert.strictEqual(registry.count(), 1)
+})
+
+test('websocket close frames', () => {
+  assert.strictEqual(
+    create_websocket_close_frame(1001, 'Going away').toString('hex'),
+    '880c03e9' + Buffer.from('Going away').toString('hex')
+  )
+
+  // client frames are masked.
+  const masked = create_websocket_close_frame(1000, 'bye', true)
+  assert.strictEqual(masked[0], 0x88)
+  assert.strictEqual(masked[1], 0x80 | 5)
+  const mask = masked.subarray(2, 6)
+  const payload = masked.subarray(6).map((byte, i) => byte ^ mask[i % 4])
+  assert.strictEqual(payload.readUInt16BE(0), 1000)
+  assert.strictEqual(payload.subarray(2).toString(), 'bye')
+
+  // control frame payloads are limited to 125 bytes.
+  assert.strictEqual(
+    create_websocket_close_frame(1000, 'x'.repeat(200)).length,
+    127
+  )
+})
+
+test('websocket frame boundaries', () => {
+  const tracker = new GatewayWebsocketFrameTracker()
+  assert.strictEqual(tracker.is_at_boundary, true)
+
+  // several frames in a chunk, and frames split at any byte.
+  const lengths = [5, 300, 70000, 0]
+  const frames = lengths.map((length, i) => create_frame(length, i % 2 == 1))
+  const frame_ends = frames.map((frame, i) =>
+    frames.slice(0, i + 1).reduce((sum, frame) => sum + frame.length, 0)
+  )
+  const data = Buffer.concat(frames)
+  tracker.push(data)
+  assert.strictEqual(tracker.is_at_boundary, true)
+  for (let i = 0; i < data.length; i += 7) {
+    tracker.push(data.subarray(i, i + 7))
+    const end = Math.min(i + 7, data.length)
+    assert.strictEqual(
+      tracker.is_at_boundary,
+      frame_ends.indexOf(end) != -1,
+      String(end)
+    )
+  }
+
+  for (const split of [1, 3, 8, 12]) {
+    const frame = create_frame(300, true)
+    tracker.push(frame.subarray(0, split))
+    assert.strictEqual(tracker.is_at_boundary, false, String(split))
+    tracker.push(frame.subarray(split))
+    assert.strictEqual(tracker.is_at_boundary, true, String(split))
+  }
+})
+
+test('websocket shutdown sends close frames at frame boundaries', () => {
+  const registry = new GatewaySessionRegistry()
+  const session = open_session(registry, { type: 'websocket' })
+  session.client_socket.write(create_frame(10, true))
+  session.proxy_socket.write(create_frame(200))
+  const client_end = record_end(session.client_socket)
+  const proxy_end = record_end(session.proxy_socket)
+
+  assert.strictEqual(session.shutdown_websocket(1001, 'bye'), true)
+  assert.strictEqual(session.shutdown_websocket(1001, 'bye'), false)
+  assert.deepStrictEqual(client_end, [
+    create_websocket_close_frame(1001, 'bye'),
+  ])
+  assert.strictEqual(proxy_end.length, 1)
+  assert.strictEqual(proxy_end[0][0], 0x88)
+  assert.strictEqual(proxy_end[0][1], 0x80 | 5)
+})
+
+test('websocket shutdown does not send close frames mid frame', () => {
+  const registry = new GatewaySessionRegistry()
+  const session = open_session(registry, { type: 'websocket' })
+  // the client frame is complete, the backend frame is not.
+  session.client_socket.write(create_frame(10, true))
+  session.proxy_socket.write(create_frame(200).subarray(0, 100))
+  const client_end = record_end(session.client_socket)
+  const proxy_end = record_end(session.proxy_socket)
+
+  session.shutdown_websocket()
+  assert.deepStrictEqual(client_end, [undefined])
+  assert.strictEqual(proxy_end[0][0], 0x88)
+
+  const partial = open_session(registry, { type: 'websocket' })
+  partial.client_socket.write(create_frame(10, true).subarray(0, 4))
+  const partial_proxy_end = record_end(partial.proxy_socket)
+  partial.shutdown_websocket()
+  assert.deepStrictEqual(partial_proxy_end, [undefined])
+
+  // tunnel sessions are not websockets.
+  assert.strictEqual(open_session(registry).shutdown_websocket(), false)
+})
+
+test('gateway rejects tunnels over the session limit', async () => {
+  const echo = net.createServer((socket) => socket.pipe(socket))
+  const echo_port = await listen(echo)
+  const server = await create_gateway_server({
+    gateway: {
+      socket_ports: [echo_port],
+      sessions: { max_sessions_per_target: 1 },
+    },
+    parser: () =>
+      new GatewayRequestParser({
+        parse_url_from_id: () => `http://127.0.0.1:${echo_port}/`,
+      }),
+    sockets: true,
+  })
+  const gateway = server.gateway
+
+  const options = {
+    url: `http://127.0.0.1:${server.port}/`,
+    headers: { host: GATEWAY_TEST_HOST },
+  }
+  try {
+    const tunnel = await open_gateway_tunnel(options)
+    await assert.rejects(open_gateway_tunnel(options), (err) => {
+      assert.strictEqual(err.statusCode, 429)
+      return true
+    })
+    assert.strictEqual(gateway.get_sessions().length, 1)
+
+    // killing the session closes the tunnel.
+    const closed = new Promise((resolve) => tunnel.once('close', resolve))
+    assert.strictEqual(gateway.sessions.kill_all({ target_id: 'svc' }), 1)
+    await closed
+    assert.strictEqual(gateway.get_sessions().length, 0)
+
+    const reopened = await open_gateway_tunnel(options)
+    reopened.destroy()
+  } finally {
+    server.close()
+    echo.close()
+  }
+})
+
+run()
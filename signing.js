@@ -0,0 +1,243 @@
+const crypto = require('crypto')
+const { Request } = require('express/index')
+const { base32_encode } = require('./codecs')
+
+/**
+ * @param {string} cookie_header
+ * @returns {Object<string,string>}
+ */
+function parse_cookies(cookie_header) {
+  const cookies = {}
+  for (const part of (cookie_header || '').split(';')) {
+    const index = part.indexOf('=')
+    if (index == -1) continue
+    cookies[part.substr(0, index).trim()] = part.substr(index + 1).trim()
+  }
+  return cookies
+}
+
+const TOKEN_REGEX = /^gs-([0-9a-z]+)-([a-z2-7]+)$/
+
+/**
+ * @typedef {{
+ * is_valid: boolean,
+ * reason: string,
+ * source: 'host'|'query'|'cookie',
+ * token: string,
+ * }} GatewayHostSignatureInfo
+ */
+
+class GatewayHostSigner {
+  /**
+   * Signs the gateway host links, so that only links generated by the gateway
+   * (redirects) can be used to access a target. Secrets are used in order, the
+   * first signs new links and all are accepted when verifying (key rotation).
+   * In host mode the signature is added as a label to the gateway host, in cookie
+   * mode it is passed as a query parameter on the redirect and then kept in a
+   * (host only) cookie.
+   * @param {{
+   * secrets: string[],
+   * mode: 'host'|'cookie',
+   * expires_in: number,
+   * bind_client: 'ip' | (req:Request)=>string,
+   * cookie_name: string,
+   * cookie_secure: boolean,
+   * }} param0
+   */
+  constructor({
+    secrets,
+    mode = 'host',
+    expires_in = null,
+    bind_client = null,
+    cookie_name = 'gateway_token',
+    cookie_secure = null,
+  } = {}) {
+    secrets = Array.isArray(secrets) ? secrets : [secrets]
+    if (secrets.length == 0 || secrets.some((s) => !s))
+      throw new Error('Host signing requires at least one non empty secret')
+    if (['host', 'cookie'].indexOf(mode) == -1)
+      throw new Error('Invalid host signing mode: ' + mode)
+
+    /** @type {string[]} The first secret is used for signing */
+    this.secrets = secrets
+    this.mode = mode
+    /** @type {number} The link expiry (ms), null for no expiry */
+    this.expires_in = expires_in
+    this.bind_client = bind_client
+    this.cookie_name = cookie_name
+    /** @type {boolean} Null to detect from the request protocol */
+    this.cookie_secure = cookie_secure
+  }
+
+  /**
+   * @param {Request} req
+   * @returns {string} The client binding value.
+   */
+  _get_client_binding(req) {
+    if (this.bind_client == null) return ''
+    if (typeof this.bind_client == 'function')
+      return String(this.bind_client(req) || '')
+    if (this.bind_client == 'ip')
+      return req.ip || (req.socket || {}).remoteAddress || ''
+    throw new Error('Invalid bind_client value: ' + this.bind_client)
+  }
+
+  /**
+   * @param {string} secret
+   * @param {string} target_id
+   * @param {string} expires
+   * @param {string} binding
+   * @returns {string}
+   */
+  _sign(secret, target_id, expires, binding) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update([target_id.toLowerCase(), expires, binding].join('\n'))
+      .digest()
+    return base32_encode(digest.slice(0, 16))
+  }
+
+  /**
+   * Create a signed token for the target.
+   * @param {Request} req
+   * @param {string} target_id
+   * @returns {string}
+   */
+  create_token(req, target_id) {
+    const expires =
+      this.expires_in == null
+        ? '0'
+        : Math.ceil((Date.now() + this.expires_in) / 1000).toString(36)
+    const binding = this._get_client_binding(req)
+    return `gs-${expires}-${this._sign(
+      this.secrets[0],
+      target_id,
+      expires,
+      binding
+    )}`
+  }
+
+  /**
+   * Verify a token against the target.
+   * @param {Request} req
+   * @param {string} target_id
+   * @param {string} token
+   * @returns {string} The reason the token is invalid, or null if valid.
+   */
+  verify_token(req, target_id, token) {
+    if (token == null) return 'missing signature'
+    const match = TOKEN_REGEX.exec(token)
+    if (match == null) return 'malformed signature'
+
+    const expires = match[1]
+    if (expires != '0' && parseInt(expires, 36) * 1000 < Date.now())
+      return 'expired signature'
+
+    const signature = Buffer.from(match[2])
+    const binding = this._get_client_binding(req)
+    const is_valid = this.secrets.some((secret) => {
+      const expected = Buffer.from(
+        this._sign(secret, target_id, expires, binding)
+      )
+      return (
+        expected.length == signature.length &&
+        crypto.timingSafeEqual(expected, signature)
+      )
+    })
+
+    return is_valid ? null : 'invalid signature'
+  }
+
+  /**
+   * Split the host token from the gateway host target part (host mode).
+   * @param {string} target_part The host, without the gateway domain postfix.
+   * @returns {{target_part:string, token:string}}
+   */
+  split_host_token(target_part) {
+    const index = target_part.lastIndexOf('.')
+    const label = target_part.substr(index + 1)
+    if (index == -1 || !TOKEN_REGEX.test(label))
+      return { target_part, token: null }
+    return { target_part: target_part.substr(0, index), token: label }
+  }
+
+  /**
+   * Verify the gateway host request.
+   * @param {Request} req
+   * @param {string} target_id
+   * @param {string} host_token The token parsed from the host (host mode)
+   * @returns {GatewayHostSignatureInfo}
+   */
+  verify_request(req, target_id, host_token = null) {
+    let source = 'host'
+    let token = host_token
+    if (this.mode == 'cookie') {
+      token = (req.query || {})[this.cookie_name]
+      source = 'query'
+      if (token == null) {
+        token = parse_cookies(req.headers.cookie)[this.cookie_name]
+        source = 'cookie'
+      }
+    }
+
+    const reason = this.verify_token(req, target_id, token)
+    return { is_valid: reason == null, reason, source, token }
+  }
+
+  /**
+   * @param {Request} req
+   * @param {string} token
+   * @param {string} path The cookie path.
+   * @returns {string} The set-cookie header value for the token.
+   */
+  create_cookie(req, token, path = '/') {
+    const parts = [
+      `${this.cookie_name}=${token}`,
+      `Path=${path}`,
+      'HttpOnly',
+      'SameSite=Lax',
+    ]
+    if (this.expires_in != null)
+      parts.push(`Max-Age=${Math.floor(this.expires_in / 1000)}`)
+    const is_secure =
+      this.cookie_secure != null ? this.cookie_secure : req.protocol == 'https'
+    if (is_secure) parts.push('Secure')
+    return parts.join('; ')
+  }
+
+  /**
+   * Remove the gateway token cookie from the (backend bound) request headers.
+   * @param {Object<string, string>} headers
+   */
+  strip_cookie(headers) {
+    if (this.mode != 'cookie' || headers.cookie == null) return
+    const cookie = headers.cookie
+      .split(';')
+      .filter((part) => part.split('=')[0].trim() != this.cookie_name)
+      .join(';')
+      .trim()
+    if (cookie.length == 0) delete headers.cookie
+    else headers.cookie = cookie
+  }
+
+  /**
+   * Remove the gateway token query parameter from the (backend bound) url.
+   * @param {string} url The request url (path and query).
+   * @returns {string}
+   */
+  strip_query_token(url) {
+    const index = url.indexOf('?')
+    if (index == -1) return url
+    const query = url
+      .substr(index + 1)
+      .split('&')
+      .filter((part) => part.split('=')[0] != this.cookie_name)
+      .join('&')
+    return url.substr(0, index) + (query.length > 0 ? '?' + query : '')
+  }
+}
+
+module.exports = {
+  GatewayHostSigner,
+  parse_cookies,
+}
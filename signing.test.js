@@ -0,0 +1,199 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const { base32_encode } = require('./codecs')
+const { GatewayHostSigner, parse_cookies } = require('./signing')
+const { at_time, run, test } = require('./test_helpers')
+
+/**
+ * @param {Object} fields The request fields.
+ */
+function create_request(fields = {}) {
+  return { headers: {}, query: {}, ip: '10.0.0.1', protocol: 'http', ...fields }
+}
+
+test('token format is gs-<expires base36>-<base32 hmac>', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'] })
+  const token = signer.create_token(create_request(), 'svc')
+  assert.match(token, /^gs-0-[a-z2-7]{26}$/)
+
+  // the signature is the truncated (16 bytes) hmac-sha256 of the target,
+  // expiry and client binding.
+  const digest = crypto
+    .createHmac('sha256', 's1')
+    .update(['svc', '0', ''].join('\n'))
+    .digest()
+  assert.strictEqual(token, 'gs-0-' + base32_encode(digest.slice(0, 16)))
+
+  // tokens are valid dns labels (host mode).
+  assert.ok(token.length <= 63)
+  assert.match(token, /^[a-z0-9-]+$/)
+})
+
+test('tokens are bound to the target (case insensitive)', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'] })
+  const token = signer.create_token(create_request(), 'Svc.Local')
+  assert.strictEqual(
+    signer.verify_token(create_request(), 'svc.local', token),
+    null
+  )
+  assert.strictEqual(
+    signer.verify_token(create_request(), 'other.local', token),
+    'invalid signature'
+  )
+})
+
+test('expiry window', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'], expires_in: 60000 })
+  const now = 1700000000000
+  const token = at_time(now, () => signer.create_token(create_request(), 'svc'))
+  const expires = parseInt(token.split('-')[1], 36) * 1000
+  assert.ok(expires >= now + 60000 && expires < now + 61000)
+
+  const verify = (time) =>
+    at_time(time, () => signer.verify_token(create_request(), 'svc', token))
+  assert.strictEqual(verify(now), null)
+  assert.strictEqual(verify(expires), null)
+  assert.strictEqual(verify(expires + 1), 'expired signature')
+
+  // the expiry is signed, and cannot be extended.
+  const extended = token.replace(/^gs-[0-9a-z]+-/, 'gs-zzzzzz-')
+  assert.strictEqual(
+    at_time(now, () => signer.verify_token(create_request(), 'svc', extended)),
+    'invalid signature'
+  )
+})
+
+test('client binding', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'], bind_client: 'ip' })
+  const token = signer.create_token(create_request({ ip: '10.0.0.1' }), 'svc')
+  assert.strictEqual(
+    signer.verify_token(create_request({ ip: '10.0.0.1' }), 'svc', token),
+    null
+  )
+  assert.strictEqual(
+    signer.verify_token(create_request({ ip: '10.0.0.2' }), 'svc', token),
+    'invalid signature'
+  )
+})
+
+test('secret rotation verifies with any secret and signs with the first', () => {
+  const old_signer = new GatewayHostSigner({ secrets: ['old'] })
+  const signer = new GatewayHostSigner({ secrets: ['new', 'old'] })
+  const old_token = old_signer.create_token(create_request(), 'svc')
+  assert.strictEqual(
+    signer.verify_token(create_request(), 'svc', old_token),
+    null
+  )
+  const new_token = signer.create_token(create_request(), 'svc')
+  assert.strictEqual(
+    old_signer.verify_token(create_request(), 'svc', new_token),
+    'invalid signature'
+  )
+})
+
+test('verification uses a constant time comparison', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1', 's2'] })
+  const token = signer.create_token(create_request(), 'svc')
+
+  const timing_safe_equal = crypto.timingSafeEqual
+  const compared = []
+  crypto.timingSafeEqual = (a, b) => {
+    compared.push([a.length, b.length])
+    return timing_safe_equal(a, b)
+  }
+  try {
+    // a single changed character, same length.
+    const last = token[token.length - 1] == 'a' ? 'b' : 'a'
+    const forged = token.slice(0, -1) + last
+    assert.strictEqual(
+      signer.verify_token(create_request(), 'svc', forged),
+      'invalid signature'
+    )
+    assert.deepStrictEqual(compared, [
+      [26, 26],
+      [26, 26],
+    ])
+  } finally {
+    crypto.timingSafeEqual = timing_safe_equal
+  }
+})
+
+test('malformed and missing tokens', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'] })
+  const req = create_request()
+  assert.strictEqual(signer.verify_token(req, 'svc', null), 'missing signature')
+  for (const token of ['gs-0', 'gs-0-ABC', 'xx-0-abc', 'gs-0-abc-def', ''])
+    assert.strictEqual(
+      signer.verify_token(req, 'svc', token),
+      'malformed signature',
+      token
+    )
+  // shorter signatures are rejected (no length mismatch error).
+  assert.strictEqual(
+    signer.verify_token(req, 'svc', 'gs-0-abc'),
+    'invalid signature'
+  )
+})
+
+test('secrets and mode are validated', () => {
+  assert.throws(() => new GatewayHostSigner({ secrets: [] }))
+  assert.throws(() => new GatewayHostSigner({ secrets: ['a', ''] }))
+  assert.throws(() => new GatewayHostSigner({ secrets: 'a', mode: 'query' }))
+})
+
+test('host mode token label', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'] })
+  const token = signer.create_token(create_request(), 'svc')
+  assert.deepStrictEqual(signer.split_host_token('svc.' + token), {
+    target_part: 'svc',
+    token,
+  })
+  assert.deepStrictEqual(signer.split_host_token('svc.local'), {
+    target_part: 'svc.local',
+    token: null,
+  })
+  const info = signer.verify_request(create_request(), 'svc', token)
+  assert.strictEqual(info.is_valid, true)
+  assert.strictEqual(info.source, 'host')
+})
+
+test('cookie mode reads the query then the cookie, and strips the cookie', () => {
+  const signer = new GatewayHostSigner({ secrets: ['s1'], mode: 'cookie' })
+  const token = signer.create_token(create_request(), 'svc')
+
+  const from_query = signer.verify_request(
+    create_request({ query: { gateway_token: token } }),
+    'svc'
+  )
+  assert.strictEqual(from_query.source, 'query')
+  assert.strictEqual(from_query.is_valid, true)
+
+  const from_cookie = signer.verify_request(
+    create_request({ headers: { cookie: `a=1; gateway_token=${token}` } }),
+    'svc'
+  )
+  assert.strictEqual(from_cookie.source, 'cookie')
+  assert.strictEqual(from_cookie.is_valid, true)
+
+  const cookie = signer.create_cookie(
+    create_request({ protocol: 'https' }),
+    token
+  )
+  assert.strictEqual(
+    cookie,
+    `gateway_token=${token}; Path=/; HttpOnly; SameSite=Lax; Secure`
+  )
+
+  const headers = { cookie: `a=1; gateway_token=${token}; b=2` }
+  signer.strip_cookie(headers)
+  assert.deepStrictEqual(parse_cookies(headers.cookie), { a: '1', b: '2' })
+
+  assert.strictEqual(
+    signer.strip_query_token(`/ws?a=1&gateway_token=${token}&b=2`),
+    '/ws?a=1&b=2'
+  )
+  assert.strictEqual(signer.strip_query_token(`/?gateway_token=${token}`), '/')
+  assert.strictEqual(signer.strip_query_token('/ws'), '/ws')
+})
+
+run()
@@ -0,0 +1,177 @@
+const http = require('http')
+const express = require('express')
+const { Gateway, GatewayRequestParser } = require('./gateway')
+
+/**
+ * The host of the gateway target "svc" (the default gateway host).
+ */
+const GATEWAY_TEST_HOST = 'svc.gateway-proxy.localhost'
+
+/** @type {{name:string, fn:()=>any}[]} */
+const tests = []
+
+/**
+ * Register a test, the tests are run in order by run().
+ * @param {string} name
+ * @param {()=>any|Promise<any>} fn
+ */
+function test(name, fn) {
+  tests.push({ name, fn })
+}
+
+/**
+ * Run the registered tests one after the other. Prints a line per test, failed
+ * tests set the process exit code.
+ */
+async function run() {
+  for (const { name, fn } of tests) {
+    try {
+      await fn()
+      console.log('ok - ' + name)
+    } catch (err) {
+      process.exitCode = 1
+      console.error('not ok - ' + name)
+      console.error(err)
+    }
+  }
+}
+
+/**
+ * @param {import('net').Server} server
+ * @param {string} host
+ * @returns {Promise<number>} The listening port.
+ */
+function listen(server, host = '127.0.0.1') {
+  return new Promise((resolve) =>
+    server.listen(0, host, () => resolve(server.address().port))
+  )
+}
+
+/**
+ * Run fn with Date.now returning now.
+ * @param {number} now
+ * @param {()=>any} fn
+ */
+function at_time(now, fn) {
+  const date_now = Date.now
+  Date.now = () => now
+  try {
+    return fn()
+  } finally {
+    Date.now = date_now
+  }
+}
+
+/**
+ * @param {number} ms
+ * @param {any} value The resolved value.
+ * @returns {Promise<any>}
+ */
+function sleep(ms, value) {
+  return new Promise((resolve) => setTimeout(() => resolve(value), ms))
+}
+
+/**
+ * Send a request to a local server and read the response body.
+ * @param {number} port
+ * @param {{
+ * method: string,
+ * path: string,
+ * headers: http.OutgoingHttpHeaders,
+ * body: string|Buffer,
+ * }} param1 The host header defaults to the gateway test host.
+ * @returns {Promise<http.IncomingMessage & {body:string}>}
+ */
+function request(
+  port,
+  { method = 'GET', path = '/', headers = {}, body } = {}
+) {
+  return new Promise((resolve, reject) => {
+    http
+      .request(
+        {
+          host: '127.0.0.1',
+          port,
+          method,
+          path,
+          headers: { host: GATEWAY_TEST_HOST, ...headers },
+        },
+        (res) => {
+          let data = ''
+          res.on('data', (chunk) => (data += chunk))
+          res.on('end', () => resolve(Object.assign(res, { body: data })))
+        }
+      )
+      .on('error', reject)
+      .end(body)
+  })
+}
+
+/**
+ * Start a gateway server in front of a backend server.
+ * @param {{
+ * handler: http.RequestListener,
+ * gateway: Gateway|Object,
+ * parser: (backend_url:string)=>GatewayRequestParser|Function,
+ * request_filter: Function,
+ * sockets: boolean,
+ * }} param0 The backend request handler (no backend if null), the gateway or
+ * the gateway options (by default without an access policy and console errors),
+ * the parser for the backend url (defaults to every target to the backend),
+ * the middleware request filter and whether to handle upgrade and CONNECT requests.
+ * @returns {Promise<{port:number, backend_url:string, gateway:Gateway,
+ * server:http.Server, close:()=>void}>}
+ */
+async function create_gateway_server({
+  handler = null,
+  gateway = {},
+  parser = null,
+  request_filter = null,
+  sockets = false,
+} = {}) {
+  const backend = handler != null ? http.createServer(handler) : null
+  const backend_url =
+    backend != null ? `http://127.0.0.1:${await listen(backend)}/` : null
+
+  if (!(gateway instanceof Gateway))
+    gateway = new Gateway({
+      access_policy: false,
+      log_errors_to_console: false,
+      ...gateway,
+    })
+  const backend_parser =
+    parser != null
+      ? parser(backend_url)
+      : new GatewayRequestParser({ parse_url_from_id: () => backend_url })
+
+  const app = express()
+  app.use(gateway.middleware(backend_parser, request_filter))
+  const server = http.createServer(app)
+  if (sockets) {
+    const socket_handler = gateway.socket_handler(backend_parser)
+    server.on('connect', socket_handler)
+    server.on('upgrade', socket_handler)
+  }
+
+  return {
+    port: await listen(server),
+    backend_url,
+    gateway,
+    server,
+    close: () => {
+      server.close()
+      if (backend != null) backend.close()
+    },
+  }
+}
+
+module.exports = {
+  at_time,
+  create_gateway_server,
+  GATEWAY_TEST_HOST,
+  listen,
+  request,
+  run,
+  sleep,
+  test,
+}
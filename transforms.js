@@ -0,0 +1,171 @@
+const http = require('http')
+const stream = require('stream')
+const { Request } = require('express/index')
+
+/**
+ * @typedef {{
+ * req: Request,
+ * info: import('./gateway').GatewayRequestInfo,
+ * method: string,
+ * path: string,
+ * headers: http.OutgoingHttpHeaders,
+ * }} GatewayRequestTransformContext The upstream request, hooks can change
+ * the method, path (backend path + search) and headers.
+ *
+ * @typedef {{
+ * req: Request,
+ * info: import('./gateway').GatewayRequestInfo,
+ * status: number,
+ * headers: http.IncomingHttpHeaders,
+ * }} GatewayResponseTransformContext The upstream response (or websocket
+ * handshake), hooks can change the status and headers.
+ *
+ * @typedef {{
+ * set: Object<string, string|string[]>,
+ * remove: string[],
+ * }} GatewayHeadersTransformSpec Headers to set (null values are removed) and remove.
+ *
+ * @typedef {{
+ * request_headers: GatewayHeadersTransformSpec,
+ * response_headers: GatewayHeadersTransformSpec,
+ * method: string,
+ * path: {strip_prefix: string, add_prefix: string},
+ * on_request: (ctx:GatewayRequestTransformContext)=>void,
+ * on_response: (ctx:GatewayResponseTransformContext)=>void,
+ * create_body_stream: (ctx:GatewayResponseTransformContext)=>stream.Transform,
+ * }} GatewayTransformSpec A transform, the declarative fields are applied before the hooks.
+ * create_body_stream can return null to leave the body unchanged. Body streams receive the
+ * body as sent by the backend (i.e. with its content-encoding).
+ */
+
+/**
+ * @param {Object<string, any>} headers
+ * @param {GatewayHeadersTransformSpec} spec
+ */
+function transform_headers(headers, spec) {
+  if (spec == null) return
+  for (const name of spec.remove || []) delete headers[name.toLowerCase()]
+  for (const [name, value] of Object.entries(spec.set || {})) {
+    if (value == null) delete headers[name.toLowerCase()]
+    else headers[name.toLowerCase()] = value
+  }
+}
+
+/**
+ * @param {string} path The backend path (with search)
+ * @param {{strip_prefix: string, add_prefix: string}} spec
+ */
+function transform_path(path, spec) {
+  const strip_prefix = (spec.strip_prefix || '').replace(/\/+$/, '')
+  if (
+    strip_prefix &&
+    path.startsWith(strip_prefix) &&
+    /^([/?#]|$)/.test(path.substr(strip_prefix.length))
+  )
+    path = path.substr(strip_prefix.length)
+  if (!path.startsWith('/')) path = '/' + path
+  if (spec.add_prefix) path = spec.add_prefix.replace(/\/+$/, '') + path
+  return path
+}
+
+class GatewayTransform {
+  /**
+   * @param {GatewayTransformSpec} spec
+   */
+  constructor(spec = {}) {
+    this.spec = spec
+  }
+
+  /**
+   * @param {GatewayRequestTransformContext} ctx
+   */
+  on_request(ctx) {
+    const spec = this.spec
+    if (spec.method) ctx.method = spec.method.toUpperCase()
+    if (spec.path) ctx.path = transform_path(ctx.path, spec.path)
+    transform_headers(ctx.headers, spec.request_headers)
+    if (spec.on_request) spec.on_request(ctx)
+  }
+
+  /**
+   * @param {GatewayResponseTransformContext} ctx
+   */
+  on_response(ctx) {
+    transform_headers(ctx.headers, this.spec.response_headers)
+    if (this.spec.on_response) this.spec.on_response(ctx)
+  }
+
+  /**
+   * @param {GatewayResponseTransformContext} ctx
+   * @returns {stream.Transform}
+   */
+  create_body_stream(ctx) {
+    if (this.spec.create_body_stream == null) return null
+    return this.spec.create_body_stream(ctx)
+  }
+}
+
+class GatewayTransformPipeline {
+  /**
+   * Ordered request/response transforms.
+   * @param {(GatewayTransform|GatewayTransformSpec)[]} transforms
+   */
+  constructor(transforms = []) {
+    /** @type {GatewayTransform[]} */
+    this.transforms = []
+      .concat(transforms || [])
+      .map((transform) =>
+        transform instanceof GatewayTransform
+          ? transform
+          : new GatewayTransform(transform)
+      )
+  }
+
+  get is_empty() {
+    return this.transforms.length == 0
+  }
+
+  /**
+   * @param {(GatewayTransform|GatewayTransformSpec)[]} transforms
+   * @returns {GatewayTransformPipeline} A pipeline with the transforms appended.
+   */
+  concat(transforms) {
+    if (transforms == null || transforms.length === 0) return this
+    return new GatewayTransformPipeline(this.transforms.concat(transforms))
+  }
+
+  /**
+   * @param {GatewayRequestTransformContext} ctx
+   * @returns {GatewayRequestTransformContext}
+   */
+  apply_request(ctx) {
+    for (const transform of this.transforms) transform.on_request(ctx)
+    return ctx
+  }
+
+  /**
+   * @param {GatewayResponseTransformContext} ctx
+   * @returns {GatewayResponseTransformContext}
+   */
+  apply_response(ctx) {
+    for (const transform of this.transforms) transform.on_response(ctx)
+    return ctx
+  }
+
+  /**
+   * @param {GatewayResponseTransformContext} ctx
+   * @returns {stream.Transform[]}
+   */
+  create_body_streams(ctx) {
+    return this.transforms
+      .map((transform) => transform.create_body_stream(ctx))
+      .filter((body_stream) => body_stream != null)
+  }
+}
+
+module.exports = {
+  GatewayTransform,
+  GatewayTransformPipeline,
+  transform_headers,
+  transform_path,
+}
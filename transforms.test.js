@@ -0,0 +1,156 @@
+const assert = require('assert')
+const http = require('http')
+const stream = require('stream')
+const {
+  GatewayTransformPipeline,
+  transform_headers,
+  transform_path,
+} = require('./transforms')
+const { create_gateway_server, request, run, test } = require('./test_helpers')
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function echo_request(req, res) {
+  res.setHeader('x-backend', 'yes')
+  res.end(
+    JSON.stringify({ method: req.method, url: req.url, headers: req.headers })
+  )
+}
+
+/**
+ * @param {Object} options The gateway options.
+ * @param {http.RequestListener} handler The backend handler.
+ * @returns {Promise<{port:number, errors:Error[], close:()=>void}>} A gateway
+ * server in front of the backend.
+ */
+async function create_transform_gateway(options, handler = echo_request) {
+  const server = await create_gateway_server({ handler, gateway: options })
+  const errors = []
+  server.gateway.on('error', (err) => errors.push(err))
+  return { port: server.port, errors, close: server.close }
+}
+
+/**
+ * @param {number} port
+ * @returns {Promise<http.IncomingMessage & {body:string}>}
+ */
+function get(port) {
+  return request(port, { headers: { accept: 'text/plain' } })
+}
+
+test('header and path transforms', () => {
+  const headers = { a: '1', b: '2', c: '3' }
+  transform_headers(headers, { remove: ['A'], set: { B: null, D: '4' } })
+  assert.deepStrictEqual(headers, { c: '3', d: '4' })
+
+  const spec = { strip_prefix: '/api/', add_prefix: '/v2' }
+  assert.strictEqual(transform_path('/api/users?x=1', spec), '/v2/users?x=1')
+  assert.strictEqual(transform_path('/api', spec), '/v2/')
+  assert.strictEqual(transform_path('/apix/users', spec), '/v2/apix/users')
+})
+
+test('pipeline applies the transforms in order', () => {
+  const pipeline = new GatewayTransformPipeline([
+    { method: 'post', request_headers: { set: { 'x-a': '1' } } },
+    { on_request: (ctx) => (ctx.headers['x-b'] = ctx.headers['x-a'] + '2') },
+  ])
+  const ctx = pipeline.apply_request({ method: 'GET', path: '/', headers: {} })
+  assert.strictEqual(ctx.method, 'POST')
+  assert.deepStrictEqual(ctx.headers, { 'x-a': '1', 'x-b': '12' })
+
+  assert.strictEqual(new GatewayTransformPipeline().concat(null).is_empty, true)
+  assert.strictEqual(pipeline.concat([{}]).transforms.length, 3)
+})
+
+test('gateway applies the request and response transforms', async () => {
+  const gateway = await create_transform_gateway({
+    transforms: [
+      {
+        path: { add_prefix: '/v2' },
+        request_headers: { set: { 'x-added': 'yes' } },
+        response_headers: { remove: ['x-backend'] },
+        on_response: (ctx) => (ctx.status = 201),
+        create_body_stream: () =>
+          new stream.Transform({
+            transform: (chunk, encoding, callback) =>
+              callback(null, chunk.toString().toUpperCase()),
+          }),
+      },
+    ],
+  })
+  try {
+    const res = await get(gateway.port)
+    assert.strictEqual(res.statusCode, 201)
+    assert.strictEqual(res.headers['x-backend'], undefined)
+    const echoed = JSON.parse(res.body)
+    assert.strictEqual(echoed.URL, '/V2/')
+    assert.strictEqual(echoed.HEADERS['X-ADDED'], 'YES')
+  } finally {
+    gateway.close()
+  }
+})
+
+test('throwing transform hooks respond with 500', async () => {
+  for (const hook of ['on_request', 'on_response', 'create_body_stream']) {
+    const gateway = await create_transform_gateway({
+      transforms: [
+        {
+          [hook]: () => {
+            throw new Error(hook + ' failed')
+          },
+        },
+      ],
+    })
+    try {
+      const res = await get(gateway.port)
+      assert.strictEqual(res.statusCode, 500, hook)
+      assert.strictEqual(res.headers['x-gateway-error'], 'internal_error')
+      assert.strictEqual(res.headers['x-backend'], undefined)
+      assert.deepStrictEqual(
+        gateway.errors.map((err) => err.message),
+        [hook + ' failed']
+      )
+
+      // the gateway keeps serving requests.
+      assert.strictEqual((await get(gateway.port)).statusCode, 500)
+    } finally {
+      gateway.close()
+    }
+  }
+})
+
+test('throwing transform hooks on retries respond with 500', async () => {
+  let attempts = 0
+  const gateway = await create_transform_gateway(
+    {
+      retry: { backoff: 1 },
+      transforms: [
+        {
+          on_request: () => {
+            if (attempts > 0) throw new Error('retry hook failed')
+          },
+        },
+      ],
+    },
+    (req, res) => {
+      // reset the first attempt.
+      attempts += 1
+      req.socket.destroy()
+    }
+  )
+  try {
+    const res = await get(gateway.port)
+    assert.strictEqual(res.statusCode, 500)
+    assert.strictEqual(attempts, 1)
+    assert.deepStrictEqual(
+      gateway.errors.map((err) => err.message),
+      ['retry hook failed']
+    )
+  } finally {
+    gateway.close()
+  }
+})
+
+run()
@@ -0,0 +1,235 @@
+const http = require('http')
+const net = require('net')
+const events = require('events')
+
+/**
+ * A minimal response for requests that arrive as raw sockets (the server
+ * 'connect' and 'upgrade' events). Supports the subset of the express
+ * response used by the gateway.
+ */
+class GatewaySocketResponse extends events.EventEmitter {
+  /**
+   * @param {net.Socket} socket
+   */
+  constructor(socket) {
+    super()
+    this.socket = socket
+    this.statusCode = 200
+    this.headersSent = false
+    this.writableFinished = false
+
+    /** @type {Object<string, string>} */
+    this._headers = {}
+
+    socket.once('close', () => this.emit('close'))
+    socket.on('drain', () => this.emit('drain'))
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} value
+   */
+  set(name, value) {
+    this._headers[name.toLowerCase()] = value
+    return this
+  }
+
+  /**
+   * @param {number} status
+   */
+  status(status) {
+    this.statusCode = status
+    return this
+  }
+
+  /**
+   * Write the status line and headers to the socket.
+   * @param {number} status
+   * @param {Object<string, string|string[]>} headers
+   */
+  writeHead(status, headers = {}) {
+    if (this.headersSent) throw new Error('Headers already sent')
+    this.statusCode = status
+    this.headersSent = true
+
+    headers = { ...this._headers, ...headers }
+    // the body is written as is, and the connection closed when done.
+    for (const name of Object.keys(headers))
+      if (name.toLowerCase() == 'transfer-encoding') delete headers[name]
+    headers.connection = 'close'
+
+    const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`]
+    for (const [name, value] of Object.entries(headers)) {
+      for (const v of [].concat(value)) lines.push(`${name}: ${v}`)
+    }
+    this.socket.write(lines.join('\r\n') + '\r\n\r\n')
+    return this
+  }
+
+  /**
+   * Respond with the status text and close the connection.
+   * @param {number} status
+   */
+  sendStatus(status) {
+    const body = http.STATUS_CODES[status] || String(status)
+    if (!this.headersSent)
+      this.writeHead(status, {
+        'content-type': 'text/plain; charset=utf-8',
+        'content-length': Buffer.byteLength(body),
+      })
+    this.end(body)
+    return this
+  }
+
+  /**
+   * @param {string|Buffer} data
+   */
+  send(data) {
+    if (!this.headersSent)
+      this.writeHead(this.statusCode, {
+        'content-length': Buffer.byteLength(data || ''),
+      })
+    return this.end(data)
+  }
+
+  /**
+   * @param {string|Buffer} chunk
+   */
+  write(chunk) {
+    if (!this.headersSent) this.writeHead(this.statusCode)
+    return this.socket.write(chunk)
+  }
+
+  /**
+   * @param {string|Buffer} data
+   */
+  end(data = null) {
+    if (this.writableFinished) return this
+    this.writableFinished = true
+    this.socket.end(data)
+    this.emit('finish')
+    return this
+  }
+
+  /**
+   * @param {Error} err
+   */
+  destroy(err = null) {
+    this.socket.destroy()
+    return this
+  }
+}
+
+/**
+ * Adds the express request fields used by the gateway to a raw
+ * (connect/upgrade event) request.
+ * @param {http.IncomingMessage} req
+ * @returns {import('express/index').Request}
+ */
+function prepare_raw_request(req) {
+  // the CONNECT target (authority) is the gateway host.
+  if (req.method == 'CONNECT') req.headers.host = req.url.replace(/:\d+$/, '')
+
+  const url = new URL(req.method == 'CONNECT' ? '/' : req.url, 'http://raw')
+  req.originalUrl = req.method == 'CONNECT' ? '/' : req.url
+  req.baseUrl = ''
+  req.protocol = req.socket.encrypted ? 'https' : 'http'
+  req.query = Object.fromEntries(url.searchParams)
+  req.get = (name) => req.headers[name.toLowerCase()]
+  return req
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} True if the request asks for a raw tcp tunnel
+ * (CONNECT or Upgrade: tcp).
+ */
+function is_socket_tunnel_request(req) {
+  return (
+    req.method == 'CONNECT' ||
+    (req.headers.upgrade || '').toLowerCase() == 'tcp'
+  )
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {string} The tunnel handshake response.
+ */
+function create_tunnel_handshake(req) {
+  if (req.method == 'CONNECT')
+    return 'HTTP/1.1 200 Connection Established\r\n\r\n'
+  return [
+    'HTTP/1.1 101 Switching Protocols',
+    'Connection: Upgrade',
+    'Upgrade: tcp',
+  ]
+    .join('\r\n')
+    .concat('\r\n\r\n')
+}
+
+/**
+ * Create the (101 Switching Protocols) upgrade response header from the backend
+ * upgrade response, keeping multi-valued headers and header casing.
+ * @param {http.IncomingMessage} proxy_rsp
+ * @param {http.IncomingHttpHeaders} headers If defined, replaces the response headers.
+ * @returns {string}
+ */
+function create_upgrade_response_header(proxy_rsp, headers = null) {
+  const lines = [
+    `HTTP/1.1 ${proxy_rsp.statusCode} ${
+      proxy_rsp.statusMessage || http.STATUS_CODES[proxy_rsp.statusCode]
+    }`,
+  ]
+  if (headers == null) {
+    const raw = proxy_rsp.rawHeaders
+    for (let i = 0; i < raw.length; i += 2)
+      lines.push(`${raw[i]}: ${raw[i + 1]}`)
+  } else {
+    for (const [name, value] of Object.entries(headers))
+      for (const v of [].concat(value)) lines.push(`${name}: ${v}`)
+  }
+  return lines.join('\r\n') + '\r\n\r\n'
+}
+
+/**
+ * @param {string} value A comma separated header value.
+ * @returns {string[]}
+ */
+function parse_header_list(value) {
+  return []
+    .concat(value || [])
+    .join(',')
+    .split(',')
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0)
+}
+
+/**
+ * Validate the websocket subprotocol selected by the backend (RFC 6455), it
+ * must be one of the protocols requested by the client.
+ * @param {http.IncomingMessage} req The client request.
+ * @param {http.IncomingMessage} proxy_rsp The backend upgrade response.
+ * @returns {string} The error, or null if valid.
+ */
+function validate_websocket_subprotocol(req, proxy_rsp) {
+  const selected = parse_header_list(
+    proxy_rsp.headers['sec-websocket-protocol']
+  )
+  if (selected.length == 0) return null
+  if (selected.length > 1)
+    return 'backend selected multiple subprotocols: ' + selected.join(', ')
+
+  const requested = parse_header_list(req.headers['sec-websocket-protocol'])
+  if (requested.indexOf(selected[0]) == -1)
+    return `backend selected subprotocol ${selected[0]}, which was not requested`
+  return null
+}
+
+module.exports = {
+  create_tunnel_handshake,
+  create_upgrade_response_header,
+  GatewaySocketResponse,
+  is_socket_tunnel_request,
+  prepare_raw_request,
+  validate_websocket_subprotocol,
+}
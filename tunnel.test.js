@@ -0,0 +1,264 @@
+const assert = require('assert')
+const events = require('events')
+const net = require('net')
+const stream = require('stream')
+const { GatewayRequestParser } = require('./gateway')
+const {
+  create_tunnel_handshake,
+  GatewaySocketResponse,
+  is_socket_tunnel_request,
+  prepare_raw_request,
+} = require('./tunnel')
+const {
+  create_tunnel_server,
+  open_gateway_tunnel,
+  pipe_gateway_tunnel,
+} = require('./tunnel_client')
+const {
+  create_gateway_server,
+  GATEWAY_TEST_HOST,
+  listen,
+  run,
+  sleep,
+  test,
+} = require('./test_helpers')
+
+/**
+ * @param {net.Socket | stream.Readable} socket
+ * @param {string} text
+ * @returns {Promise<string>} The data received until it includes the text.
+ */
+function read_until(socket, text) {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    socket.on('data', (chunk) => {
+      data += chunk
+      if (data.includes(text)) resolve(data)
+    })
+    socket.once('error', reject)
+  })
+}
+
+/**
+ * @returns {Promise<{port:number, echo_port:number, tunnels:Object[], close:()=>void}>}
+ * A gateway that tunnels every target to an echo server ('closed' to a port that
+ * cannot be tunneled).
+ */
+async function create_tunnel_gateway() {
+  const echo = net.createServer((socket) =>
+    socket.on('data', (data) => socket.write('echo:' + data))
+  )
+  const echo_port = await listen(echo)
+
+  const tunnels = []
+  const server = await create_gateway_server({
+    gateway: { socket_ports: [echo_port] },
+    parser: () =>
+      new GatewayRequestParser({
+        parse_url_from_id: (gateway, req, target_id) =>
+          `http://127.0.0.1:${target_id == 'closed' ? 1 : echo_port}/`,
+      }),
+    sockets: true,
+  })
+  server.gateway.on('tunnel-close', (record) => tunnels.push(record))
+
+  return {
+    port: server.port,
+    echo_port,
+    tunnels,
+    close: () => {
+      server.close()
+      echo.close()
+    },
+  }
+}
+
+/**
+ * A socket that records the written data.
+ */
+function create_socket() {
+  const socket = new events.EventEmitter()
+  socket.data = ''
+  socket.write = (chunk) => (socket.data += chunk) != null
+  socket.end = (chunk) => {
+    if (chunk != null) socket.data += chunk
+    socket.ended = true
+  }
+  socket.destroy = () => (socket.destroyed = true)
+  return socket
+}
+
+test('socket tunnel requests and handshakes', () => {
+  assert.strictEqual(is_socket_tunnel_request({ method: 'CONNECT' }), true)
+  assert.strictEqual(
+    is_socket_tunnel_request({ method: 'GET', headers: { upgrade: 'TCP' } }),
+    true
+  )
+  assert.strictEqual(
+    is_socket_tunnel_request({
+      method: 'GET',
+      headers: { upgrade: 'websocket' },
+    }),
+    false
+  )
+  assert.strictEqual(
+    create_tunnel_handshake({ method: 'CONNECT' }),
+    'HTTP/1.1 200 Connection Established\r\n\r\n'
+  )
+  assert.strictEqual(
+    create_tunnel_handshake({ method: 'GET' }),
+    'HTTP/1.1 101 Switching Protocols\r\nConnection: Upgrade\r\nUpgrade: tcp\r\n\r\n'
+  )
+})
+
+test('raw requests get the express request fields', () => {
+  const connect = prepare_raw_request({
+    method: 'CONNECT',
+    url: 'svc.gateway-proxy.localhost:443',
+    headers: { host: 'other' },
+    socket: { encrypted: true },
+  })
+  assert.strictEqual(connect.headers.host, 'svc.gateway-proxy.localhost')
+  assert.strictEqual(connect.originalUrl, '/')
+  assert.strictEqual(connect.protocol, 'https')
+
+  const upgrade = prepare_raw_request({
+    method: 'GET',
+    url: '/a?b=1',
+    headers: { host: 'svc', upgrade: 'tcp' },
+    socket: {},
+  })
+  assert.strictEqual(upgrade.originalUrl, '/a?b=1')
+  assert.deepStrictEqual(upgrade.query, { b: '1' })
+  assert.strictEqual(upgrade.get('Upgrade'), 'tcp')
+  assert.strictEqual(upgrade.protocol, 'http')
+})
+
+test('socket response writes the status and closes the connection', () => {
+  const socket = create_socket()
+  const res = new GatewaySocketResponse(socket)
+  res.set('X-Gateway-Error', 'access_denied').sendStatus(403)
+  assert.strictEqual(
+    socket.data,
+    [
+      'HTTP/1.1 403 Forbidden',
+      'x-gateway-error: access_denied',
+      'content-type: text/plain; charset=utf-8',
+      'content-length: 9',
+      'connection: close',
+      '',
+      'Forbidden',
+    ].join('\r\n')
+  )
+  assert.strictEqual(socket.ended, true)
+  assert.strictEqual(res.writableFinished, true)
+  assert.throws(() => res.writeHead(200))
+
+  // chunked responses are written as is.
+  const chunked = create_socket()
+  new GatewaySocketResponse(chunked)
+    .writeHead(200, { 'Transfer-Encoding': 'chunked' })
+    .end('body')
+  assert.strictEqual(
+    chunked.data,
+    'HTTP/1.1 200 OK\r\nconnection: close\r\n\r\nbody'
+  )
+})
+
+test('upgrade and connect tunnels reach the target', async () => {
+  const gateway = await create_tunnel_gateway()
+  const url = `http://127.0.0.1:${gateway.port}/`
+  const headers = { host: GATEWAY_TEST_HOST }
+  try {
+    const upgrade = await open_gateway_tunnel({ url, headers })
+    upgrade.write('hi')
+    assert.strictEqual(await read_until(upgrade, 'hi'), 'echo:hi')
+    upgrade.end()
+
+    // early data (sent with the CONNECT request) is forwarded.
+    const connect = net.connect(gateway.port, '127.0.0.1')
+    connect.write(
+      `CONNECT svc.gateway-proxy.localhost:${gateway.port} HTTP/1.1\r\n` +
+        `Host: svc.gateway-proxy.localhost:${gateway.port}\r\n\r\nearly`
+    )
+    assert.strictEqual(
+      await read_until(connect, 'echo:'),
+      'HTTP/1.1 200 Connection Established\r\n\r\necho:early'
+    )
+    connect.end()
+
+    await sleep(50)
+    assert.deepStrictEqual(
+      gateway.tunnels.map((record) => [
+        record.status,
+        record.bytes_received,
+        record.bytes_sent,
+      ]),
+      [
+        [101, 2, 7],
+        [200, 5, 10],
+      ]
+    )
+  } finally {
+    gateway.close()
+  }
+})
+
+test('ports that are not socket ports cannot be tunneled', async () => {
+  const gateway = await create_tunnel_gateway()
+  try {
+    await assert.rejects(
+      open_gateway_tunnel({
+        url: `http://127.0.0.1:${gateway.port}/`,
+        headers: { host: 'closed.gateway-proxy.localhost' },
+      }),
+      (err) => err.statusCode == 403
+    )
+    assert.throws(() =>
+      open_gateway_tunnel({ url: 'http://127.0.0.1/', method: 'post' })
+    )
+  } finally {
+    gateway.close()
+  }
+})
+
+test('tunnel server and pipe tunnel the local connections', async () => {
+  const gateway = await create_tunnel_gateway()
+  const options = {
+    url: `http://127.0.0.1:${gateway.port}/`,
+    headers: { host: GATEWAY_TEST_HOST },
+  }
+  const local = create_tunnel_server(options)
+  await listen(local)
+  try {
+    const client = net.connect(local.address().port, '127.0.0.1')
+    client.write('via local')
+    assert.strictEqual(await read_until(client, 'local'), 'echo:via local')
+    client.end()
+
+    const input = new stream.PassThrough()
+    const output = new stream.PassThrough()
+    const tunnel = await pipe_gateway_tunnel(options, input, output)
+    input.write('piped')
+    assert.strictEqual(await read_until(output, 'piped'), 'echo:piped')
+    tunnel.destroy()
+
+    // tunnel errors close the local connection.
+    const errors = []
+    const refused = create_tunnel_server({
+      ...options,
+      headers: { host: 'closed.gateway-proxy.localhost' },
+      on_error: (err) => errors.push(err.statusCode),
+    })
+    await listen(refused)
+    const closed = net.connect(refused.address().port, '127.0.0.1')
+    await new Promise((resolve) => closed.resume().once('close', resolve))
+    refused.close()
+    assert.deepStrictEqual(errors, [403])
+  } finally {
+    local.close()
+    gateway.close()
+  }
+})
+
+run()
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+const http = require('http')
+const https = require('https')
+const net = require('net')
+
+/**
+ * @typedef {{
+ * url: string|URL,
+ * method: 'upgrade'|'connect',
+ * headers: Object<string,string>,
+ * tls: import('tls').ConnectionOptions,
+ * }} GatewayTunnelClientOptions
+ */
+
+/**
+ * Open a raw tcp tunnel through the gateway.
+ * @param {GatewayTunnelClientOptions} param0 The url is the gateway host url of
+ * the target, e.g. https://my-db.e058.5432.gateway-proxy.example.com
+ * @returns {Promise<net.Socket>} The tunnel socket (connected to the target)
+ */
+function open_gateway_tunnel({
+  url,
+  method = 'upgrade',
+  headers = {},
+  tls = {},
+}) {
+  url = new URL(url.toString())
+  const is_secure = url.protocol == 'https:' || url.protocol == 'wss:'
+  const port = url.port || (is_secure ? 443 : 80)
+
+  /** @type {http.RequestOptions} */
+  const options = {
+    ...(is_secure ? tls : {}),
+    hostname: url.hostname,
+    port,
+    headers: { ...headers },
+  }
+
+  if (method == 'connect') {
+    options.method = 'CONNECT'
+    options.path = `${url.hostname}:${port}`
+  } else if (method == 'upgrade') {
+    options.method = 'GET'
+    options.path = url.pathname + url.search
+    options.headers.connection = 'Upgrade'
+    options.headers.upgrade = 'tcp'
+  } else throw new Error('Invalid tunnel method: ' + method)
+
+  return new Promise((resolve, reject) => {
+    const request = (is_secure ? https : http).request(options)
+
+    /**
+     * @param {http.IncomingMessage} rsp
+     * @param {net.Socket} socket
+     * @param {Buffer} head
+     */
+    const on_tunnel = (rsp, socket, head) => {
+      if (head && head.length) socket.unshift(head)
+      socket.setTimeout(0)
+      resolve(socket)
+    }
+
+    request.once('connect', on_tunnel)
+    request.once('upgrade', on_tunnel)
+    request.once('response', (rsp) => {
+      rsp.resume()
+      const err = new Error(
+        `Gateway refused the tunnel: ${rsp.statusCode} ${rsp.statusMessage}`
+      )
+      err.statusCode = rsp.statusCode
+      reject(err)
+    })
+    request.once('error', reject)
+    request.end()
+  })
+}
+
+/**
+ * Connect two sockets, closing both when either closes.
+ * @param {net.Socket} local
+ * @param {net.Socket} tunnel
+ */
+function join_sockets(local, tunnel) {
+  local.pipe(tunnel).pipe(local)
+  const close = () => {
+    local.destroy()
+    tunnel.destroy()
+  }
+  local.once('close', close)
+  tunnel.once('close', close)
+  local.on('error', close)
+  tunnel.on('error', close)
+}
+
+/**
+ * Create a local tcp server that tunnels each connection to the
+ * target through the gateway. Call listen on the returned server.
+ * @param {GatewayTunnelClientOptions & {
+ * on_error: (err:Error)=>void,
+ * }} options
+ * @returns {net.Server}
+ */
+function create_tunnel_server(options) {
+  const on_error = options.on_error || ((err) => console.error(err.message))
+  return net.createServer((local) => {
+    local.pause()
+    open_gateway_tunnel(options).then(
+      (tunnel) => {
+        join_sockets(local, tunnel)
+        local.resume()
+      },
+      (err) => {
+        on_error(err)
+        local.destroy()
+      }
+    )
+  })
+}
+
+/**
+ * Tunnel stdin/stdout to the target through the gateway (for ssh ProxyCommand)
+ * @param {GatewayTunnelClientOptions} options
+ * @param {NodeJS.ReadableStream} input
+ * @param {NodeJS.WritableStream} output
+ * @returns {Promise<net.Socket>} The tunnel socket
+ */
+async function pipe_gateway_tunnel(
+  options,
+  input = process.stdin,
+  output = process.stdout
+) {
+  const tunnel = await open_gateway_tunnel(options)
+  input.pipe(tunnel)
+  tunnel.pipe(output)
+  return tunnel
+}
+
+/**
+ * Usage:
+ *  node tunnel_client.js <gateway-host-url> [--connect] [--listen [host:]port] [-H "name: value"]
+ * Without --listen, stdin/stdout are tunneled, e.g.
+ *  ssh -o ProxyCommand="node tunnel_client.js https://my-host.e058.22.gateway-proxy.example.com" user@my-host
+ * @param {string[]} args
+ */
+function main(args) {
+  /** @type {GatewayTunnelClientOptions} */
+  const options = { url: null, method: 'upgrade', headers: {} }
+  let listen = null
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg == '--connect') options.method = 'connect'
+    else if (arg == '--listen') listen = args[++i]
+    else if (arg == '-H' || arg == '--header') {
+      const header = args[++i] || ''
+      const index = header.indexOf(':')
+      if (index == -1) throw new Error('Invalid header: ' + header)
+      options.headers[header.substr(0, index).trim()] = header
+        .substr(index + 1)
+        .trim()
+    } else options.url = arg
+  }
+
+  if (options.url == null)
+    throw new Error(
+      'Usage: tunnel_client.js <gateway-host-url> [--connect] [--listen [host:]port] [-H "name: value"]'
+    )
+
+  if (listen == null) {
+    pipe_gateway_tunnel(options).then(
+      (tunnel) => tunnel.once('close', () => process.exit(0)),
+      (err) => {
+        console.error(err.message)
+        process.exit(1)
+      }
+    )
+    return
+  }
+
+  const [host, port] = listen.includes(':')
+    ? [listen.substr(0, listen.lastIndexOf(':')), listen.split(':').pop()]
+    : ['127.0.0.1', listen]
+  const server = create_tunnel_server(options)
+  server.listen(parseInt(port), host, () =>
+    console.error(`Tunneling ${host}:${port} -> ${options.url}`)
+  )
+}
+
+if (require.main === module) main(process.argv.slice(2))
+
+module.exports = {
+  create_tunnel_server,
+  open_gateway_tunnel,
+  pipe_gateway_tunnel,
+}